@@ -1,70 +1,96 @@
 // scripts/materialize-positives.js
-// Generate clean CSV/JSON outputs from visited.jsonl containing only successful finds
+// Generate clean CSV/JSON outputs from the result store containing only successful finds
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { DATA_DIR, OUT_DIR, outFiles } from '../src/utils/paths.js';
+import { resolveOptions } from '../src/utils/options.js';
+import { hasDiscount, toOutputRow, csvHeader, csvLine } from '../src/utils/promoResult.js';
+import { productKey } from '../src/utils/productUrl.js';
+import { loadRegistry } from '../src/utils/productRegistry.js';
+import { openStore } from '../src/utils/store.js';
+import { buildTimeline } from '../src/utils/timeline.js';
+import { log } from '../src/utils/logger.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const VIS = path.join(__dirname, '..', 'data', 'visited.jsonl');
-const OUTJ = path.join(__dirname, '..', 'out', 'whop_popup_codes.json');
-const OUTC = path.join(__dirname, '..', 'out', 'whop_popup_codes.csv');
-
-function* iterateVisited(file) {
-  if (!fs.existsSync(file)) return;
-  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
-  for (const line of lines) {
-    try {
-      yield JSON.parse(line);
-    } catch (e) {
-      console.warn(`⚠️ Skipping malformed line: ${line.slice(0, 100)}...`);
-    }
-  }
-}
 
-function materializeOutputs() {
-  console.log('📊 Materializing clean outputs from visited data...');
+function materializeOutputs({ dataDir = DATA_DIR, outDir = OUT_DIR, minConfidence = 0 } = {}) {
+  const { json: OUTJ, csv: OUTC } = outFiles(outDir);
 
-  if (!fs.existsSync(VIS)) {
-    console.log(`❌ No visited data found at ${VIS}`);
-    console.log('   Run Phase B extraction first: node src/phaseB_extract.js');
+  log.info('📊 Materializing clean outputs from the result store...');
+
+  const store = openStore(dataDir);
+  // Every stage that revisits a page (extract, enrich, update, bundle, scrape) counts as a visit
+  const attempts = store.attempts().filter(a => a.status !== 'error');
+  // Ids, route and title come from the product registry when extraction recorded the page
+  const registry = loadRegistry(dataDir, store);
+  store.close();
+
+  if (!attempts.length) {
+    log.warn(`❌ No results found in ${store.file}`);
+    log.warn('   Run Phase B extraction first (whp extract), or bring old JSONL files in with whp import');
     return;
   }
 
-  // Collect all successful finds
-  const positives = [];
-  const stats = { total: 0, found: 0, empty: 0 };
+  // Collect all successful finds, one per product and code; the latest visit wins, but the row
+  // keeps the URL that visit used (affiliate link included). A later visit that saw the code but
+  // not its discount keeps the discount an earlier one read.
+  const byProduct = new Map();
+  const lastDiscount = new Map();
+  const observations = new Map();
+  const stats = { total: 0, found: 0, empty: 0, lowConfidence: 0, duplicates: 0, expired: 0 };
 
-  for (const record of iterateVisited(VIS)) {
+  for (const record of attempts) {
     stats.total++;
+    const productId = registry.lookup(record.url)?.id ?? productKey(record.url);
+    if (!observations.has(productId)) observations.set(productId, []);
+    observations.get(productId).push(record);
 
-    if (record.found && (record.code || record.amountOff || record.discountOff)) {
+    const result = record.result;
+    if (record.status === 'found' || hasDiscount(result)) {
       stats.found++;
-
-      // Convert to clean format for output
-      const cleaned = {
+      if (minConfidence > 0 && (result.confidence ?? 0) < minConfidence) {
+        stats.lowConfidence++;
+        continue;
+      }
+
+      const product = registry.lookup(record.url);
+      const id = `${productId}|${result.code ?? ''}`;
+      if (hasDiscount(result)) lastDiscount.set(id, result);
+      if (byProduct.has(id)) stats.duplicates++;
+      const known = hasDiscount(result) ? result : lastDiscount.get(id);
+      // Attempts come oldest first, so this one is the latest so far
+      byProduct.set(id, toOutputRow(known ? {
+        ...result,
+        percentOff: known.percentOff,
+        amountOff: known.amountOff,
+        currency: known.currency,
+      } : result, {
         timestamp: record.checkedAt,
         productUrl: record.url,
-        productId: extractProductId(record.url),
-        productRoute: extractProductRoute(record.url),
-        productTitle: '', // Could be enhanced to store from extraction
-        amountOff: record.amountOff || '',
-        discountOff: record.discountOff || '',
-        code: record.code || '',
-        promoId: record.promoId || '',
-        sourceUrl: record.sourceUrl || '',
-        extractionType: record.type || ''
-      };
-
-      positives.push(cleaned);
+        productId: product?.productId || extractProductId(record.url),
+        companyId: product?.companyId || '',
+        productRoute: product?.route ? [product.route, product.slug].filter(Boolean).join('/') : extractProductRoute(record.url),
+        productTitle: product?.title || '',
+        profile: record.profile || '',
+        visibility: record.visibility || '',
+      }));
     } else {
       stats.empty++;
     }
   }
 
+  // A code the latest observation of its product no longer showed has disappeared (see
+  // utils/timeline.js): it is left out, so the outputs only hold codes still on their page
+  for (const [productId, list] of observations) {
+    for (const { code, expiredAt } of buildTimeline(list).codes) {
+      if (expiredAt && byProduct.delete(`${productId}|${code}`)) stats.expired++;
+    }
+  }
+
   // Sort by timestamp (most recent first)
+  const positives = [...byProduct.values()];
   positives.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
   // Ensure output directory exists
@@ -74,50 +100,39 @@ function materializeOutputs() {
   fs.writeFileSync(OUTJ, JSON.stringify(positives, null, 2));
 
   // Write CSV output
-  const csvHeader = 'timestamp,productUrl,productId,productRoute,productTitle,amountOff,discountOff,code,promoId,sourceUrl,extractionType\n';
-  const csvRows = positives.map(row => {
-    const escapeCsv = (value) => {
-      const str = String(value || '');
-      return `"${str.replace(/"/g, '""')}"`;
-    };
-
-    return [
-      escapeCsv(row.timestamp),
-      escapeCsv(row.productUrl),
-      escapeCsv(row.productId),
-      escapeCsv(row.productRoute),
-      escapeCsv(row.productTitle),
-      escapeCsv(row.amountOff),
-      escapeCsv(row.discountOff),
-      escapeCsv(row.code),
-      escapeCsv(row.promoId),
-      escapeCsv(row.sourceUrl),
-      escapeCsv(row.extractionType)
-    ].join(',');
-  }).join('\n');
-
-  fs.writeFileSync(OUTC, csvHeader + csvRows);
+  fs.writeFileSync(OUTC, csvHeader() + positives.map(csvLine).join(''));
 
   // Report results
-  console.log(`\n✅ Materialization complete!`);
-  console.log(`📊 Processing stats:`);
-  console.log(`   - Total URLs processed: ${stats.total}`);
-  console.log(`   - Popup codes found: ${stats.found}`);
-  console.log(`   - No codes found: ${stats.empty}`);
-  console.log(`   - Success rate: ${((stats.found / stats.total) * 100).toFixed(1)}%`);
-  console.log(`\n📁 Output files:`);
-  console.log(`   - JSON: ${OUTJ} (${positives.length} records)`);
-  console.log(`   - CSV:  ${OUTC} (${positives.length} records)`);
+  log.info(`\n✅ Materialization complete!`);
+  log.info(`📊 Processing stats:`);
+  log.info(`   - Visits processed: ${stats.total}`);
+  log.info(`   - Popup codes found: ${stats.found}`);
+  log.info(`   - No codes found: ${stats.empty}`);
+  if (minConfidence > 0) {
+    log.info(`   - Held back below confidence ${minConfidence}: ${stats.lowConfidence}`);
+  }
+  if (stats.expired) {
+    log.info(`   - Left out as no longer on their page: ${stats.expired}`);
+  }
+  if (stats.duplicates) {
+    log.info(`   - Repeat finds of the same product and code: ${stats.duplicates}`);
+  }
+  log.info(`   - Success rate: ${((stats.found / stats.total) * 100).toFixed(1)}%`);
+  log.info(`\n📁 Output files:`);
+  log.info(`   - JSON: ${OUTJ} (${positives.length} records)`);
+  log.info(`   - CSV:  ${OUTC} (${positives.length} records)`);
 
   // Show sample of found codes
   if (positives.length > 0) {
-    console.log(`\n🎫 Sample popup codes found:`);
+    log.info(`\n🎫 Sample popup codes found:`);
     positives.slice(0, 5).forEach(p => {
-      const display = p.code || `${p.amountOff || p.discountOff} discount`;
-      console.log(`   - ${display} (${p.extractionType}) from ${p.productUrl}`);
+      const display = p.code || `${p.percentOff !== '' ? p.percentOff + '%' : p.amountOff} discount`;
+      // Rows from before contentType was recorded have it empty
+      const details = [p.contentType, `confidence ${p.confidence === '' ? 'n/a' : p.confidence}`].filter(Boolean).join(', ');
+      log.info(`   - ${display} (${details}) from ${p.productUrl}`);
     });
     if (positives.length > 5) {
-      console.log(`   ... and ${positives.length - 5} more`);
+      log.info(`   ... and ${positives.length - 5} more`);
     }
   }
 }
@@ -148,7 +163,10 @@ function extractProductRoute(url) {
 
 // Run if called directly
 if (process.argv[1] === __filename) {
-  materializeOutputs();
+  const { options } = resolveOptions(['dataDir', 'outDir', 'minConfidence'], {
+    usage: 'node scripts/materialize-positives.js [options]',
+  });
+  materializeOutputs(options);
 }
 
 export { materializeOutputs };
\ No newline at end of file
@@ -0,0 +1,29 @@
+// scripts/update-goldens.js
+// Re-record the `expected` block of every test fixture from the current extractor output.
+// Run after an intentional behaviour change, then review the fixture diff before committing.
+
+import fs from 'fs';
+import path from 'path';
+import { loadCase, listCases, createFakePage, FIXTURES } from '../test/helpers/fakePage.js';
+import { extractPopupPromoFromNetwork as extractPromo } from '../src/utils/extractPromo.js';
+import { parseResponses } from '../src/utils/promoParse.js';
+
+for (const name of listCases()) {
+  const fixture = loadCase(name);
+  const file = path.join(FIXTURES, `${name}.json`);
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  raw.expected = {
+    extract: await extractPromo(createFakePage(fixture), { url: fixture.pageUrl, currentRoute: fixture.route }),
+    extractWithCode: await extractPromo(createFakePage(fixture), {
+      url: fixture.pageUrl,
+      currentRoute: fixture.route,
+      onlyThisCode: fixture.onlyThisCode,
+    }),
+    parseResponses: parseResponses(fixture.responses, { route: fixture.route })
+      .map(c => ({ code: c.code, accepted: c.accepted, reasons: c.reasons, discount: c.discount })),
+  };
+
+  fs.writeFileSync(file, JSON.stringify(raw, null, 2) + '\n');
+  console.log(`📝 ${name}`);
+}
@@ -1,17 +1,43 @@
+import { fileURLToPath } from 'url';
 import { chromium } from 'playwright';
 import { extractPopupPromoFromNetwork } from '../src/utils/extractPromo.js';
+import { installReplay } from '../src/utils/replay.js';
+import { DEFAULT_STORAGE } from '../src/utils/paths.js';
+import { resolveOptions } from '../src/utils/options.js';
+import { resolveOneAuth, authContextOptions, addAuthCookies } from '../src/utils/authProfiles.js';
 
-const url = process.argv[2];
-if (!url) { console.error('Usage: node scripts/verify-one.mjs <whop-product-url>'); process.exit(1); }
+const __filename = fileURLToPath(import.meta.url);
 
-const browser = await chromium.launch({ headless: true });
-const context = await browser.newContext({
-  storageState: process.env.WHOP_STORAGE || 'auth/whop.json',
-  serviceWorkers: 'block'
-});
-const page = await context.newPage();
-await page.goto(url, { waitUntil: 'domcontentloaded' });
-const route = new URL(url).pathname.split('/').filter(Boolean)[0] || null;
-const res = await extractPopupPromoFromNetwork(page, { timeoutMs: 15000, currentRoute: route });
-console.log('RESULT:', res);
-await browser.close();
\ No newline at end of file
+export async function verifyOne(url, { storage = DEFAULT_STORAGE, profile = null, authMode = 'auto', replay = null } = {}) {
+  // A replayed snapshot already carries whatever the session produced
+  const auth = replay ? null : resolveOneAuth({ profile, storage, authMode });
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const context = await browser.newContext({
+      ...authContextOptions(auth),
+      serviceWorkers: 'block'
+    });
+    await addAuthCookies(context, auth);
+    if (replay) {
+      await installReplay(context, replay);
+      console.log(`📼 Replaying traffic from ${replay}`);
+    }
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: 'domcontentloaded' });
+    const route = new URL(url).pathname.split('/').filter(Boolean)[0] || null;
+    const res = await extractPopupPromoFromNetwork(page, { url, timeoutMs: 15000, currentRoute: route });
+    console.log('RESULT:', res);
+    return res;
+  } finally {
+    await browser.close();
+  }
+}
+
+if (process.argv[1] === __filename) {
+  const { options, positionals } = resolveOptions(['storage', 'profile', 'authMode', 'replay'], {
+    usage: 'node scripts/verify-one.mjs <whop-product-url> [options]',
+  });
+  const url = positionals[0];
+  if (!url) { console.error('Usage: node scripts/verify-one.mjs <whop-product-url>'); process.exit(1); }
+  await verifyOne(url, options);
+}
@@ -0,0 +1,203 @@
+// src/auth.js
+// Auth profiles: list, capture, import, validate, encrypt and delete the per-account session
+// files in auth/ (see utils/authProfiles.js and, for encryption at rest, utils/sessionFiles.js)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AUTH_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { DEFAULT_PROFILE, listProfiles, profilePath, deleteProfile } from './utils/authProfiles.js';
+import { probeLoggedIn, sessionExpiry, isWhopCookie } from './utils/sessionHealth.js';
+import { parseCookieExport, toStorageState } from './utils/cookieImport.js';
+import { readSessionFile, writeSessionFile, PASSPHRASE_ENV } from './utils/sessionFiles.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+export const AUTH_ACTIONS = ['list', 'capture', 'import', 'validate', 'encrypt', 'delete'];
+
+function describeExpiry(p) {
+  if (!p.readable) return p.encrypted ? `encrypted; set ${PASSPHRASE_ENV} (or the right one) to read it` : 'unreadable';
+  if (!p.cookies) return 'no whop.com cookies';
+  if (p.expired) return `expired at ${p.expiresAt}`;
+  return p.expiresAt ? `valid until ${p.expiresAt}` : 'no expiry set';
+}
+
+function printProfiles({ authDir = AUTH_DIR } = {}) {
+  const profiles = listProfiles(authDir);
+  if (!profiles.length) {
+    console.log(`🔐 No auth profiles in ${authDir}; capture one with: whp auth capture [name]`);
+    return profiles;
+  }
+  console.log(`🔐 Auth profiles in ${authDir}:`);
+  for (const p of profiles) {
+    const icon = !p.readable || p.expired ? '🔒' : '✅';
+    console.log(`   ${icon} ${p.name}${p.name === DEFAULT_PROFILE ? ' (default)' : ''}: ${describeExpiry(p)}, captured ${p.capturedAt}${p.encrypted ? ', encrypted' : ''}`);
+  }
+  return profiles;
+}
+
+// Whether whop.com shows a session file logged in, in a fresh context of `browser`
+async function probeSessionFile(browser, file) {
+  const context = await browser.newContext({ storageState: readSessionFile(file) });
+  try {
+    return await probeLoggedIn(await context.newPage());
+  } finally {
+    await context.close().catch(() => {});
+  }
+}
+
+async function launchBrowser() {
+  const { chromium } = await import('playwright');
+  return chromium.launch({ headless: true });
+}
+
+/**
+ * Check profiles (all of them when `names` is empty): cookie expiry from the file, then, unless
+ * `offline`, a logged-in probe of whop.com with each session. Resolves to the profiles with
+ * `loggedIn` (true, false, or null when not probed) and `ok`.
+ */
+async function validateProfiles(names = [], { authDir = AUTH_DIR, offline = false } = {}) {
+  const wanted = names.length ? names.map(name => profilePath(name, authDir)) : null;
+  const profiles = listProfiles(authDir).filter(p => !wanted || wanted.includes(p.file));
+  for (const name of names) {
+    if (!profiles.some(p => p.name === name)) throw new Error(`No auth profile "${name}" in ${authDir}`);
+  }
+
+  let browser = null;
+  try {
+    for (const p of profiles) {
+      p.loggedIn = null;
+      if (offline || !p.readable || p.expired) continue;
+      browser ??= await launchBrowser();
+      try {
+        p.loggedIn = await probeSessionFile(browser, p.file);
+      } catch (error) {
+        p.error = error.message;
+      }
+    }
+  } finally {
+    await browser?.close().catch(() => {});
+  }
+
+  for (const p of profiles) p.ok = p.readable && !p.expired && p.loggedIn !== false && !p.error;
+  return profiles;
+}
+
+/**
+ * Turn a browser cookie export (`source` a file, or "-" for stdin; see utils/cookieImport.js)
+ * into the storage state of `profile`. Only whop.com cookies are kept; the login must not have
+ * expired and, unless `offline`, whop.com must show it logged in. Until then the profile's
+ * current file is left alone.
+ */
+async function importProfile(source, { profile = DEFAULT_PROFILE, authDir = AUTH_DIR, cookieFormat = 'auto', offline = false } = {}) {
+  if (!source) throw new Error('whp auth import needs a cookie export file, or - to read stdin');
+  const file = profilePath(profile, authDir);
+  const text = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+  const { format, cookies } = parseCookieExport(text, { format: cookieFormat });
+
+  const whop = cookies.filter(isWhopCookie);
+  const state = toStorageState(whop);
+  const expiry = sessionExpiry(state);
+  if (!whop.length) throw new Error(`None of the ${cookies.length} cookies in the ${format} export is for whop.com`);
+  if (expiry.expired) throw new Error(`The imported login expired at ${expiry.expiresAt} (cookie ${expiry.cookie})`);
+
+  const pending = path.join(authDir, `.import-${profile}.json`);
+  const { encrypted } = writeSessionFile(pending, state);
+  try {
+    if (!offline) {
+      const browser = await launchBrowser();
+      try {
+        if (!await probeSessionFile(browser, pending)) throw new Error('whop.com shows the imported session logged out');
+      } finally {
+        await browser.close().catch(() => {});
+      }
+    }
+    fs.renameSync(pending, file);
+  } finally {
+    fs.rmSync(pending, { force: true });
+  }
+  return { profile, file, format, cookies: whop.length, skipped: cookies.length - whop.length, expiresAt: expiry.expiresAt, probed: !offline, encrypted };
+}
+
+async function printImport(source, profile, opts = {}) {
+  const imported = await importProfile(source, { ...opts, profile });
+  console.log(`✅ Imported ${imported.cookies} whop.com cookies (${imported.format}) into ${imported.file}${imported.encrypted ? ' (encrypted)' : ''}`);
+  if (imported.skipped) console.log(`   - Left out ${imported.skipped} cookies for other sites`);
+  console.log(`   - Login ${imported.expiresAt ? `valid until ${imported.expiresAt}` : 'has no expiry set'}${imported.probed ? ', whop.com shows it logged in' : ' (not checked on whop.com: --offline)'}`);
+  console.log(`🔧 Use it with: whp extract${imported.profile === DEFAULT_PROFILE ? '' : ` --profile ${imported.profile}`}`);
+  return imported;
+}
+
+/** Rewrite profiles (all of them when `names` is empty) encrypted with WHP_SESSION_PASSPHRASE */
+function encryptProfiles(names = [], { authDir = AUTH_DIR } = {}) {
+  if (!process.env[PASSPHRASE_ENV]) throw new Error(`Set ${PASSPHRASE_ENV} to the passphrase to encrypt session files with`);
+  const profiles = names.length
+    ? names.map(name => ({ name, file: profilePath(name, authDir) }))
+    : listProfiles(authDir).filter(p => !p.encrypted);
+  for (const { name, file } of profiles) {
+    // Read with the current passphrase, so a plain file is encrypted and an encrypted one re-keyed only when it opens
+    writeSessionFile(file, readSessionFile(file));
+    console.log(`🔐 Encrypted profile ${name} (${file})`);
+  }
+  if (!profiles.length) console.log(`🔐 Every profile in ${authDir} is already encrypted`);
+  return profiles;
+}
+
+async function printValidate(names, opts = {}) {
+  const profiles = await validateProfiles(names, opts);
+  if (!profiles.length) console.log(`🔐 No auth profiles in ${opts.authDir || AUTH_DIR}`);
+  for (const p of profiles) {
+    const probe = p.error ? `could not reach whop.com: ${p.error}`
+      : p.loggedIn === true ? 'logged in on whop.com'
+        : p.loggedIn === false ? 'whop.com shows it logged out' : null;
+    console.log(`${p.ok ? '✅' : '🔒'} ${p.name}: ${describeExpiry(p)}${probe ? `; ${probe}` : ''}`);
+  }
+  const bad = profiles.filter(p => !p.ok);
+  if (bad.length) console.log(`💡 Refresh with: ${bad.map(p => `whp auth capture ${p.name}`).join(' / ')}`);
+  return profiles;
+}
+
+/** whp auth <action> [name...]; import takes <file|-> [name] */
+async function runAuth(action = 'list', names = [], opts = {}) {
+  switch (action) {
+    case 'list':
+      return printProfiles(opts);
+    case 'capture': {
+      if (names.length > 1) throw new Error('whp auth capture takes one profile name');
+      const { captureWhopSession } = await import('./capture-whop-session.js');
+      return captureWhopSession({ profile: names[0] || DEFAULT_PROFILE, authDir: opts.authDir });
+    }
+    case 'import': {
+      if (names.length > 2) throw new Error('whp auth import takes a cookie export file and one profile name');
+      return printImport(names[0], names[1] || DEFAULT_PROFILE, opts);
+    }
+    case 'validate': {
+      const profiles = await printValidate(names, opts);
+      if (profiles.some(p => !p.ok)) process.exitCode = 1;
+      return profiles;
+    }
+    case 'encrypt':
+      return encryptProfiles(names, opts);
+    case 'delete': {
+      if (!names.length) throw new Error('whp auth delete needs a profile name');
+      for (const name of names) console.log(`🗑️ Deleted profile ${name} (${deleteProfile(name, opts.authDir)})`);
+      return names;
+    }
+    default:
+      throw new Error(`Unknown auth action "${action}" (${AUTH_ACTIONS.join(', ')})`);
+  }
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options, positionals } = resolveOptions(['offline', 'cookieFormat'], {
+    usage: 'node src/auth.js [list|capture|import|validate|encrypt|delete] [name...] [options]',
+  });
+  runAuth(positionals[0], positionals.slice(1), options).catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+export { printProfiles, validateProfiles, importProfile, encryptProfiles, runAuth };
@@ -1,18 +1,22 @@
 // src/capture-whop-session.js
-// Interactive script to login to Whop and capture session state
+// Interactive script to login to Whop and capture session state into an auth profile (auth/<name>.json)
 
 import { chromium } from 'playwright';
 import fs from 'fs';
-import path from 'path';
 import { fileURLToPath } from 'url';
+import { AUTH_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { DEFAULT_PROFILE, profilePath } from './utils/authProfiles.js';
+import { writeSessionFile, assertSessionFileSafe } from './utils/sessionFiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
 
-const STORAGE_STATE_PATH = path.join(__dirname, '..', 'storageState.json');
-
-async function captureWhopSession() {
-  console.log('🚀 Opening browser for Whop login...');
+async function captureWhopSession({ profile = DEFAULT_PROFILE, authDir = AUTH_DIR } = {}) {
+  const file = profilePath(profile, authDir);
+  // Refuse before anyone logs in, not after
+  fs.mkdirSync(authDir, { recursive: true });
+  assertSessionFileSafe(file);
+  console.log(`🚀 Opening browser for Whop login (profile ${profile})...`);
   console.log('📝 Please log into your Whop account in the browser that opens');
   console.log('✅ When logged in, press Enter in this terminal to capture the session');
 
@@ -65,17 +69,27 @@ async function captureWhopSession() {
     console.log('⚠️  Could not verify login status, but proceeding...');
   }
 
-  // Save the storage state
-  await context.storageState({ path: STORAGE_STATE_PATH });
+  // Save the storage state (encrypted when WHP_SESSION_PASSPHRASE is set)
+  const { encrypted } = writeSessionFile(file, await context.storageState());
 
-  console.log(`✅ Session captured to: ${STORAGE_STATE_PATH}`);
-  console.log('🔧 You can now run: npm run scrape:whpcodes');
-  console.log('💡 The scraper will automatically use your logged-in session');
+  console.log(`✅ Session captured to: ${file}${encrypted ? ' (encrypted)' : ''}`);
+  if (profile === DEFAULT_PROFILE) console.log('🔧 You can now run: whp extract');
+  else console.log(`🔧 You can now run: whp extract --profile ${profile}`);
+  console.log('💡 Check it later with: whp auth validate');
 
   await browser.close();
+  return file;
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options } = resolveOptions(['profile'], {
+    usage: 'node src/capture-whop-session.js [--profile <name>]',
+  });
+  captureWhopSession({ profile: options.profile || DEFAULT_PROFILE }).catch(e => {
+    console.error('❌ Error capturing session:', e);
+    process.exit(1);
+  });
 }
 
-captureWhopSession().catch(e => {
-  console.error('❌ Error capturing session:', e);
-  process.exit(1);
-});
\ No newline at end of file
+export { captureWhopSession };
\ No newline at end of file
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+// src/cli.js
+// Unified `whp` entry point - one subcommand per pipeline stage, shared flags and --help
+
+import { parseCommandLine, formatHelp } from './utils/options.js';
+import { log } from './utils/logger.js';
+
+// Stage modules are imported lazily so `whp status` / `whp --help` never load Playwright
+const COMMANDS = {
+  discover: {
+    summary: 'Discover Whop product URLs from the selected sources into the queue',
+    usage: 'whp discover [options]',
+    options: ['sources', 'startUrl', 'maxPages', 'urlFile', 'affiliateFile', 'sitemapUrl', 'ignoreRobots', 'dataDir'],
+    async run({ options }) {
+      const { discoverAll } = await import('./phaseA_discover.js');
+      await discoverAll({ ...options, start: options.startUrl });
+    },
+  },
+  extract: {
+    summary: 'Visit queued products and capture popup promo codes',
+    usage: 'whp extract [options]',
+    options: ['concurrency', 'revisitAfter', 'storage', 'profile', 'authMode', 'compareAnonymous', 'dataDir', 'outDir', 'taskTimeout', 'recycleAfter', 'maxRestarts', 'sessionCheck', 'sessionWait', 'dashboard'],
+    async run({ options }) {
+      const { extractAll } = await import('./phaseB_extract.js');
+      await extractAll(options);
+    },
+  },
+  enrich: {
+    summary: 'Re-visit products with codes to fill in discount amounts',
+    usage: 'whp enrich [options]',
+    options: ['strategy', 'storage', 'profile', 'authMode', 'dataDir', 'redoNull', 'redoFail', 'taskTimeout', 'recycleAfter'],
+    async run({ options }) {
+      if (options.strategy === 'update') {
+        const { updateDiscounts } = await import('./update_discounts.js');
+        await updateDiscounts(options);
+      } else if (options.strategy === 'bundle') {
+        const { extractDiscounts } = await import('./extract_discounts.js');
+        await extractDiscounts(options);
+      } else {
+        const { simpleDiscountExtract } = await import('./simple_discount_extract.js');
+        await simpleDiscountExtract(options);
+      }
+    },
+  },
+  materialize: {
+    summary: 'Write positive finds to out/ as JSON and CSV',
+    usage: 'whp materialize [options]',
+    options: ['dataDir', 'outDir', 'minConfidence'],
+    async run({ options }) {
+      const { materializeOutputs } = await import('../scripts/materialize-positives.js');
+      materializeOutputs(options);
+    },
+  },
+  verify: {
+    summary: 'Run the extractor against a single product URL and print the result',
+    usage: 'whp verify <url> [options]',
+    options: ['storage', 'profile', 'authMode', 'replay'],
+    async run({ options, positionals }) {
+      const url = positionals[0];
+      if (!url) throw new UsageError('verify needs a product URL');
+      const { verifyOne } = await import('../scripts/verify-one.mjs');
+      await verifyOne(url, options);
+    },
+  },
+  record: {
+    summary: 'Record product pages as offline fixtures for replay',
+    usage: 'whp record [url...] [options]',
+    options: ['fixturesDir', 'storage', 'profile', 'authMode', 'dataDir', 'fromVisited', 'foundOnly', 'limit'],
+    async run({ options, positionals }) {
+      const { recordFixtures, urlsFromVisited } = await import('./fixtures.js');
+      let urls = options.fromVisited ? urlsFromVisited(options.dataDir, options) : positionals;
+      if (options.limit) urls = urls.slice(0, options.limit);
+      if (!urls.length) throw new UsageError('record needs product URLs or --from-visited');
+      await recordFixtures(urls, options);
+    },
+  },
+  replay: {
+    summary: 'Re-run the extractor offline against recorded fixtures and compare results',
+    usage: 'whp replay [fixture-dir...] [options]',
+    options: ['fixturesDir'],
+    async run({ options, positionals }) {
+      const { replayFixtures } = await import('./fixtures.js');
+      const { failed } = await replayFixtures({ fixturesDir: options.fixturesDir, fixtures: positionals });
+      if (failed) process.exitCode = 1;
+    },
+  },
+  products: {
+    summary: 'Show the product registry, or the product behind each given URL',
+    usage: 'whp products [url...] [options]',
+    options: ['dataDir'],
+    async run({ options, positionals }) {
+      const { printProducts } = await import('./products.js');
+      printProducts(options, positionals);
+    },
+  },
+  history: {
+    summary: 'Show when promo codes appeared, changed and disappeared on a product',
+    usage: 'whp history <product-url|key|prod_id|promo-code> [options]',
+    options: ['dataDir'],
+    async run({ options, positionals }) {
+      if (!positionals[0]) throw new UsageError('history needs a product URL, key, prod_ id or promo code');
+      const { printHistory } = await import('./history.js');
+      printHistory(options, positionals[0]);
+    },
+  },
+  diff: {
+    summary: 'Compare two runs: new, removed and changed codes, lost finds and new errors',
+    usage: 'whp diff <before> [after] [options]   (each a run id, a JSONL/JSON snapshot, a date or "latest"; after defaults to latest)',
+    options: ['dataDir', 'format', 'output'],
+    async run({ options, positionals }) {
+      if (!positionals[0]) throw new UsageError('diff needs a snapshot to compare against (run id, file, date or "latest")');
+      const { printDiff } = await import('./diff.js');
+      printDiff(options, positionals[0], positionals[1]);
+    },
+  },
+  retry: {
+    summary: 'Re-queue products whose latest extraction failed with a retriable error',
+    usage: 'whp retry [options]',
+    options: ['dataDir', 'classes', 'dryRun'],
+    async run({ options }) {
+      const { printRetry } = await import('./retry.js');
+      printRetry(options);
+    },
+  },
+  auth: {
+    summary: 'List, capture, import, validate, encrypt or delete Whop auth profiles (auth/<name>.json)',
+    usage: 'whp auth [list|capture|validate|encrypt|delete] [name...] [options]\n       whp auth import <cookie-file|-> [name] [options]',
+    options: ['offline', 'cookieFormat'],
+    async run({ options, positionals }) {
+      const [action = 'list', ...names] = positionals;
+      const { runAuth, AUTH_ACTIONS } = await import('./auth.js');
+      if (!AUTH_ACTIONS.includes(action)) throw new UsageError(`Unknown auth action "${action}" (${AUTH_ACTIONS.join(', ')})`);
+      if (action === 'import' && !names[0]) throw new UsageError('auth import needs a cookie export file, or - to read stdin');
+      await runAuth(action, names, options);
+    },
+  },
+  runs: {
+    summary: 'List recent runs, or show one run\'s manifest and the URLs it attempted',
+    usage: 'whp runs [run-id|latest] [options]',
+    options: ['dataDir', 'format', 'limit'],
+    async run({ options, positionals }) {
+      const { printRuns } = await import('./runs.js');
+      printRuns(options, positionals[0]);
+    },
+  },
+  import: {
+    summary: 'Import JSONL files from older runs into the result store',
+    usage: 'whp import [options]',
+    options: ['dataDir', 'outDir'],
+    async run({ options }) {
+      const { importJsonl } = await import('./importJsonl.js');
+      importJsonl(options);
+    },
+  },
+  status: {
+    summary: 'Show queue, result and heartbeat status',
+    usage: 'whp status [options]',
+    options: ['dataDir', 'outDir', 'storage', 'profile'],
+    async run({ options }) {
+      const { printStatus } = await import('./status.js');
+      printStatus(options);
+    },
+  },
+};
+
+class UsageError extends Error {}
+
+function mainHelp() {
+  const width = Math.max(...Object.keys(COMMANDS).map(k => k.length));
+  return [
+    'Usage: whp <command> [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([name, c]) => `  ${name.padEnd(width)}  ${c.summary}`),
+    '',
+    'Run `whp <command> --help` for command options.',
+  ].join('\n');
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const [name, ...rest] = argv;
+
+  if (!name || name === '--help' || name === '-h' || name === 'help') {
+    console.log(mainHelp());
+    return 0;
+  }
+
+  const command = COMMANDS[name];
+  if (!command) {
+    console.error(`Unknown command: ${name}\n`);
+    console.error(mainHelp());
+    return 1;
+  }
+
+  const helpText = () => formatHelp({ usage: command.usage, description: command.summary, keys: command.options });
+
+  let parsed;
+  try {
+    parsed = parseCommandLine(command.options, rest);
+  } catch (e) {
+    console.error(`❌ ${e.message}\n`);
+    console.error(helpText());
+    return 1;
+  }
+
+  if (parsed.help) {
+    console.log(helpText());
+    return 0;
+  }
+
+  try {
+    await command.run(parsed);
+    return 0;
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`❌ ${e.message}\n`);
+      console.error(helpText());
+      return 1;
+    }
+    throw e;
+  }
+}
+
+main().then(code => {
+  // A command may have set a failing exit code itself (whp replay, whp auth validate)
+  if (code) process.exitCode = code;
+}).catch(error => {
+  log.error(`❌ Command failed: ${error.message}`, { error });
+  process.exit(1);
+});
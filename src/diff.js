@@ -0,0 +1,88 @@
+// src/diff.js
+// Run diff: what changed between two snapshots of extraction results, as a terminal, Markdown or
+// JSON report. Each side is a run id (what that run observed), a JSONL/JSON snapshot file, a
+// date/time (the store as it stood then) or "latest".
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { productKey } from './utils/productUrl.js';
+import { loadRegistry } from './utils/productRegistry.js';
+import { openStore } from './utils/store.js';
+import { recordFromRow, snapshotFromRecords, diffSnapshots, renderText, renderMarkdown } from './utils/runDiff.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function readSnapshotFile(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.json')) return JSON.parse(text).map(recordFromRow);
+  const records = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try { records.push(recordFromRow(JSON.parse(line))); } catch {}
+  }
+  return records;
+}
+
+/** Records behind a snapshot spec, plus how to name it in the report */
+function resolveSnapshot(spec, store) {
+  if (spec === 'latest') return { label: 'latest', records: store.attempts() };
+  const run = store.run(spec);
+  if (run) return { label: `run ${run.id} (${run.command})`, records: store.attempts({ runId: run.id }) };
+  if (fs.existsSync(spec)) return { label: path.basename(spec), records: readSnapshotFile(spec) };
+  const asOf = new Date(spec);
+  if (!isNaN(asOf)) {
+    return { label: asOf.toISOString(), records: store.attempts().filter(a => new Date(a.checkedAt) <= asOf) };
+  }
+  throw new Error(`Unknown snapshot "${spec}": expected a run id, a JSONL/JSON file, a date or "latest"`);
+}
+
+function diffRuns({ dataDir = DATA_DIR } = {}, beforeSpec, afterSpec = 'latest') {
+  const store = openStore(dataDir);
+  try {
+    // Both sides join on the registry, so a product seen under two URLs is compared with itself
+    const registry = loadRegistry(dataDir, store);
+    const idOf = (r) => registry.lookup(r.url)?.id ?? productKey(r.url);
+    const before = resolveSnapshot(beforeSpec, store);
+    const after = resolveSnapshot(afterSpec, store);
+    return diffSnapshots(
+      snapshotFromRecords(before.records, { idOf }),
+      snapshotFromRecords(after.records, { idOf }),
+      { beforeLabel: before.label, afterLabel: after.label },
+    );
+  } finally {
+    store.close();
+  }
+}
+
+function printDiff({ format = 'text', output = null, ...opts } = {}, beforeSpec, afterSpec) {
+  const diff = diffRuns(opts, beforeSpec, afterSpec);
+  const report = format === 'json' ? JSON.stringify(diff, null, 2) + '\n'
+    : format === 'markdown' ? renderMarkdown(diff)
+    : renderText(diff) + '\n';
+
+  if (output) {
+    fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+    fs.writeFileSync(output, report);
+    console.log(`📝 Diff written to ${output}`);
+  } else {
+    process.stdout.write(report);
+  }
+  return diff;
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options, positionals } = resolveOptions(['dataDir', 'format', 'output'], {
+    usage: 'node src/diff.js <before> [after] [options]',
+  });
+  if (!positionals[0]) {
+    console.error('❌ diff needs a snapshot to compare against (run id, file, date or "latest")');
+    process.exit(2);
+  }
+  printDiff(options, positionals[0], positionals[1]);
+}
+
+export { diffRuns, printDiff };
@@ -0,0 +1,41 @@
+// src/discovery/affiliate.js
+// Discovery source: Whop links pulled out of an affiliate link export (CSV, JSON or plain text)
+
+import fs from 'fs';
+import path from 'path';
+
+const WHOP_LINK = /https?:\/\/(?:www\.)?whop\.com\/[^\s"',<>]+/gi;
+
+// Every whop.com link in the export, in file order; JSON is walked value by value so
+// escaped slashes and nested records don't matter
+export function extractAffiliateLinks(text) {
+  let strings = [text];
+  try {
+    const data = JSON.parse(text);
+    strings = [];
+    const walk = (v) => {
+      if (typeof v === 'string') strings.push(v);
+      else if (v && typeof v === 'object') Object.values(v).forEach(walk);
+    };
+    walk(data);
+  } catch {}
+
+  const links = [];
+  for (const s of strings) {
+    for (const m of s.matchAll(WHOP_LINK)) links.push(m[0]);
+  }
+  return [...new Set(links)];
+}
+
+export const affiliateSource = {
+  name: 'affiliate',
+  description: 'Whop links from an affiliate export (--affiliate-file)',
+  browser: false,
+
+  async *discover({ options }) {
+    if (!options.affiliateFile) throw new Error('affiliate source needs --affiliate-file (or WHP_AFFILIATE_FILE)');
+    const text = fs.readFileSync(options.affiliateFile, 'utf8');
+    const affiliateExport = path.basename(options.affiliateFile);
+    for (const url of extractAffiliateLinks(text)) yield { url, affiliateExport };
+  },
+};
@@ -0,0 +1,118 @@
+// src/discovery/categories.js
+// Discovery source: walk Whop discover categories (infinite scroll + "Next") for product links
+
+import { log as rootLog } from '../utils/logger.js';
+
+export const CATEGORY_SEEDS = [
+  // Add/remove as you like. These are common Whop categories/collections.
+  'https://whop.com/discover/trading/',
+  'https://whop.com/discover/crypto/',
+  'https://whop.com/discover/education/',
+  'https://whop.com/discover/ai/',
+  'https://whop.com/discover/tools/',
+  'https://whop.com/discover/communities/'
+];
+
+export async function waitIdle(page, {networkQuietMs = 800, timeoutMs = 15000} = {}) {
+  let idleResolve;
+  let timer;
+  const reset = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => idleResolve(), networkQuietMs);
+  };
+
+  await page.route('**/*', route => {
+    route.continue();
+  });
+
+  const did = new Promise(res => (idleResolve = res));
+  page.on('request', reset);
+  page.on('response', reset);
+  reset();
+
+  await Promise.race([
+    did,
+    page.waitForTimeout(timeoutMs)
+  ]);
+}
+
+export async function discoverProductsInCategory(context, categoryUrl, { maxPages = 50, log = rootLog } = {}) {
+  const page = await context.newPage();
+  const productUrls = new Set();
+  let pageCount = 0;
+
+  try {
+    await page.goto(categoryUrl, { waitUntil: 'domcontentloaded' });
+
+    while (pageCount < maxPages) {
+      pageCount += 1;
+
+      // Scroll to load lazy items
+      await page.evaluate(async () => {
+        const delay = ms => new Promise(r => setTimeout(r, ms));
+        let prevHeight = 0;
+        for (let i = 0; i < 8; i++) {
+          window.scrollTo(0, document.body.scrollHeight);
+          await delay(300);
+          const h = document.body.scrollHeight;
+          if (h === prevHeight) break;
+          prevHeight = h;
+        }
+      });
+      await waitIdle(page, { networkQuietMs: 800, timeoutMs: 10000 });
+
+      // Grab all links on the page
+      const links = await page.$$eval('a[href]', as => as.map(a => a.href));
+      log.info(`  Page ${pageCount}: Found ${links.length} total links`, { category: categoryUrl, page: pageCount, links: links.length });
+
+      if (log.enabled('debug')) {
+        log.debug(`  Sample links: ${links.slice(0, 20).join(' ')}`, { category: categoryUrl });
+        log.debug(`  Discover links: ${links.filter(u => u.includes('/discover/')).length}`);
+        log.debug(`  ProductId links: ${links.filter(u => u.includes('productId=')).length}`);
+        log.debug(`  Checkout links: ${links.filter(u => u.includes('/checkout/')).length}`);
+      }
+
+      // Be more inclusive in what we consider product links
+      for (const href of links) {
+        if (href.includes('/discover/') && (href.includes('productId=') || href.includes('/prod_'))) {
+          productUrls.add(href.split('#')[0]);
+        }
+        // Also include checkout links as they're definitely product pages
+        if (href.includes('/checkout/prod_')) {
+          productUrls.add(href.split('#')[0]);
+        }
+      }
+
+      // Try "Next" button if present, else break after one pass (infinite scroll often loads all)
+      const nextBtn = await page.$('a[rel="next"], button:has-text("Next"), a:has-text("Next")');
+      if (!nextBtn) break;
+      await Promise.all([
+        page.waitForLoadState('domcontentloaded'),
+        nextBtn.click()
+      ]);
+    }
+  } finally {
+    await page.close();
+  }
+  return productUrls;
+}
+
+export const categoriesSource = {
+  name: 'categories',
+  description: 'Whop discover category pages',
+  browser: true,
+
+  async *discover({ context, options, log }) {
+    for (const seed of CATEGORY_SEEDS) {
+      let urls;
+      try {
+        urls = await discoverProductsInCategory(context, seed, { maxPages: options.maxPages ?? 50, log });
+      } catch (e) {
+        log.warn(`  failed: ${seed} ${e.message}`, { category: seed, error: e });
+        continue;
+      }
+      log.info(`  ${seed} → ${urls.size} products`, { category: seed, products: urls.size });
+      for (const url of urls) yield { url, category: seed };
+    }
+  },
+};
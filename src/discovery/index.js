@@ -0,0 +1,140 @@
+// src/discovery/index.js
+// Discovery plugin registry: every source yields product URLs into the same queue (store `queue` table)
+//
+// A source is a plain object:
+//   name         id used with --sources (e.g. --sources whpcodes,urls)
+//   description  one line shown in `whp discover --help` and the README
+//   browser      true when discover() needs a Playwright browser context
+//   discover(ctx)  async generator yielding { url, ...meta } for every product link it finds;
+//                  ctx = { context (null unless browser), options, log (tagged with runId and source) }
+// Queue entries are { url, key, source, discoveredAt, ...meta }: url as discovered (affiliate params
+// kept), key from productKey() so the same product linked two ways is queued once. Adding a source means writing one
+// module in this directory and listing it in SOURCES.
+
+import { DATA_DIR } from '../utils/paths.js';
+import { productKey } from '../utils/productUrl.js';
+import { openStore } from '../utils/store.js';
+import { log as rootLog } from '../utils/logger.js';
+import { whpcodesSource } from './whpcodes.js';
+import { categoriesSource } from './categories.js';
+import { sitemapSource } from './sitemap.js';
+import { urlListSource } from './urlList.js';
+import { affiliateSource } from './affiliate.js';
+
+export const SOURCES = Object.fromEntries(
+  [whpcodesSource, categoriesSource, sitemapSource, urlListSource, affiliateSource].map(s => [s.name, s])
+);
+
+// First path segments on whop.com that are never a product page
+const RESERVED_ROUTES = /^(api|_next|login|signup|register|dashboard|settings|hub|messages|notifications|blog|pricing|legal|terms|privacy|affiliates|marketplace|search|@me)$/i;
+
+/**
+ * Reduce a discovered link to a whop.com product URL, or null when it is not one.
+ * Keeps the query (affiliate `?a=` codes matter for output) and drops the fragment.
+ */
+export function toProductUrl(raw) {
+  let u;
+  try { u = new URL(String(raw).trim()); } catch { return null; }
+  if (!/^(www\.)?whop\.com$/i.test(u.hostname)) return null;
+  u.protocol = 'https:';
+  u.hostname = 'whop.com';
+  u.hash = '';
+
+  const parts = u.pathname.split('/').filter(Boolean);
+  if (!parts.length) return null;
+  if (parts[0] === 'checkout') return /^(prod|plan)_/.test(parts[1] || '') ? u.toString() : null;
+  if (parts[0] === 'discover') {
+    return u.searchParams.has('productId') || parts.some(p => p.startsWith('prod_')) ? u.toString() : null;
+  }
+  if (RESERVED_ROUTES.test(parts[0])) return null;
+  return u.toString();
+}
+
+export function parseSourceList(list) {
+  const names = String(list || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!SOURCES[name]) {
+      throw new Error(`Unknown discovery source "${name}" (available: ${Object.keys(SOURCES).join(', ')})`);
+    }
+  }
+  return names.map(name => SOURCES[name]);
+}
+
+/**
+ * Run the given sources in order and append every new product URL to the queue.
+ * Known products get a newer sitemap lastmod recorded instead.
+ * Returns per-source counts: { [name]: { found, added, skipped, updated?, error? } }.
+ */
+export async function runDiscovery({ sources = 'whpcodes', dataDir = DATA_DIR, ...options } = {}) {
+  const selected = Array.isArray(sources) ? sources : parseSourceList(sources);
+  const store = openStore(dataDir);
+  const runId = store.beginRun({ command: 'discover', config: { ...options, sources: selected.map(s => s.name), dataDir } });
+  const log = rootLog.child({ runId, stage: 'discover' });
+
+  const queued = store.queuedKeys();
+  const done = store.attemptedKeys('extract');
+  const already = new Set([...queued, ...done]);
+  log.info(`📊 Already processed: ${done.size}, in queue: ${queued.size}`);
+
+  let browser = null;
+  let context = null;
+  const summary = {};
+  try {
+    // Only launch a browser when a selected source needs one
+    if (selected.some(s => s.browser)) {
+      const { chromium } = await import('playwright');
+      browser = await chromium.launch({
+        headless: true,
+        args: ['--no-sandbox', '--disable-setuid-sandbox']
+      });
+      context = await browser.newContext();
+    }
+
+    for (const source of selected) {
+      const counts = { found: 0, added: 0, skipped: 0 };
+      summary[source.name] = counts;
+      const sourceLog = log.child({ source: source.name });
+      sourceLog.info(`\n🔍 Source: ${source.name} - ${source.description}`);
+
+      try {
+        for await (const item of source.discover({ context, options, log: sourceLog })) {
+          counts.found++;
+          const url = toProductUrl(item.url);
+          if (!url) {
+            counts.skipped++;
+            sourceLog.debug(`   ↷ not a product URL: ${item.url}`, { url: item.url });
+            continue;
+          }
+          const key = productKey(url);
+          const { url: _raw, ...meta } = item;
+          if (already.has(key)) {
+            // A newer lastmod on a known product makes it due for re-extraction (phaseB_extract.js)
+            if (item.lastmod && store.updateLastmod({ ...meta, url, key, source: source.name })) counts.updated = (counts.updated || 0) + 1;
+            continue;
+          }
+          store.enqueue({ ...meta, url, key, source: source.name, discoveredAt: new Date().toISOString() });
+          already.add(key);
+          counts.added++;
+        }
+      } catch (error) {
+        counts.error = error.message;
+        sourceLog.warn(`⚠️  Source ${source.name} failed: ${error.message}`, { error });
+      }
+
+      sourceLog.info(`📥 ${source.name}: found ${counts.found}, added ${counts.added} new${counts.updated ? `, ${counts.updated} changed since discovery` : ''}, skipped ${counts.skipped} non-product links`, counts);
+    }
+    store.endRun();
+  } catch (error) {
+    store.endRun({ status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    store.close();
+    if (browser) await browser.close();
+  }
+
+  log.info(`\n✅ Discovery complete!`);
+  log.info(`📈 Total URLs added this run: ${Object.values(summary).reduce((n, c) => n + c.added, 0)}`);
+  log.info(`📊 Total unique products known: ${already.size}`);
+  log.info(`📁 Store: ${store.file} (run ${runId})`);
+  return summary;
+}
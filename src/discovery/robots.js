@@ -0,0 +1,102 @@
+// src/discovery/robots.js
+// Minimal robots.txt support (RFC 9309): user-agent groups, Allow/Disallow with * and $, Sitemap lines
+
+export const USER_AGENT = 'whp-codes';
+
+// How long one robots.txt or sitemap fetch may take: Playwright's default navigation timeout,
+// which bounds every page the browser-based sources load
+export const FETCH_TIMEOUT_MS = 30_000;
+
+/** Why a fetch failed, with a timeout spelled out instead of "The operation was aborted" */
+export function fetchFailure(error, timeoutMs) {
+  return error?.name === 'TimeoutError' ? `no response within ${timeoutMs}ms` : error?.message;
+}
+
+export function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let group = null;
+  let inRules = false;
+
+  for (const raw of String(text || '').split(/\r?\n/)) {
+    const line = raw.replace(/#.*/, '').trim();
+    const m = /^([a-z-]+)\s*:\s*(.*)$/i.exec(line);
+    if (!m) continue;
+    const key = m[1].toLowerCase();
+    const value = m[2].trim();
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (key === 'user-agent') {
+      // Consecutive user-agent lines share one group; one after rules starts a new group
+      if (!group || inRules) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+        inRules = false;
+      }
+      group.agents.push(value.toLowerCase());
+    } else if ((key === 'allow' || key === 'disallow') && group) {
+      inRules = true;
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) group.rules.push({ allow: key === 'allow', path: value });
+    }
+  }
+  return { groups, sitemaps };
+}
+
+// Rules for our agent: every group naming it, else every `*` group
+export function rulesFor(robots, agent = USER_AGENT) {
+  const name = agent.toLowerCase();
+  const named = robots.groups.filter(g => g.agents.some(a => a !== '*' && name.includes(a)));
+  const picked = named.length ? named : robots.groups.filter(g => g.agents.includes('*'));
+  return picked.flatMap(g => g.rules);
+}
+
+function ruleRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp('^' + body + (anchored ? '$' : ''));
+}
+
+// Longest matching rule wins; Allow wins a tie
+export function isAllowed(rules, url) {
+  let target;
+  try {
+    const u = new URL(url);
+    target = u.pathname + u.search;
+  } catch {
+    target = String(url);
+  }
+
+  let best = null;
+  for (const rule of rules) {
+    if (!ruleRegex(rule.path).test(target)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+/**
+ * Fetch and parse robots.txt for the origin of `url`. A missing file (4xx) allows everything;
+ * an unreachable one (5xx, network error or no response within `timeoutMs`) throws, since
+ * robots.txt says to assume full disallow.
+ */
+export async function fetchRobots(url, { timeoutMs = FETCH_TIMEOUT_MS } = {}) {
+  const robotsUrl = new URL('/robots.txt', url).toString();
+  let res;
+  let text;
+  try {
+    res = await fetch(robotsUrl, { headers: { 'user-agent': USER_AGENT }, signal: AbortSignal.timeout(timeoutMs) });
+    if (res.ok) text = await res.text();
+  } catch (error) {
+    throw new Error(`robots.txt unreachable at ${robotsUrl}: ${fetchFailure(error, timeoutMs)}`);
+  }
+  if (res.status >= 500) throw new Error(`robots.txt unreachable at ${robotsUrl}: HTTP ${res.status}`);
+  if (!res.ok) return { url: robotsUrl, ...parseRobots('') };
+  return { url: robotsUrl, ...parseRobots(text) };
+}
@@ -0,0 +1,104 @@
+// src/discovery/sitemap.js
+// Discovery source: robots.txt-aware sitemap reader - follows sitemap indexes (plain or gzipped)
+// and yields every <url> with its <lastmod>; product filtering happens in runDiscovery()
+
+import zlib from 'zlib';
+import { USER_AGENT, FETCH_TIMEOUT_MS, fetchFailure, fetchRobots, rulesFor, isAllowed } from './robots.js';
+
+const MAX_SITEMAPS = 200;
+
+function decodeEntities(s) {
+  return s.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'");
+}
+
+function tagValue(block, tag) {
+  const m = new RegExp(`<${tag}>\\s*(?:<!\\[CDATA\\[)?\\s*([^<\\]]+?)\\s*(?:\\]\\]>)?\\s*</${tag}>`, 'i').exec(block);
+  return m ? decodeEntities(m[1]) : null;
+}
+
+// { isIndex, entries: [{ loc, lastmod }] } for a <urlset> or <sitemapindex> document
+export function parseSitemap(xml) {
+  const text = String(xml);
+  const isIndex = /<sitemapindex[\s>]/i.test(text);
+  const tag = isIndex ? 'sitemap' : 'url';
+  const entries = [];
+  for (const m of text.matchAll(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi'))) {
+    const loc = tagValue(m[1], 'loc');
+    if (loc) entries.push({ loc, lastmod: tagValue(m[1], 'lastmod') });
+  }
+  return { isIndex, entries };
+}
+
+// Sitemaps may be served as .xml.gz without a Content-Encoding header; sniff the gzip magic bytes
+export function decodeSitemapBody(buf) {
+  const bytes = Buffer.from(buf);
+  return (bytes[0] === 0x1f && bytes[1] === 0x8b ? zlib.gunzipSync(bytes) : bytes).toString('utf8');
+}
+
+function toIsoDate(value) {
+  const t = Date.parse(value || '');
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+export const sitemapSource = {
+  name: 'sitemap',
+  description: 'whop.com sitemaps listed in robots.txt (and the sitemaps they index)',
+  browser: false,
+
+  async *discover({ options, log }) {
+    const start = options.sitemapUrl || 'https://whop.com/sitemap.xml';
+    const timeoutMs = options.fetchTimeoutMs ?? FETCH_TIMEOUT_MS;
+
+    // Sitemap URLs must share the sitemap's host, so that host's robots.txt governs them
+    let rules = [];
+    let pending = [start];
+    if (options.ignoreRobots) {
+      log.info('🤖 Ignoring robots.txt (--ignore-robots)');
+    } else {
+      const robots = await fetchRobots(start, { timeoutMs });
+      rules = rulesFor(robots);
+      pending = [...new Set([start, ...robots.sitemaps])];
+      log.info(`🤖 ${robots.url}: ${rules.length} rules for ${USER_AGENT}, ${robots.sitemaps.length} sitemaps listed`);
+    }
+
+    const fetched = new Set();
+    let blocked = 0;
+
+    while (pending.length && fetched.size < MAX_SITEMAPS) {
+      const url = pending.shift();
+      if (fetched.has(url)) continue;
+      fetched.add(url);
+
+      // A sitemap that fails to load, stalls or answers an error is skipped; the others still count
+      let body;
+      try {
+        const res = await fetch(url, { headers: { 'user-agent': USER_AGENT }, signal: AbortSignal.timeout(timeoutMs) });
+        if (!res.ok) {
+          log.warn(`⚠️  Sitemap ${url}: HTTP ${res.status}`, { url, status: res.status });
+          continue;
+        }
+        body = await res.arrayBuffer();
+      } catch (error) {
+        log.warn(`⚠️  Sitemap ${url}: ${fetchFailure(error, timeoutMs)}`, { url, error });
+        continue;
+      }
+      const { isIndex, entries } = parseSitemap(decodeSitemapBody(body));
+      log.info(`🗺️  ${url}: ${entries.length} ${isIndex ? 'sitemaps' : 'URLs'}`, { url, entries: entries.length });
+      if (isIndex) {
+        pending.push(...entries.map(e => e.loc));
+        continue;
+      }
+
+      for (const { loc, lastmod } of entries) {
+        if (!isAllowed(rules, loc)) {
+          blocked++;
+          continue;
+        }
+        yield { url: loc, lastmod: toIsoDate(lastmod), sitemap: url };
+      }
+    }
+
+    if (pending.length) log.warn(`⚠️  Stopped after ${MAX_SITEMAPS} sitemaps, ${pending.length} not read`);
+    if (blocked) log.info(`🚫 ${blocked} URLs disallowed by robots.txt`);
+  },
+};
@@ -0,0 +1,24 @@
+// src/discovery/urlList.js
+// Discovery source: a plain text file of product URLs (product_urls.txt), one per line
+
+import fs from 'fs';
+
+// Blank lines and # comments are ignored
+export function readUrlList(file) {
+  if (!file || !fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .map(s => s.trim())
+    .filter(s => s && !s.startsWith('#'));
+}
+
+export const urlListSource = {
+  name: 'urls',
+  description: 'plain URL list file (--url-file, default product_urls.txt)',
+  browser: false,
+
+  async *discover({ options }) {
+    if (!fs.existsSync(options.urlFile)) throw new Error(`URL list not found: ${options.urlFile}`);
+    for (const url of readUrlList(options.urlFile)) yield { url };
+  },
+};
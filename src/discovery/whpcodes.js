@@ -0,0 +1,101 @@
+// src/discovery/whpcodes.js
+// Discovery source: paginate the whpcodes.com listing and collect its "go to page" links to Whop
+
+async function detectPagination(page, start, log) {
+  // Detect which pagination scheme works: /?page=N vs /page/N
+  const schemes = [
+    (n) => new URL(`/?page=${n}`, start).toString(),
+    (n) => new URL(`/page/${n}`, start).toString(),
+  ];
+
+  for (const scheme of schemes) {
+    try {
+      // Load page 1 to get a baseline
+      await page.goto(scheme(1), { waitUntil: 'domcontentloaded' });
+      const before = page.url();
+      await page.goto(scheme(2), { waitUntil: 'domcontentloaded' });
+      const after = page.url();
+
+      // Scheme "works" if URL actually changed and we didn't get bounced back
+      if (after !== before) {
+        log.info(`Detected pagination scheme: ${scheme(2)}`);
+        return scheme;
+      }
+    } catch (_) {
+      // Try next scheme
+    }
+  }
+  return null;
+}
+
+export const whpcodesSource = {
+  name: 'whpcodes',
+  description: 'whpcodes.com listing pages ("go to page" links)',
+  browser: true,
+
+  async *discover({ context, options, log }) {
+    const start = options.startUrl || 'https://whpcodes.com/';
+    let maxPages = options.maxPages ?? 100;
+    const page = await context.newPage();
+
+    try {
+      let makePageUrl = await detectPagination(page, start, log);
+
+      // Fallback: if neither worked, just use base without paging
+      if (!makePageUrl) {
+        log.warn('Could not detect pagination scheme. Using single page.');
+        makePageUrl = (n) => n === 1 ? start : null;
+        maxPages = 1;
+      }
+
+      // Iterate pages deterministically until we run out
+      let lastNonEmptyPage = 0;
+
+      for (let n = 1; n <= maxPages; n++) {
+        const url = makePageUrl(n);
+        if (!url) break;
+
+        let links = [];
+        try {
+          await page.goto(url, { waitUntil: 'domcontentloaded' });
+          await page.waitForTimeout(600);
+          try {
+            await page.waitForLoadState('networkidle', { timeout: 3500 });
+          } catch (_) {}
+
+          links = await page.$$eval('a', as =>
+            Array.from(new Set(
+              as.filter(a =>
+                a.href &&
+                /whop\.com/i.test(a.href) &&
+                /go to page/i.test(a.textContent || '')
+              ).map(a => a.href.trim())
+            ))
+          );
+        } catch (error) {
+          log.warn(`⚠️  Error on page ${n}: ${error.message}`, { page: n, error });
+          continue;
+        }
+
+        // If this page produced zero whop links, consider it the end
+        if (!links.length) {
+          // Allow one trailing empty (in case of sparse pages), then stop
+          if (lastNonEmptyPage && n > lastNonEmptyPage + 1) {
+            log.info(`No links found on page ${n}. Stopping.`, { page: n });
+            break;
+          }
+        } else {
+          lastNonEmptyPage = n;
+        }
+
+        log.info(`📄 Page ${n}: found ${links.length} links`, { page: n, links: links.length });
+        for (const u of links) yield { url: u, fromPage: n };
+
+        // Small delay to be polite
+        await page.waitForTimeout(300 + Math.floor(Math.random() * 400));
+      }
+    } finally {
+      await page.close();
+    }
+  },
+};
@@ -1,124 +1,113 @@
 // src/extract_discounts.js
 // Revisits all URLs with promo codes to extract discount percentages/amounts
 
-import { readFileSync, writeFileSync, existsSync, appendFileSync } from 'fs';
-import path from 'path';
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
 import { chromium } from 'playwright';
-import { extractPopupPromoFromNetwork } from './utils/extractPromoWithDiscounts.js';
+import { extractPopupPromoFromNetwork } from './utils/extractPromo.js';
+import { emptyResult, hasDiscount, describeDiscount } from './utils/promoResult.js';
+import { DATA_DIR, DEFAULT_STORAGE, dataFiles } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { resolveOneAuth, authContextOptions, addAuthCookies, describeAuth } from './utils/authProfiles.js';
+import { openStore } from './utils/store.js';
+import { log as rootLog } from './utils/logger.js';
+import { createWorkerPool, openBrowserSession } from './utils/workerPool.js';
 
-const VISITED_FILE = path.join(process.cwd(), 'data', 'visited.jsonl');
-const DISCOUNTS_FILE = path.join(process.cwd(), 'data', 'discounts.jsonl');
-const ERRORS_FILE = path.join(process.cwd(), 'data', 'discount_errors.jsonl');
-const HEARTBEAT_FILE = path.join(process.cwd(), 'data', 'discount_heartbeat.json');
+const __filename = fileURLToPath(import.meta.url);
 
 function routeFromUrl(u) {
   try { return new URL(u).pathname.split('/').filter(Boolean)[0] || null; } catch { return null; }
 }
 
-function loadPromoUrls() {
-  const lines = readFileSync(VISITED_FILE, 'utf8')
-    .split('\n')
-    .filter(Boolean)
-    .map(l => JSON.parse(l))
-    .filter(r => r.found && r.url);
-  return lines.map(r => ({ url: r.url, code: r.code }));
-}
-
-function loadProcessed() {
-  if (!existsSync(DISCOUNTS_FILE)) return new Set();
-  const lines = readFileSync(DISCOUNTS_FILE, 'utf8').split('\n').filter(Boolean);
-  return new Set(lines.map(l => JSON.parse(l).url));
-}
-
-function saveResult(result) {
-  appendFileSync(DISCOUNTS_FILE, JSON.stringify(result) + '\n');
-}
-
-function saveError(error) {
-  appendFileSync(ERRORS_FILE, JSON.stringify(error) + '\n');
-}
-
-function updateHeartbeat(data) {
+function updateHeartbeat(HEARTBEAT_FILE, data) {
   writeFileSync(HEARTBEAT_FILE, JSON.stringify(data, null, 2));
 }
 
-(async () => {
-  const allUrls = loadPromoUrls();
-  const processed = loadProcessed();
+async function extractDiscounts({ storage = DEFAULT_STORAGE, profile = null, authMode = 'auto', dataDir = DATA_DIR, taskTimeout = 240, recycleAfter = 200 } = {}) {
+  const { discountHeartbeat: HEARTBEAT_FILE } = dataFiles(dataDir);
+  const auth = resolveOneAuth({ profile, storage, authMode, log: rootLog });
+  const store = openStore(dataDir);
+  const runId = store.beginRun({ command: 'enrich', config: { strategy: 'bundle', storage, profile, authMode, dataDir, taskTimeout, recycleAfter } });
+  const log = rootLog.child({ runId, stage: 'enrich', strategy: 'bundle' });
+
+  const allUrls = store.attempts({ stage: 'extract', status: 'found' }).map(r => ({ url: r.url, code: r.code }));
+  // Errors are retried on the next run, as before
+  const processed = new Set(store.attempts({ stage: 'bundle' }).filter(r => r.status !== 'error').map(r => r.url));
   const toProcess = allUrls.filter(item => !processed.has(item.url));
 
-  console.log(`📊 Total URLs with promo codes: ${allUrls.length}`);
-  console.log(`✅ Already processed: ${processed.size}`);
-  console.log(`🔄 To process: ${toProcess.length}`);
+  log.info(`📊 Total URLs with promo codes: ${allUrls.length}`);
+  log.info(`✅ Already processed: ${processed.size}`);
+  log.info(`🔄 To process: ${toProcess.length}`);
 
   if (toProcess.length === 0) {
-    console.log('✅ All URLs already processed!');
-    process.exit(0);
+    log.info('✅ All URLs already processed!');
+    store.endRun();
+    store.close();
+    return;
   }
 
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    storageState: process.env.WHOP_STORAGE || 'auth/whop.json',
-    serviceWorkers: 'block'
+  const session = await openBrowserSession({
+    launch: () => chromium.launch({ headless: true }),
+    contextOptions: {
+      ...authContextOptions(auth),
+      serviceWorkers: 'block'
+    },
+    setupContext: (context) => addAuthCookies(context, auth),
+    recycleAfter,
+    onGiveUp: () => pool.stop(),
+    log,
   });
+  log.info(`🔐 Session: ${describeAuth(auth)}`);
 
   let completed = processed.size;
   let withDiscounts = 0;
   let noDiscounts = 0;
   let errors = 0;
 
-  for (let i = 0; i < toProcess.length; i++) {
-    const item = toProcess[i];
-    const page = await context.newPage();
+  // One URL at a time, a second apart (rate limiting); Ctrl-C stops after the current one
+  const pool = createWorkerPool({
+    concurrency: 1,
+    taskTimeoutMs: taskTimeout ? taskTimeout * 1000 : null,
+    spawnDelay: 1000,
+    handleSignals: true,
+    log,
+  });
+  toProcess.forEach(item => pool.add(item));
+
+  let i = 0;
+  const outcome = await pool.run(async (item, { signal }) => {
+    const started = Date.now();
+    const urlLog = log.child({ url: item.url });
 
     try {
-      console.log(`\n[${i + 1}/${toProcess.length}] Processing: ${item.url}`);
-
-      await page.goto(item.url, { waitUntil: 'domcontentloaded', timeout: 45000 });
-      const route = routeFromUrl(item.url);
+      urlLog.info(`\n[${++i}/${toProcess.length}] Processing: ${item.url}`);
 
-      const res = await extractPopupPromoFromNetwork(page, { timeoutMs: 15000, currentRoute: route });
+      const res = await session.withPage(async (page) => {
+        await page.goto(item.url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+        const route = routeFromUrl(item.url);
+        return extractPopupPromoFromNetwork(page, { url: item.url, timeoutMs: 15000, currentRoute: route });
+      }, { signal });
 
       if (res && res.code) {
-        const result = {
-          url: item.url,
-          code: res.code,
-          percent_off: res.percent_off ?? null,
-          amount_off: res.amount_off ?? null,
-          currency: res.currency ?? null,
-          source_url: res.sourceUrl,
-          checkedAt: new Date().toISOString()
-        };
-
-        saveResult(result);
+        store.recordAttempt({ url: item.url, stage: 'bundle', result: res, durationMs: Date.now() - started, profile: auth.name });
         completed++;
 
-        if (res.percent_off != null || res.amount_off != null) {
+        if (hasDiscount(res)) {
           withDiscounts++;
-          const disc = [];
-          if (res.percent_off != null) disc.push(`${res.percent_off}% off`);
-          if (res.amount_off != null) disc.push(`${res.currency || ''}${res.amount_off} off`);
-          console.log(`  ✅ Found discount: ${disc.join(', ')}`);
+          urlLog.info(`  ✅ Found discount: ${describeDiscount(res)}`, { code: res.code });
         } else {
           noDiscounts++;
-          console.log(`  ℹ️  Code found but no discount info: ${res.code}`);
+          urlLog.info(`  ℹ️  Code found but no discount info: ${res.code}`, { code: res.code });
         }
       } else {
         noDiscounts++;
-        saveResult({
-          url: item.url,
-          code: item.code,
-          percent_off: null,
-          amount_off: null,
-          currency: null,
-          source_url: null,
-          checkedAt: new Date().toISOString()
-        });
+        store.recordAttempt({ url: item.url, stage: 'bundle', result: { ...emptyResult(), code: item.code || null }, durationMs: Date.now() - started, profile: auth.name });
         completed++;
-        console.log(`  ℹ️  No discount data found`);
+        urlLog.info(`  ℹ️  No discount data found`);
       }
 
-      updateHeartbeat({
+      updateHeartbeat(HEARTBEAT_FILE, {
+        runId,
         idx: completed,
         withDiscounts,
         noDiscounts,
@@ -128,37 +117,51 @@ function updateHeartbeat(data) {
         at: new Date().toISOString()
       });
 
-    } catch (e) {
+    } catch (thrown) {
+      const e = signal.aborted ? signal.reason : thrown;
       errors++;
-      console.log(`  ❌ Error: ${e.message}`);
-      saveError({
-        url: item.url,
-        error: e.message,
-        at: new Date().toISOString()
-      });
-    } finally {
-      await page.close().catch(() => {});
+      urlLog.warn(`  ❌ Error: ${e.message}`, { error: e });
+      store.recordAttempt({ url: item.url, stage: 'bundle', error: e.message, durationMs: Date.now() - started, profile: auth.name });
     }
+  });
 
-    // Rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  }
-
-  await browser.close();
+  await session.close();
+  store.endRun({
+    status: session.gaveUp ? 'failed' : outcome.stopped ? 'interrupted' : 'completed',
+    error: session.gaveUp?.message,
+    stats: { pool: pool.stats(), browser: session.stats() },
+  });
+  store.close();
 
-  updateHeartbeat({
+  updateHeartbeat(HEARTBEAT_FILE, {
+    runId,
     idx: completed,
     withDiscounts,
     noDiscounts,
     errors,
     progress: `${completed}/${allUrls.length}`,
-    status: 'completed',
+    status: outcome.stopped ? 'shutdown' : 'completed',
     at: new Date().toISOString()
   });
 
-  console.log('\n🎉 DISCOUNT EXTRACTION COMPLETE!');
-  console.log(`📊 Total processed: ${completed}`);
-  console.log(`✅ With discounts: ${withDiscounts}`);
-  console.log(`ℹ️  No discount data: ${noDiscounts}`);
-  console.log(`❌ Errors: ${errors}`);
-})();
\ No newline at end of file
+  log.info('\n🎉 DISCOUNT EXTRACTION COMPLETE!');
+  log.info(`📊 Total processed: ${completed}`);
+  log.info(`✅ With discounts: ${withDiscounts}`);
+  log.info(`ℹ️  No discount data: ${noDiscounts}`);
+  log.info(`❌ Errors: ${errors}`);
+  log.info(`🆔 Run ${runId}`);
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options } = resolveOptions(['storage', 'profile', 'authMode', 'dataDir', 'taskTimeout', 'recycleAfter'], {
+    usage: 'node src/extract_discounts.js [options]',
+  });
+
+  extractDiscounts(options).catch(error => {
+    rootLog.error(`❌ Discount extraction failed: ${error.message}`, { error });
+    process.exit(1);
+  });
+}
+
+export { extractDiscounts };
\ No newline at end of file
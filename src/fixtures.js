@@ -0,0 +1,177 @@
+// src/fixtures.js
+// Record product pages into offline fixtures and replay the extractor against them
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { chromium } from 'playwright';
+import { extractPopupPromoFromNetwork } from './utils/extractPromo.js';
+import { normalizeRecord } from './utils/promoResult.js';
+import { attachRecorder, installReplay, loadFixture, fixtureSlug } from './utils/replay.js';
+import { DATA_DIR, DEFAULT_STORAGE, FIXTURES_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { resolveOneAuth, authContextOptions, addAuthCookies } from './utils/authProfiles.js';
+import { assertOutsideGit } from './utils/sessionFiles.js';
+import { openStore } from './utils/store.js';
+import { log } from './utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const CONTEXT_OPTIONS = {
+  bypassCSP: true,
+  serviceWorkers: 'block',
+  userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36',
+  locale: 'en-GB',
+};
+
+function routeFromUrl(u) {
+  try { return new URL(u).pathname.split('/').filter(Boolean)[0] || null; } catch { return null; }
+}
+
+function urlsFromVisited(dataDir = DATA_DIR, { foundOnly = false } = {}) {
+  const store = openStore(dataDir);
+  const attempts = store.attempts({ stage: 'extract', status: foundOnly ? 'found' : null });
+  store.close();
+  const urls = [];
+  const seen = new Set();
+  for (const rec of attempts) {
+    if (rec.status === 'error' || seen.has(rec.url)) continue;
+    seen.add(rec.url);
+    urls.push(rec.url);
+  }
+  return urls;
+}
+
+// Run the extractor live against each URL while recording every response it sees. The responses
+// are the logged-in session's, so the fixtures directory must be one git would never pick up.
+async function recordFixtures(urls, { fixturesDir = FIXTURES_DIR, storage = DEFAULT_STORAGE, profile = null, authMode = 'auto' } = {}) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  assertOutsideGit(fixturesDir, 'fixtures directory');
+  const auth = resolveOneAuth({ profile, storage, authMode, log });
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+
+  let recorded = 0;
+  try {
+    for (const url of urls) {
+      const dir = path.join(fixturesDir, fixtureSlug(url));
+      const context = await browser.newContext({
+        ...CONTEXT_OPTIONS,
+        ...authContextOptions(auth),
+      });
+      await addAuthCookies(context, auth);
+      const recorder = attachRecorder(context);
+
+      try {
+        const page = await context.newPage();
+        const hit = await extractPopupPromoFromNetwork(page, { url, timeoutMs: 15000, currentRoute: routeFromUrl(url) });
+        const manifest = await recorder.save(dir, { url, expected: hit });
+        recorded++;
+        log.info(`📼 Recorded ${manifest.entries.length} responses for ${url} → ${dir}${hit?.code ? ` (code: ${hit.code})` : ''}`, { url, fixture: dir, code: hit?.code });
+      } catch (error) {
+        await recorder.stop();
+        log.warn(`❌ Error recording ${url}: ${error.message}`, { url, error });
+      } finally {
+        await context.close().catch(() => {});
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  log.info(`\n✅ Recorded ${recorded}/${urls.length} fixtures in ${fixturesDir}`);
+  return recorded;
+}
+
+function listFixtureDirs(fixturesDir) {
+  if (!fs.existsSync(fixturesDir)) return [];
+  return fs.readdirSync(fixturesDir)
+    .map(name => path.join(fixturesDir, name))
+    .filter(dir => fs.existsSync(path.join(dir, 'manifest.json')));
+}
+
+// Fixtures recorded before the result schema store the old field names; compare on the schema
+function sameResult(expected, actual) {
+  const pick = (r) => {
+    const n = normalizeRecord(r);
+    return JSON.stringify([n.code, n.percentOff, n.amountOff, n.currency]);
+  };
+  return pick(expected) === pick(actual);
+}
+
+// Replay every fixture offline and compare the extractor output with what was recorded
+async function replayFixtures({ fixturesDir = FIXTURES_DIR, fixtures = null } = {}) {
+  const dirs = fixtures?.length ? fixtures : listFixtureDirs(fixturesDir);
+  if (!dirs.length) {
+    log.warn(`⚠️ No fixtures found in ${fixturesDir}`);
+    return { total: 0, passed: 0, failed: 0, results: [] };
+  }
+
+  const browser = await chromium.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  });
+
+  const results = [];
+  try {
+    for (const dir of dirs) {
+      const manifest = loadFixture(dir);
+      const context = await browser.newContext(CONTEXT_OPTIONS);
+      try {
+        const replay = await installReplay(context, dir);
+        const page = await context.newPage();
+        const hit = await extractPopupPromoFromNetwork(page, {
+          url: manifest.url, timeoutMs: 15000, currentRoute: routeFromUrl(manifest.url)
+        });
+        const ok = sameResult(manifest.expected, hit);
+        results.push({ dir, url: manifest.url, ok, expected: manifest.expected ?? null, actual: hit, misses: replay.misses.length });
+        log.info(`${ok ? '✅' : '❌'} ${manifest.url} → ${hit?.code || 'no code'}${ok ? '' : ` (expected ${manifest.expected?.code || 'no code'})`}`,
+          { url: manifest.url, fixture: dir, ok, code: hit?.code ?? null, expected: manifest.expected?.code ?? null });
+      } catch (error) {
+        results.push({ dir, url: manifest.url, ok: false, error: error.message });
+        log.warn(`❌ Error replaying ${dir}: ${error.message}`, { fixture: dir, error });
+      } finally {
+        await context.close().catch(() => {});
+      }
+    }
+  } finally {
+    await browser.close();
+  }
+
+  const passed = results.filter(r => r.ok).length;
+  log.info(`\n📊 Replay: ${passed}/${results.length} fixtures match their recording`);
+  return { total: results.length, passed, failed: results.length - passed, results };
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options, positionals } = resolveOptions(
+    ['fixturesDir', 'storage', 'profile', 'authMode', 'dataDir', 'fromVisited', 'foundOnly', 'limit'],
+    { usage: 'node src/fixtures.js record [url...] | replay [fixture-dir...] [options]' }
+  );
+  const [mode, ...args] = positionals;
+
+  const run = async () => {
+    if (mode === 'record') {
+      let urls = options.fromVisited ? urlsFromVisited(options.dataDir, options) : args;
+      if (options.limit) urls = urls.slice(0, options.limit);
+      await recordFixtures(urls, options);
+    } else if (mode === 'replay') {
+      const { failed } = await replayFixtures({ fixturesDir: options.fixturesDir, fixtures: args });
+      process.exitCode = failed ? 1 : 0;
+    } else {
+      console.error('Usage: node src/fixtures.js record [url...] | replay [fixture-dir...]');
+      process.exitCode = 1;
+    }
+  };
+
+  run().catch(error => {
+    log.error(`❌ Fixture run failed: ${error.message}`, { error });
+    process.exit(1);
+  });
+}
+
+export { recordFixtures, replayFixtures, urlsFromVisited };
@@ -0,0 +1,91 @@
+// src/history.js
+// Promo history: the timeline of codes seen on a product (by URL, product key or prod_ id), or
+// on every product that ever showed a given promo code
+
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { productKey } from './utils/productUrl.js';
+import { loadRegistry } from './utils/productRegistry.js';
+import { describeDiscount } from './utils/promoResult.js';
+import { openStore } from './utils/store.js';
+import { buildTimeline, describeEvent } from './utils/timeline.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const PROMO_CODE = /^promo-[a-z0-9]+$/i;
+
+/** [{ id, product, timeline }] for the products matching the query */
+function productHistory({ dataDir = DATA_DIR } = {}, query) {
+  const store = openStore(dataDir);
+  const registry = loadRegistry(dataDir, store);
+  const attempts = store.attempts();
+  store.close();
+
+  // Attempts belong to the registry entity of their URL, or to their product key
+  const idOf = (a) => registry.lookup(a.url)?.id ?? a.key;
+  const byProduct = new Map();
+  for (const a of attempts) {
+    const id = idOf(a);
+    if (!byProduct.has(id)) byProduct.set(id, []);
+    byProduct.get(id).push(a);
+  }
+
+  let ids;
+  if (PROMO_CODE.test(query)) {
+    const code = query.toLowerCase();
+    ids = [...byProduct.keys()].filter(id => byProduct.get(id).some(a => a.code === code));
+  } else {
+    const product = registry.lookup(query) || registry.products.find(p => p.id === query || p.productId === query);
+    const id = product?.id ?? productKey(query);
+    ids = byProduct.has(id) ? [id] : [];
+  }
+
+  return ids.map(id => ({
+    id,
+    product: registry.products.find(p => p.id === id) || null,
+    timeline: buildTimeline(byProduct.get(id)),
+  }));
+}
+
+function printHistory(opts = {}, query) {
+  const histories = productHistory(opts, query);
+  if (!histories.length) {
+    console.log(`❓ No observations for ${query} (run whp extract, or whp import for older runs)`);
+    return histories;
+  }
+
+  const onlyCode = PROMO_CODE.test(query) ? query.toLowerCase() : null;
+  for (const { id, product, timeline } of histories) {
+    console.log(`\n🕒 ${id}${product?.title ? ` "${product.title}"` : ''}`);
+    if (product?.urls.length) console.log(`   URLs: ${product.urls.join(', ')}`);
+
+    const codes = timeline.codes.filter(c => !onlyCode || c.code === onlyCode);
+    if (!codes.length) console.log('   No promo code ever seen');
+    for (const c of codes) {
+      const state = c.expiredAt ? `gone since ${c.expiredAt}` : 'still live';
+      const discount = c.discount ? describeDiscount(c.discount) : 'discount unknown';
+      console.log(`🎫 ${c.code}: first seen ${c.firstSeen}, last seen ${c.lastSeen} (${c.seen}×), ${discount}, ${state}`);
+    }
+
+    for (const e of timeline.events) {
+      if (onlyCode && e.code !== onlyCode) continue;
+      console.log(`   ${e.at}  ${describeEvent(e)}  [${e.stage}]`);
+    }
+  }
+  return histories;
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options, positionals } = resolveOptions(['dataDir'], {
+    usage: 'node src/history.js <product-url|key|prod_id|promo-code> [options]',
+  });
+  if (!positionals[0]) {
+    console.error('❌ history needs a product URL, key, prod_ id or promo code');
+    process.exit(2);
+  }
+  printHistory(options, positionals[0]);
+}
+
+export { productHistory, printHistory };
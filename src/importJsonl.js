@@ -0,0 +1,168 @@
+// src/importJsonl.js
+// Bring the JSONL files older runs wrote (and out/whop_popup_codes.json) into the result store.
+// Re-running is safe: each imported row carries an import_ref and rows already in the store are
+// skipped, so overlapping backups (visited_backup_*.jsonl) only land once.
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, OUT_DIR, outFiles } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { fromOutputRow } from './utils/promoResult.js';
+import { productKey } from './utils/productUrl.js';
+import { toSighting } from './utils/productRegistry.js';
+import { openStore } from './utils/store.js';
+import { log as rootLog } from './utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+// File name pattern → what its rows are. `errors` files hold failures only.
+const ATTEMPT_FILES = [
+  { match: /^visited(_backup_.*)?\.jsonl$/, stage: 'extract' },
+  { match: /^errors(_backup.*)?\.jsonl$/, stage: 'extract', errors: true },
+  { match: /^visited_with_discounts\.jsonl$/, stage: 'update' },
+  { match: /^discounts\.jsonl$/, stage: 'bundle' },
+  { match: /^discount_errors\.jsonl$/, stage: 'bundle', errors: true },
+  { match: /^discount_results\.jsonl$/, stage: 'enrich' },
+];
+
+function* readJsonl(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    let row;
+    try { row = JSON.parse(lines[i]); } catch { yield { line: i + 1, row: null }; continue; }
+    yield { line: i + 1, row };
+  }
+}
+
+// The same visit copied into several files (visited.jsonl and its backups) gets the same ref;
+// rows without a timestamp can only be told apart by where they came from
+function importRef(stage, row, file, line) {
+  const at = row.checkedAt || row.at || row.timestamp;
+  if (!at) return `${path.basename(file)}:${line}`;
+  return [stage, row.url, at, row.code ? String(row.code).toLowerCase() : '', row.error ? 'error' : ''].join('|');
+}
+
+function importAttempts(store, file, { stage, errors = false }, stats) {
+  const fallbackAt = fs.statSync(file).mtime.toISOString();
+  for (const { line, row } of readJsonl(file)) {
+    if (!row?.url) { stats.skipped++; continue; }
+    const error = errors ? (row.error || 'unknown error') : (row.error || null);
+    const id = store.recordAttempt({
+      url: row.url,
+      stage,
+      // Failed rows keep the code they were after, when they name one
+      result: errors && !row.code ? null : row,
+      error,
+      checkedAt: row.checkedAt || row.at || row.timestamp || fallbackAt,
+      importRef: importRef(stage, row, file, line),
+    });
+    if (id == null) stats.duplicates++; else stats.attempts++;
+  }
+}
+
+function importQueue(store, file, stats) {
+  const fallbackAt = fs.statSync(file).mtime.toISOString();
+  for (const { row } of readJsonl(file)) {
+    if (!row?.url) { stats.skipped++; continue; }
+    // Keys are recomputed: lines written before productKey() existed have none
+    const added = store.enqueue({ ...row, key: productKey(row.url), discoveredAt: row.discoveredAt || fallbackAt });
+    if (added) stats.queued++; else stats.duplicates++;
+  }
+}
+
+function importSightings(store, file, stats) {
+  for (const { row } of readJsonl(file)) {
+    if (!row?.url) { stats.skipped++; continue; }
+    store.recordSighting(row);
+    stats.sightings++;
+  }
+}
+
+function importOutput(store, file, stats) {
+  let rows;
+  try { rows = JSON.parse(fs.readFileSync(file, 'utf8')); } catch { rows = null; }
+  if (!Array.isArray(rows)) {
+    rootLog.warn(`⚠️ ${file} is not a JSON array, skipped`, { file });
+    return;
+  }
+  const fallbackAt = fs.statSync(file).mtime.toISOString();
+  rows.forEach((row, i) => {
+    if (!row?.productUrl) { stats.skipped++; return; }
+    const checkedAt = row.timestamp || fallbackAt;
+    const id = store.recordAttempt({
+      url: row.productUrl,
+      stage: 'scrape',
+      result: fromOutputRow(row),
+      checkedAt,
+      importRef: importRef('scrape', { ...row, url: row.productUrl }, file, i + 1),
+    });
+    if (id == null) { stats.duplicates++; return; }
+    stats.attempts++;
+    store.recordSighting({
+      ...toSighting({ url: row.productUrl, productId: row.productId, companyId: row.companyId, title: row.productTitle }),
+      seenAt: checkedAt,
+    });
+    stats.sightings++;
+  });
+}
+
+/**
+ * Import every legacy file found in dataDir (plus the materialized JSON in outDir).
+ * Each file goes in as one transaction. Returns per-file counts.
+ */
+function importJsonl({ dataDir = DATA_DIR, outDir = OUT_DIR } = {}) {
+  const store = openStore(dataDir);
+  const runId = store.beginRun({ command: 'import', config: { dataDir, outDir } });
+  const log = rootLog.child({ runId, stage: 'import' });
+  const report = [];
+
+  const files = fs.existsSync(dataDir) ? fs.readdirSync(dataDir).sort() : [];
+  const run = (file, fn) => {
+    const stats = { file, queued: 0, attempts: 0, sightings: 0, duplicates: 0, skipped: 0 };
+    store.transaction(() => fn(stats))();
+    report.push(stats);
+    const parts = [
+      stats.queued && `${stats.queued} queued`,
+      stats.attempts && `${stats.attempts} attempts`,
+      stats.sightings && `${stats.sightings} sightings`,
+      stats.duplicates && `${stats.duplicates} already imported`,
+      stats.skipped && `${stats.skipped} unreadable`,
+    ].filter(Boolean);
+    log.info(`📥 ${path.basename(file)}: ${parts.join(', ') || 'nothing to import'}`, stats);
+  };
+
+  for (const name of files) {
+    const file = path.join(dataDir, name);
+    if (name === 'queue.jsonl') {
+      run(file, stats => importQueue(store, file, stats));
+    } else if (name === 'products.jsonl') {
+      run(file, stats => importSightings(store, file, stats));
+    } else {
+      const kind = ATTEMPT_FILES.find(k => k.match.test(name));
+      if (kind) run(file, stats => importAttempts(store, file, kind, stats));
+    }
+  }
+
+  const { json: outJson } = outFiles(outDir);
+  if (fs.existsSync(outJson)) run(outJson, stats => importOutput(store, outJson, stats));
+
+  const counts = store.counts();
+  store.endRun();
+  store.close();
+
+  if (!report.length) log.info(`❓ No JSONL files found in ${dataDir}`);
+  log.info(`\n✅ Store ${store.file} (run ${runId}): ${counts.queue} queued products, ${counts.attempts} attempts, ${counts.promoCodes} promo codes, ${counts.discounts} discounts, ${counts.products} products`);
+  return { files: report, counts };
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options } = resolveOptions(['dataDir', 'outDir'], {
+    usage: 'node src/importJsonl.js [options]',
+  });
+  importJsonl(options);
+}
+
+export { importJsonl };
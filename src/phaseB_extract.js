@@ -2,270 +2,515 @@
 // Phase B: Extraction - Process queue with checkpointing and crash recovery
 
 import fs from 'fs';
-import path from 'path';
-import readline from 'readline';
 import { fileURLToPath } from 'url';
 import { chromium } from 'playwright';
-import { extractPopupPromoFromNetwork } from './utils/extractPromo.js';
+import { extractPopupPromoFromNetwork, readPageIdentity } from './utils/extractPromo.js';
+import { describeDiscount } from './utils/promoResult.js';
+import { DATA_DIR, OUT_DIR, DEFAULT_STORAGE, dataFiles } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { productKey } from './utils/productUrl.js';
+import { toSighting } from './utils/productRegistry.js';
+import { openStore } from './utils/store.js';
+import { log as rootLog } from './utils/logger.js';
+import { startDashboard, pushRecent } from './utils/dashboard.js';
+import { statusError, AuthLostError, ChallengeError, classifyError, shouldRetry, retryDelay, ERROR_CLASSES } from './utils/errorClass.js';
+import { createThrottle, classifyResponse, isChallengeTitle } from './utils/throttle.js';
+import { createWorkerPool, openBrowserSession, BrowserCrashedError, RestartLimitError } from './utils/workerPool.js';
+import { createSessionMonitor, probeLoggedIn, isLoginUrl } from './utils/sessionHealth.js';
+import { resolveAuth, authContextOptions, addAuthCookies, describeAuth } from './utils/authProfiles.js';
+import { compareVisibility, VISIBILITIES } from './utils/visibility.js';
 
 const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const DATA = path.join(__dirname, '..', 'data');
-const OUT = path.join(__dirname, '..', 'out');
-const Q = path.join(DATA, 'queue.jsonl');
-const VIS = path.join(DATA, 'visited.jsonl');
-const ERR = path.join(DATA, 'errors.jsonl');
-const HEART = path.join(DATA, 'heartbeat.json');
-
-function loadSet(file) {
-  if (!fs.existsSync(file)) return new Set();
-  return new Set(fs.readFileSync(file, 'utf8')
-    .split('\n').filter(Boolean)
-    .map(l => JSON.parse(l).url));
+
+// The clean context of --compare-anonymous visits
+const ANONYMOUS = { name: null, file: null, source: null };
+
+// Sitemap entries carry lastmod: recently changed pages go first, undated ones keep queue order
+function byLastmod(items) {
+  return items
+    .map((item, i) => ({ item, i, t: Date.parse(item.lastmod || '') || 0 }))
+    .sort((a, b) => b.t - a.t || a.i - b.i)
+    .map(({ item }) => item);
 }
 
-async function* iterateQueue() {
-  if (!fs.existsSync(Q)) return;
-  const rl = readline.createInterface({
-    input: fs.createReadStream(Q, 'utf8'),
-    crlfDelay: Infinity
-  });
-  for await (const line of rl) {
-    if (!line.trim()) continue;
-    yield JSON.parse(line);
+// Products whose sitemap lastmod is newer than their latest successful visit: the page changed
+// since, so it is due again whatever --revisit-after says
+function changedSinceVisit(queue, attempts) {
+  const lastVisit = new Map();
+  for (const a of attempts) {
+    if (a.status !== 'error' && !(lastVisit.get(a.key) >= a.checkedAt)) lastVisit.set(a.key, a.checkedAt);
+  }
+  const changed = new Set();
+  for (const item of queue) {
+    const key = item.key || productKey(item.url);
+    const visited = Date.parse(lastVisit.get(key) || '');
+    if (visited && Date.parse(item.lastmod || '') > visited) changed.add(key);
   }
+  return changed;
 }
 
-async function extractAll({ concurrency = 2, storage = process.env.WHOP_STORAGE }) {
-  fs.mkdirSync(DATA, { recursive: true });
-  fs.mkdirSync(OUT, { recursive: true });
+/**
+ * Which queued products a run visits, by product key so an affiliate or trailing-slash variant of
+ * a visited URL is not redone. A product is done once visited, or, given a `cutoff`, visited at or
+ * after it; a sitemap lastmod newer than its last visit makes it due again. A product whose latest
+ * attempt failed stays skipped however old the failure, until `whp retry` re-queues it.
+ * Returns { done, failed, changed } key sets and the queue entries to visit, first URL per product.
+ */
+function selectPending(queue, attempts, { cutoff = null } = {}) {
+  const lastSuccess = new Map();
+  const lastFailure = new Map();
+  for (const a of attempts) {
+    const latest = a.status === 'error' ? lastFailure : lastSuccess;
+    if (!(latest.get(a.key) >= a.checkedAt)) latest.set(a.key, a.checkedAt);
+  }
+  const requeuedAt = new Map(queue.filter(item => item.requeuedAt).map(item => [item.key, item.requeuedAt]));
+  const failed = new Set();
+  for (const [key, at] of lastFailure) {
+    if (!(lastSuccess.get(key) >= at) && !(requeuedAt.get(key) > at)) failed.add(key);
+  }
+  const done = new Set();
+  for (const [key, at] of lastSuccess) {
+    if (!failed.has(key) && (!cutoff || at >= cutoff)) done.add(key);
+  }
+  const changed = changedSinceVisit(queue, attempts);
+  for (const key of changed) done.delete(key);
+
+  const pending = [];
+  const pendingKeys = new Set();
+  for (const item of queue) {
+    const key = item.key || productKey(item.url);
+    if (done.has(key) || failed.has(key) || pendingKeys.has(key)) continue;
+    pendingKeys.add(key);
+    pending.push(item);
+  }
+  return { done, failed, changed, pending };
+}
 
-  const done = loadSet(VIS);
-  const failed = loadSet(ERR);
+// First path segment (the company route), for spillover prevention
+function routeFromUrl(u) {
+  try { return new URL(u).pathname.split('/').filter(Boolean)[0] || null; } catch { return null; }
+}
 
-  // Build list of URLs to process
-  const toProcess = [];
-  for await (const item of iterateQueue()) {
-    if (!item?.url) continue;
-    if (done.has(item.url) || failed.has(item.url)) continue;
-    toProcess.push(item.url);
+async function extractAll({
+  concurrency = 2, revisitAfter = null, storage = DEFAULT_STORAGE, profile = null, authMode = 'auto', compareAnonymous = false, dataDir = DATA_DIR, outDir = OUT_DIR,
+  taskTimeout = 240, recycleAfter = 200, maxRestarts = 5, sessionCheck = 10, sessionWait = 30, dashboard: dashboardPort = null,
+} = {}) {
+  const { heartbeat: HEART } = dataFiles(dataDir);
+  fs.mkdirSync(outDir, { recursive: true });
+  // The session(s) to visit under: one profile, or several (--profile alice,bob) taking turns
+  const auths = resolveAuth({ profile, storage, authMode, log: rootLog });
+  if (compareAnonymous && !auths[0].source) {
+    throw new Error('--compare-anonymous needs a logged-in session to compare with; capture one with: whp auth capture');
   }
-
-  console.log(`🚀 Starting extraction phase`);
-  console.log(`📊 Queue status:`);
-  console.log(`   - Total in queue: ${done.size + failed.size + toProcess.length}`);
-  console.log(`   - Already completed: ${done.size}`);
-  console.log(`   - Previous errors: ${failed.size}`);
-  console.log(`   - To process: ${toProcess.length}`);
+  const store = openStore(dataDir);
+  const runId = store.beginRun({ command: 'extract', config: { concurrency, revisitAfter, storage, profile, authMode, compareAnonymous, dataDir, outDir, taskTimeout, recycleAfter, maxRestarts, sessionCheck, sessionWait } });
+  const log = rootLog.child({ runId, stage: 'extract' });
+  log.info(`🆔 Run ${runId}`);
+
+  // Resume by product key (selectPending): with revisitAfter, products last visited before the
+  // cutoff are due again, each visit a new observation for `whp history`
+  const cutoff = revisitAfter != null ? new Date(Date.now() - revisitAfter * 3600 * 1000).toISOString() : null;
+  const { done, failed, changed, pending } = selectPending(store.queueEntries(), store.attempts({ stage: 'extract' }), { cutoff });
+  const toProcess = byLastmod(pending).map(item => item.url);
+
+  log.info(`🚀 Starting extraction phase`);
+  log.info(`📊 Queue status:`);
+  log.info(`   - Total in queue: ${done.size + failed.size + toProcess.length}`);
+  log.info(`   - Already completed: ${done.size}`);
+  log.info(`   - Previous errors: ${failed.size}`);
+  if (changed.size) log.info(`   - Changed since last visit (sitemap lastmod): ${changed.size}`);
+  log.info(`   - To process: ${toProcess.length}`);
 
   if (toProcess.length === 0) {
-    console.log(`✅ Nothing to process! All URLs have been visited.`);
+    log.info(`✅ Nothing to process! All URLs have been visited.`);
+    store.endRun();
+    store.close();
     return;
   }
 
-  // Setup browser with authentication
-  const browser = await chromium.launch({
-    headless: true,
-    args: ['--no-sandbox', '--disable-setuid-sandbox']
+  // Progress tracking
+  let idx = 0, found = 0, empty = 0, errors = 0, retries = 0, requeued = 0;
+  const visibilities = Object.fromEntries(VISIBILITIES.map(v => [v, 0]));
+  let status = 'running';
+  const startedAt = new Date().toISOString();
+  const recentFinds = [];
+  const recentErrors = [];
+
+  // --concurrency is the ceiling; 429s and bot checks on whop.com bring it down (utils/throttle.js)
+  const throttle = createThrottle({
+    maxConcurrency: concurrency,
+    watch: (u) => { try { return /(^|\.)whop\.com$/.test(new URL(u).hostname); } catch { return false; } },
+    log,
   });
 
-  const context = await browser.newContext({
-    storageState: storage && fs.existsSync(storage) ? storage : undefined,
-    bypassCSP: true,
-    serviceWorkers: 'block',
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36',
-    locale: 'en-GB',
-  });
+  // One lane per auth: its browser session, its health monitor (utils/sessionHealth.js, set below
+  // for a logged-in auth) and its held-back results. Visits take turns across the lanes whose
+  // session is fine; while every lane is expired no visit starts.
+  const lanes = auths.map(auth => ({ auth, session: null, health: null, held: [], visits: 0 }));
+  const laneReady = (lane) => !lane.health || lane.health.ready();
+  const sessionsDown = () => lanes.every(lane => lane.health && lane.health.status !== 'ok');
+  const expiredReasons = () => lanes
+    .filter(lane => lane.health && lane.health.status !== 'ok')
+    .map(lane => (lanes.length > 1 ? `${lane.auth.name}: ${lane.health.reason}` : lane.health.reason))
+    .join('; ') || null;
+  let turn = 0;
+  function pickLane() {
+    for (let i = 0; i < lanes.length; i++) {
+      const lane = lanes[(turn + i) % lanes.length];
+      if (laneReady(lane)) {
+        turn = (turn + i + 1) % lanes.length;
+        return lane;
+      }
+    }
+    return null;
+  }
 
-  // Setup routing and timeouts to mirror DevTools behavior
-  await context.route('**/*', route => route.continue());
-  await context.setDefaultTimeout(45000);
-  await context.setDefaultNavigationTimeout(45000);
-  await context.addInitScript(() => localStorage.setItem('devtools:disableCache','1'));
-
-  console.log(storage && fs.existsSync(storage)
-    ? `🔐 Using authenticated session: ${storage}`
-    : '⚠️ No authentication - some promos may be hidden');
-
-  // Verify authentication
-  const testPage = await context.newPage();
-  try {
-    await testPage.goto('https://whop.com/', { waitUntil: 'domcontentloaded' });
-    const loggedIn = await testPage.locator('a[href*="/profile"], [data-testid="user-menu"], .avatar, [href*="/dashboard"]').first().isVisible().catch(() => false);
-    console.log(loggedIn ? '✅ Authenticated session verified' : '⚠️ Not logged in - proceeding unauthenticated');
-  } catch (e) {
-    console.log('⚠️ Could not verify authentication status');
-  } finally {
-    await testPage.close();
+  // Workers run on the shared pool (utils/workerPool.js); Ctrl-C stops new visits and lets
+  // running ones finish, a second Ctrl-C cancels them
+  const pool = createWorkerPool({
+    concurrency,
+    taskTimeoutMs: taskTimeout ? taskTimeout * 1000 : null,
+    canStart: (running) => lanes.some(laneReady) && throttle.ready(running),
+    spawnDelay: () => throttle.spawnDelay(),
+    handleSignals: true,
+    log,
+  });
+  for (const url of toProcess) pool.add(url);
+
+  // Optional live dashboard, reading the counters above
+  const dashboard = dashboardPort != null
+    ? await startDashboard({
+      port: dashboardPort,
+      getState: () => ({
+        command: 'extract', runId, startedAt,
+        status: status === 'running' && pool.stopped ? 'stopping' : status === 'running' && sessionsDown() ? 'session-expired' : status,
+        sessionExpired: expiredReasons(),
+        concurrency: throttle.concurrency, maxConcurrency: concurrency, pausedUntil: throttle.pausedUntil,
+        processed: idx, total: toProcess.length, found, empty, errors, retries, requeued, active: pool.active, recentFinds, recentErrors,
+      }),
+    })
+    : null;
+  if (dashboard) log.info(`📺 Dashboard: ${dashboard.url}`);
+
+  // Setup browsers with authentication; every context a session opens (a fresh one every
+  // --recycle-after visits, or after a crash, in a relaunched browser if need be) gets the same
+  // storage state, routes, timeouts and listeners. Past --max-restarts crashes the run stops.
+  const openSession = (auth, sessionLog) => openBrowserSession({
+    launch: () => chromium.launch({
+      headless: true,
+      args: ['--no-sandbox', '--disable-setuid-sandbox']
+    }),
+    // Read per context, so a refreshed session file counts
+    contextOptions: () => ({
+      ...authContextOptions(auth),
+      bypassCSP: true,
+      serviceWorkers: 'block',
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36',
+      locale: 'en-GB',
+    }),
+    async setupContext(context) {
+      await addAuthCookies(context, auth);
+      // Setup routing and timeouts to mirror DevTools behavior
+      await context.route('**/*', route => route.fallback());
+      context.setDefaultTimeout(45000);
+      context.setDefaultNavigationTimeout(45000);
+      await context.addInitScript(() => localStorage.setItem('devtools:disableCache','1'));
+      context.on('response', response => throttle.observe({ url: response.url(), status: response.status(), headers: response.headers() }));
+    },
+    recycleAfter,
+    maxRestarts,
+    onGiveUp: () => pool.stop(),
+    log: sessionLog,
+  });
+  for (const lane of lanes) {
+    lane.session = await openSession(lane.auth, lanes.length > 1 ? log.child({ profile: lane.auth.name }) : log);
   }
+  // With --compare-anonymous every product is visited a second time in a clean, logged-out
+  // context, and both visits are recorded with the visibility they add up to (utils/visibility.js)
+  const anonymous = compareAnonymous ? { auth: ANONYMOUS, session: await openSession(ANONYMOUS, log.child({ profile: 'anonymous' })) } : null;
+  const sessions = () => [...lanes, ...(anonymous ? [anonymous] : [])].map(lane => lane.session);
+
+  // Empty results since a lane's session last passed a check are held back: if it turns out to
+  // have expired meanwhile the pages were seen logged out, and they go back on the pool unrecorded
+  const recordAttempts = (attempts) => {
+    for (const attempt of attempts) store.recordAttempt(attempt);
+    const { visibility } = attempts[attempts.length - 1];
+    if (visibility) visibilities[visibility]++;
+  };
+  const recordHeld = (lane) => {
+    for (const { attempts } of lane.held) recordAttempts(attempts);
+    lane.held = [];
+  };
 
-  // Progress tracking
-  let active = 0, idx = 0, found = 0, empty = 0, errors = 0;
-
-  // Open file descriptors for append-only writes
-  const visFd = fs.openSync(VIS, 'a');
-  const errFd = fs.openSync(ERR, 'a');
-
-  // Graceful shutdown handler
-  let stopping = false;
-  const gracefulShutdown = async () => {
-    if (stopping) return;
-    stopping = true;
-    console.log('\n⏳ Graceful shutdown initiated...');
-    console.log(`📊 Final stats: processed ${idx}/${toProcess.length}, found ${found}, empty ${empty}, errors ${errors}`);
-
-    // Wait for active workers to finish
-    while (active > 0) {
-      console.log(`⏳ Waiting for ${active} active workers to finish...`);
-      await new Promise(r => setTimeout(r, 1000));
+  const writeHeartbeat = (fields) => fs.writeFileSync(HEART, JSON.stringify({
+    runId, idx, found, empty, errors, retries, requeued, ...fields, at: new Date().toISOString(),
+  }, null, 2));
+
+  for (const lane of lanes) {
+    if (!lane.auth.source) {
+      log.warn('⚠️ No authentication - some promos may be hidden');
+      continue;
     }
+    log.info(`🔐 Using authenticated session: ${describeAuth(lane.auth)}`);
+    // Each session is checked now and every --session-check minutes; an expired one (cookies past
+    // their expiry, a failed check, a visit bounced to the login page) is left out for up to
+    // --session-wait minutes while its session file is refreshed. With every session out the run
+    // pauses, and once every one has given up it stops.
+    lane.health = createSessionMonitor({
+      storage: lane.auth.file,
+      probe: () => lane.session.withPage(page => probeLoggedIn(page)),
+      checkEveryMs: sessionCheck * 60_000,
+      waitMs: sessionWait * 60_000,
+      onPassed: () => recordHeld(lane),
+      onExpired(reason) {
+        const { held } = lane;
+        for (const { url } of held) pool.add(url);
+        idx -= held.length;
+        empty -= held.length;
+        requeued += held.length;
+        if (held.length) log.warn(`♻️ ${held.length} pages found empty since the last good session check go back on the queue`);
+        lane.held = [];
+        if (sessionsDown()) writeHeartbeat({ active: pool.active, status: 'session-expired', reason: expiredReasons() });
+        dashboard?.notify();
+      },
+      onRefreshed: () => lane.session.restart('session refreshed'),
+      onGaveUp: () => {
+        if (lanes.every(l => l.health?.status === 'gave-up')) pool.stop();
+      },
+      log: lanes.length > 1 ? log.child({ profile: lane.auth.name }) : log,
+    });
+    const verified = await lane.health.check();
+    if (verified) log.info(`✅ Authenticated session verified${lanes.length > 1 ? ` (${lane.auth.name})` : ''}`);
+    else if (verified === null) log.warn('⚠️ Could not verify the session now; checking again in the run');
+    if (sessionCheck > 0) lane.health.start();
+  }
 
-    // Close file descriptors
-    fs.closeSync(visFd);
-    fs.closeSync(errFd);
+  // Record the run's end, write the final heartbeat and release the browser
+  const finish = async (finalStatus, error = null) => {
+    log.info(`📊 Final stats: processed ${idx}/${toProcess.length}, found ${found}, empty ${empty}, errors ${errors}`, { processed: idx, found, empty, errors });
+
+    for (const lane of lanes) {
+      lane.health?.stop();
+      if (!lane.health || lane.health.status === 'ok') recordHeld(lane);
+    }
+    const profiles = lanes.map(lane => ({ profile: lane.auth.name, visits: lane.visits, browser: lane.session.stats(), session: lane.health?.stats() }));
+    store.endRun({
+      status: finalStatus, error: error?.message,
+      stats: {
+        retries, requeued, throttle: throttle.stats(), pool: pool.stats(), browser: profiles[0].browser, session: profiles[0].session,
+        ...(lanes.length > 1 && { profiles }), ...(anonymous && { visibility: visibilities }),
+      },
+    });
+    store.close();
 
     // Write final heartbeat
-    fs.writeFileSync(HEART, JSON.stringify({
-      idx, found, empty, errors, active: 0,
-      status: 'shutdown',
-      at: new Date().toISOString()
-    }, null, 2));
-
-    await context.close();
-    await browser.close();
-    console.log('✅ Graceful shutdown complete. Progress saved.');
-    process.exit(0);
+    const expired = sessionsDown();
+    writeHeartbeat({
+      active: 0,
+      status: expired ? 'session-expired' : finalStatus === 'interrupted' ? 'shutdown' : finalStatus,
+      ...(expired && { reason: expiredReasons() }),
+    });
+
+    for (const session of sessions()) await session.close();
+    status = finalStatus;
+    if (dashboard) await dashboard.close();
+    log.info('✅ Shutdown complete. Progress saved.');
   };
 
-  process.on('SIGINT', gracefulShutdown);
-  process.on('SIGTERM', gracefulShutdown);
+  // Failed URLs go back on the pool, delayed, as their error class allows (errorClass.js); the
+  // throttle has already paused every worker for a 429 or a bot check. A URL whose browser
+  // crashed under it goes back without counting as a try, unless it keeps crashing it.
+  const tries = new Map();
+  const crashes = new Map();
+  const MAX_CRASHES_PER_URL = 2;
+
+  // Navigate to a product page and extract its popup promo; a bot check, an error status or a
+  // logged-in visit bounced to the login page is a failure
+  async function visitPage(page, url, auth, currentRoute) {
+    const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
+    const challenged = response && classifyResponse({ status: response.status(), headers: response.headers() }) === 'challenge';
+    if (challenged || isChallengeTitle(await page.title().catch(() => ''))) {
+      // A challenge header was already seen by the response listener; a title alone was not
+      if (!challenged) throttle.challenge(url);
+      throw new ChallengeError(url);
+    }
+    if (response && response.status() >= 400) {
+      // A 401/403 under a session is an AuthLostError: the lane pauses for a refreshed session
+      throw statusError(response.status(), url, { withSession: !!auth.source, retryAfter: response.headers()['retry-after'] });
+    }
+    if (auth.source && isLoginUrl(page.url())) {
+      throw new AuthLostError(url, page.url());
+    }
+
+    // Extract popup promo using our robust utility with route-based spillover prevention
+    return extractPopupPromoFromNetwork(page, { url, timeoutMs: 15000, currentRoute });
+  }
 
   // Worker function for processing individual URLs
-  async function worker(url) {
-    active++;
-    const page = await context.newPage();
+  async function worker(url, { worker: slot, signal }) {
+    const started = Date.now();
+    // Extract route from URL for spillover prevention
+    const currentRoute = routeFromUrl(url);
+    const urlLog = log.child({ worker: slot, url, route: currentRoute });
+    let retrying = false;
+
+    // The next lane whose session is fine; one may have expired since the pool let this visit start
+    const lane = pickLane();
+    if (!lane) {
+      pool.add(url);
+      return;
+    }
+    lane.visits++;
+    const { auth, health } = lane;
 
     try {
-      // Extract route from URL for spillover prevention
-      const routeFromUrl = (u) => {
-        try { return new URL(u).pathname.split('/').filter(Boolean)[0] || null; } catch { return null; }
-      };
-      const currentRoute = routeFromUrl(url);
-
-      // Navigate to product page
-      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30000 });
-
-      // Extract popup promo using our robust utility with route-based spillover prevention
-      const hit = await extractPopupPromoFromNetwork(page, { timeoutMs: 15000, currentRoute });
-
-      // Create visit record
-      const record = {
-        url,
-        found: !!(hit?.code),
-        code: hit?.code || null,
-        discountPercent: hit?.discountPercent || null,
-        amountOff: hit?.amountOff || null,
-        amountOffInCents: hit?.amountOffInCents || null,
-        type: hit?.type || null,
-        sourceUrl: hit?.sourceUrl || null,
-        checkedAt: new Date().toISOString()
-      };
-
-      if (record.found) {
+      const { hit, identity } = await lane.session.withPage(async (page) => {
+        const hit = await visitPage(page, url, auth, currentRoute);
+        // Seen after the session expired: probably logged out, so visit it again once it is refreshed
+        if (health && health.status !== 'ok' && !hit?.code) throw new AuthLostError(url, 'an expired session');
+        return { hit, identity: await readPageIdentity(page) };
+      }, { signal });
+
+      // Record the attempt (PromoResult fields, see utils/promoResult.js) and what the page says it is
+      const attempts = [];
+      let visibility = null;
+      if (anonymous) {
+        const anonHit = await anonymous.session.withPage(page => visitPage(page, url, ANONYMOUS, currentRoute), { signal });
+        visibility = compareVisibility(hit, anonHit);
+        attempts.push({ url, stage: 'extract', result: anonHit, profile: null, visibility, checkedAt: new Date().toISOString() });
+        if (visibility !== 'none') urlLog.info(`👁️ ${url}: ${visibility} (logged in: ${hit?.code || 'none'}, logged out: ${anonHit?.code || 'none'})`, { visibility });
+      }
+      // The logged-in visit goes last, so it is the latest observation of the product
+      attempts.push({ url, stage: 'extract', result: hit, profile: auth.name, visibility, checkedAt: new Date().toISOString(), durationMs: Date.now() - started });
+      if (health && !hit?.code) lane.held.push({ url, attempts });
+      else recordAttempts(attempts);
+      store.recordSighting(toSighting({ url, ...identity }));
+      throttle.success();
+
+      if (hit?.code) {
         found++;
-        const discInfo = [];
-        if (record.discountPercent) discInfo.push(`${record.discountPercent}%`);
-        if (record.amountOff) discInfo.push(`amountOff=${record.amountOff}`);
-        if (record.amountOffInCents) discInfo.push(`${record.amountOffInCents}¢`);
-        console.log(`🎉 Found popup code: ${record.code}${discInfo.length ? ' ['+discInfo.join(', ')+']' : ''} at ${url}`);
+        const discInfo = describeDiscount(hit);
+        pushRecent(recentFinds, { url, code: hit.code, discount: discInfo || null, at: new Date().toISOString() });
+        dashboard?.notify();
+        urlLog.info(`🎉 Found popup code: ${hit.code}${discInfo ? ' ['+discInfo+']' : ''} at ${url}`, { code: hit.code, discount: discInfo || undefined });
       } else {
         empty++;
-        if (process.env.DEBUG) {
-          console.log(`— No promo found at ${url}`);
-        }
+        urlLog.debug(`— No promo found at ${url}`);
       }
 
-      // Write to visited log
-      fs.writeSync(visFd, JSON.stringify(record) + '\n');
+    } catch (thrown) {
+      // A timed-out or cancelled visit fails on its closed page; the pool's reason is the cause
+      const error = signal.aborted ? signal.reason : thrown;
 
-    } catch (error) {
-      errors++;
-      const errorRecord = {
-        url,
-        error: String(error?.message || error),
-        at: new Date().toISOString()
-      };
-      fs.writeSync(errFd, JSON.stringify(errorRecord) + '\n');
-      console.warn(`❌ Error processing ${url}: ${error.message}`);
+      // Past the restart limit nothing more is visited; the URL stays queued for the next run
+      if (error instanceof RestartLimitError) {
+        retrying = true;
+        return;
+      }
+      // The session ran out under this visit: it waits, unrecorded, for the refreshed session
+      if (error instanceof AuthLostError && health) {
+        health.expire(error.message);
+        retrying = true;
+        requeued++;
+        pool.add(url);
+        return;
+      }
+      if (error instanceof BrowserCrashedError && (crashes.get(url) || 0) < MAX_CRASHES_PER_URL) {
+        crashes.set(url, (crashes.get(url) || 0) + 1);
+        retrying = true;
+        requeued++;
+        pool.add(url);
+        urlLog.warn(`♻️ Browser crashed under ${url}; queued it again`, { error });
+        return;
+      }
+      const message = String(error?.message || error);
+      const errorClass = classifyError(error);
+      const n = (tries.get(url) || 0) + 1;
+      tries.set(url, n);
+      store.recordAttempt({ url, stage: 'extract', error: message, errorClass, profile: auth.name, durationMs: Date.now() - started });
+
+      if (shouldRetry(errorClass, n) && !pool.stopped) {
+        const delay = retryDelay(errorClass, n, { retryAfterMs: error.retryAfterMs });
+        retrying = true;
+        retries++;
+        pool.add(url, { delayMs: delay });
+        urlLog.warn(`🔁 ${errorClass} at ${url}: ${message} - try ${n + 1}/${ERROR_CLASSES[errorClass].maxAttempts} in ${Math.round(delay / 1000)}s`,
+          { error, errorClass, tries: n, delayMs: delay });
+      } else {
+        errors++;
+        urlLog.warn(`❌ Error processing ${url} (${errorClass}): ${message}`, { error, errorClass, tries: n });
+        pushRecent(recentErrors, { url, error: message, errorClass, at: new Date().toISOString() });
+      }
 
     } finally {
-      await page.close().catch(() => {});
-      active--;
-      idx++;
+      // A URL waiting for another try is not processed yet
+      if (!retrying) idx++;
 
       // Update heartbeat every 10 URLs
-      if ((idx % 10) === 0 || idx === toProcess.length) {
-        fs.writeFileSync(HEART, JSON.stringify({
-          idx, found, empty, errors, active,
+      if (!retrying && ((idx % 10) === 0 || idx === toProcess.length)) {
+        const active = pool.active - 1;
+        writeHeartbeat({
+          active, concurrency: throttle.concurrency,
           progress: `${idx}/${toProcess.length}`,
-          status: 'running',
-          at: new Date().toISOString()
-        }, null, 2));
+          status: sessionsDown() ? 'session-expired' : 'running',
+        });
 
-        console.log(`📊 Progress: ${idx}/${toProcess.length} (found: ${found}, empty: ${empty}, errors: ${errors}, active: ${active})`);
+        log.info(`📊 Progress: ${idx}/${toProcess.length} (found: ${found}, empty: ${empty}, errors: ${errors}, retries: ${retries}, active: ${active})`, { processed: idx, total: toProcess.length, found, empty, errors, retries, active });
       }
     }
   }
 
-  // Process queue with limited concurrency
-  let queueIndex = 0;
-
-  async function processQueue() {
-    while (queueIndex < toProcess.length && !stopping) {
-      // Wait if we're at max concurrency
-      while (active >= concurrency && !stopping) {
-        await new Promise(r => setTimeout(r, 100));
-      }
+  const outcome = await pool.run(worker);
 
-      if (!stopping) {
-        const url = toProcess[queueIndex++];
-        worker(url);
-        // Small delay between spawning workers
-        await new Promise(r => setTimeout(r, 200 + Math.random() * 300));
-      }
-    }
-
-    // Wait for all workers to complete
-    while (active > 0 && !stopping) {
-      await new Promise(r => setTimeout(r, 100));
-    }
+  const gaveUp = sessions().find(session => session.gaveUp)?.gaveUp;
+  if (gaveUp) {
+    log.error(`❌ Extraction stopped: ${gaveUp.message}; ${toProcess.length - idx} URLs left for the next run`);
+    await finish('failed', gaveUp);
+    throw gaveUp;
   }
-
-  await processQueue();
-
-  if (!stopping) {
-    console.log(`\n🎉 Extraction complete!`);
-    console.log(`📈 Final results:`);
-    console.log(`   - Processed: ${idx}/${toProcess.length}`);
-    console.log(`   - Popup codes found: ${found}`);
-    console.log(`   - No codes: ${empty}`);
-    console.log(`   - Errors: ${errors}`);
-    console.log(`📁 Data files: ${DATA}`);
-
-    await gracefulShutdown();
+  if (sessionsDown()) {
+    const error = new Error(`Session expired: ${expiredReasons()}`);
+    log.error(`🔒 ${error.message}; ${toProcess.length - idx} URLs left. Refresh ${lanes.map(lane => lane.auth.file).join(', ')} and run whp extract again`);
+    await finish('interrupted', error);
+    return;
+  }
+  if (outcome.stopped) {
+    log.info(`⏳ Stopped with ${outcome.left} URLs left; the next run picks them up`);
+    await finish('interrupted');
+    return;
   }
+
+  log.info(`\n🎉 Extraction complete!`);
+  log.info(`📈 Final results:`);
+  log.info(`   - Processed: ${idx}/${toProcess.length}`);
+  log.info(`   - Popup codes found: ${found}`);
+  log.info(`   - No codes: ${empty}`);
+  log.info(`   - Errors: ${errors}`);
+  log.info(`   - Retries: ${retries}`);
+  if (outcome.timedOut) log.info(`   - Timed out: ${outcome.timedOut}`);
+  const t = throttle.stats();
+  if (t.slowdowns) log.info(`   - Throttled: ${t.slowdowns}x (${t.rateLimited} rate limits, ${t.challenges} bot checks), paused ${Math.round(t.pausedMs / 1000)}s, lowest concurrency ${t.lowestConcurrency}/${concurrency}`);
+  if (anonymous) log.info(`   - Visibility: ${VISIBILITIES.map(v => `${v} ${visibilities[v]}`).join(', ')}`);
+  if (lanes.length > 1) log.info(`   - Profiles: ${lanes.map(lane => `${lane.auth.name} ${lane.visits} visits`).join(', ')}`);
+  const b = lanes[0].session.stats();
+  if (b.contexts > 1) log.info(`   - Browser contexts: ${b.contexts} (${b.recycled} recycled, ${b.recoveries} after crashes, ${b.relaunches} browser relaunches)`);
+  if (requeued) log.info(`   - Re-queued after crashes: ${requeued}`);
+  if (errors) log.info(`💡 Re-queue retriable failures with: whp retry`);
+  log.info(`📁 Store: ${store.file} (run ${runId})`);
+
+  await finish('completed');
 }
 
 // Run if called directly
 if (process.argv[1] === __filename) {
-  const concurrency = Number(process.env.WHOP_CONCURRENCY || 2);
-  const storage = process.env.WHOP_STORAGE;
+  const { options } = resolveOptions(['concurrency', 'revisitAfter', 'storage', 'profile', 'authMode', 'compareAnonymous', 'dataDir', 'outDir', 'taskTimeout', 'recycleAfter', 'maxRestarts', 'sessionCheck', 'sessionWait', 'dashboard'], {
+    usage: 'node src/phaseB_extract.js [options]',
+  });
 
-  extractAll({ concurrency, storage }).catch(error => {
-    console.error('❌ Extraction failed:', error);
+  extractAll(options).catch(error => {
+    rootLog.error(`❌ Extraction failed: ${error.message}`, { error });
     process.exit(1);
   });
 }
 
-export { extractAll };
\ No newline at end of file
+export { extractAll, byLastmod, changedSinceVisit, selectPending };
\ No newline at end of file
@@ -0,0 +1,58 @@
+// src/products.js
+// Product registry report: how many products extraction has identified, which companies own
+// several of them, and the full entity behind any URL
+
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { loadRegistry, groupByCompany } from './utils/productRegistry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function describeProduct(p) {
+  const where = [p.route, p.slug].filter(Boolean).join('/') || p.keys[0];
+  return `${p.id}${p.title ? ` "${p.title}"` : ''} (${where}, ${p.urls.length} URL${p.urls.length === 1 ? '' : 's'})`;
+}
+
+function printProducts({ dataDir = DATA_DIR } = {}, urls = []) {
+  const registry = loadRegistry(dataDir);
+
+  if (urls.length) {
+    for (const url of urls) {
+      const p = registry.lookup(url);
+      if (!p) {
+        console.log(`❓ ${url}: not in the registry yet (run whp extract)`);
+        continue;
+      }
+      console.log(`📦 ${url}`);
+      console.log(JSON.stringify(p, null, 2));
+    }
+    return registry;
+  }
+
+  const { products } = registry;
+  const companies = groupByCompany(products);
+  const shared = [...companies.entries()].filter(([, list]) => list.length > 1);
+
+  console.log(`📦 Product registry (${dataDir})`);
+  console.log(`   - Products: ${products.length}`);
+  console.log(`   - With prod_ id: ${products.filter(p => p.productId).length}`);
+  console.log(`   - Reached by more than one URL: ${products.filter(p => p.urls.length > 1).length}`);
+  console.log(`   - Companies: ${companies.size} (${shared.length} with several products)`);
+
+  for (const [companyId, list] of shared) {
+    console.log(`\n🏢 ${companyId}`);
+    for (const p of list) console.log(`   - ${describeProduct(p)}`);
+  }
+  return registry;
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options, positionals } = resolveOptions(['dataDir'], {
+    usage: 'node src/products.js [url...] [options]',
+  });
+  printProducts(options, positionals);
+}
+
+export { printProducts };
@@ -0,0 +1,97 @@
+// src/retry.js
+// Retry queue: products whose latest extraction failed, grouped by error class, and re-queuing the
+// retriable ones (or the classes asked for) so the next `whp extract` visits them again
+
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { openStore } from './utils/store.js';
+import { ERROR_CLASSES, isRetriable } from './utils/errorClass.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+/** Products whose latest extract attempt is an error: [{ key, url, errorClass, error, checkedAt, tries, requeued }] */
+function failedProducts(store) {
+  const latest = new Map();
+  const tries = new Map();
+  for (const a of store.attempts({ stage: 'extract' })) {
+    latest.set(a.key, a);
+    tries.set(a.key, a.status === 'error' ? (tries.get(a.key) || 0) + 1 : 0);
+  }
+  const requeuedAt = new Map(store.queueEntries().filter(q => q.requeuedAt).map(q => [q.key, q.requeuedAt]));
+
+  return [...latest.values()]
+    .filter(a => a.status === 'error')
+    .map(a => ({
+      key: a.key,
+      url: a.url,
+      errorClass: a.errorClass,
+      error: a.error,
+      checkedAt: a.checkedAt,
+      tries: tries.get(a.key),
+      requeued: requeuedAt.get(a.key) > a.checkedAt,
+    }));
+}
+
+function parseClasses(list) {
+  if (!list) return null;
+  const names = String(list).split(',').map(s => s.trim()).filter(Boolean);
+  for (const name of names) {
+    if (!ERROR_CLASSES[name]) throw new Error(`Unknown error class "${name}" (available: ${Object.keys(ERROR_CLASSES).join(', ')})`);
+  }
+  return names;
+}
+
+/**
+ * Re-queue failed products: by default every retriable class, or exactly the given classes
+ * (which may name a non-retriable one, e.g. `gone` after a site outage). Returns what was chosen.
+ */
+function retryFailures({ dataDir = DATA_DIR, classes = null, dryRun = false } = {}) {
+  const wanted = parseClasses(classes);
+  const store = openStore(dataDir);
+  try {
+    const failures = failedProducts(store);
+    const chosen = failures.filter(f => !f.requeued && (wanted ? wanted.includes(f.errorClass) : isRetriable(f.errorClass)));
+    if (!dryRun && chosen.length) store.requeue(chosen.map(f => f.key));
+    return { failures, chosen, dryRun };
+  } finally {
+    store.close();
+  }
+}
+
+function printRetry(opts = {}) {
+  const result = retryFailures(opts);
+  const { failures, chosen, dryRun } = result;
+  if (!failures.length) {
+    console.log('✅ No failed products to retry');
+    return result;
+  }
+
+  const chosenKeys = new Set(chosen.map(f => f.key));
+  console.log(`🧯 ${failures.length} products whose latest extraction failed:`);
+  for (const [name, policy] of Object.entries(ERROR_CLASSES)) {
+    const inClass = failures.filter(f => f.errorClass === name);
+    if (!inClass.length) continue;
+    const picked = inClass.filter(f => chosenKeys.has(f.key)).length;
+    const waiting = inClass.filter(f => f.requeued).length;
+    const notes = [
+      picked && `${picked} ${dryRun ? 'would be ' : ''}re-queued`,
+      waiting && `${waiting} already re-queued`,
+      !policy.retriable && 'not retriable',
+    ].filter(Boolean);
+    console.log(`   - ${name}: ${inClass.length} (${policy.description})${notes.length ? ` → ${notes.join(', ')}` : ''}`);
+  }
+
+  if (chosen.length && !dryRun) console.log(`\n🔁 Re-queued ${chosen.length} products; run whp extract to visit them again`);
+  return result;
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options } = resolveOptions(['dataDir', 'classes', 'dryRun'], {
+    usage: 'node src/retry.js [options]',
+  });
+  printRetry(options);
+}
+
+export { failedProducts, retryFailures, printRetry };
@@ -0,0 +1,102 @@
+// src/runs.js
+// Run manifests: recent runs of every writing stage, or one run in full (config, counts, durations
+// and every URL it attempted)
+
+import { fileURLToPath } from 'url';
+import { DATA_DIR } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { openStore } from './utils/store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+const STATUS_ICONS = { running: '⏳', completed: '✅', failed: '❌', interrupted: '🛑' };
+
+function formatDuration(ms) {
+  if (ms == null) return '?';
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  return m < 60 ? `${m}m${String(s % 60).padStart(2, '0')}s` : `${Math.floor(m / 60)}h${String(m % 60).padStart(2, '0')}m`;
+}
+
+function describeCounts(c) {
+  if (!c) return '';
+  const parts = [`found ${c.found}`, `empty ${c.empty}`, `errors ${c.error}`];
+  if (c.queued) parts.unshift(`queued ${c.queued}`);
+  if (c.throttle?.slowdowns) parts.push(`throttled ${c.throttle.slowdowns}x`);
+  return parts.join(', ');
+}
+
+/** The manifest for one run ("latest" for the most recent), with its attempted URLs */
+function runManifest({ dataDir = DATA_DIR } = {}, id) {
+  const store = openStore(dataDir);
+  try {
+    const runId = id === 'latest' ? store.runs({ limit: 1 })[0]?.id : id;
+    const run = runId ? store.run(runId) : null;
+    return run ? { ...run, urls: store.runUrls(run.id) } : null;
+  } finally {
+    store.close();
+  }
+}
+
+function printRuns({ dataDir = DATA_DIR, format = 'text', limit = null } = {}, id = null) {
+  if (id) {
+    const manifest = runManifest({ dataDir }, id);
+    if (!manifest) {
+      console.log(`❓ No run ${id} in ${dataDir}`);
+      return null;
+    }
+    if (format === 'json') {
+      console.log(JSON.stringify(manifest, null, 2));
+      return manifest;
+    }
+    const attempted = manifest.urls.filter(u => u.durationMs != null);
+    const avg = attempted.length ? attempted.reduce((n, u) => n + u.durationMs, 0) / attempted.length : null;
+    console.log(`${STATUS_ICONS[manifest.status] || '•'} Run ${manifest.id}: ${manifest.command} ${manifest.status}`);
+    console.log(`   - Started: ${manifest.startedAt}`);
+    console.log(`   - Finished: ${manifest.finishedAt || '-'} (${formatDuration(manifest.durationMs)})`);
+    console.log(`   - Git revision: ${manifest.gitRev || 'unknown'}`);
+    console.log(`   - Config: ${JSON.stringify(manifest.config)}`);
+    console.log(`   - Counts: ${describeCounts(manifest.counts)}`);
+    if (avg != null) console.log(`   - Average attempt: ${formatDuration(avg)}`);
+    const t = manifest.counts?.throttle;
+    if (t?.slowdowns) {
+      console.log(`   - Throttle: ${t.slowdowns} slow-downs (${t.rateLimited} rate limits, ${t.challenges} bot checks), paused ${formatDuration(t.pausedMs)}, lowest concurrency ${t.lowestConcurrency}/${t.maxConcurrency}`);
+      for (const e of t.events) {
+        console.log(`     ${e.at} ${e.type}${e.reason ? ` (${e.reason})` : ''} → concurrency ${e.concurrency}${e.pauseMs ? `, paused ${formatDuration(e.pauseMs)}` : ''}${e.url ? ` ${e.url}` : ''}`);
+      }
+    }
+    for (const p of manifest.counts?.profiles || []) {
+      console.log(`   - Profile ${p.profile}: ${p.visits} visits${p.session?.expirations ? `, expired ${p.session.expirations}x` : ''}`);
+    }
+    if (manifest.error) console.log(`   - Error: ${manifest.error}`);
+    console.log(`\n🔗 URLs attempted: ${manifest.urls.length}`);
+    for (const u of manifest.urls.slice(0, limit ?? manifest.urls.length)) {
+      console.log(`   ${u.status.padEnd(5)} ${u.stage.padEnd(7)} ${u.url}${u.code ? ` ${u.code}` : ''}${u.durationMs != null ? ` (${formatDuration(u.durationMs)})` : ''}${u.profile ? ` [${u.profile}]` : ''}`);
+    }
+    return manifest;
+  }
+
+  const store = openStore(dataDir);
+  const runs = store.runs({ limit: limit ?? 20 });
+  store.close();
+  if (format === 'json') {
+    console.log(JSON.stringify(runs, null, 2));
+    return runs;
+  }
+  if (!runs.length) console.log(`❓ No runs recorded in ${dataDir} yet`);
+  for (const r of runs) {
+    console.log(`${STATUS_ICONS[r.status] || '•'} ${r.id}  ${r.command.padEnd(18)} ${formatDuration(r.durationMs).padStart(7)}  ${describeCounts(r.counts)}`);
+  }
+  return runs;
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options, positionals } = resolveOptions(['dataDir', 'format', 'limit'], {
+    usage: 'node src/runs.js [run-id|latest] [options]',
+  });
+  printRuns(options, positionals[0]);
+}
+
+export { runManifest, printRuns };
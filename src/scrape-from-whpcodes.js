@@ -6,6 +6,14 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { chromium } from 'playwright';
 import { extractPopupPromoFromNetwork } from './utils/extractPromo.js';
+import { toOutputRow, csvHeader, csvLine, describeDiscount } from './utils/promoResult.js';
+import { resolveOptions } from './utils/options.js';
+import { openStore } from './utils/store.js';
+import { log as rootLog } from './utils/logger.js';
+import { createWorkerPool, openBrowserSession } from './utils/workerPool.js';
+import { createSessionMonitor, probeLoggedIn, isLoginUrl } from './utils/sessionHealth.js';
+import { AuthLostError } from './utils/errorClass.js';
+import { resolveOneAuth, authContextOptions, addAuthCookies, describeAuth, LEGACY_COOKIES } from './utils/authProfiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,45 +21,41 @@ const __dirname = path.dirname(__filename);
 const OUT_DIR = path.join(__dirname, '..', 'out');
 const OUT_JSON = path.join(OUT_DIR, 'whop_popup_codes.json');
 const OUT_CSV  = path.join(OUT_DIR, 'whop_popup_codes.csv');
-const COOKIE_PATH = path.join(__dirname, '..', 'cookies.json');
-const STORAGE_STATE_PATH = process.env.WHOP_STORAGE || path.join(__dirname, '..', 'storageState.json');
+const COOKIE_PATH = process.env.WHOP_COOKIES || LEGACY_COOKIES;
 
 // ---- config ----
-const START_URL   = process.env.WHPCODES_START_URL || 'https://whpcodes.com/';
-const MAX_LIST_PAGES = parseInt(process.env.WHPCODES_MAX_PAGES || '50', 10);   // how many list pages to traverse
-const CONCURRENCY = parseInt(process.env.WHOP_CONCURRENCY || '2', 10);        // how many Whop pages in parallel
 const HEADED      = !!process.env.HEADED;                                     // headed mode for debugging
 const SLOWMO      = parseInt(process.env.SLOWMO || '0', 10);                  // slow motion for debugging
 const HEADLESS    = process.env.HEADLESS !== 'false' && !HEADED;
 const DELAY_MS    = parseInt(process.env.WHOP_DELAY_MS || '250', 10);         // polite delay between item visits
-const AUTH_MODE   = process.env.WHOP_AUTH || 'auto';                          // 'storage', 'cookies', 'auto'
+
+// Listing, session, worker pool and session health settings: flag, else env var, else the shared default (utils/options.js)
+const { options } = resolveOptions(['startUrl', 'maxPages', 'profile', 'storage', 'authMode', 'concurrency', 'taskTimeout', 'recycleAfter', 'maxRestarts', 'sessionCheck', 'sessionWait'], {
+  usage: 'node src/scrape-from-whpcodes.js [options]',
+});
+const START_URL         = options.startUrl;
+const MAX_LIST_PAGES    = options.maxPages;              // how many list pages to traverse
+const CONCURRENCY       = options.concurrency;           // how many Whop pages in parallel
+const TASK_TIMEOUT_MS   = options.taskTimeout * 1000;    // per product visit
+const RECYCLE_AFTER     = options.recycleAfter;          // visits per browser context
+const SESSION_CHECK_MIN = options.sessionCheck;          // minutes between session checks
+const SESSION_WAIT_MIN  = options.sessionWait;           // minutes to wait for a refreshed session
+
+// Tagged with the run once it starts
+let log = rootLog;
+// The session the scan runs under (see utils/authProfiles.js), resolved when it starts
+let auth = null;
 
 function ensureOut() {
   if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
   if (!fs.existsSync(OUT_JSON)) fs.writeFileSync(OUT_JSON, '[]', 'utf8');
   if (!fs.existsSync(OUT_CSV)) {
-    fs.writeFileSync(
-      OUT_CSV,
-      'timestamp,productUrl,productId,productRoute,productTitle,amountOff,discountOff,code,promoId\n',
-      'utf8'
-    );
+    fs.writeFileSync(OUT_CSV, csvHeader(), 'utf8');
   }
 }
 
 function appendCsv(row) {
-  const esc = v => (v ?? '').toString().replaceAll('"','""');
-  const line = [
-    new Date().toISOString(),
-    row.productUrl,
-    row.productId,
-    row.productRoute,
-    row.productTitle,
-    row.amountOff,
-    row.discountOff,
-    row.code,
-    row.promoId
-  ].map(esc).map(v => `"${v}"`).join(',') + '\n';
-  fs.appendFileSync(OUT_CSV, line, 'utf8');
+  fs.appendFileSync(OUT_CSV, csvLine(row), 'utf8');
 }
 
 function upsertJson(row) {
@@ -62,36 +66,49 @@ function upsertJson(row) {
   fs.writeFileSync(OUT_JSON, JSON.stringify(data, null, 2), 'utf8');
 }
 
-async function loadAuth(browser) {
-  const useStorage = fs.existsSync(STORAGE_STATE_PATH) ? { storageState: STORAGE_STATE_PATH } : {};
-
-  const context = await browser.newContext({
-    ...useStorage,
-    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
+// Browser session with the profile's storage state (or cookies.json, per --auth) on every context
+async function openAuthSession({ onGiveUp }) {
+  const session = await openBrowserSession({
+    launch: () => chromium.launch({
+      headless: HEADLESS,
+      slowMo: SLOWMO,
+      args: HEADED ? ['--start-maximized'] : []
+    }),
+    // Read per context, so a refreshed session file counts
+    contextOptions: () => ({
+      ...authContextOptions(auth),
+      userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124 Safari/537.36',
+    }),
+    async setupContext(context) {
+      // Realistic headers and referrer for every product visit
+      await context.setExtraHTTPHeaders({
+        'Referer': 'https://whop.com/discover/',
+        'Sec-CH-UA-Platform': '"macOS"',
+        'Accept-Language': 'en-US,en;q=0.9'
+      });
+      await addAuthCookies(context, auth);
+    },
+    recycleAfter: RECYCLE_AFTER,
+    maxRestarts: options.maxRestarts,
+    onGiveUp,
+    log,
   });
 
-  console.log(useStorage.storageState ? `🔐 Using storage state: ${STORAGE_STATE_PATH}` : '⚠️ No storage state in use');
+  if (auth.source) log.info(`🔐 Using ${describeAuth(auth)}`);
+  else log.warn('⚠️ No session in use');
 
   // Verify authentication by checking login status
-  const page = await context.newPage();
-  try {
-    await page.goto('https://whop.com/', { waitUntil: 'domcontentloaded' });
-    const loggedIn = await page.locator('a[href*="/profile"], [data-testid="user-menu"], .avatar, [href*="/dashboard"]').first().isVisible().catch(() => false);
-    console.log(loggedIn ? '✅ Logged in session detected' : '⚠️ Not logged in – some payloads may be hidden');
-  } catch (e) {
-    console.log('⚠️ Could not verify login status');
-  } finally {
-    await page.close();
-  }
-
-  // Fallback to cookies if no storage state
-  if (!useStorage.storageState && fs.existsSync(COOKIE_PATH)) {
-    console.log('🍪 Loading cookies from cookies.json');
-    const cookies = JSON.parse(fs.readFileSync(COOKIE_PATH, 'utf8'));
-    await context.addCookies(cookies);
-  }
+  await session.withPage(async (page) => {
+    try {
+      const loggedIn = await probeLoggedIn(page);
+      if (loggedIn) log.info('✅ Logged in session detected');
+      else log.warn('⚠️ Not logged in – some payloads may be hidden');
+    } catch (e) {
+      log.warn('⚠️ Could not verify login status', { error: e });
+    }
+  });
 
-  return context;
+  return session;
 }
 
 async function waitNetworkIdle(page, { quiet = 800, timeout = 15000 } = {}) {
@@ -209,9 +226,8 @@ async function getNextPageHref(page) {
   return null;
 }
 
-async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpcodes.com/') {
+async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpcodes.com/', { maxPages = MAX_LIST_PAGES } = {}) {
   const page = await context.newPage();
-  const maxPages = parseInt(process.env.WHPCODES_MAX_PAGES || '200', 10);
 
   // helper: extract "Go to page" links that point to whop.com
   async function extractWhopLinks() {
@@ -259,7 +275,7 @@ async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpco
       // scheme "works" if URL actually changed and we didn't get bounced back
       if (after !== before) {
         makePageUrl = scheme;
-        console.log(`Detected pagination scheme: ${scheme(2)}`);
+        log.info(`Detected pagination scheme: ${scheme(2)}`);
         // If page 2 produced some links (or even 0), it's still a valid scheme
         break;
       }
@@ -270,7 +286,7 @@ async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpco
 
   // fallback: if neither worked, just use base without paging
   if (!makePageUrl) {
-    console.warn('Could not detect pagination scheme. Falling back to single page.');
+    log.warn('Could not detect pagination scheme. Falling back to single page.');
     const links = await loadAndGrab(baseUrl);
     await page.close();
     return Array.from(new Set(links));
@@ -287,7 +303,7 @@ async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpco
     // If the site bounces invalid pages back to page 1, detect and stop
     const effective = page.url();
     if (n > 1 && /[?&/]page(\=|\/)1\b/i.test(effective)) {
-      console.log(`Pagination bounced back to page 1 at n=${n}. Stopping.`);
+      log.info(`Pagination bounced back to page 1 at n=${n}. Stopping.`);
       break;
     }
 
@@ -295,7 +311,7 @@ async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpco
     if (!links.length) {
       // allow one trailing empty (in case of sparse pages), then stop
       if (lastNonEmptyPage && n > lastNonEmptyPage + 1) {
-        console.log(`No links found on page ${n}. Stopping.`);
+        log.info(`No links found on page ${n}. Stopping.`);
         break;
       }
     } else {
@@ -303,7 +319,7 @@ async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpco
       links.forEach(href => collected.add(href));
     }
 
-    console.log(`Page ${n}: ${links.length} links (total: ${collected.size})`);
+    log.info(`Page ${n}: ${links.length} links (total: ${collected.size})`);
 
     // small random delay to be polite
     await page.waitForTimeout(300 + Math.floor(Math.random() * 400));
@@ -313,137 +329,158 @@ async function collectAllWhopLinksFromWhpCodes(context, baseUrl = 'https://whpco
   return Array.from(collected);
 }
 
-async function scrapePopupFromWhop(context, productUrl) {
-  const page = await context.newPage();
+async function scrapePopupFromWhop(session, store, productUrl, signal) {
+  const started = Date.now();
 
   try {
-    // Set realistic headers and referrer
-    await context.setExtraHTTPHeaders({
-      'Referer': 'https://whop.com/discover/',
-      'Sec-CH-UA-Platform': '"macOS"',
-      'Accept-Language': 'en-US,en;q=0.9'
-    });
-
-    // Navigate to product page
-    await page.goto(productUrl, { waitUntil: 'domcontentloaded' });
-
-    // Use the robust network extraction utility
-    const promo = await extractPopupPromoFromNetwork(page);
-
-    let saved = 0;
-    if (promo && (promo.code || promo.amountOff || promo.discountOff)) {
-      const record = {
-        productUrl,
-        productId: (productUrl.match(/productId=([^&]+)/) || [,''])[1] ||
-                   (productUrl.match(/\/([^/?]+)\/?(?:\?|$)/) || [,''])[1],
-        productRoute: (productUrl.match(/\/([^/?#]+)/) || [,''])[1],
-        productTitle: await page.title().catch(() => ''),
-        amountOff: promo.amountOff ?? '',
-        discountOff: promo.discountOff ?? '',
-        code: promo.code ?? '',
-        promoId: promo.promoId ?? '',
-        sourceUrl: promo.url || ''
-      };
-
-      appendCsv(record);
-      upsertJson(record);
-      saved++;
-      console.log(`🎉 Found popup code for ${productUrl}: ${record.code || 'discount'} (${record.amountOff || record.discountOff}) via ${promo.type}`);
-    } else {
-      console.log(`— No promo found for ${productUrl}`);
-    }
-
-    await page.close();
-    return saved;
+    return await session.withPage(async (page) => {
+      // Navigate to product page; with a session, a bounce to the login page means it expired
+      await page.goto(productUrl, { waitUntil: 'domcontentloaded' });
+      if (auth.source && isLoginUrl(page.url())) throw new AuthLostError(productUrl, page.url());
+
+      // Use the robust network extraction utility
+      const promo = await extractPopupPromoFromNetwork(page, { url: productUrl });
+      store.recordAttempt({ url: productUrl, stage: 'scrape', result: promo, durationMs: Date.now() - started, profile: auth.name });
+
+      let saved = 0;
+      if (promo?.code) {
+        const record = toOutputRow(promo, {
+          productUrl,
+          productId: (productUrl.match(/productId=([^&]+)/) || [,''])[1] ||
+                     (productUrl.match(/\/([^/?]+)\/?(?:\?|$)/) || [,''])[1],
+          productRoute: (productUrl.match(/\/([^/?#]+)/) || [,''])[1],
+          productTitle: await page.title().catch(() => ''),
+          profile: auth.name || '',
+        });
+
+        appendCsv(record);
+        upsertJson(record);
+        saved++;
+        log.info(`🎉 Found popup code for ${productUrl}: ${record.code} (${describeDiscount(promo) || 'no discount'}) via ${promo.source.contentType}`, { url: productUrl, code: record.code });
+      } else {
+        log.debug(`— No promo found for ${productUrl}`, { url: productUrl });
+      }
+      return saved;
+    }, { signal });
 
-  } catch (err) {
-    console.warn(`Error scraping ${productUrl}: ${err.message}`);
-    await page.close();
+  } catch (e) {
+    // A timed-out visit fails on its closed page; the pool's reason is the cause
+    const err = signal?.aborted ? signal.reason : e;
+    // Not recorded: the product is visited again once the session is refreshed
+    if (err instanceof AuthLostError) throw err;
+    log.warn(`Error scraping ${productUrl}: ${err.message}`, { url: productUrl, error: err });
+    store.recordAttempt({ url: productUrl, stage: 'scrape', error: err.message, durationMs: Date.now() - started, profile: auth.name });
     return 0;
   }
 }
 
-async function runPool(items, worker, concurrency) {
-  const queue = [...items];
-  let active = 0;
-  let done = 0;
-  return new Promise(resolve => {
-    const tick = () => {
-      if (queue.length === 0 && active === 0) return resolve();
-      while (active < concurrency && queue.length) {
-        const item = queue.shift();
-        active++;
-        worker(item)
-          .catch(() => {})
-          .finally(() => {
-            active--; done++;
-            process.stdout.write(`\rProcessed ${done}/${items.length}`);
-            setTimeout(tick, 0);
-          });
-      }
-    };
-    tick();
-  });
-}
-
 (async () => {
   ensureOut();
-
-  console.log('🚀 Starting WHP Codes scraper with enhanced authentication and parsing...');
-  if (HEADED) console.log('👁️  Running in headed mode for debugging');
-
-  const browser = await chromium.launch({
-    headless: HEADLESS,
-    slowMo: SLOWMO,
-    args: HEADED ? ['--start-maximized'] : []
+  const store = openStore();
+  const runId = store.beginRun({ command: 'scrape:whpcodes', config: { startUrl: START_URL, maxPages: MAX_LIST_PAGES, concurrency: CONCURRENCY, headless: HEADLESS, delayMs: DELAY_MS, profile: options.profile, authMode: options.authMode } });
+
+  log = rootLog.child({ runId, stage: 'scrape' });
+
+  log.info('🚀 Starting WHP Codes scraper with enhanced authentication and parsing...');
+  if (HEADED) log.info('👁️  Running in headed mode for debugging');
+
+  auth = resolveOneAuth({ profile: options.profile, storage: options.storage, authMode: options.authMode, cookiesFile: COOKIE_PATH, log });
+
+  // Created before the session so a session that gives up can stop it; while the session is
+  // expired (utils/sessionHealth.js) no visit starts
+  let health = null;
+  const pool = createWorkerPool({
+    concurrency: CONCURRENCY,
+    taskTimeoutMs: TASK_TIMEOUT_MS,
+    canStart: () => !health || health.ready(),
+    spawnDelay: () => DELAY_MS + Math.random() * DELAY_MS, // polite jitter
+    handleSignals: true,
+    log,
   });
 
-  const context = await loadAuth(browser);
+  const session = await openAuthSession({ onGiveUp: () => pool.stop() });
 
   // 1) Collect Whop product links from whpcodes.com
-  console.log(`📋 Collecting product links from ${START_URL}`);
-  const productUrls = await collectAllWhopLinksFromWhpCodes(context, START_URL);
-  console.log(`✅ Found ${productUrls.length} Whop links via whpcodes.com`);
+  log.info(`📋 Collecting product links from ${START_URL}`);
+  const productUrls = await collectAllWhopLinksFromWhpCodes(session.context, START_URL, { maxPages: MAX_LIST_PAGES });
+  log.info(`✅ Found ${productUrls.length} Whop links via whpcodes.com`);
 
   if (productUrls.length === 0) {
-    console.log('❌ No product URLs found. Check whpcodes.com connectivity.');
-    await browser.close();
+    log.info('❌ No product URLs found. Check whpcodes.com connectivity.');
+    await session.close();
+    store.endRun();
+    store.close();
     return;
   }
 
   // 2) Visit each product page and capture popupPromoCode
-  console.log(`🔍 Scanning ${productUrls.length} products for popup promo codes...`);
+  log.info(`🔍 Scanning ${productUrls.length} products for popup promo codes...`);
   let found = 0;
   let processed = 0;
 
-  await runPool(productUrls, async (url) => {
-    const n = await scrapePopupFromWhop(context, url);
+  // Session checks while scanning: an expired session pauses the scan until the session file
+  // is refreshed, or stops it after WHP_SESSION_WAIT minutes
+  health = auth.source
+    ? createSessionMonitor({
+      storage: auth.file,
+      probe: () => session.withPage(page => probeLoggedIn(page)),
+      checkEveryMs: SESSION_CHECK_MIN * 60_000,
+      waitMs: SESSION_WAIT_MIN * 60_000,
+      onRefreshed: () => session.restart('session refreshed'),
+      onGaveUp: () => pool.stop(),
+      log,
+    })
+    : null;
+  if (health) {
+    await health.check();
+    if (SESSION_CHECK_MIN > 0) health.start();
+  }
+
+  productUrls.forEach(u => pool.add(u));
+  const outcome = await pool.run(async (url, { signal }) => {
+    let n;
+    try {
+      n = await scrapePopupFromWhop(session, store, url, signal);
+    } catch (error) {
+      if (!(error instanceof AuthLostError)) throw error;
+      health.expire(error.message);
+      pool.add(url);
+      return;
+    }
     if (n > 0) found += n;
     processed++;
 
     if (processed % 10 === 0 || n > 0) {
-      console.log(`📊 Progress: ${processed}/${productUrls.length}, codes found: ${found}`);
+      log.info(`📊 Progress: ${processed}/${productUrls.length}, codes found: ${found}`);
     }
+  });
 
-    await new Promise(r => setTimeout(r, DELAY_MS + Math.random()*DELAY_MS)); // polite jitter
-  }, CONCURRENCY);
-
-  console.log(`\n🎉 Scraping complete!`);
-  console.log(`📈 Products scanned: ${processed}/${productUrls.length}`);
-  console.log(`🎫 Popup promo codes found: ${found}`);
-  console.log(`📁 Output files:`);
-  console.log(`   CSV: ${OUT_CSV}`);
-  console.log(`   JSON: ${OUT_JSON}`);
+  log.info(`\n🎉 Scraping complete!`);
+  log.info(`📈 Products scanned: ${processed}/${productUrls.length}`);
+  log.info(`🎫 Popup promo codes found: ${found}`);
+  log.info(`📁 Output files:`);
+  log.info(`   CSV: ${OUT_CSV}`);
+  log.info(`   JSON: ${OUT_JSON}`);
+  log.info(`   Store: ${store.file}`);
 
   if (found === 0) {
-    console.log(`\n💡 Tips to find more codes:`);
-    console.log(`   1. Run 'npm run login:capture' to authenticate`);
-    console.log(`   2. Try during promotional periods/campaigns`);
-    console.log(`   3. Use HEADED=1 to debug individual products`);
+    log.info(`\n💡 Tips to find more codes:`);
+    log.info(`   1. Run 'npm run login:capture' to authenticate`);
+    log.info(`   2. Try during promotional periods/campaigns`);
+    log.info(`   3. Use HEADED=1 to debug individual products`);
   }
 
-  await browser.close();
+  health?.stop();
+  const expired = health && health.status !== 'ok' ? `Session expired: ${health.reason}` : null;
+  if (expired) log.error(`🔒 ${expired}; refresh ${auth.file} and scan again`);
+  await session.close();
+  store.endRun({
+    status: session.gaveUp ? 'failed' : outcome.stopped || expired ? 'interrupted' : 'completed',
+    error: session.gaveUp?.message || expired,
+    stats: { pool: pool.stats(), browser: session.stats(), session: health?.stats() },
+  });
+  store.close();
 })().catch(err => {
-  console.error('❌ Fatal error:', err);
+  log.error(`❌ Fatal error: ${err.message}`, { error: err });
   process.exit(1);
 });
\ No newline at end of file
@@ -2,42 +2,46 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { chromium, devices } from 'playwright';
+import { extractPopupPromoFromNetwork } from './utils/extractPromo.js';
+import { toOutputRow, csvHeader, csvLine } from './utils/promoResult.js';
+import { readUrlList } from './discovery/urlList.js';
+import { resolveOptions } from './utils/options.js';
+import { openStore } from './utils/store.js';
+import { log as rootLog } from './utils/logger.js';
+import { createWorkerPool, openBrowserSession } from './utils/workerPool.js';
+import { resolveOneAuth, authContextOptions, addAuthCookies, describeAuth, LEGACY_COOKIES } from './utils/authProfiles.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const URL_LIST_FILE = process.env.WHOP_URL_LIST || path.join(__dirname, '..', 'product_urls.txt');
 const START_SOURCE  = process.env.WHOP_START_URL || ''; // optional discover/search URL
-const COOKIES_FILE  = process.env.WHOP_COOKIES || path.join(__dirname, '..', 'cookies.json');
+const COOKIES_FILE  = process.env.WHOP_COOKIES || LEGACY_COOKIES;
 
 const OUT_DIR  = path.join(__dirname, '..', 'out');
 const OUT_JSON = path.join(OUT_DIR, 'whop_popup_codes.json');
 const OUT_CSV  = path.join(OUT_DIR, 'whop_popup_codes.csv');
 
-const MAX_CONCURRENCY = Number(process.env.WHOP_CONCURRENCY || 2);
 const REQUEST_TIMEOUT = 45000;
 
+// Session and worker pool settings: flag, else env var, else the shared default (utils/options.js)
+const { options } = resolveOptions(['profile', 'storage', 'authMode', 'concurrency', 'taskTimeout', 'recycleAfter', 'maxRestarts'], {
+  usage: 'node src/scrape-whop-popup-codes.js [options]',
+});
+const MAX_CONCURRENCY = options.concurrency;
+const TASK_TIMEOUT = options.taskTimeout * 1000;
+const RECYCLE_AFTER = options.recycleAfter;
+
 function ensureOut() {
   if (!fs.existsSync(OUT_DIR)) fs.mkdirSync(OUT_DIR, { recursive: true });
   if (!fs.existsSync(OUT_JSON)) fs.writeFileSync(OUT_JSON, '[]');
   if (!fs.existsSync(OUT_CSV)) {
-    fs.writeFileSync(OUT_CSV, 'timestamp,productUrl,productId,productRoute,productTitle,amountOff,discountOff,code,promoId\n');
+    fs.writeFileSync(OUT_CSV, csvHeader());
   }
 }
-function sleep(ms){ return new Promise(r=>setTimeout(r,ms)); }
 function rand(min,max){ return Math.floor(Math.random()*(max-min+1))+min; }
 function appendCSV(rec){
-  const esc = s => (s==null?'':String(s).replace(/\n/g,' ').replace(/"/g,'""'));
-  const line = [
-    rec.timestamp, rec.productUrl, rec.productId, rec.productRoute,
-    `"${esc(rec.productTitle)}"`, rec.amountOff ?? '', rec.discountOff ?? '',
-    rec.code ?? '', rec.promoId ?? ''
-  ].join(',');
-  fs.appendFileSync(OUT_CSV, line + '\n');
-}
-function readUrlList(){
-  if (!fs.existsSync(URL_LIST_FILE)) return [];
-  return fs.readFileSync(URL_LIST_FILE,'utf8').split('\n').map(s=>s.trim()).filter(Boolean);
+  fs.appendFileSync(OUT_CSV, csvLine(rec));
 }
 async function discoverFrom(page){
   if (!START_SOURCE) return [];
@@ -56,152 +60,107 @@ async function discoverFrom(page){
   ));
   return uniq;
 }
-async function loadCookies(ctx){
-  if (!fs.existsSync(COOKIES_FILE)) return;
-  try {
-    const cookies = JSON.parse(fs.readFileSync(COOKIES_FILE,'utf8'));
-    if (Array.isArray(cookies) && cookies.length) await ctx.addCookies(cookies);
-  } catch {}
-}
-
-/** tolerant extraction for JSON or streamed RSC blobs */
-function extractPromoFromBody(body){
-  if (!body || !body.includes('popupPromoCode')) return null;
-
-  // 1) Try full JSON parse & DFS
-  try {
-    const json = JSON.parse(body);
-    const stack = [json];
-    while (stack.length){
-      const x = stack.pop();
-      if (x && typeof x === 'object'){
-        if (x.popupPromoCode && (x.popupPromoCode.code || x.popupPromoCode.amountOff != null || x.popupPromoCode.discountOff)){
-          return x.popupPromoCode;
-        }
-        for (const k in x) stack.push(x[k]);
-      }
-    }
-  } catch {
-    // 2) Try to pull out the object with a regex and parse that fragment
-    const m = body.match(/"popupPromoCode"\s*:\s*\{[^}]*\}/);
-    if (m){
-      try {
-        // Wrap to make valid JSON
-        const wrapped = `{${m[0]}}`;
-        const parsed = JSON.parse(wrapped);
-        if (parsed.popupPromoCode) return parsed.popupPromoCode;
-      } catch {}
-    }
-  }
-  return null;
-}
 
-async function scrapeOne(context, url){
-  const page = await context.newPage();
-  let lastPromo = null;  // store the *latest* match (equivalent to "bottom result")
+async function scrapeOne(session, store, auth, url, signal){
+  const started = Date.now();
   let productTitle = '';
   let productId = '';
   let productRoute = '';
 
-  page.on('response', async (resp) => {
+  return session.withPage(async (page) => {
+    // Load + reload capture; the extractor keeps the best-attributed popupPromoCode
+    const promo = await extractPopupPromoFromNetwork(page, { url, timeoutMs: REQUEST_TIMEOUT });
+    store.recordAttempt({ url, stage: 'scrape', result: promo, durationMs: Date.now() - started, profile: auth.name });
+    if (!promo?.code) return null;
+
+    // Collect a few meta fields
+    try { productTitle = (await page.locator('h1,[data-testid="product-title"]').first().textContent({ timeout: 1200 })) || ''; } catch {}
     try {
-      const headers = resp.headers();
-      const ct = (headers['content-type'] || headers['Content-Type'] || '');
-      if (!(ct.includes('json') || ct.includes('text'))) return;
-      const txt = await resp.text();
-      const promo = extractPromoFromBody(txt);
-      if (promo && (promo.code || promo.amountOff != null || promo.discountOff)){
-        lastPromo = promo; // overwrite, keeping the most recent one seen
-      }
+      const u = new URL(page.url());
+      productRoute = u.pathname.replace(/^\/+/,'');
+      productId = u.searchParams.get('productId') || (u.pathname.match(/prod_[A-Za-z0-9]+/)||[])[0] || '';
     } catch {}
-  });
 
-  // Load + Reload (mirrors the manual "refresh" step)
-  await page.goto(url, { waitUntil: 'domcontentloaded', timeout: REQUEST_TIMEOUT });
-  await page.reload({ waitUntil: 'domcontentloaded', timeout: REQUEST_TIMEOUT });
-
-  // Minimal human-like activity; some responses load after scroll/idle
-  try {
-    await page.mouse.move(rand(100,800), rand(120,700));
-    await page.mouse.wheel(0, rand(400,1400));
-    await page.waitForTimeout(rand(1200,2500));
-  } catch {}
-
-  // Collect a few meta fields
-  try { productTitle = (await page.locator('h1,[data-testid="product-title"]').first().textContent({ timeout: 1200 })) || ''; } catch {}
-  try {
-    const u = new URL(page.url());
-    productRoute = u.pathname.replace(/^\/+/,'');
-    productId = u.searchParams.get('productId') || (u.pathname.match(/prod_[A-Za-z0-9]+/)||[])[0] || '';
-  } catch {}
-
-  await page.close();
-
-  if (!lastPromo) return null;
-
-  return {
-    timestamp: new Date().toISOString(),
-    productUrl: url,
-    productId,
-    productRoute,
-    productTitle: (productTitle||'').trim(),
-    amountOff: lastPromo.amountOff ?? null,
-    discountOff: lastPromo.discountOff ?? null,
-    code: lastPromo.code ?? null,
-    promoId: lastPromo.id ?? null,
-  };
+    return toOutputRow(promo, {
+      productUrl: url,
+      productId,
+      productRoute,
+      productTitle: productTitle.trim(),
+      profile: auth.name || '',
+    });
+  }, { signal });
 }
 
 async function main(){
   ensureOut();
-
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    ...devices['Desktop Chrome'],
-    viewport: { width: 1366, height: 768 }
+  const store = openStore();
+  // --profile / --storage / --auth pick the session (utils/authProfiles.js)
+  const auth = resolveOneAuth({ profile: options.profile, storage: options.storage, authMode: options.authMode, cookiesFile: COOKIES_FILE, log: rootLog });
+  const runId = store.beginRun({ command: 'scrape:popup-codes', config: { urlList: URL_LIST_FILE, startSource: START_SOURCE, concurrency: MAX_CONCURRENCY, profile: auth.name } });
+  const log = rootLog.child({ runId, stage: 'scrape' });
+
+  const session = await openBrowserSession({
+    launch: () => chromium.launch({ headless: true }),
+    contextOptions: {
+      ...devices['Desktop Chrome'],
+      ...authContextOptions(auth),
+      viewport: { width: 1366, height: 768 }
+    },
+    setupContext: (context) => addAuthCookies(context, auth),
+    recycleAfter: RECYCLE_AFTER,
+    maxRestarts: options.maxRestarts,
+    onGiveUp: () => pool.stop(),
+    log,
   });
-  await loadCookies(context);
+  log.info(`🔐 Session: ${describeAuth(auth)}`);
 
   // Seed discovery (optional)
-  const boot = await context.newPage();
-  const discovered = await discoverFrom(boot);
-  await boot.close();
+  const discovered = await session.withPage(discoverFrom);
 
-  const explicit = readUrlList();
+  const explicit = readUrlList(URL_LIST_FILE);
   const urls = Array.from(new Set([...explicit, ...discovered]));
   if (!urls.length){
-    console.error('No product URLs. Provide product_urls.txt or set WHOP_START_URL.');
+    log.error('No product URLs. Provide product_urls.txt or set WHOP_START_URL.');
     process.exit(2);
   }
 
   const results = JSON.parse(fs.readFileSync(OUT_JSON,'utf8'));
-  const q = urls.slice(); // queue
-
-  async function worker(id){
-    while (q.length){
-      const url = q.shift();
-      try {
-        const rec = await scrapeOne(context, url);
-        if (rec){
-          results.push(rec);
-          fs.writeFileSync(OUT_JSON, JSON.stringify(results, null, 2));
-          appendCSV(rec);
-          console.log(`Worker ${id}: ✅ ${rec.code || '(no-code)'} @ ${rec.productRoute}`);
-        } else {
-          console.log(`Worker ${id}: – no popupPromoCode @ ${url}`);
-        }
-      } catch (e){
-        console.warn(`Worker ${id}: Error on ${url}: ${e.message}`);
+  const pool = createWorkerPool({
+    concurrency: MAX_CONCURRENCY,
+    taskTimeoutMs: TASK_TIMEOUT,
+    spawnDelay: () => rand(600,1600),
+    handleSignals: true,
+    log,
+  });
+  urls.forEach(u => pool.add(u));
+
+  const outcome = await pool.run(async (url, { worker: id, signal }) => {
+    const workerLog = log.child({ worker: id, url });
+    try {
+      const rec = await scrapeOne(session, store, auth, url, signal);
+      if (rec){
+        results.push(rec);
+        fs.writeFileSync(OUT_JSON, JSON.stringify(results, null, 2));
+        appendCSV(rec);
+        workerLog.info(`Worker ${id}: ✅ ${rec.code || '(no-code)'} @ ${rec.productRoute}`, { code: rec.code, route: rec.productRoute });
+      } else {
+        workerLog.info(`Worker ${id}: – no popupPromoCode @ ${url}`);
       }
-      await sleep(rand(600,1600));
+    } catch (thrown){
+      const e = signal.aborted ? signal.reason : thrown;
+      workerLog.warn(`Worker ${id}: Error on ${url}: ${e.message}`, { error: e });
+      store.recordAttempt({ url, stage: 'scrape', error: e.message, profile: auth.name });
     }
-  }
-
-  const workers = Math.min(MAX_CONCURRENCY, urls.length);
-  await Promise.all(Array.from({ length: workers }, (_, i) => worker(i+1)));
+  });
 
-  await browser.close();
-  console.log('Done. Outputs at:', OUT_JSON, OUT_CSV);
+  await session.close();
+  store.endRun({
+    status: session.gaveUp ? 'failed' : outcome.stopped ? 'interrupted' : 'completed',
+    error: session.gaveUp?.message,
+    stats: { pool: pool.stats(), browser: session.stats() },
+  });
+  store.close();
+  log.info(`Done. Outputs at: ${OUT_JSON} ${OUT_CSV} - visits recorded in ${store.file}`);
 }
 
-main().catch(e => { console.error(e); process.exit(1); });
\ No newline at end of file
+main().catch(e => { rootLog.error(`❌ ${e.message}`, { error: e }); process.exit(1); });
\ No newline at end of file
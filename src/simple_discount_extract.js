@@ -1,11 +1,16 @@
 // src/simple_discount_extract.js
-import { readFileSync, writeFileSync, appendFileSync, existsSync } from 'fs';
-import path from 'path';
+import { fileURLToPath } from 'url';
 import { chromium } from 'playwright';
 import { extractPopupPromoFromNetwork } from './utils/extractPromo.js';
+import { emptyResult, hasDiscount } from './utils/promoResult.js';
+import { DATA_DIR, DEFAULT_STORAGE } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { resolveOneAuth, authContextOptions, addAuthCookies, describeAuth } from './utils/authProfiles.js';
+import { openStore } from './utils/store.js';
+import { log as rootLog } from './utils/logger.js';
+import { createWorkerPool, openBrowserSession } from './utils/workerPool.js';
 
-const VISITED = path.join(process.cwd(), 'data', 'visited.jsonl');
-const OUT     = path.join(process.cwd(), 'data', 'discount_results.jsonl');
+const __filename = fileURLToPath(import.meta.url);
 
 function routeFromUrl(u){ try { return new URL(u).pathname.split('/').filter(Boolean)[0] || null; } catch { return null; } }
 
@@ -72,7 +77,7 @@ async function tryExtract(page, url, opts, attempts = 2) {
   let last;
   for (let i = 0; i < attempts; i++) {
     last = await extractPopupPromoFromNetwork(page, { url, ...opts });
-    if (last && (last.discountPercent != null || last.amountOff != null || last.amountOffInCents != null)) return last;
+    if (hasDiscount(last)) return last;
     if (i < attempts - 1) {
       await page.waitForTimeout(500 + Math.random() * 750);
       await page.reload({ waitUntil: 'domcontentloaded', timeout: 45000 }).catch(()=>{});
@@ -82,9 +87,23 @@ async function tryExtract(page, url, opts, attempts = 2) {
   return last;
 }
 
-(async () => {
-  const rows = readFileSync(VISITED, 'utf8').split('\n').filter(Boolean).map(JSON.parse);
-  const codeRows = rows.filter(r => r.found && r.code && r.url);
+async function simpleDiscountExtract({
+  storage = DEFAULT_STORAGE,
+  profile = null,
+  authMode = 'auto',
+  dataDir = DATA_DIR,
+  redoNull = false,
+  redoFail = false,
+  taskTimeout = 240,
+  recycleAfter = 200,
+} = {}) {
+  const auth = resolveOneAuth({ profile, storage, authMode, log: rootLog });
+  const store = openStore(dataDir);
+  const runId = store.beginRun({ command: 'enrich', config: { strategy: 'simple', storage, profile, authMode, dataDir, redoNull, redoFail, taskTimeout, recycleAfter } });
+  const log = rootLog.child({ runId, stage: 'enrich', strategy: 'simple' });
+
+  const codeRows = store.attempts({ stage: 'extract', status: 'found' });
+  const itemKey = (r) => `${r.url}||${String(r.code).toLowerCase()}`;
 
   const unique = [];
   const seen = new Set();
@@ -95,128 +114,125 @@ async function tryExtract(page, url, opts, attempts = 2) {
   }
 
   // Resume support: skip already-processed (URL + code) pairs
-  const redoNull = process.env.REDO_NULL === '1';
-  const redoFail = process.env.REDO_FAIL === '1';
   const processed = new Set();
+  for (const r of store.attempts({ stage: 'enrich' })) {
+    if (!r.code) continue;
 
-  if (existsSync(OUT)) {
-    try {
-      const existing = readFileSync(OUT, 'utf8').split('\n').filter(Boolean);
-      for (const line of existing) {
-        try {
-          const r = JSON.parse(line);
-          if (!r.url || !r.code) continue;
-
-          // Skip if error and not redoing failures
-          if (r.error && !redoFail) {
-            processed.add(`${r.url}||${r.code}`);
-            continue;
-          }
+    // Skip if error and not redoing failures
+    if (r.status === 'error' && !redoFail) {
+      processed.add(itemKey(r));
+      continue;
+    }
 
-          // Skip if has discount OR (is null and not redoing nulls)
-          const hasDiscount = r.discountPercent != null || r.amountOff != null || r.amountOffInCents != null;
-          if (hasDiscount || !redoNull) {
-            processed.add(`${r.url}||${r.code}`);
-          }
-        } catch {}
-      }
-      console.log(`📂 Resuming with ${processed.size} completed items`);
-    } catch {
-      // File corrupt or missing, start fresh
-      writeFileSync(OUT, '');
+    // Skip if has discount OR (is null and not redoing nulls)
+    if (r.status !== 'error' && (hasDiscount(r.result) || !redoNull)) {
+      processed.add(itemKey(r));
     }
-  } else {
-    writeFileSync(OUT, '');
   }
-
-  const remaining = unique.filter(r => !processed.has(`${r.url}||${r.code}`));
-  console.log(`🎯 Processing ${remaining.length} remaining of ${unique.length} total`);
-
-  // Graceful shutdown
-  let stopping = false;
-  process.on('SIGINT', () => { stopping = true; console.log('\n🛑 Stopping after current item...'); });
-  process.on('SIGTERM', () => { stopping = true; });
-
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    storageState: process.env.WHOP_STORAGE || 'auth/whop.json',
-    bypassCSP: true,
-    serviceWorkers: 'block',
+  if (processed.size) log.info(`📂 Resuming with ${processed.size} completed items`);
+
+  const remaining = unique.filter(r => !processed.has(itemKey(r)));
+  log.info(`🎯 Processing ${remaining.length} remaining of ${unique.length} total`);
+
+  const session = await openBrowserSession({
+    launch: () => chromium.launch({ headless: true }),
+    contextOptions: {
+      ...authContextOptions(auth),
+      bypassCSP: true,
+      serviceWorkers: 'block',
+    },
+    async setupContext(context) {
+      await addAuthCookies(context, auth);
+      await context.route('**/*', route => route.continue());
+      await context.addInitScript(() => localStorage.clear());
+      context.setDefaultTimeout(45000);
+    },
+    recycleAfter,
+    onGiveUp: () => pool.stop(),
+    log,
+  });
+  log.info(`🔐 Session: ${describeAuth(auth)}`);
+
+  // One item at a time; Ctrl-C stops after the current one
+  const pool = createWorkerPool({
+    concurrency: 1,
+    taskTimeoutMs: taskTimeout ? taskTimeout * 1000 : null,
+    spawnDelay: 350,
+    handleSignals: true,
+    log,
   });
-  await context.route('**/*', route => route.continue());
-  await context.addInitScript(() => localStorage.clear());
-  await context.setDefaultTimeout(45000);
+  remaining.forEach(rec => pool.add(rec));
 
   let i = 0;
-  for (const rec of remaining) {
-    if (stopping) break;
-
+  const outcome = await pool.run(async (rec, { signal }) => {
     i++;
-    let page = await context.newPage();
+    const started = Date.now();
+    const already = unique.length - remaining.length;
     try {
-      const route = routeFromUrl(rec.url);
-
-      // Attempt 1: base URL with retry
-      let hit = await tryExtract(page, rec.url, {
-        timeoutMs: 18000,
-        currentRoute: route,
-        onlyThisCode: rec.code,
-      });
-
-      // If no discount, Attempt 2: discover product pages and try them
-      if (!hit?.discountPercent && !hit?.amountOff && !hit?.amountOffInCents) {
-        const products = await discoverProductCandidates(context, rec.url);
-
-        for (const prodUrl of products) {
-          // IMPORTANT: new page per attempt so listeners attach before nav
-          await page.close().catch(()=>{});
-          const p2 = await context.newPage();
-
-          try {
-            hit = await tryExtract(p2, prodUrl, {
+      const hit = await session.withPage(async (page) => {
+        const route = routeFromUrl(rec.url);
+
+        // Attempt 1: base URL with retry
+        let found = await tryExtract(page, rec.url, {
+          timeoutMs: 18000,
+          currentRoute: route,
+          onlyThisCode: rec.code,
+        });
+
+        // If no discount, Attempt 2: discover product pages and try them (the extractor
+        // attaches its listeners before each navigation, so the page can be reused)
+        if (!hasDiscount(found)) {
+          const products = await discoverProductCandidates(session.context, rec.url);
+          for (const prodUrl of products) {
+            found = await tryExtract(page, prodUrl, {
               timeoutMs: 18000,
               currentRoute: route,
               onlyThisCode: rec.code,
             });
-            if (hit?.discountPercent || hit?.amountOff || hit?.amountOffInCents) {
-              // found; assign page reference so finally{} can close
-              page = p2;
-              break;
-            }
-          } finally {
-            if (p2 !== page) await p2.close().catch(()=>{});
+            if (hasDiscount(found)) break;
           }
         }
-      }
-
-      const out = {
-        url: rec.url,
-        code: rec.code,
-        discountPercent: hit?.discountPercent ?? null,
-        amountOff: hit?.amountOff ?? null,
-        amountOffInCents: hit?.amountOffInCents ?? null,
-        sourceUrl: hit?.sourceUrl ?? null,
-        checkedAt: new Date().toISOString(),
-      };
-
-      const ok = out.discountPercent != null || out.amountOff != null || out.amountOffInCents != null;
-      const already = unique.length - remaining.length;
-      console.log(`[${already + i}/${unique.length}] ${rec.url}  ${rec.code}  ${ok ? '✅' : '—'}`);
-
-      appendFileSync(OUT, JSON.stringify(out) + '\n');
-    } catch (e) {
-      const already = unique.length - remaining.length;
-      console.log(`[${already + i}/${unique.length}] ${rec.url} ❌ ${e.message}`);
-      appendFileSync(OUT, JSON.stringify({
-        url: rec.url, code: rec.code, error: e.message, checkedAt: new Date().toISOString()
-      }) + '\n');
-    } finally {
-      await page.close().catch(()=>{});
-      await new Promise(r => setTimeout(r, 350));
+        return found;
+      }, { signal });
+
+      // The code is already known; a miss still records it, with the discount left null
+      const out = hit ?? { ...emptyResult(), code: String(rec.code).toLowerCase() };
+
+      const ok = hasDiscount(out);
+      log.info(`[${already + i}/${unique.length}] ${rec.url}  ${rec.code}  ${ok ? '✅' : '—'}`, { url: rec.url, code: rec.code, discount: ok });
+
+      store.recordAttempt({ url: rec.url, stage: 'enrich', result: out, durationMs: Date.now() - started, profile: auth.name });
+    } catch (thrown) {
+      const e = signal.aborted ? signal.reason : thrown;
+      log.warn(`[${already + i}/${unique.length}] ${rec.url} ❌ ${e.message}`, { url: rec.url, code: rec.code, error: e });
+      // Keep the code on the failed attempt so resume can match it
+      store.recordAttempt({
+        url: rec.url, stage: 'enrich', result: { ...emptyResult(), code: String(rec.code).toLowerCase() },
+        error: e.message, durationMs: Date.now() - started, profile: auth.name,
+      });
     }
-  }
+  });
+
+  await session.close();
+  store.endRun({
+    status: session.gaveUp ? 'failed' : outcome.stopped ? 'interrupted' : 'completed',
+    error: session.gaveUp?.message,
+    stats: { pool: pool.stats(), browser: session.stats() },
+  });
+  store.close();
+  log.info(`\n✅ Resume-safe: progress saved to ${store.file} (run ${runId})`);
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options } = resolveOptions(['storage', 'profile', 'authMode', 'dataDir', 'redoNull', 'redoFail', 'taskTimeout', 'recycleAfter'], {
+    usage: 'node src/simple_discount_extract.js [options]',
+  });
+
+  simpleDiscountExtract(options).catch(error => {
+    rootLog.error(`❌ Discount extraction failed: ${error.message}`, { error });
+    process.exit(1);
+  });
+}
 
-  await context.close();
-  await browser.close();
-  console.log(`\n✅ Resume-safe: progress saved to ${OUT}`);
-})();
+export { simpleDiscountExtract };
@@ -0,0 +1,121 @@
+// src/status.js
+// Pipeline status: queue/attempt counts from the result store plus the latest heartbeat of each stage
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { DATA_DIR, OUT_DIR, DEFAULT_STORAGE, dataFiles, outFiles } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { openStore } from './utils/store.js';
+import { readStorageState, sessionExpiry } from './utils/sessionHealth.js';
+import { parseProfiles, profilePath } from './utils/authProfiles.js';
+import { isAnonymousComparison } from './utils/visibility.js';
+
+const __filename = fileURLToPath(import.meta.url);
+
+function readJson(file) {
+  try { return JSON.parse(fs.readFileSync(file, 'utf8')); } catch { return null; }
+}
+
+function collectStatus({ dataDir = DATA_DIR, outDir = OUT_DIR, storage = DEFAULT_STORAGE, profile = null } = {}) {
+  const files = dataFiles(dataDir);
+  const store = openStore(dataDir);
+
+  // Counted per product key, the same way extraction resumes
+  const queued = store.queuedKeys();
+  const extracts = store.attempts({ stage: 'extract' });
+  // The logged-out half of a --compare-anonymous pair is not a visit of its own. With
+  // --revisit-after a product is observed again and again: its latest visit says found or empty
+  const visited = extracts.filter(a => a.status !== 'error' && !isAnonymousComparison(a));
+  const latestVisit = new Map(visited.map(a => [a.key, a]));
+  const visitedKeys = new Set(latestVisit.keys());
+  // Latest failure per product decides its class; products `whp retry` re-queued are pending again
+  const lastFailure = new Map(extracts.filter(a => a.status === 'error' && !visitedKeys.has(a.key)).map(a => [a.key, a]));
+  const requeuedAt = new Map(store.queueEntries().filter(q => q.requeuedAt).map(q => [q.key, q.requeuedAt]));
+  const failures = [...lastFailure.values()].filter(a => !(requeuedAt.get(a.key) > a.checkedAt));
+  const errored = new Set(failures.map(a => a.key));
+  const errorClasses = {};
+  for (const a of failures) errorClasses[a.errorClass] = (errorClasses[a.errorClass] || 0) + 1;
+  // Latest logged-in/logged-out comparison per product (whp extract --compare-anonymous)
+  const latestVisibility = new Map(visited.filter(a => a.visibility).map(a => [a.key, a.visibility]));
+  const visibility = {};
+  for (const v of latestVisibility.values()) visibility[v] = (visibility[v] || 0) + 1;
+  const discounts = store.attempts().filter(a => ['enrich', 'update', 'bundle'].includes(a.stage) && a.status !== 'error');
+  const { products } = store.counts();
+  const [lastRun = null] = store.runs({ limit: 1 });
+  store.close();
+
+  const pending = [...queued].filter(k => !visitedKeys.has(k) && !errored.has(k));
+
+  // When the session files' login cookies run out (utils/sessionHealth.js): each --profile, else --storage
+  const sessionFiles = profile ? parseProfiles(profile).map(name => profilePath(name)) : storage ? [storage] : [];
+  const sessions = sessionFiles.flatMap(file => {
+    const state = readStorageState(file);
+    return state ? [{ file, ...sessionExpiry(state) }] : [];
+  });
+
+  const { json: outJson } = outFiles(outDir);
+  const materialized = readJson(outJson);
+
+  return {
+    queue: queued.size,
+    visited: latestVisit.size,
+    found: [...latestVisit.values()].filter(a => a.status === 'found').length,
+    empty: [...latestVisit.values()].filter(a => a.status === 'empty').length,
+    errors: errored.size,
+    errorClasses,
+    visibility,
+    pending: pending.length,
+    discounts: discounts.length,
+    products,
+    materialized: Array.isArray(materialized) ? materialized.length : null,
+    lastRun,
+    session: sessions[0] || null,
+    sessions,
+    heartbeats: {
+      extract: readJson(files.heartbeat),
+      enrich: readJson(files.discountHeartbeat),
+      update: readJson(files.discountUpdateHeartbeat),
+    },
+  };
+}
+
+function printStatus(opts = {}) {
+  const s = collectStatus(opts);
+
+  console.log(`📊 Pipeline status (${opts.dataDir || DATA_DIR})`);
+  console.log(`   - In queue: ${s.queue}`);
+  console.log(`   - Visited: ${s.visited} (found: ${s.found}, empty: ${s.empty})`);
+  const classes = Object.entries(s.errorClasses).map(([cls, n]) => `${cls}: ${n}`).join(', ');
+  console.log(`   - Errors: ${s.errors}${classes ? ` (${classes})` : ''}`);
+  console.log(`   - Pending: ${s.pending}`);
+  const visibility = Object.entries(s.visibility).map(([v, n]) => `${v}: ${n}`).join(', ');
+  if (visibility) console.log(`   - Visibility: ${visibility}`);
+  console.log(`   - Discount results: ${s.discounts}`);
+  console.log(`   - Products: ${s.products}`);
+  console.log(`   - Materialized records: ${s.materialized ?? 'none'}`);
+
+  for (const session of s.sessions) {
+    if (session.expired) console.log(`🔒 Session ${session.file}: ${session.cookies ? `expired at ${session.expiresAt}` : 'no whop.com cookies'}; refresh it with whp auth capture`);
+    else console.log(`🔐 Session ${session.file}: ${session.expiresAt ? `valid until ${session.expiresAt}` : 'no expiry set'}`);
+  }
+
+  if (s.lastRun) console.log(`🆔 Last run: ${s.lastRun.id} (${s.lastRun.command}, ${s.lastRun.status})`);
+
+  for (const [stage, beat] of Object.entries(s.heartbeats)) {
+    if (!beat) continue;
+    const progress = beat.progress || (beat.idx != null ? String(beat.idx) : '?');
+    console.log(`💓 ${stage}: ${beat.status || 'unknown'} ${progress} at ${beat.at || '?'}`);
+  }
+
+  return s;
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options } = resolveOptions(['dataDir', 'outDir', 'storage', 'profile'], {
+    usage: 'node src/status.js [options]',
+  });
+  printStatus(options);
+}
+
+export { collectStatus, printStatus };
@@ -1,88 +1,101 @@
 // src/update_discounts.js
 // Re-extracts discount data for existing promo codes
 
-import { readFileSync, writeFileSync, appendFileSync } from 'fs';
-import path from 'path';
+import { writeFileSync } from 'fs';
+import { fileURLToPath } from 'url';
 import { chromium } from 'playwright';
 import { extractPopupPromoFromNetwork } from './utils/extractPromo.js';
+import { hasDiscount, describeDiscount } from './utils/promoResult.js';
+import { DATA_DIR, DEFAULT_STORAGE, dataFiles } from './utils/paths.js';
+import { resolveOptions } from './utils/options.js';
+import { resolveOneAuth, authContextOptions, addAuthCookies, describeAuth } from './utils/authProfiles.js';
+import { openStore } from './utils/store.js';
+import { log as rootLog } from './utils/logger.js';
+import { createWorkerPool, openBrowserSession } from './utils/workerPool.js';
 
-const VISITED_FILE = path.join(process.cwd(), 'data', 'visited.jsonl');
-const OUTPUT_FILE = path.join(process.cwd(), 'data', 'visited_with_discounts.jsonl');
-const HEARTBEAT_FILE = path.join(process.cwd(), 'data', 'discount_update_heartbeat.json');
+const __filename = fileURLToPath(import.meta.url);
 
 function routeFromUrl(u) {
   try { return new URL(u).pathname.split('/').filter(Boolean)[0] || null; } catch { return null; }
 }
 
-function loadRecords() {
-  const lines = readFileSync(VISITED_FILE, 'utf8').split('\n').filter(Boolean);
-  return lines.map(l => JSON.parse(l));
-}
-
-function updateHeartbeat(data) {
+function updateHeartbeat(HEARTBEAT_FILE, data) {
   writeFileSync(HEARTBEAT_FILE, JSON.stringify(data, null, 2));
 }
 
-(async () => {
-  const allRecords = loadRecords();
-  const withCodes = allRecords.filter(r => r.found && r.code);
-
-  console.log(`📊 Total records: ${allRecords.length}`);
-  console.log(`🎯 Records with codes: ${withCodes.length}`);
-
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    storageState: process.env.WHOP_STORAGE || 'auth/whop.json',
-    serviceWorkers: 'block'
+async function updateDiscounts({ storage = DEFAULT_STORAGE, profile = null, authMode = 'auto', dataDir = DATA_DIR, taskTimeout = 240, recycleAfter = 200 } = {}) {
+  const { discountUpdateHeartbeat: HEARTBEAT_FILE } = dataFiles(dataDir);
+  const auth = resolveOneAuth({ profile, storage, authMode, log: rootLog });
+  const store = openStore(dataDir);
+  const runId = store.beginRun({ command: 'enrich', config: { strategy: 'update', storage, profile, authMode, dataDir, taskTimeout, recycleAfter } });
+  const log = rootLog.child({ runId, stage: 'enrich', strategy: 'update' });
+
+  const allRecords = store.attempts({ stage: 'extract' });
+  const withCodes = allRecords.filter(r => r.status === 'found');
+
+  log.info(`📊 Total records: ${allRecords.length}`);
+  log.info(`🎯 Records with codes: ${withCodes.length}`);
+
+  const session = await openBrowserSession({
+    launch: () => chromium.launch({ headless: true }),
+    contextOptions: {
+      ...authContextOptions(auth),
+      serviceWorkers: 'block'
+    },
+    setupContext: (context) => addAuthCookies(context, auth),
+    recycleAfter,
+    onGiveUp: () => pool.stop(),
+    log,
   });
+  log.info(`🔐 Session: ${describeAuth(auth)}`);
 
   let processed = 0;
   let withDiscounts = 0;
   let noDiscounts = 0;
 
-  // Write all records without codes first
-  const recordsWithoutCodes = allRecords.filter(r => !r.found || !r.code);
-  for (const rec of recordsWithoutCodes) {
-    appendFileSync(OUTPUT_FILE, JSON.stringify(rec) + '\n');
-  }
+  // One record at a time, a second apart (rate limiting); Ctrl-C stops after the current one
+  const pool = createWorkerPool({
+    concurrency: 1,
+    taskTimeoutMs: taskTimeout ? taskTimeout * 1000 : null,
+    spawnDelay: 1000,
+    handleSignals: true,
+    log,
+  });
+  withCodes.forEach(record => pool.add(record));
 
-  for (const oldRecord of withCodes) {
-    const page = await context.newPage();
+  const outcome = await pool.run(async (oldRecord, { signal }) => {
+    const started = Date.now();
+    const urlLog = log.child({ url: oldRecord.url, code: oldRecord.code });
 
     try {
-      console.log(`\n[${processed + 1}/${withCodes.length}] ${oldRecord.url}`);
-      console.log(`  Original code: ${oldRecord.code}`);
-
-      await page.goto(oldRecord.url, { waitUntil: 'domcontentloaded', timeout: 45000 });
-      const route = routeFromUrl(oldRecord.url);
-
-      const hit = await extractPopupPromoFromNetwork(page, { timeoutMs: 15000, currentRoute: route });
-
-      const updatedRecord = {
-        ...oldRecord,
-        discountPercent: hit?.discountPercent || null,
-        amountOff: hit?.amountOff || null,
-        amountOffInCents: hit?.amountOffInCents || null,
-        sourceUrl: hit?.sourceUrl || oldRecord.sourceUrl,
-        updatedAt: new Date().toISOString()
-      };
-
-      if (hit?.discountPercent || hit?.amountOff || hit?.amountOffInCents) {
+      urlLog.info(`\n[${processed + 1}/${withCodes.length}] ${oldRecord.url}`);
+      urlLog.info(`  Original code: ${oldRecord.code}`);
+
+      const previous = oldRecord.result;
+      const hit = await session.withPage(async (page) => {
+        await page.goto(oldRecord.url, { waitUntil: 'domcontentloaded', timeout: 45000 });
+        const route = routeFromUrl(oldRecord.url);
+        return extractPopupPromoFromNetwork(page, {
+          url: oldRecord.url, timeoutMs: 15000, currentRoute: route, onlyThisCode: previous.code
+        });
+      }, { signal });
+
+      // Keep what we knew when the page no longer shows it
+      const updatedRecord = { ...previous, ...(hit || {}) };
+
+      if (hasDiscount(hit)) {
         withDiscounts++;
-        const disc = [];
-        if (hit.discountPercent) disc.push(`${hit.discountPercent}%`);
-        if (hit.amountOff) disc.push(`amountOff=${hit.amountOff}`);
-        if (hit.amountOffInCents) disc.push(`${hit.amountOffInCents}¢`);
-        console.log(`  ✅ Discount found: ${disc.join(', ')}`);
+        urlLog.info(`  ✅ Discount found: ${describeDiscount(hit)}`);
       } else {
         noDiscounts++;
-        console.log(`  ℹ️  No discount data found`);
+        urlLog.info(`  ℹ️  No discount data found`);
       }
 
-      appendFileSync(OUTPUT_FILE, JSON.stringify(updatedRecord) + '\n');
+      store.recordAttempt({ url: oldRecord.url, stage: 'update', result: updatedRecord, durationMs: Date.now() - started, profile: auth.name });
       processed++;
 
-      updateHeartbeat({
+      updateHeartbeat(HEARTBEAT_FILE, {
+        runId,
         processed,
         total: withCodes.length,
         withDiscounts,
@@ -92,35 +105,50 @@ function updateHeartbeat(data) {
         at: new Date().toISOString()
       });
 
-    } catch (e) {
-      console.log(`  ❌ Error: ${e.message}`);
-      // Write original record on error
-      appendFileSync(OUTPUT_FILE, JSON.stringify(oldRecord) + '\n');
+    } catch (thrown) {
+      const e = signal.aborted ? signal.reason : thrown;
+      urlLog.warn(`  ❌ Error: ${e.message}`, { error: e });
+      store.recordAttempt({ url: oldRecord.url, stage: 'update', result: oldRecord.result, error: e.message, durationMs: Date.now() - started, profile: auth.name });
       processed++;
-    } finally {
-      await page.close().catch(() => {});
     }
+  });
 
-    // Rate limiting
-    await new Promise(resolve => setTimeout(resolve, 1000));
-  }
-
-  await browser.close();
+  await session.close();
+  store.endRun({
+    status: session.gaveUp ? 'failed' : outcome.stopped ? 'interrupted' : 'completed',
+    error: session.gaveUp?.message,
+    stats: { pool: pool.stats(), browser: session.stats() },
+  });
+  store.close();
 
-  updateHeartbeat({
+  updateHeartbeat(HEARTBEAT_FILE, {
+    runId,
     processed,
     total: withCodes.length,
     withDiscounts,
     noDiscounts,
     progress: `${processed}/${withCodes.length}`,
-    status: 'completed',
+    status: outcome.stopped ? 'shutdown' : 'completed',
     at: new Date().toISOString()
   });
 
-  console.log('\n🎉 DISCOUNT UPDATE COMPLETE!');
-  console.log(`📊 Processed: ${processed}`);
-  console.log(`✅ With discounts: ${withDiscounts}`);
-  console.log(`ℹ️  No discount data: ${noDiscounts}`);
-  console.log(`\n💾 Updated data saved to: ${OUTPUT_FILE}`);
-  console.log(`\nTo replace original: mv ${OUTPUT_FILE} ${VISITED_FILE}`);
-})();
\ No newline at end of file
+  log.info('\n🎉 DISCOUNT UPDATE COMPLETE!');
+  log.info(`📊 Processed: ${processed}`);
+  log.info(`✅ With discounts: ${withDiscounts}`);
+  log.info(`ℹ️  No discount data: ${noDiscounts}`);
+  log.info(`\n💾 Updated results recorded in: ${store.file} (run ${runId})`);
+}
+
+// Run if called directly
+if (process.argv[1] === __filename) {
+  const { options } = resolveOptions(['storage', 'profile', 'authMode', 'dataDir', 'taskTimeout', 'recycleAfter'], {
+    usage: 'node src/update_discounts.js [options]',
+  });
+
+  updateDiscounts(options).catch(error => {
+    rootLog.error(`❌ Discount update failed: ${error.message}`, { error });
+    process.exit(1);
+  });
+}
+
+export { updateDiscounts };
\ No newline at end of file
@@ -0,0 +1,141 @@
+// src/utils/authProfiles.js
+// Named Whop auth profiles: one Playwright storage state per account, in auth/<name>.json. The
+// default profile "whop" is auth/whop.json, the file the stages used before there were profiles.
+// resolveAuth() is the one place a stage learns which session(s) it runs under, and refuses a
+// session file git could pick up (sessionFiles.js).
+
+import fs from 'fs';
+import path from 'path';
+import { ROOT, AUTH_DIR, DEFAULT_STORAGE } from './paths.js';
+import { readStorageState, sessionExpiry } from './sessionHealth.js';
+import { readSessionFile, isEncryptedFile, assertSessionFileSafe } from './sessionFiles.js';
+
+export const DEFAULT_PROFILE = 'whop';
+
+// WHOP_AUTH: a storage state only, a cookies.json list only, or a storage state falling back to cookies
+export const AUTH_MODES = ['auto', 'storage', 'cookies'];
+
+// Where the capture script and the standalone scrapers kept a session before profiles
+export const LEGACY_STORAGE = path.join(ROOT, 'storageState.json');
+export const LEGACY_COOKIES = path.join(ROOT, 'cookies.json');
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/** The session file of a profile; throws on a name that is not a plain file name */
+export function profilePath(name, authDir = AUTH_DIR) {
+  if (!PROFILE_NAME.test(String(name ?? ''))) {
+    throw new Error(`Invalid profile name "${name}": use letters, digits, "-" and "_"`);
+  }
+  return path.join(authDir, `${name}.json`);
+}
+
+/** Profile names from a comma-separated list ("alice,bob"), without repeats */
+export function parseProfiles(list) {
+  if (!list) return [];
+  return [...new Set(String(list).split(',').map(s => s.trim()).filter(Boolean))];
+}
+
+/** Every profile in authDir with what its cookies say: [{ name, file, capturedAt, cookies, expiresAt, expired }] */
+export function listProfiles(authDir = AUTH_DIR, now = Date.now()) {
+  let files;
+  try { files = fs.readdirSync(authDir); } catch { return []; }
+  return files
+    .filter(f => f.endsWith('.json') && PROFILE_NAME.test(path.basename(f, '.json')))
+    .sort()
+    .map(f => {
+      const file = path.join(authDir, f);
+      const state = readStorageState(file);
+      return {
+        name: path.basename(f, '.json'),
+        file,
+        capturedAt: fs.statSync(file).mtime.toISOString(),
+        readable: !!state,
+        encrypted: isEncryptedFile(file),
+        ...sessionExpiry(state, now),
+      };
+    });
+}
+
+/** Remove a profile's session file; returns its path */
+export function deleteProfile(name, authDir = AUTH_DIR) {
+  const file = profilePath(name, authDir);
+  if (!fs.existsSync(file)) throw new Error(`No auth profile "${name}" in ${authDir}`);
+  fs.unlinkSync(file);
+  return file;
+}
+
+// The session file(s) the options point at, before resolveAuth() checks them
+function findAuth({
+  profile = null,
+  storage = DEFAULT_STORAGE,
+  authMode = 'auto',
+  authDir = AUTH_DIR,
+  cookiesFile = LEGACY_COOKIES,
+  log = null,
+} = {}) {
+  if (!AUTH_MODES.includes(authMode)) throw new Error(`Unknown auth mode "${authMode}" (${AUTH_MODES.join(', ')})`);
+
+  const names = parseProfiles(profile);
+  if (names.length) {
+    if (authMode === 'cookies') throw new Error('Auth profiles are storage states; --auth cookies takes no --profile');
+    return names.map(name => {
+      const file = profilePath(name, authDir);
+      if (!fs.existsSync(file)) throw new Error(`No auth profile "${name}" (${file}); capture it with: whp auth capture ${name}`);
+      return { name, file, source: 'storage' };
+    });
+  }
+
+  if (authMode !== 'cookies') {
+    if (storage && fs.existsSync(storage)) return [{ name: path.basename(storage, '.json'), file: storage, source: 'storage' }];
+    if (storage === DEFAULT_STORAGE && fs.existsSync(LEGACY_STORAGE)) {
+      log?.warn(`⚠️ Using the old session file ${LEGACY_STORAGE}; move it to ${DEFAULT_STORAGE}`);
+      return [{ name: DEFAULT_PROFILE, file: LEGACY_STORAGE, source: 'storage' }];
+    }
+    if (authMode === 'storage') throw new Error(`No session file at ${storage}; capture one with: whp auth capture`);
+  }
+
+  if (cookiesFile && fs.existsSync(cookiesFile)) return [{ name: 'cookies', file: cookiesFile, source: 'cookies' }];
+  if (authMode === 'cookies') throw new Error(`No cookies file at ${cookiesFile}`);
+  return [{ name: null, file: null, source: null }];
+}
+
+/**
+ * The session(s) a stage runs under, as [{ name, file, source }] with source 'storage' (a
+ * storage state), 'cookies' (a cookies.json list) or null (anonymous; name and file null).
+ *  - `profile` names one or more profiles ("alice,bob"); each must exist in authDir.
+ *  - Otherwise `storage` (default auth/whop.json). When the default is missing, the legacy
+ *    storageState.json at the repo root is used, with a warning.
+ * `authMode` picks what counts: 'storage' requires a storage state, 'cookies' requires
+ * `cookiesFile`, 'auto' takes a storage state, else cookiesFile, else runs anonymously.
+ * Throws when git tracks a session file found, or would add it (see sessionFiles.js).
+ */
+export function resolveAuth(opts = {}) {
+  const auths = findAuth(opts);
+  for (const auth of auths) if (auth.file) assertSessionFileSafe(auth.file);
+  return auths;
+}
+
+/** resolveAuth() for stages that run under a single session */
+export function resolveOneAuth(opts = {}) {
+  const auths = resolveAuth(opts);
+  if (auths.length > 1) throw new Error(`This stage runs under one profile; got ${auths.map(a => a.name).join(', ')}`);
+  return auths[0];
+}
+
+/** The browser context options that load an auth's storage state (decrypted, read now) */
+export function authContextOptions(auth) {
+  return auth?.source === 'storage' ? { storageState: readSessionFile(auth.file) } : {};
+}
+
+/** Add a cookies-file auth's cookies (any export utils/cookieImport.js reads) to a new context, read afresh so a refreshed file counts */
+export async function addAuthCookies(context, auth) {
+  if (auth?.source !== 'cookies') return;
+  const cookies = readStorageState(auth.file)?.cookies;
+  if (cookies?.length) await context.addCookies(cookies);
+}
+
+/** How a log line names an auth */
+export function describeAuth(auth) {
+  if (!auth?.source) return 'anonymous';
+  return auth.source === 'cookies' ? `cookies from ${auth.file}` : `profile ${auth.name} (${auth.file})`;
+}
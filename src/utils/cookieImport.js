@@ -0,0 +1,109 @@
+// src/utils/cookieImport.js
+// Read cookies exported from a browser into Playwright's cookie shape, for a session captured
+// without a headed browser (whp auth import). Three export formats are understood:
+//   netscape  cookies.txt: tab-separated domain, subdomains flag, path, secure, expiry, name, value
+//   json      a JSON array from an extension (Cookie-Editor, EditThisCookie), a Playwright cookie
+//             list such as cookies.json, or a whole storage state
+//   header    a raw "Cookie: a=1; b=2" request header, for the domain given (whop.com by default)
+
+export const COOKIE_FORMATS = ['auto', 'netscape', 'json', 'header'];
+
+const SAME_SITE = { lax: 'Lax', strict: 'Strict', none: 'None', no_restriction: 'None' };
+
+/** Which export format a text looks like */
+export function detectCookieFormat(text) {
+  const body = String(text).trim();
+  if (/^[[{]/.test(body)) return 'json';
+  if (/^# (Netscape )?HTTP Cookie File/i.test(body) || body.split(/\r?\n/).some(line => line.split('\t').length >= 7)) return 'netscape';
+  return 'header';
+}
+
+// One cookie as Playwright takes it: session cookies expire -1, SameSite=None needs secure
+function toPlaywrightCookie({ name, value, domain, path, expires, httpOnly, secure, sameSite }, where) {
+  if (!name) throw new Error(`${where}: cookie without a name`);
+  if (!domain) throw new Error(`${where}: cookie ${name} has no domain`);
+  const site = SAME_SITE[String(sameSite || '').toLowerCase()] || 'Lax';
+  const expiry = Number(expires);
+  return {
+    name: String(name),
+    value: String(value ?? ''),
+    domain: String(domain),
+    path: path || '/',
+    expires: Number.isFinite(expiry) && expiry > 0 ? Math.round(expiry) : -1,
+    httpOnly: !!httpOnly,
+    secure: !!secure,
+    sameSite: site === 'None' && !secure ? 'Lax' : site,
+  };
+}
+
+function parseNetscape(text) {
+  const cookies = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    let line = raw;
+    let httpOnly = false;
+    // curl and most exporters mark HttpOnly cookies by prefixing the domain
+    if (line.startsWith('#HttpOnly_')) {
+      httpOnly = true;
+      line = line.slice('#HttpOnly_'.length);
+    } else if (!line.trim() || line.startsWith('#')) {
+      return;
+    }
+    const fields = line.split('\t');
+    if (fields.length < 7) throw new Error(`Line ${i + 1}: expected 7 tab-separated fields, got ${fields.length}`);
+    const [host, subdomains, path, secure, expires, name, ...value] = fields;
+    const domain = subdomains.toUpperCase() === 'TRUE' && !host.startsWith('.') ? `.${host}` : host;
+    cookies.push(toPlaywrightCookie({
+      name, value: value.join('\t'), domain, path, expires, httpOnly, secure: secure.toUpperCase() === 'TRUE',
+    }, `Line ${i + 1}`));
+  });
+  return cookies;
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.cookies;
+  if (!Array.isArray(list)) throw new Error('Expected a JSON array of cookies or a storage state with "cookies"');
+  return list.map((c, i) => toPlaywrightCookie({
+    ...c,
+    // Extensions write expirationDate (and session: true for browser-session cookies)
+    expires: c.session ? -1 : c.expires ?? c.expirationDate ?? c.expiry,
+  }, `Cookie ${i + 1}`));
+}
+
+function parseHeader(text, domain) {
+  const body = String(text).trim().replace(/^cookie:\s*/i, '');
+  return body.split(';').map(s => s.trim()).filter(Boolean).map((pair, i) => {
+    const eq = pair.indexOf('=');
+    if (eq < 1) throw new Error(`"${pair}" is not name=value`);
+    return toPlaywrightCookie({
+      name: pair.slice(0, eq).trim(), value: pair.slice(eq + 1).trim(), domain, path: '/', secure: true,
+    }, `Pair ${i + 1}`);
+  });
+}
+
+/**
+ * Parse a cookie export into Playwright cookies. `format` 'auto' detects it; `domain` is what a
+ * bare Cookie header applies to. Later duplicates (same name, domain and path) win. Returns
+ * { format, cookies }; throws on a malformed export.
+ */
+export function parseCookieExport(text, { format = 'auto', domain = '.whop.com' } = {}) {
+  if (!COOKIE_FORMATS.includes(format)) throw new Error(`Unknown cookie format "${format}" (${COOKIE_FORMATS.join(', ')})`);
+  const used = format === 'auto' ? detectCookieFormat(text) : format;
+  const parsed = used === 'json' ? parseJson(text) : used === 'netscape' ? parseNetscape(text) : parseHeader(text, domain);
+
+  const byId = new Map();
+  for (const c of parsed) byId.set(`${c.name}|${c.domain}|${c.path}`, c);
+  const cookies = [...byId.values()];
+  if (!cookies.length) throw new Error(`No cookies in the ${used} export`);
+  return { format: used, cookies };
+}
+
+/** A Playwright storage state holding these cookies */
+export function toStorageState(cookies) {
+  return { cookies, origins: [] };
+}
@@ -0,0 +1,156 @@
+// src/utils/dashboard.js
+// Live progress dashboard for a running stage: a small local HTTP server with an HTML page,
+// a JSON snapshot (/status.json) and a server-sent event stream (/events) of the same snapshot.
+// The stage owns its counters; the server only reads them through getState().
+
+import http from 'http';
+
+export const RECENT_LIMIT = 20;
+
+/** Keep the newest `limit` entries of a list, newest first */
+export function pushRecent(list, entry, limit = RECENT_LIMIT) {
+  list.unshift(entry);
+  if (list.length > limit) list.length = limit;
+  return list;
+}
+
+/**
+ * What the dashboard shows, from the worker loop's counters:
+ * { processed, total, found, empty, errors, active, concurrency, pausedUntil, sessionExpired, startedAt, recentFinds, ... }.
+ * Throughput is items per minute since start; ETA assumes that rate holds for what is left.
+ */
+export function progressSnapshot(state, now = Date.now()) {
+  const { processed = 0, total = 0, startedAt = now } = state;
+  const elapsedMs = Math.max(0, now - Date.parse(startedAt));
+  const perMinute = elapsedMs > 0 ? processed / (elapsedMs / 60000) : 0;
+  const remaining = Math.max(0, total - processed);
+  const etaMs = perMinute > 0 ? Math.round(remaining / perMinute * 60000) : null;
+  return {
+    ...state,
+    processed,
+    total,
+    remaining,
+    elapsedMs,
+    perMinute: Math.round(perMinute * 10) / 10,
+    etaMs,
+    eta: etaMs != null ? new Date(now + etaMs).toISOString() : null,
+    at: new Date(now).toISOString(),
+  };
+}
+
+const PAGE = `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>whp progress</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem; color: #222; }
+  h1 { font-size: 1.2rem; margin: 0 0 .25rem; }
+  .muted { color: #777; }
+  .stats { display: flex; gap: 1.5rem; margin: 1rem 0; flex-wrap: wrap; }
+  .stat b { display: block; font-size: 1.6rem; }
+  progress { width: 100%; height: 1rem; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+  td, th { text-align: left; padding: .2rem .5rem; border-bottom: 1px solid #eee; font-size: 13px; }
+  .error { color: #b00; }
+</style>
+</head>
+<body>
+<h1 id="title">whp</h1>
+<div class="muted" id="meta">connecting...</div>
+<progress id="bar" value="0" max="1"></progress>
+<div class="stats">
+  <div class="stat"><b id="processed">-</b>processed</div>
+  <div class="stat"><b id="found">-</b>found</div>
+  <div class="stat"><b id="empty">-</b>empty</div>
+  <div class="stat error"><b id="errors">-</b>errors</div>
+  <div class="stat"><b id="active">-</b>active workers</div>
+  <div class="stat"><b id="perMinute">-</b>per minute</div>
+  <div class="stat"><b id="eta">-</b>ETA</div>
+</div>
+<h2>Last finds</h2>
+<table><tbody id="finds"></tbody></table>
+<h2>Recent errors</h2>
+<table><tbody id="errorsList"></tbody></table>
+<script>
+  const $ = (id) => document.getElementById(id);
+  const esc = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+  const time = (iso) => iso ? new Date(iso).toLocaleTimeString() : '';
+  function render(s) {
+    $('title').textContent = 'whp ' + (s.command || '') + ' - ' + (s.status || '');
+    $('meta').textContent = (s.runId ? 'run ' + s.runId + ' · ' : '') + 'updated ' + time(s.at)
+      + (s.pausedUntil ? ' · throttled, paused until ' + time(s.pausedUntil) : '')
+      + (s.sessionExpired ? ' · session expired (' + s.sessionExpired + '), waiting for a refreshed session' : '');
+    $('bar').max = s.total || 1;
+    $('bar').value = s.processed;
+    $('processed').textContent = s.processed + '/' + s.total;
+    for (const k of ['found', 'empty', 'errors', 'perMinute']) $(k).textContent = s[k];
+    $('active').textContent = s.active + (s.concurrency != null ? '/' + s.concurrency : '');
+    $('eta').textContent = s.eta ? time(s.eta) : '-';
+    $('finds').innerHTML = (s.recentFinds || []).map(f =>
+      '<tr><td>' + time(f.at) + '</td><td>' + esc(f.code) + '</td><td>' + esc(f.discount) + '</td><td>' + esc(f.url) + '</td></tr>').join('');
+    $('errorsList').innerHTML = (s.recentErrors || []).map(e =>
+      '<tr class="error"><td>' + time(e.at) + '</td><td>' + esc(e.url) + '</td><td>' + esc(e.error) + '</td></tr>').join('');
+  }
+  const events = new EventSource('events');
+  events.onmessage = (e) => render(JSON.parse(e.data));
+  events.onerror = () => { $('meta').textContent = 'disconnected'; };
+</script>
+</body>
+</html>
+`;
+
+/**
+ * Serve the dashboard on host:port (port 0 picks a free one). Every connected /events client
+ * gets a snapshot every `intervalMs` and on notify(). Resolves to { url, notify, close }.
+ */
+export function startDashboard({ port = 0, host = '127.0.0.1', getState, intervalMs = 1000 }) {
+  const clients = new Set();
+  const snapshot = () => progressSnapshot(getState());
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname === '/') {
+      res.writeHead(200, { 'content-type': 'text/html; charset=utf-8' });
+      res.end(PAGE);
+    } else if (pathname === '/status.json') {
+      res.writeHead(200, { 'content-type': 'application/json', 'cache-control': 'no-store' });
+      res.end(JSON.stringify(snapshot()));
+    } else if (pathname === '/events') {
+      res.writeHead(200, { 'content-type': 'text/event-stream', 'cache-control': 'no-store', connection: 'keep-alive' });
+      res.write(`data: ${JSON.stringify(snapshot())}\n\n`);
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    } else {
+      res.writeHead(404, { 'content-type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  });
+
+  const notify = () => {
+    if (!clients.size) return;
+    const data = `data: ${JSON.stringify(snapshot())}\n\n`;
+    for (const res of clients) res.write(data);
+  };
+  const timer = setInterval(notify, intervalMs);
+  timer.unref();
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: actual } = server.address();
+      resolve({
+        url: `http://${host}:${actual}/`,
+        notify,
+        close() {
+          clearInterval(timer);
+          // One last snapshot so open pages show the final status
+          notify();
+          for (const res of clients) res.end();
+          clients.clear();
+          return new Promise(done => server.close(() => done()));
+        },
+      });
+    });
+  });
+}
@@ -0,0 +1,102 @@
+// src/utils/errorClass.js
+// Failure classes for page visits and what each allows: whether `whp retry` re-queues it, how
+// many tries a run gives a URL before recording the failure for good, and the backoff between
+// tries (base delay doubled per try, capped, with jitter).
+
+export const ERROR_CLASSES = {
+  timeout:        { retriable: true,  maxAttempts: 3, baseDelayMs: 10_000, description: 'navigation or load timeout, or HTTP 408' },
+  network:        { retriable: true,  maxAttempts: 3, baseDelayMs: 15_000, description: 'connection failure, 5xx or 425 response' },
+  'rate-limited': { retriable: true,  maxAttempts: 5, baseDelayMs: 60_000, description: 'HTTP 429, 403 without a session, or bot-check page; pauses every worker' },
+  'auth-lost':    { retriable: true,  maxAttempts: 1, baseDelayMs: 0,      description: 'session expired or rejected (401/403 to a session visit); refresh it, then whp retry' },
+  gone:           { retriable: false, maxAttempts: 1, baseDelayMs: 0,      description: 'HTTP 404/410, 401 without a session or other 4xx: product removed or not public' },
+  extractor:      { retriable: true,  maxAttempts: 2, baseDelayMs: 5_000,  description: 'exception while extracting from a loaded page' },
+};
+
+const MAX_DELAY_MS = 5 * 60_000;
+
+/** A page answered with an error status; `retryAfterMs` comes from a Retry-After header */
+export class HttpStatusError extends Error {
+  constructor(status, url, { retryAfter = null } = {}) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = 'HttpStatusError';
+    this.status = status;
+    this.retryAfterMs = parseRetryAfter(retryAfter);
+  }
+}
+
+/** A visit made with a session landed on the login page, or was refused with a 401/403 `status` */
+export class AuthLostError extends Error {
+  constructor(url, landedOn, { status = null } = {}) {
+    super(status ? `Session lost: ${url} answered HTTP ${status}` : `Session lost: ${url} redirected to ${landedOn}`);
+    this.name = 'AuthLostError';
+  }
+}
+
+/**
+ * The error for a page that answered with an error `status`. A 401/403 to a visit made with a
+ * session means the session was rejected; without one it is a bot block or a page that is not public.
+ */
+export function statusError(status, url, { withSession = false, retryAfter = null } = {}) {
+  if (withSession && (status === 401 || status === 403)) return new AuthLostError(url, null, { status });
+  return new HttpStatusError(status, url, { retryAfter });
+}
+
+/** A visit got a bot-check interstitial (e.g. Cloudflare's "Just a moment...") instead of the page */
+export class ChallengeError extends Error {
+  constructor(url) {
+    super(`Bot check at ${url}`);
+    this.name = 'ChallengeError';
+  }
+}
+
+/** Retry-After is either seconds or an HTTP date */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value == null || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function classOfStatus(status) {
+  // A 401/403 to a session visit is an AuthLostError (statusError); on its own a 403 is most
+  // often a bot block, and a 401 a page that needs a login the visit did not have
+  if (status === 429 || status === 403) return 'rate-limited';
+  // Request Timeout and Too Early say "try again", not that the product is gone
+  if (status === 408) return 'timeout';
+  if (status === 425 || status >= 500) return 'network';
+  return 'gone';
+}
+
+/**
+ * Class of a failure, from an Error or a stored error message. Playwright messages carry the
+ * cause ("page.goto: Timeout 30000ms exceeded", "net::ERR_NETWORK_CHANGED"); anything else thrown
+ * after the page loaded is the extractor's.
+ */
+export function classifyError(error) {
+  if (error?.status) return classOfStatus(error.status);
+  const msg = String(error?.message ?? error ?? '');
+  const http = msg.match(/^HTTP (\d{3})\b/);
+  if (http) return classOfStatus(Number(http[1]));
+  if (error?.name === 'ChallengeError' || /^Bot check\b/.test(msg)) return 'rate-limited';
+  if (error?.name === 'AuthLostError' || /^Session lost\b/.test(msg)) return 'auth-lost';
+  if (error?.name === 'TimeoutError' || /Timeout \d+ms exceeded|net::ERR_TIMED_OUT|timed out/i.test(msg)) return 'timeout';
+  if (/net::ERR_|ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|Target (page, context or browser )?(has been )?closed/i.test(msg)) return 'network';
+  return 'extractor';
+}
+
+export function isRetriable(errorClass) {
+  return !!ERROR_CLASSES[errorClass]?.retriable;
+}
+
+/** Whether a URL that has now failed `tries` times this run should be tried again */
+export function shouldRetry(errorClass, tries) {
+  return tries < (ERROR_CLASSES[errorClass]?.maxAttempts ?? 1);
+}
+
+/** Delay before try number `tries + 1`: Retry-After when given, else exponential with ±20% jitter */
+export function retryDelay(errorClass, tries, { retryAfterMs = null, random = Math.random } = {}) {
+  if (retryAfterMs != null) return Math.min(retryAfterMs, MAX_DELAY_MS);
+  const base = ERROR_CLASSES[errorClass]?.baseDelayMs ?? 0;
+  const delay = Math.min(base * 2 ** (tries - 1), MAX_DELAY_MS);
+  return Math.round(delay * (0.8 + random() * 0.4));
+}
@@ -0,0 +1,104 @@
+// src/utils/logger.js
+// Shared logger: levels (debug < info < warn < error), context fields carried by child loggers
+// (runId, url, route, worker, ...), and two formats. `pretty` prints the message as the stages
+// always have; `json` writes one object per line for grepping logs/*.log with jq. Either way
+// cookie and token values are masked before a line is written (redact.js).
+
+import { redactSecrets } from './redact.js';
+
+export const LEVELS = ['debug', 'info', 'warn', 'error'];
+export const LOG_FORMATS = ['pretty', 'json'];
+
+const COLORS = { debug: '\x1b[2m', warn: '\x1b[33m', error: '\x1b[31m' };
+const RESET = '\x1b[0m';
+
+// Leading emoji (and the variation selector some of them carry) are decoration, not message
+const DECORATION = /^[\s\p{Extended_Pictographic}\u{FE0F}\u{200D}]+/u;
+
+function levelFromEnv(env = process.env) {
+  if (LEVELS.includes(env.WHP_LOG_LEVEL)) return env.WHP_LOG_LEVEL;
+  return env.DEBUG && !/^(0|false|no)$/i.test(env.DEBUG) ? 'debug' : 'info';
+}
+
+function formatFromEnv(env = process.env) {
+  return LOG_FORMATS.includes(env.WHP_LOG_FORMAT) ? env.WHP_LOG_FORMAT : 'pretty';
+}
+
+// debug/info go to stdout and warn/error to stderr, as console.log / console.warn did
+function defaultWrite(level, line) {
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+/** One JSON line: time, level, message without its emoji, then context and fields */
+export function formatJson(level, msg, fields = {}, time = new Date()) {
+  const entry = { time: time.toISOString(), level, msg: String(msg).replace(DECORATION, '') };
+  for (const [k, v] of Object.entries(fields)) {
+    if (v === undefined) continue;
+    // Errors become their message; an error-level line keeps the stack too
+    if (v instanceof Error) {
+      entry[k] = v.message;
+      if (level === 'error' && v.stack) entry.stack = v.stack;
+    } else {
+      entry[k] = v;
+    }
+  }
+  return JSON.stringify(entry);
+}
+
+/** The message as written (plus the stack of an error-level `error`); coloured on a terminal */
+export function formatPretty(level, msg, { color = false, error = null } = {}) {
+  let text = String(msg);
+  if (level === 'error' && error instanceof Error && error.stack) text += `\n${error.stack}`;
+  return color && COLORS[level] ? `${COLORS[level]}${text}${RESET}` : text;
+}
+
+/**
+ * A logger writing through `settings`. Children share the settings object, so configureLogger()
+ * after a module created its child still takes effect.
+ */
+export function createLogger(settings = {}, context = {}) {
+  if (!settings.level) settings.level = levelFromEnv();
+  if (!settings.format) settings.format = formatFromEnv();
+  if (!settings.write) settings.write = defaultWrite;
+
+  const enabled = (level) => LEVELS.indexOf(level) >= LEVELS.indexOf(settings.level);
+
+  function emit(level, msg, fields) {
+    if (!enabled(level)) return;
+    const all = { ...context, ...fields };
+    const line = settings.format === 'json'
+      ? formatJson(level, msg, all)
+      : formatPretty(level, msg, { error: all.error, color: settings.color ?? (level === 'warn' || level === 'error' ? process.stderr.isTTY : process.stdout.isTTY) });
+    settings.write(level, redactSecrets(line));
+  }
+
+  return {
+    debug: (msg, fields) => emit('debug', msg, fields),
+    info: (msg, fields) => emit('info', msg, fields),
+    warn: (msg, fields) => emit('warn', msg, fields),
+    error: (msg, fields) => emit('error', msg, fields),
+    enabled,
+    child: (fields) => createLogger(settings, { ...context, ...fields }),
+    get context() {
+      return { ...context };
+    },
+  };
+}
+
+const rootSettings = {};
+
+/** The process-wide logger every stage logs through */
+export const log = createLogger(rootSettings);
+
+/** Set the level and format of `log` and its children (done by parseCommandLine) */
+export function configureLogger({ level, format } = {}) {
+  if (level) {
+    if (!LEVELS.includes(level)) throw new Error(`Unknown log level: ${level}`);
+    rootSettings.level = level;
+  }
+  if (format) {
+    if (!LOG_FORMATS.includes(format)) throw new Error(`Unknown log format: ${format}`);
+    rootSettings.format = format;
+  }
+}
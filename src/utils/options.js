@@ -0,0 +1,253 @@
+// src/utils/options.js
+// Shared option parser: CLI flags with environment-variable fallbacks and generated --help text
+
+import { parseArgs } from 'util';
+import { DATA_DIR, OUT_DIR, DEFAULT_STORAGE, DEFAULT_URL_LIST, FIXTURES_DIR } from './paths.js';
+import { LEVELS, LOG_FORMATS, configureLogger } from './logger.js';
+import { AUTH_MODES } from './authProfiles.js';
+import { COOKIE_FORMATS } from './cookieImport.js';
+
+// Every option any stage understands. A flag on the command line wins over the env var,
+// which wins over the default. Stages pick the subset they care about by key.
+// `label` is how a path default is shown in --help.
+export const OPTION_SPECS = {
+  dataDir: {
+    flag: 'data-dir', type: 'string', env: 'WHP_DATA_DIR', default: DATA_DIR, label: 'data/',
+    description: 'Directory holding the result store and heartbeat files',
+  },
+  outDir: {
+    flag: 'out-dir', type: 'string', env: 'WHP_OUT_DIR', default: OUT_DIR, label: 'out/',
+    description: 'Directory for materialized JSON/CSV outputs',
+  },
+  storage: {
+    flag: 'storage', type: 'string', env: 'WHOP_STORAGE', default: DEFAULT_STORAGE, label: 'auth/whop.json',
+    description: 'Playwright storage state file with the Whop session',
+  },
+  profile: {
+    flag: 'profile', type: 'string', env: 'WHOP_PROFILE', default: null,
+    description: 'Auth profile to run under (auth/<name>.json, see whp auth); extract takes a comma-separated list and rotates across them',
+  },
+  authMode: {
+    flag: 'auth', type: 'string', env: 'WHOP_AUTH', default: 'auto',
+    choices: AUTH_MODES,
+    description: 'Session source: storage (a session file), cookies (cookies.json) or auto (session file, else cookies.json, else none)',
+  },
+  cookieFormat: {
+    flag: 'cookie-format', type: 'string', default: 'auto',
+    choices: COOKIE_FORMATS,
+    description: 'Format of the cookie export whp auth import reads: netscape (cookies.txt), json, header (a Cookie: string) or auto',
+  },
+  compareAnonymous: {
+    flag: 'compare-anonymous', type: 'boolean', env: 'WHP_COMPARE_ANONYMOUS', default: false,
+    description: 'Visit each product logged in and again logged out, and record whether its promo is public or login-gated',
+  },
+  offline: {
+    flag: 'offline', type: 'boolean', default: false,
+    description: 'Check session files by their cookies only, without opening whop.com',
+  },
+  concurrency: {
+    flag: 'concurrency', type: 'number', env: 'WHOP_CONCURRENCY', default: 2,
+    description: 'Parallel extraction workers (the most the adaptive throttle allows)',
+  },
+  revisitAfter: {
+    flag: 'revisit-after', type: 'number', env: 'WHP_REVISIT_AFTER', default: null,
+    description: 'Extract products again once their last visit is this many hours old',
+  },
+  taskTimeout: {
+    flag: 'task-timeout', type: 'number', env: 'WHP_TASK_TIMEOUT', default: 240,
+    description: 'Seconds one page visit may take before its worker gives up on it',
+  },
+  recycleAfter: {
+    flag: 'recycle-after', type: 'number', env: 'WHP_RECYCLE_AFTER', default: 200,
+    description: 'Page visits after which the browser context is replaced with a fresh one',
+  },
+  maxRestarts: {
+    flag: 'max-restarts', type: 'number', env: 'WHP_MAX_RESTARTS', default: 5,
+    description: 'Browser crashes a run recovers from (relaunching with the same session) before it stops',
+  },
+  sessionCheck: {
+    flag: 'session-check', type: 'number', env: 'WHP_SESSION_CHECK', default: 10,
+    description: 'Minutes between checks that the logged-in session is still accepted (0 turns them off)',
+  },
+  sessionWait: {
+    flag: 'session-wait', type: 'number', env: 'WHP_SESSION_WAIT', default: 30,
+    description: 'Minutes an expired session pauses the run, waiting for a refreshed session file, before it stops',
+  },
+  dashboard: {
+    flag: 'dashboard', type: 'number', env: 'WHP_DASHBOARD_PORT', default: null,
+    description: 'Serve a live progress dashboard on this local port while the stage runs (0 picks a free port)',
+  },
+  startUrl: {
+    flag: 'start-url', type: 'string', env: 'WHPCODES_START_URL', default: 'https://whpcodes.com/',
+    description: 'Listing page discovery starts from',
+  },
+  maxPages: {
+    flag: 'max-pages', type: 'number', env: 'WHPCODES_MAX_PAGES', default: 100,
+    description: 'Maximum listing pages to walk per discovery source',
+  },
+  sources: {
+    flag: 'sources', type: 'string', env: 'WHP_DISCOVERY_SOURCES', default: 'whpcodes',
+    description: 'Comma-separated discovery sources (whpcodes, categories, sitemap, urls, affiliate)',
+  },
+  urlFile: {
+    flag: 'url-file', type: 'string', env: 'WHOP_URL_LIST', default: DEFAULT_URL_LIST, label: 'product_urls.txt',
+    description: 'Plain list of product URLs, one per line (urls source)',
+  },
+  affiliateFile: {
+    flag: 'affiliate-file', type: 'string', env: 'WHP_AFFILIATE_FILE', default: null,
+    description: 'Affiliate link export, CSV/JSON/text (affiliate source)',
+  },
+  sitemapUrl: {
+    flag: 'sitemap-url', type: 'string', env: 'WHP_SITEMAP_URL', default: 'https://whop.com/sitemap.xml',
+    description: 'Sitemap or sitemap index to read (sitemap source)',
+  },
+  ignoreRobots: {
+    flag: 'ignore-robots', type: 'boolean', env: 'WHP_IGNORE_ROBOTS', default: false,
+    description: 'Read sitemaps without applying robots.txt disallow rules (sitemap source)',
+  },
+  strategy: {
+    flag: 'strategy', type: 'string', env: 'WHP_ENRICH_STRATEGY', default: 'simple',
+    choices: ['simple', 'update', 'bundle'],
+    description: 'Discount enrichment strategy (simple | update | bundle)',
+  },
+  redoNull: {
+    flag: 'redo-null', type: 'boolean', env: 'REDO_NULL', default: false,
+    description: 'Re-run items that previously produced no discount',
+  },
+  redoFail: {
+    flag: 'redo-fail', type: 'boolean', env: 'REDO_FAIL', default: false,
+    description: 'Re-run items that previously errored',
+  },
+  fixturesDir: {
+    flag: 'fixtures-dir', type: 'string', env: 'WHP_FIXTURES_DIR', default: FIXTURES_DIR, label: 'fixtures/',
+    description: 'Directory of recorded product-page fixtures',
+  },
+  replay: {
+    flag: 'replay', type: 'string', env: 'WHP_REPLAY', default: null,
+    description: 'Serve traffic from a HAR file or fixture directory instead of the network',
+  },
+  fromVisited: {
+    flag: 'from-visited', type: 'boolean', default: false,
+    description: 'Take URLs from extracted pages in the result store instead of the command line',
+  },
+  foundOnly: {
+    flag: 'found-only', type: 'boolean', default: false,
+    description: 'Only use extracted pages where a code was found',
+  },
+  format: {
+    flag: 'format', type: 'string', default: 'text',
+    choices: ['text', 'markdown', 'json'],
+    description: 'Report format (text | markdown | json)',
+  },
+  output: {
+    flag: 'output', type: 'string', default: null,
+    description: 'Write the report to this file instead of stdout',
+  },
+  limit: {
+    flag: 'limit', type: 'number', default: null,
+    description: 'Process at most this many items',
+  },
+  classes: {
+    flag: 'classes', type: 'string', default: null,
+    description: 'Comma-separated error classes to re-queue (timeout, network, rate-limited, auth-lost, gone, extractor); default every retriable one',
+  },
+  dryRun: {
+    flag: 'dry-run', type: 'boolean', default: false,
+    description: 'Report what would change without writing to the store',
+  },
+  minConfidence: {
+    flag: 'min-confidence', type: 'number', env: 'WHP_MIN_CONFIDENCE', default: 0,
+    description: 'Leave out finds below this confidence (0-1); records without one count as 0',
+  },
+  logLevel: {
+    flag: 'log-level', type: 'string', env: 'WHP_LOG_LEVEL', default: 'info',
+    choices: LEVELS,
+    description: `Least severe log level shown (${LEVELS.join(' | ')})`,
+  },
+  logFormat: {
+    flag: 'log-format', type: 'string', env: 'WHP_LOG_FORMAT', default: 'pretty',
+    choices: LOG_FORMATS,
+    description: 'Log output: pretty for a terminal, json for one object per line',
+  },
+  debug: {
+    flag: 'debug', type: 'boolean', env: 'DEBUG', default: false,
+    description: 'Verbose logging (same as --log-level debug)',
+  },
+};
+
+// Accepted by every command on top of its own keys
+const GLOBAL_KEYS = ['logLevel', 'logFormat', 'debug'];
+
+function envValue(spec) {
+  const raw = spec.env ? process.env[spec.env] : undefined;
+  if (raw == null || raw === '') return undefined;
+  if (spec.type === 'boolean') return !/^(0|false|no)$/i.test(raw);
+  return raw;
+}
+
+function coerce(spec, value) {
+  if (value === undefined) return spec.default;
+  if (spec.type === 'number') {
+    const n = Number(value);
+    if (!Number.isFinite(n)) throw new Error(`--${spec.flag} expects a number, got "${value}"`);
+    return n;
+  }
+  if (spec.choices && !spec.choices.includes(value)) {
+    throw new Error(`--${spec.flag} must be one of ${spec.choices.join(', ')}, got "${value}"`);
+  }
+  return value;
+}
+
+// Parse argv for the given option keys. Returns { options, positionals, help }.
+export function parseCommandLine(keys, argv = process.argv.slice(2)) {
+  const wanted = [...new Set([...keys, ...GLOBAL_KEYS])];
+  const config = { help: { type: 'boolean', short: 'h' } };
+  for (const key of wanted) {
+    const spec = OPTION_SPECS[key];
+    if (!spec) throw new Error(`Unknown option key: ${key}`);
+    config[spec.flag] = { type: spec.type === 'boolean' ? 'boolean' : 'string' };
+  }
+
+  const { values, positionals } = parseArgs({ args: argv, options: config, allowPositionals: true });
+
+  const options = {};
+  for (const key of wanted) {
+    const spec = OPTION_SPECS[key];
+    const fromFlag = values[spec.flag];
+    options[key] = coerce(spec, fromFlag !== undefined ? fromFlag : envValue(spec));
+  }
+
+  configureLogger({ level: options.debug ? 'debug' : options.logLevel, format: options.logFormat });
+
+  return { options, positionals, help: !!values.help };
+}
+
+export function formatHelp({ usage, description, keys = [] }) {
+  const lines = [`Usage: ${usage}`, ''];
+  if (description) lines.push(description, '');
+
+  const rows = [...new Set([...keys, ...GLOBAL_KEYS])].map(key => {
+    const spec = OPTION_SPECS[key];
+    const flag = spec.type === 'boolean' ? `--${spec.flag}` : `--${spec.flag} <${spec.type === 'number' ? 'n' : 'value'}>`;
+    const extra = [];
+    if (spec.env) extra.push(`env ${spec.env}`);
+    if (spec.type !== 'boolean' && spec.default != null) extra.push(`default ${spec.label ?? spec.default}`);
+    return [flag, `${spec.description}${extra.length ? ` (${extra.join(', ')})` : ''}`];
+  });
+  rows.push(['-h, --help', 'Show this help']);
+
+  const width = Math.max(...rows.map(r => r[0].length));
+  lines.push('Options:');
+  for (const [flag, text] of rows) lines.push(`  ${flag.padEnd(width)}  ${text}`);
+  return lines.join('\n');
+}
+
+// Convenience for scripts run directly: parse, print help and exit if asked
+export function resolveOptions(keys, { usage, description } = {}, argv = process.argv.slice(2)) {
+  const parsed = parseCommandLine(keys, argv);
+  if (parsed.help) {
+    console.log(formatHelp({ usage: usage || `node ${process.argv[1]}`, description, keys }));
+    process.exit(0);
+  }
+  return parsed;
+}
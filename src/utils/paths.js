@@ -0,0 +1,34 @@
+// src/utils/paths.js
+// Default locations for data, output and auth files (all relative to the repo root)
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ROOT = path.join(__dirname, '..', '..');
+export const DATA_DIR = path.join(ROOT, 'data');
+export const OUT_DIR = path.join(ROOT, 'out');
+export const AUTH_DIR = path.join(ROOT, 'auth');
+export const FIXTURES_DIR = path.join(ROOT, 'fixtures');
+export const DEFAULT_STORAGE = path.join(AUTH_DIR, 'whop.json');
+export const DEFAULT_URL_LIST = path.join(ROOT, 'product_urls.txt');
+
+// Every file the pipeline stages read or write inside the data directory. Results live in
+// `store`; JSONL files from older runs are found by name in src/importJsonl.js.
+export function dataFiles(dataDir = DATA_DIR) {
+  return {
+    store: path.join(dataDir, 'whp.sqlite'),
+    heartbeat: path.join(dataDir, 'heartbeat.json'),
+    discountHeartbeat: path.join(dataDir, 'discount_heartbeat.json'),
+    discountUpdateHeartbeat: path.join(dataDir, 'discount_update_heartbeat.json'),
+  };
+}
+
+export function outFiles(outDir = OUT_DIR) {
+  return {
+    json: path.join(outDir, 'whop_popup_codes.json'),
+    csv: path.join(outDir, 'whop_popup_codes.csv'),
+  };
+}
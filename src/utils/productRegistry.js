@@ -0,0 +1,151 @@
+// src/utils/productRegistry.js
+// Product registry: folds the identity sightings that extraction records in the store (products and
+// product_urls tables) into one entity per product, so outputs join on a stable id and related
+// URLs can be told apart.
+//
+// Sighting (one per extracted page):
+//   { key, url, finalUrl, route, slug, productId, companyId, title, seenAt }
+//   url is the URL as queued, finalUrl where the page ended up after redirects; route/slug come
+//   from whop.com/<route>/<slug>, productId/companyId from the page's own data.
+//
+// Entity:
+//   { id, productId, companyId, route, slug, title, urls, keys, firstSeen, lastSeen }
+//   Sightings are merged when they share a product key (see productUrl.js) or a prod_ id; id is
+//   the prod_ id when one was seen, else the first product key.
+
+import { DATA_DIR } from './paths.js';
+import { canonicalUrl, productKey } from './productUrl.js';
+import { openStore } from './store.js';
+
+const PRODUCT_ID = /^prod_[A-Za-z0-9]+$/;
+
+/** route, slug and prod_ id as far as the URL alone tells them */
+export function identityFromUrl(raw) {
+  const canonical = canonicalUrl(raw);
+  if (!canonical) return { route: null, slug: null, productId: null };
+
+  const u = new URL(canonical);
+  const segments = u.pathname.split('/').filter(Boolean);
+  const productId = [u.searchParams.get('productId'), ...segments].find(s => s && PRODUCT_ID.test(s)) || null;
+  if (u.hostname !== 'whop.com' || segments[0] === 'checkout' || segments[0] === 'discover') {
+    return { route: null, slug: null, productId };
+  }
+  return { route: segments[0] || null, slug: segments[1] || null, productId };
+}
+
+/** The sighting for a visited page; page data wins over what the URL suggests */
+export function toSighting({ url, finalUrl = null, productId = null, companyId = null, title = null }) {
+  const fromUrl = identityFromUrl(url);
+  const fromFinal = finalUrl ? identityFromUrl(finalUrl) : fromUrl;
+  return {
+    key: productKey(url),
+    url,
+    finalUrl: finalUrl && finalUrl !== url ? finalUrl : null,
+    route: fromFinal.route || fromUrl.route,
+    slug: fromFinal.slug || fromUrl.slug,
+    productId: (productId && PRODUCT_ID.test(productId) ? productId : null) || fromFinal.productId || fromUrl.productId,
+    companyId: companyId || null,
+    title: title ? String(title).trim() || null : null,
+    seenAt: new Date().toISOString(),
+  };
+}
+
+export function buildRegistry(sightings) {
+  // Union-find over "key:<product key>" and "id:<prod_ id>" nodes
+  const parent = new Map();
+  const find = (x) => {
+    if (!parent.has(x)) parent.set(x, x);
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const union = (a, b) => {
+    const ra = find(a), rb = find(b);
+    if (ra !== rb) parent.set(rb, ra);
+  };
+
+  const nodesOf = (s) => {
+    const nodes = [`key:${s.key || productKey(s.url)}`];
+    if (s.finalUrl) nodes.push(`key:${productKey(s.finalUrl)}`);
+    if (s.productId) nodes.push(`id:${s.productId}`);
+    return nodes;
+  };
+
+  const ordered = [...sightings]
+    .filter(s => s?.url)
+    .sort((a, b) => String(a.seenAt || '').localeCompare(String(b.seenAt || '')));
+  for (const s of ordered) {
+    const [first, ...rest] = nodesOf(s);
+    find(first);
+    for (const n of rest) union(first, n);
+  }
+
+  const groups = new Map();
+  for (const s of ordered) {
+    const root = find(nodesOf(s)[0]);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(s);
+  }
+
+  const products = [];
+  const byKey = new Map();
+  for (const group of groups.values()) {
+    const entity = {
+      id: null, productId: null, companyId: null, route: null, slug: null, title: null,
+      urls: [], keys: [], firstSeen: group[0].seenAt || null, lastSeen: null,
+    };
+    // Later sightings overwrite earlier ones, but never with a blank
+    for (const s of group) {
+      for (const field of ['productId', 'companyId', 'route', 'slug', 'title']) {
+        if (s[field]) entity[field] = s[field];
+      }
+      for (const u of [s.url, s.finalUrl]) {
+        if (u && !entity.urls.includes(u)) entity.urls.push(u);
+      }
+      entity.lastSeen = s.seenAt || entity.lastSeen;
+    }
+    entity.keys = [...new Set(entity.urls.map(productKey))];
+    entity.id = entity.productId || entity.keys[0];
+    products.push(entity);
+    for (const k of entity.keys) byKey.set(k, entity);
+  }
+
+  return {
+    products,
+    // Entity a URL belongs to, by product key; null when it was never extracted
+    lookup(url) {
+      return byKey.get(productKey(url)) || null;
+    },
+  };
+}
+
+// Pass an open store to reuse it; otherwise the data directory's store is opened and closed here
+export function loadRegistry(dataDir = DATA_DIR, store = null) {
+  const s = store || openStore(dataDir);
+  try {
+    return buildRegistry(s.productSightings());
+  } finally {
+    if (!store) s.close();
+  }
+}
+
+/** companyId → entities, for companies with a known id */
+export function groupByCompany(products) {
+  const companies = new Map();
+  for (const p of products) {
+    if (!p.companyId) continue;
+    if (!companies.has(p.companyId)) companies.set(p.companyId, []);
+    companies.get(p.companyId).push(p);
+  }
+  return companies;
+}
+
+/** true/false when both URLs resolve to products with known companies, null when unknown */
+export function sameCompany(registry, urlA, urlB) {
+  const a = registry.lookup(urlA);
+  const b = registry.lookup(urlB);
+  if (!a?.companyId || !b?.companyId) return null;
+  return a.companyId === b.companyId;
+}
@@ -0,0 +1,60 @@
+// src/utils/productUrl.js
+// Canonical product URLs: one key per Whop product however it was linked (affiliate ?a=, trailing
+// slashes, case, /checkout/prod_… and /discover/…?productId= forms). Dedupe on the key, but keep
+// the URL as discovered - the affiliate link is what ends up in the outputs.
+
+// Query params that say who sent the visitor, not which product it is
+const TRACKING_PARAM = /^(a|ref|aff|affiliate|via|promocode|_rsc|fbclid|gclid|msclkid|mc_cid|mc_eid|utm_.+)$/i;
+
+// Whop ids are case-sensitive; everything else in a path is compared case-insensitively
+const WHOP_ID = /^(prod|plan)_[A-Za-z0-9]+$/;
+
+function parse(raw) {
+  try {
+    return new URL(String(raw).trim());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Normalized form of a URL: https, lowercase host without www, no fragment, no tracking
+ * params, remaining params sorted, duplicate/trailing slashes removed, path lowercased
+ * except for prod_/plan_ ids. Returns null for anything that doesn't parse as a URL.
+ */
+export function canonicalUrl(raw) {
+  const u = parse(raw);
+  if (!u) return null;
+
+  const host = u.hostname.toLowerCase().replace(/^www\./, '');
+  const segments = u.pathname
+    .split('/')
+    .filter(Boolean)
+    .map(s => (WHOP_ID.test(s) ? s : s.toLowerCase()));
+  const params = [...u.searchParams]
+    .filter(([k]) => !TRACKING_PARAM.test(k))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  const query = params.length ? '?' + new URLSearchParams(params).toString() : '';
+  return `https://${host}/${segments.join('/')}${query}`;
+}
+
+/**
+ * Dedupe key for a product: its prod_/plan_ id when the URL carries one (checkout and
+ * discover forms), otherwise the lowercased route path ("ayecon-lifetime-membership").
+ * Non-Whop URLs fall back to their canonical form, unparseable input to itself.
+ */
+export function productKey(raw) {
+  const canonical = canonicalUrl(raw);
+  if (!canonical) return String(raw ?? '').trim();
+
+  const u = new URL(canonical);
+  const segments = u.pathname.split('/').filter(Boolean);
+  const id = u.searchParams.get('productId');
+  if (id && WHOP_ID.test(id)) return id;
+  const idSegment = segments.find(s => WHOP_ID.test(s));
+  if (idSegment) return idSegment;
+
+  if (u.hostname !== 'whop.com') return canonical;
+  return segments.join('/') || canonical;
+}
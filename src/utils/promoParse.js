@@ -0,0 +1,592 @@
+// src/utils/promoParse.js
+// Browser-free promo parsing core: response bodies in, ranked candidate promo records out.
+// Nothing here touches Playwright, so any capture backend (live page, replay, plain strings)
+// can feed it and it can be tested directly.
+
+import { redactSecrets } from './redact.js';
+
+// Only skip obvious static assets; keep everything else (including graphql/messages)
+export const SKIP_EXT = /\.(png|jpe?g|gif|svg|webp|avif|ico|css|woff2?|ttf|map|mp4|webm|m4s|mp3|wav)(\?|$)/i;
+const SKIP_CT = /image|font|video|audio|css/i;
+
+export function escapeRe(s) { return s.replace(/[-/\\^$*+?.()|[\]{}]/g, '\\$&'); }
+
+export function unescapeRsc(s) {
+  return s.replace(/\\"/g, '"');
+}
+
+export function routeFromUrl(u) {
+  try { return new URL(u).pathname.split('/').filter(Boolean)[0] || null; } catch { return null; }
+}
+
+function safeJsonParse(s) { try { return JSON.parse(s); } catch { return null; } }
+
+// Percentages are reported with at most two decimals (0.07 * 100 must not become 7.000000000000001)
+function roundPercent(n) { return Math.round(n * 100) / 100; }
+
+// ---------- discount readers ----------
+
+export function readDiscountFromSnippet(snippet) {
+  if (!snippet) return null;
+  const s = snippet.replace(/\\"/g, '"').replace(/\\n|\\r/g, ' ').replace(/\s+/g, ' ');
+
+  const pctStr  = /"discountOff"\s*:\s*"(?:\s*)?(\d{1,3}(?:\.\d+)?)(?:\s*)%"/i.exec(s)?.[1];
+  const pctBare = /"discountOff"\s*:\s*(\d{1,3}(?:\.\d+)?)(?!\s*["%])/i.exec(s)?.[1];
+  const decBare = /"discountOff"\s*:\s*(0?\.\d+)/i.exec(s)?.[1];
+
+  const amtNum  = /"amountOff"\s*:\s*(\d+(?:\.\d+)?)/i.exec(s)?.[1];
+  const amtStr  = /"amountOff"\s*:\s*"(\d+(?:\.\d+)?)"/i.exec(s)?.[1];
+  const cents   = /"amountOffInCents"\s*:\s*(\d+)/i.exec(s)?.[1];
+
+  let discountPercent = null;
+  if (pctStr != null) discountPercent = Number(pctStr);
+  else if (pctBare != null) {
+    const n = Number(pctBare);
+    discountPercent = n <= 1 ? Math.round(n * 1000) / 10 : n;
+  } else if (decBare != null) {
+    const n = Number(decBare);
+    discountPercent = Math.round(n * 1000) / 10; // 0.3 -> 30.0
+  } else if (amtNum != null || amtStr != null) {
+    const n = Number(amtNum ?? amtStr);
+    if (isFinite(n) && n > 0 && n <= 1) discountPercent = Math.round(n * 1000) / 10;
+  }
+
+  return {
+    discountPercent: discountPercent ?? null,
+    amountOff: amtNum != null ? Number(amtNum) : (amtStr != null ? Number(amtStr) : null),
+    amountOffInCents: cents ? Number(cents) : null,
+  };
+}
+
+function hasAmounts(d) {
+  return !!d && (d.discountPercent != null || d.amountOff != null || d.amountOffInCents != null);
+}
+
+// Same as extractDiscountNearCodeFromBody, plus which strategy produced the numbers
+// (each step only wins when it found a number; otherwise the next, looser one runs):
+// popup-block | object | window | single-discountOff (weak: the only discountOff in the body)
+function nearCodeDiscount(body, code) {
+  if (!body || !code) return null;
+  const text = body.replace(/\\"/g, '"');
+
+  // 1) Try to capture the entire popupPromoCode object that mentions THIS code
+  const blockRe = new RegExp(
+    `"popupPromoCode"\\s*:\\s*\\{[\\s\\S]{0,20000}?"code"\\s*:\\s*"${escapeRe(code)}"[\\s\\S]{0,20000}?\\}`,
+    "i"
+  );
+  const block = blockRe.exec(text)?.[0];
+  if (block) {
+    const parsed = readDiscountFromSnippet(block);
+    if (hasAmounts(parsed)) return { rule: 'popup-block', ...parsed };
+  }
+
+  // 2) Large window around the code, then balanced-object parse
+  const hit = new RegExp(escapeRe(code), "i").exec(text);
+  if (!hit) return null;
+  const BEFORE = 20000, AFTER = 20000;
+  const left = Math.max(0, hit.index - BEFORE);
+  const right = Math.min(text.length, hit.index + code.length + AFTER);
+  const win = text.slice(left, right);
+
+  const startIdx = /"popupPromoCode"\s*:/i.exec(win)?.index ?? /"code"\s*:\s*"/i.exec(win)?.index;
+  if (startIdx != null) {
+    // find nearest balanced object from start
+    let i = startIdx; while (i > 0 && win[i] !== '{') i--;
+    if (win[i] === '{') {
+      let depth = 0, str = false, esc = false;
+      for (let j = i; j < win.length; j++) {
+        const ch = win[j];
+        if (esc) { esc = false; continue; }
+        if (ch === '\\') { esc = true; continue; }
+        if (ch === '"') str = !str;
+        if (str) continue;
+        if (ch === '{') depth++;
+        else if (ch === '}' && --depth === 0) {
+          const obj = win.slice(i, j + 1);
+          const parsedObj = readDiscountFromSnippet(obj);
+          if (hasAmounts(parsedObj)) return { rule: 'object', ...parsedObj };
+          break;
+        }
+      }
+    }
+  }
+
+  // 3) Heuristic parse of the window
+  const parsedWin = readDiscountFromSnippet(win);
+  if (hasAmounts(parsedWin)) return { rule: 'window', ...parsedWin };
+
+  // 4) Weak fallback: if only one discountOff appears in the whole body, accept it
+  const only = [...text.matchAll(/"discountOff"\s*:\s*("?\s*\d{1,3}(?:\.\d+)?\s*%?"?)/ig)];
+  if (only.length === 1) {
+    const v = only[0][1].replace(/["\s%]/g, '');
+    const n = Number(v);
+    return { rule: 'single-discountOff', discountPercent: n <= 1 ? Math.round(n*1000)/10 : n, amountOff: null, amountOffInCents: null };
+  }
+
+  return null;
+}
+
+export function extractDiscountNearCodeFromBody(body, code) {
+  const found = nearCodeDiscount(body, code);
+  if (!found) return null;
+  const { rule, ...discount } = found;
+  return discount;
+}
+
+export function extractDiscountNearCode(body, code) {
+  if (!body || !code) return null;
+
+  // Unescape common RSC-escaped quotes: \"  → "
+  const text = body.replace(/\\"/g, '"');
+  const lower = text.toLowerCase();
+  const needle = code.toLowerCase();
+
+  // Where in this response does the code (or promoCode=code) appear?
+  let idx = lower.indexOf(needle);
+  if (idx === -1) idx = lower.indexOf(`promocode=${needle}`);
+  if (idx === -1) return null;
+
+  // Grab a local window around the code to avoid unrelated matches
+  const start = Math.max(0, idx - 800);
+  const end   = Math.min(text.length, idx + 800);
+  const win   = text.slice(start, end);
+
+  // Patterns (robust to spacing/casing)
+  const pctStr = /"discountOff"\s*:\s*"(\d{1,2}(?:\.\d+)?)%/i.exec(win);
+  const pctNum = /"discount(?:Percent|Percentage)"\s*:\s*(\d{1,2}(?:\.\d+)?)/i.exec(win);
+  const pctDec = /"discount(?:Percent|Percentage)"\s*:\s*(0?\.\d+)/i.exec(win); // e.g. 0.15
+
+  const amtCents = /"amountOffInCents"\s*:\s*(\d{2,7})/i.exec(win);
+  const amtOff   = /"amountOff"\s*:\s*(-?\d+(?:\.\d+)?)/i.exec(win); // 0.1 (10%) or 25
+
+  // Fractions first: the whole-number pattern would otherwise read 0.1 as 0.1%
+  let discountPercent = null;
+  if (pctStr)       discountPercent = parseFloat(pctStr[1]);
+  else if (pctDec)  discountPercent = Math.round(parseFloat(pctDec[1]) * 100 * 100) / 100; // 0.1 => 10
+  else if (pctNum)  discountPercent = parseFloat(pctNum[1]);               // 10 => 10%
+
+  let amountOff = null;
+  if (amtOff) amountOff = parseFloat(amtOff[1]); // caller can interpret (fraction vs absolute)
+
+  let amountOffInCents = null;
+  if (amtCents) amountOffInCents = parseInt(amtCents[1], 10);
+
+  if (discountPercent != null || amountOff != null || amountOffInCents != null) {
+    return { discountPercent, amountOff, amountOffInCents };
+  }
+  return null;
+}
+
+// Find a balanced JSON object containing the code (works for JSON/RSC blobs)
+function sliceEnclosingJsonObject(text, codeIndex, maxSpan = 4000) {
+  const start = Math.max(0, codeIndex - maxSpan);
+  const end   = Math.min(text.length, codeIndex + maxSpan);
+  const window = text.slice(start, end);
+
+  let left = window.lastIndexOf('{', codeIndex - start);
+  if (left === -1) return null;
+
+  let depth = 0;
+  for (let i = left; i < window.length; i++) {
+    const ch = window[i];
+    if (ch === '{') depth++;
+    else if (ch === '}') {
+      depth--;
+      if (depth === 0) {
+        const candidate = window.slice(left, i + 1);
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+export function normalizeDiscountFromObject(obj) {
+  let percent_off = null;
+  let amount_off  = null;
+  let currency    = null;
+
+  if (typeof obj.amountOff === 'number' && obj.amountOff > 0 && obj.amountOff <= 1.0) {
+    percent_off = roundPercent(obj.amountOff * 100);
+  }
+  if (typeof obj.percentOff === 'number') {
+    percent_off = obj.percentOff;
+  }
+  if (typeof obj.discountOff === 'string') {
+    const m = obj.discountOff.match(/(\d+(?:\.\d+)?)\s*%/);
+    if (m) percent_off = parseFloat(m[1]);
+  }
+
+  const moneyObj =
+    obj.amountOffMoney ||
+    obj.priceOff ||
+    obj.fixedOff ||
+    (obj.amount && obj.currency && { amount: obj.amount, currency: obj.currency });
+
+  if (moneyObj && typeof moneyObj.amount === 'number') {
+    amount_off = moneyObj.amount;
+    currency = moneyObj.currency || null;
+  }
+
+  if (amount_off == null && typeof obj.note === 'string') {
+    const m2 = obj.note.match(/([$£€])\s*(\d+(?:\.\d+)?)/);
+    if (m2) {
+      amount_off = parseFloat(m2[2]);
+      currency = m2[1] === '$' ? 'USD' : m2[1] === '£' ? 'GBP' : 'EUR';
+    }
+  }
+
+  if (percent_off == null && amount_off == null) return null;
+  return { percent_off, amount_off, currency };
+}
+
+export function extractBundleFromBody(body, codeIndex) {
+  const jsonSlice = sliceEnclosingJsonObject(body, codeIndex);
+  if (!jsonSlice) return null;
+  const obj = safeJsonParse(jsonSlice);
+  if (!obj) return null;
+
+  function dfs(node) {
+    if (!node || typeof node !== 'object') return null;
+    if (typeof node.code === 'string' && /^promo-[a-z0-9-]{6,}$/i.test(node.code)) {
+      const disc = normalizeDiscountFromObject(node);
+      return { code: node.code.toLowerCase(), ...disc };
+    }
+    if (node.popupPromoCode && typeof node.popupPromoCode === 'object') {
+      const p = node.popupPromoCode;
+      if (typeof p.code === 'string' && /^promo-[a-z0-9-]{6,}$/i.test(p.code)) {
+        const disc = normalizeDiscountFromObject(p);
+        return { code: p.code.toLowerCase(), ...disc };
+      }
+    }
+    for (const k of Object.keys(node)) {
+      const found = dfs(node[k]);
+      if (found) return found;
+    }
+    return null;
+  }
+  return dfs(obj);
+}
+
+// Last resort: any percent or currency amount close to the code in the same response
+export function readDiscountFromWindow(body, codeIndex) {
+  const i = Math.max(0, (codeIndex ?? 0) - 600);
+  const j = Math.min(body.length, (codeIndex ?? 0) + 600);
+  const win = body.slice(i, j);
+
+  let percent_off = null, amount_off = null, currency = null;
+
+  const p = win.match(/(\d{1,2}(?:\.\d+)?)\s*%/);
+  if (p) percent_off = parseFloat(p[1]);
+
+  const a = win.match(/([$£€])\s*(\d+(?:\.\d+)?)/);
+  if (a) {
+    amount_off = parseFloat(a[2]);
+    currency   = a[1] === '$' ? 'USD' : a[1] === '£' ? 'GBP' : 'EUR';
+  }
+
+  const frac = win.match(/"amountOff"\s*:\s*(0?\.\d+)/);
+  if (frac && percent_off == null) percent_off = roundPercent(parseFloat(frac[1]) * 100);
+
+  if (percent_off == null && amount_off == null) return null;
+  return { percent_off, amount_off, currency };
+}
+
+// ---------- code discovery ----------
+
+export const PROMO_REGEXES = [
+  /"popupPromoCode"\s*:\s*\{[^}]*"code"\s*:\s*"(promo-[a-z0-9-]{6,})"/gi,   // structured
+  /[?&]promoCode=(promo-[a-z0-9-]{6,})/gi,                                   // URL param
+  /"(promo-[a-z0-9-]{6,})"/gi,                                               // quoted occurrences
+  /(?:^|[^a-z0-9])(promo-[a-z0-9-]{6,})(?=[^a-z0-9]|$)/gi                    // bare token
+];
+
+const PATTERN_NAMES = ['structured', 'url-param', 'quoted', 'bare'];
+
+// Yield { code, index, pattern } so we can anchor discount scan
+export function* findCodesWithIndex(s) {
+  for (const [n, re] of PROMO_REGEXES.entries()) {
+    // reset lastIndex for global regexes
+    re.lastIndex = 0;
+    for (const m of s.matchAll(re)) {
+      const code = m[1] || m[0];
+      yield { code: code.toLowerCase(), index: m.index ?? -1, pattern: PATTERN_NAMES[n] };
+    }
+  }
+}
+
+// ---------- page context ----------
+
+export function discoverContext(s) {
+  const pid = /"productId"\s*:\s*"([^"]+)"/i.exec(s)?.[1] ||
+             /"product"\s*:\s*\{\s*"id"\s*:\s*"([^"]+)"/i.exec(s)?.[1];
+  const cid = /"companyId"\s*:\s*"([^"]+)"/i.exec(s)?.[1] ||
+             /"company"\s*:\s*\{\s*"id"\s*:\s*"([^"]+)"/i.exec(s)?.[1];
+  const route = /"route"\s*:\s*"([^"]+)"/i.exec(s)?.[1];
+
+  if (!route) {
+    const urlMatch = /whop\.com\/([^"/?]+)/i.exec(s);
+    if (urlMatch && urlMatch[1] !== 'api' && urlMatch[1] !== '_next') {
+      return { productId: pid, companyId: cid, route: urlMatch[1] };
+    }
+  }
+
+  return { productId: pid, companyId: cid, route };
+}
+
+// ---------- scoring / attribution ----------
+
+// Does this response belong to the page we are on? Guards against codes spilling over
+// from other products' feeds. Returns { accepted, reasons }.
+export function belongsToPage({ url = '', contentType = '', body = '', requestPostData = null }, ctx = {}) {
+  const reasons = [];
+
+  // 1) must be whop.com
+  let hn = '';
+  try { hn = new URL(url).hostname; } catch {}
+  if (!/whop\.com$/i.test(hn)) return { accepted: false, reasons: ['foreign-host'] };
+
+  // 2) strong belonging checks
+  if (/popupPromoCode/i.test(body)) {
+    if (ctx.route && (body.includes(`whop.com/${ctx.route}`) || url.includes(`/${ctx.route}`))) {
+      return { accepted: true, reasons: ['popupPromoCode', 'route-match'] };
+    }
+    if (/"popupPromoCode"\s*:/.test(body)) return { accepted: true, reasons: ['popupPromoCode'] };
+  }
+
+  // GraphQL POST with variables tied to this page
+  if (/graphql/i.test(url) && requestPostData != null) {
+    const post = requestPostData || '';
+    const varRoute = /"route"\s*:\s*"([^"]+)"/i.exec(post)?.[1] || '';
+    const varPid   = /"productId"\s*:\s*"([^"]+)"/i.exec(post)?.[1] || '';
+    const varCid   = /"companyId"\s*:\s*"([^"]+)"/i.exec(post)?.[1] || '';
+
+    if (ctx.route && varRoute && varRoute.toLowerCase() === ctx.route.toLowerCase()) reasons.push('graphql-route');
+    if (ctx.productId && varPid && varPid === ctx.productId) reasons.push('graphql-product');
+    if (ctx.companyId && varCid && varCid === ctx.companyId) reasons.push('graphql-company');
+
+    return reasons.length ? { accepted: true, reasons } : { accepted: false, reasons: ['graphql-other-page'] };
+  }
+
+  // HTML/JSON responses for THIS route
+  if ((/text\/html|application\/json|text\/x-component/i.test(contentType)) &&
+      ctx.route &&
+      (url.includes(`/${ctx.route}`) || body.includes(`whop.com/${ctx.route}`))) {
+    return { accepted: true, reasons: ['route-response'] };
+  }
+
+  return { accepted: false, reasons: ['unrelated-response'] };
+}
+
+const NEAR_CODE_METHODS = {
+  'popup-block': 'near-code',
+  'object': 'near-code-object',
+  'window': 'near-code-window',
+  'single-discountOff': 'single-discountOff',
+};
+
+// Whop reuses `amountOff` for both a fraction (0.15 = 15%) and an absolute amount (25)
+function fromRawAmounts(method, d) {
+  const fraction = d.amountOff != null && d.amountOff > 0 && d.amountOff <= 1;
+  let fixedAmount = null;
+  if (d.amountOffInCents != null) fixedAmount = d.amountOffInCents / 100;
+  else if (d.amountOff != null && d.amountOff > 1) fixedAmount = d.amountOff;
+  return {
+    method,
+    percent: d.discountPercent ?? (fraction ? roundPercent(d.amountOff * 100) : null),
+    amountOff: d.amountOff,
+    amountOffInCents: d.amountOffInCents,
+    fixedAmount,
+    currency: null,
+  };
+}
+
+// Whop's own id for the promo object carrying this code, when the payload includes one
+export function readPromoId(body, code) {
+  const hit = new RegExp(`"code"\\s*:\\s*"${escapeRe(code)}"`, 'i').exec(body);
+  if (!hit) return null;
+
+  // Walk back to the brace that opens the object holding "code", then forward to its close
+  let start = -1;
+  for (let i = hit.index, depth = 0; i >= 0; i--) {
+    if (body[i] === '}') depth++;
+    else if (body[i] === '{' && depth-- === 0) { start = i; break; }
+  }
+  if (start === -1) return null;
+  let end = -1;
+  for (let i = start, depth = 0; i < body.length; i++) {
+    if (body[i] === '{') depth++;
+    else if (body[i] === '}' && --depth === 0) { end = i; break; }
+  }
+  const obj = end === -1 ? null : safeJsonParse(body.slice(start, end + 1));
+  if (obj) return typeof obj.id === 'string' ? obj.id : null;
+
+  // Unparseable (truncated stream): take an id that sits next to the code in the same object
+  const near = body.slice(start, end === -1 ? hit.index + 400 : end + 1);
+  return /^\{[^{}]*?"id"\s*:\s*"([^"]+)"/.exec(near)?.[1] ??
+    /"id"\s*:\s*"([^"]+)"/.exec(body.slice(hit.index, hit.index + 200).split(/[{}]/)[0])?.[1] ?? null;
+}
+
+// Resolve the discount attached to one code occurrence, strongest reader first
+export function readDiscountForCode(body, code, codeIndex) {
+  if (typeof codeIndex === 'number' && codeIndex >= 0) {
+    const bundle = extractBundleFromBody(body, codeIndex);
+    if (bundle && bundle.code === code && (bundle.percent_off != null || bundle.amount_off != null)) {
+      return {
+        method: 'bundle',
+        percent: bundle.percent_off ?? null,
+        amountOff: null,
+        amountOffInCents: null,
+        fixedAmount: bundle.amount_off ?? null,
+        currency: bundle.currency ?? null,
+      };
+    }
+  }
+
+  const near = nearCodeDiscount(body, code);
+  if (near && (near.discountPercent != null || near.amountOff != null || near.amountOffInCents != null)) {
+    return fromRawAmounts(NEAR_CODE_METHODS[near.rule], near);
+  }
+
+  const local = extractDiscountNearCode(body, code);
+  if (local) return fromRawAmounts('local-window', local);
+
+  const win = readDiscountFromWindow(body, codeIndex);
+  if (win) {
+    return {
+      method: 'text-window',
+      percent: win.percent_off,
+      amountOff: null,
+      amountOffInCents: null,
+      fixedAmount: win.amount_off,
+      currency: win.currency,
+    };
+  }
+
+  return null;
+}
+
+// Highest score rankScore can award; confidence starts as a fraction of it
+export const MAX_RANK_SCORE = 133;
+
+// Discount readers that only guess from loose text cap how confident a candidate can be
+export const RULE_CONFIDENCE_CEILING = {
+  'near-code-window': 0.75,
+  'local-window': 0.7,
+  'text-window': 0.5,
+  'single-discountOff': 0.35,
+};
+
+// Another accepted code this close in score makes the pick ambiguous
+const RIVAL_MARGIN = 10;
+const RIVAL_FACTOR = 0.8;
+
+function rankScore(c, ctx) {
+  let s = 0;
+  if (c.structured) s += 40;
+  if (c.discount) s += 50;
+  if (/json|x-component/i.test(c.contentType)) s += 20;
+  if (ctx.route && c.sourceUrl.includes(`/${ctx.route}`)) s += 10;
+  if (c.reasons.includes('route-match') || c.reasons.some(r => r.startsWith('graphql-'))) s += 10;
+  if (/graphql/i.test(c.sourceUrl)) s += 3;
+  if (/MessagesFetchDmsChannels/i.test(c.sourceUrl)) s -= 15; // soft penalty on cross-feeds
+  return s;
+}
+
+/**
+ * 0-1 confidence that candidate `c` is this page's promo: its share of MAX_RANK_SCORE, capped
+ * by the discount rule that fired and reduced when a different accepted code scores close to it.
+ */
+export function confidenceFor(c, ranked = []) {
+  if (!c.accepted) return 0;
+  let conf = Math.max(0, Math.min(1, c.score / MAX_RANK_SCORE));
+  const ceiling = RULE_CONFIDENCE_CEILING[c.discount?.method];
+  if (ceiling != null) conf = Math.min(conf, ceiling);
+  if (ranked.some(o => o.accepted && o.code !== c.code && o.score >= c.score - RIVAL_MARGIN)) conf *= RIVAL_FACTOR;
+  return Math.round(conf * 100) / 100;
+}
+
+// Short single-line slice of the body around the code, for audit trails; tokens in it are masked
+export function excerptAround(text, index, radius = 120) {
+  if (typeof index !== 'number' || index < 0) return '';
+  const start = Math.max(0, index - radius);
+  const end = Math.min(text.length, index + radius);
+  return redactSecrets((start > 0 ? '…' : '') + text.slice(start, end).replace(/\s+/g, ' ') + (end < text.length ? '…' : ''));
+}
+
+/**
+ * Parse captured responses into ranked promo candidates.
+ *
+ * @param {Array<{url: string, contentType?: string, body: string, requestPostData?: string|null}>} responses
+ *   in capture order (later responses win ties, mirroring "bottom result" in DevTools)
+ * @param {{route?: string, productId?: string, companyId?: string, onlyThisCode?: string}} context
+ * @returns {Array<object>} candidates, accepted ones first by descending score. Each has
+ *   { code, accepted, score, confidence, reasons, discount, promoId, excerpt, sourceUrl, contentType,
+ *     responseIndex, codeIndex, structured }
+ */
+export function parseResponses(responses, context = {}) {
+  const ctx = {
+    route: context.route || null,
+    productId: context.productId || null,
+    companyId: context.companyId || null,
+  };
+  const onlyThisCode = context.onlyThisCode ? context.onlyThisCode.toLowerCase() : null;
+  const candidates = [];
+
+  responses.forEach((res, responseIndex) => {
+    const url = res.url || '';
+    const contentType = (res.contentType || '').toLowerCase();
+    const body = res.body || '';
+    if (!body || SKIP_EXT.test(url) || SKIP_CT.test(contentType)) return;
+    if (!/promo-|popupPromoCode|promoCode/i.test(body) && !/promoCode=/i.test(url)) return;
+
+    const text = unescapeRsc(body);
+
+    // First occurrence of each code in this response; structured matches come first
+    const occurrences = new Map();
+    if (onlyThisCode) {
+      const index = text.toLowerCase().indexOf(onlyThisCode);
+      if (index === -1) return;
+      const structured = new RegExp(`"popupPromoCode"\\s*:\\s*\\{[^}]*"code"\\s*:\\s*"${escapeRe(onlyThisCode)}"`, 'i').test(text);
+      occurrences.set(onlyThisCode, { code: onlyThisCode, index, pattern: structured ? 'structured' : 'requested' });
+    } else {
+      for (const item of findCodesWithIndex(text)) {
+        if (!occurrences.has(item.code)) occurrences.set(item.code, item);
+      }
+      const u = /[?&]promoCode=(promo-[a-z0-9-]{6,})/i.exec(url);
+      if (u && !occurrences.has(u[1].toLowerCase())) {
+        occurrences.set(u[1].toLowerCase(), { code: u[1].toLowerCase(), index: text.toLowerCase().indexOf(u[1].toLowerCase()), pattern: 'request-url' });
+      }
+    }
+    if (!occurrences.size) return;
+
+    const belonging = onlyThisCode
+      ? { accepted: true, reasons: ['requested-code'] }
+      : belongsToPage({ url, contentType, body: text, requestPostData: res.requestPostData ?? null }, ctx);
+
+    for (const occ of occurrences.values()) {
+      const c = {
+        code: occ.code,
+        accepted: belonging.accepted,
+        reasons: [...belonging.reasons, `pattern:${occ.pattern}`],
+        discount: readDiscountForCode(text, occ.code, occ.index),
+        promoId: readPromoId(text, occ.code),
+        excerpt: excerptAround(text, occ.index),
+        sourceUrl: url,
+        contentType,
+        responseIndex,
+        codeIndex: occ.index,
+        structured: occ.pattern === 'structured',
+      };
+      if (c.discount) c.reasons.push(`discount:${c.discount.method}`);
+      c.score = rankScore(c, ctx);
+      candidates.push(c);
+    }
+  });
+
+  candidates.sort((a, b) =>
+    (b.accepted - a.accepted) || (b.score - a.score) || (b.responseIndex - a.responseIndex)
+  );
+  for (const c of candidates) c.confidence = confidenceFor(c, candidates);
+  return candidates;
+}
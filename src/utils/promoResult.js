@@ -0,0 +1,213 @@
+// src/utils/promoResult.js
+// Versioned promo result schema: what the extractor returns, what every stage writes to its
+// JSONL records, and how those records become rows in out/whop_popup_codes.{json,csv}.
+//
+// Schema version 1 (PromoResult):
+//   schemaVersion  1
+//   code           promo code as typed at checkout ("promo-xxxxxxxx"), lowercased, or null
+//   promoId        Whop's id for the promo object, when the payload carries one
+//   percentOff     percent off, 0-100 (fractions such as 0.15 are already converted to 15)
+//   amountOff      fixed amount off in major currency units (cents are already divided out)
+//   currency       ISO 4217 code for amountOff when known
+//   source         { url, contentType } of the response the code was read from
+//   confidence     0-1, how strongly the evidence ties the code to this page (null when migrated);
+//                  see confidenceFor() in promoParse.js
+//   evidence       { rule, reasons, score, excerpt, competitors }: discount reader that fired
+//                  (bundle, near-code, ... single-discountOff), why the response was attributed to
+//                  the page, the raw rank score, body text around the code, and up to
+//                  MAX_COMPETITORS candidates that lost ({ code, accepted, score, confidence, rule, sourceUrl })
+//
+// Bump PROMO_SCHEMA_VERSION on any breaking change and teach normalizeRecord() to read the old shape.
+
+export const PROMO_SCHEMA_VERSION = 1;
+
+export const MAX_COMPETITORS = 5;
+
+export function emptyResult() {
+  return {
+    schemaVersion: PROMO_SCHEMA_VERSION,
+    code: null,
+    promoId: null,
+    percentOff: null,
+    amountOff: null,
+    currency: null,
+    source: { url: null, contentType: null },
+    confidence: null,
+    evidence: { rule: null, reasons: [], score: null, excerpt: '', competitors: [] },
+  };
+}
+
+// Build a PromoResult from the winning parseResponses() candidate; `ranked` is the full list
+export function fromCandidate(candidate, ranked = []) {
+  const d = candidate.discount;
+  const seen = new Set();
+  const competitors = [];
+  for (const o of ranked) {
+    const key = `${o.code}|${o.sourceUrl}`;
+    if (o === candidate || seen.has(key) || competitors.length >= MAX_COMPETITORS) continue;
+    seen.add(key);
+    competitors.push({
+      code: o.code,
+      accepted: o.accepted,
+      score: o.score,
+      confidence: o.confidence ?? 0,
+      rule: o.discount?.method ?? null,
+      sourceUrl: o.sourceUrl || null,
+    });
+  }
+
+  return {
+    schemaVersion: PROMO_SCHEMA_VERSION,
+    code: candidate.code,
+    promoId: candidate.promoId ?? null,
+    percentOff: d?.percent ?? null,
+    amountOff: d?.fixedAmount ?? null,
+    currency: d?.currency ?? null,
+    source: { url: candidate.sourceUrl || null, contentType: candidate.contentType || null },
+    confidence: candidate.confidence ?? null,
+    evidence: {
+      rule: d?.method ?? null,
+      reasons: [...candidate.reasons],
+      score: candidate.score,
+      excerpt: candidate.excerpt || '',
+      competitors,
+    },
+  };
+}
+
+function parsePercent(v) {
+  if (v == null || v === '') return null;
+  const n = Number(String(v).replace(/[%\s]/g, ''));
+  if (!isFinite(n)) return null;
+  return n > 0 && n <= 1 ? Math.round(n * 10000) / 100 : n;
+}
+
+function toNumber(v) {
+  if (v == null || v === '') return null;
+  const n = Number(v);
+  return isFinite(n) ? n : null;
+}
+
+/**
+ * Read any stored record (current schema or a pre-schema row from visited.jsonl,
+ * discounts.jsonl or the old scrapers) as a PromoResult.
+ */
+export function normalizeRecord(row) {
+  if (!row) return emptyResult();
+  if (row.schemaVersion === PROMO_SCHEMA_VERSION) {
+    const base = emptyResult();
+    const pick = (k) => row[k] ?? base[k];
+    return {
+      schemaVersion: PROMO_SCHEMA_VERSION,
+      code: pick('code'),
+      promoId: pick('promoId'),
+      percentOff: pick('percentOff'),
+      amountOff: pick('amountOff'),
+      currency: pick('currency'),
+      source: { ...base.source, ...(row.source || {}) },
+      confidence: pick('confidence'),
+      evidence: { ...base.evidence, ...(row.evidence || {}) },
+    };
+  }
+
+  // Legacy rows: `amountOff` meant either a fraction (0.15) or an absolute amount (25)
+  const rawAmount = toNumber(row.amountOff);
+  const cents = toNumber(row.amountOffInCents);
+  const percentOff =
+    toNumber(row.discountPercent) ??
+    toNumber(row.percent_off) ??
+    parsePercent(row.discountOff) ??
+    (rawAmount != null && rawAmount > 0 && rawAmount <= 1 ? Math.round(rawAmount * 10000) / 100 : null);
+  let amountOff = toNumber(row.amount_off);
+  if (amountOff == null && cents != null) amountOff = cents / 100;
+  if (amountOff == null && rawAmount != null && rawAmount > 1) amountOff = rawAmount;
+
+  return {
+    ...emptyResult(),
+    code: row.code ? String(row.code).toLowerCase() : null,
+    promoId: row.promoId || null,
+    percentOff,
+    amountOff,
+    currency: row.currency || null,
+    source: { url: row.sourceUrl || row.source_url || null, contentType: row.type || null },
+    evidence: { ...emptyResult().evidence, reasons: ['legacy-record'] },
+  };
+}
+
+export function hasDiscount(result) {
+  return result?.percentOff != null || result?.amountOff != null;
+}
+
+// Short human form for logs: "15% off", "USD 25 off"
+export function describeDiscount(result) {
+  const parts = [];
+  if (result?.percentOff != null) parts.push(`${result.percentOff}% off`);
+  if (result?.amountOff != null) parts.push(`${result.currency ? result.currency + ' ' : ''}${result.amountOff} off`);
+  return parts.join(', ');
+}
+
+// One line of visited.jsonl and friends: the result plus the page it was read from
+export function toVisitRecord(url, result, extra = {}) {
+  const r = result ?? emptyResult();
+  return { url, found: !!r.code, ...r, ...extra, checkedAt: new Date().toISOString() };
+}
+
+// ---------- output rows (out/whop_popup_codes.{json,csv}) ----------
+
+export const OUTPUT_COLUMNS = [
+  'timestamp', 'productUrl', 'productId', 'companyId', 'productRoute', 'productTitle',
+  'code', 'promoId', 'percentOff', 'amountOff', 'currency',
+  'sourceUrl', 'contentType', 'confidence', 'rule', 'profile', 'visibility', 'schemaVersion',
+];
+
+export function toOutputRow(result, { timestamp = new Date().toISOString(), productUrl = '', productId = '', companyId = '', productRoute = '', productTitle = '', profile = '', visibility = '' } = {}) {
+  const r = normalizeRecord(result);
+  return {
+    timestamp,
+    productUrl,
+    productId,
+    companyId,
+    productRoute,
+    productTitle,
+    code: r.code ?? '',
+    promoId: r.promoId ?? '',
+    percentOff: r.percentOff ?? '',
+    amountOff: r.amountOff ?? '',
+    currency: r.currency ?? '',
+    sourceUrl: r.source.url ?? '',
+    contentType: r.source.contentType ?? '',
+    confidence: r.confidence ?? '',
+    rule: r.evidence.rule ?? '',
+    profile,
+    visibility,
+    schemaVersion: r.schemaVersion,
+  };
+}
+
+// Read an output row back into a PromoResult (blank cells are unknown values)
+export function fromOutputRow(row) {
+  const value = (v) => (v === '' || v == null ? null : v);
+  const number = (v) => (value(v) == null || !isFinite(Number(v)) ? null : Number(v));
+  const base = emptyResult();
+  return {
+    ...base,
+    code: value(row.code) ? String(row.code).toLowerCase() : null,
+    promoId: value(row.promoId),
+    percentOff: number(row.percentOff),
+    amountOff: number(row.amountOff),
+    currency: value(row.currency),
+    source: { url: value(row.sourceUrl), contentType: value(row.contentType) },
+    confidence: number(row.confidence),
+    evidence: { ...base.evidence, rule: value(row.rule), reasons: ['legacy-record'] },
+  };
+}
+
+export function csvHeader() {
+  return OUTPUT_COLUMNS.join(',') + '\n';
+}
+
+export function csvLine(row) {
+  return OUTPUT_COLUMNS
+    .map(k => `"${String(row[k] ?? '').replace(/\r?\n/g, ' ').replace(/"/g, '""')}"`)
+    .join(',') + '\n';
+}
@@ -0,0 +1,31 @@
+// src/utils/redact.js
+// Mask session secrets (cookie values, tokens, Authorization headers, JWTs) in text before it
+// leaves the process: every log line (logger.js) and the evidence excerpts cut from response
+// bodies (promoParse.js). Names stay readable so a line still says which cookie it was about.
+
+export const REDACTED = '[redacted]';
+
+// A key whose value is a secret: ends in token, secret, password, api key, cookie, session(-id) or sid
+const SECRET_KEY = String.raw`[\w.-]*?(?:token|secret|passw(?:or)?d|api[_-]?key|cookie|session(?:[_-]?id)?|sid)`;
+
+const PATTERNS = [
+  // Cookie / Set-Cookie headers: every value in them
+  [/(\b(?:set-)?cookie:[ \t]*)[^\r\n"\\]+/gi, `$1${REDACTED}`],
+  // Authorization headers, with or without a scheme
+  [/(\bauthorization:[ \t]*(?:bearer[ \t]+|basic[ \t]+)?)[^\s"\\]+/gi, `$1${REDACTED}`],
+  // "accessToken": "…" in JSON, also inside a JSON string (\"accessToken\":\"…\")
+  [new RegExp(String.raw`((\\?["'])${SECRET_KEY}\2\s*:\s*(\\?["']))(?:(?!\3)[^\r\n])+`, 'gi'), `$1${REDACTED}`],
+  // A cookie object in a storage state or export: { "name": "session", "value": "…" }
+  [/("name"\s*:\s*"[^"]*(?:token|session|sid|auth|secret|csrf)[^"]*"\s*,\s*"value"\s*:\s*")[^"]*/gi, `$1${REDACTED}`],
+  // name=value pairs: cookie strings, query strings, env lines
+  [new RegExp(String.raw`(\b${SECRET_KEY}=)[^\s;&,"'\\]+`, 'gi'), `$1${REDACTED}`],
+  // Bare JWTs
+  [/\beyJ[\w-]{8,}\.[\w-]{8,}\.[\w-]{8,}/g, REDACTED],
+];
+
+/** The text with secret values replaced by [redacted] */
+export function redactSecrets(text) {
+  let out = String(text ?? '');
+  for (const [pattern, replacement] of PATTERNS) out = out.replace(pattern, replacement);
+  return out;
+}
@@ -0,0 +1,179 @@
+// src/utils/replay.js
+// Offline capture/replay of product-page traffic so extractors can run against a frozen snapshot
+//
+// Fixture directory layout:
+//   <dir>/manifest.json   { url, recordedAt, expected, entries: [{ method, url, postData, postDigest, status, headers, body }] }
+//   <dir>/bodies/NNNN.bin raw response bodies referenced by entries[].body
+// Recording runs under the Whop session, so auth headers are never written and postData is kept
+// with its secrets redacted (postDigest still matches the original request body on replay).
+// HAR files (DevTools "Save all as HAR" or Playwright recordHar) are replayed via routeFromHAR.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { log } from './logger.js';
+import { redactSecrets } from './redact.js';
+
+// Headers that no longer describe the stored (already decoded) body, and the session's own
+// credentials, which must never end up in a fixture
+const DROP_HEADERS = /^(content-encoding|content-length|transfer-encoding|connection|keep-alive)$/i;
+const SECRET_HEADERS = /^(set-cookie2?|cookie|authorization|proxy-authorization|x-(csrf|xsrf)-token|x-(auth|access|api)-(token|key))$/i;
+
+// Next.js adds a per-request cache buster; it must not affect matching
+const VOLATILE_PARAMS = ['_rsc'];
+
+export function fixtureSlug(url) {
+  try {
+    const u = new URL(url);
+    const slug = `${u.hostname}${u.pathname}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'root';
+  } catch {
+    return crypto.createHash('sha1').update(String(url)).digest('hex').slice(0, 12);
+  }
+}
+
+function normalizeRequestUrl(u) {
+  try {
+    const url = new URL(u);
+    url.hash = '';
+    for (const p of VOLATILE_PARAMS) url.searchParams.delete(p);
+    url.searchParams.sort();
+    return url.toString();
+  } catch {
+    return u;
+  }
+}
+
+function postDigest(postData) {
+  if (!postData) return '';
+  return crypto.createHash('sha1').update(postData).digest('hex').slice(0, 16);
+}
+
+function requestKeys(method, url, digest) {
+  const m = (method || 'GET').toUpperCase();
+  const norm = normalizeRequestUrl(url);
+  const keys = [];
+  if (digest) keys.push(`${m} ${norm} ${digest}`);
+  keys.push(`${m} ${norm}`);
+  return keys;
+}
+
+// Attach to a browser context and keep every response the page sees
+export function attachRecorder(context) {
+  const entries = [];
+  const pending = new Set();
+
+  const onResponse = (resp) => {
+    const job = (async () => {
+      const req = resp.request();
+      const status = resp.status();
+      let body = null;
+      if (status < 300 || status >= 400) {
+        body = await resp.body().catch(() => null);
+      }
+      const headers = {};
+      for (const [k, v] of Object.entries(await resp.allHeaders().catch(() => resp.headers()))) {
+        if (!DROP_HEADERS.test(k) && !SECRET_HEADERS.test(k)) headers[k] = v;
+      }
+      const postData = req.postData() || null;
+      entries.push({
+        method: req.method(),
+        url: resp.url(),
+        postData: postData && redactSecrets(postData),
+        postDigest: postDigest(postData) || null,
+        status,
+        headers,
+        body,
+      });
+    })().catch(() => {}).finally(() => pending.delete(job));
+    pending.add(job);
+  };
+
+  context.on('response', onResponse);
+
+  return {
+    entries,
+    async stop() {
+      context.off('response', onResponse);
+      await Promise.all([...pending]);
+    },
+    // Write the captured traffic as a fixture directory
+    async save(dir, meta = {}) {
+      await this.stop();
+      const bodiesDir = path.join(dir, 'bodies');
+      fs.rmSync(dir, { recursive: true, force: true });
+      fs.mkdirSync(bodiesDir, { recursive: true });
+
+      const manifestEntries = entries.map((e, i) => {
+        let body = null;
+        if (e.body && e.body.length) {
+          body = path.posix.join('bodies', `${String(i).padStart(4, '0')}.bin`);
+          fs.writeFileSync(path.join(dir, body), e.body);
+        }
+        return { method: e.method, url: e.url, postData: e.postData, postDigest: e.postDigest, status: e.status, headers: e.headers, body };
+      });
+
+      const manifest = { ...meta, recordedAt: new Date().toISOString(), entries: manifestEntries };
+      fs.writeFileSync(path.join(dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+      return manifest;
+    },
+  };
+}
+
+export function loadFixture(dir) {
+  const file = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(file)) throw new Error(`No fixture manifest at ${file}`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Serve a fixture directory back through context routing. Repeated requests for the same
+// resource are answered in recorded order (load, then reload); the last one repeats.
+async function installDirectoryReplay(context, dir, { notFound = 'abort' } = {}) {
+  const manifest = loadFixture(dir);
+  const byKey = new Map();
+  for (const entry of manifest.entries) {
+    // Fixtures from before redaction have no postDigest; their postData is the original
+    for (const key of requestKeys(entry.method, entry.url, entry.postDigest ?? postDigest(entry.postData))) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(entry);
+    }
+  }
+  const served = new Map();
+  const misses = [];
+
+  await context.route('**/*', async (route) => {
+    const req = route.request();
+    let entry = null;
+    for (const key of requestKeys(req.method(), req.url(), postDigest(req.postData()))) {
+      const list = byKey.get(key);
+      if (!list) continue;
+      const n = served.get(key) || 0;
+      served.set(key, n + 1);
+      entry = list[Math.min(n, list.length - 1)];
+      break;
+    }
+
+    if (!entry) {
+      misses.push(req.url());
+      log.debug(`🚫 replay miss ${req.method()} ${req.url()}`, { method: req.method(), url: req.url() });
+      return notFound === 'fallback' ? route.fallback() : route.abort('internetdisconnected');
+    }
+
+    const body = entry.body ? fs.readFileSync(path.join(dir, entry.body)) : undefined;
+    await route.fulfill({ status: entry.status, headers: entry.headers, body });
+  });
+
+  return { source: dir, kind: 'directory', manifest, misses };
+}
+
+// Install offline replay on a context from a HAR file or fixture directory
+export async function installReplay(context, source, { notFound = 'abort' } = {}) {
+  if (!source || !fs.existsSync(source)) throw new Error(`Replay source not found: ${source}`);
+
+  if (fs.statSync(source).isDirectory()) {
+    return installDirectoryReplay(context, source, { notFound });
+  }
+
+  await context.routeFromHAR(source, { notFound, update: false });
+  return { source, kind: 'har', manifest: null, misses: [] };
+}
@@ -0,0 +1,145 @@
+// src/utils/runDiff.js
+// Compare two snapshots of extraction results: what each product showed at one point versus
+// another. A snapshot is one entry per product, the latest observation wins:
+//   { id, url, status (found | empty | error), code, discount, error, checkedAt }
+// discount is { percentOff, amountOff, currency } from the latest reading of that code, or null.
+//
+// Snapshots come from the store as of a moment, or from a JSONL/JSON file (visited.jsonl and its
+// backups, out/whop_popup_codes.json) via recordFromRow().
+
+import { normalizeRecord, fromOutputRow, hasDiscount, describeDiscount } from './promoResult.js';
+import { productKey } from './productUrl.js';
+import { isObservation } from './timeline.js';
+import { isAnonymousComparison } from './visibility.js';
+
+/** A stored row of any vintage, in the shape the store's attempts() returns */
+export function recordFromRow(row) {
+  if (row?.productUrl) {
+    const result = fromOutputRow(row);
+    return { url: row.productUrl, status: result.code ? 'found' : 'empty', code: result.code, result, error: null, checkedAt: row.timestamp || null };
+  }
+  const result = normalizeRecord(row);
+  const status = row.error ? 'error' : result.code ? 'found' : 'empty';
+  return { url: row.url, status, code: result.code, result, error: row.error || null, checkedAt: row.checkedAt || row.at || null };
+}
+
+/**
+ * Fold records into a snapshot. Records with a `stage` outside OBSERVING_STAGES only add
+ * discount readings, and the logged-out half of a --compare-anonymous pair is skipped, as in the
+ * timeline.
+ */
+export function snapshotFromRecords(records, { idOf = (r) => productKey(r.url) } = {}) {
+  const ordered = records
+    .filter(r => r?.url && !isAnonymousComparison(r))
+    .sort((a, b) => String(a.checkedAt || '').localeCompare(String(b.checkedAt || '')));
+
+  const entries = new Map();
+  const readings = new Map();
+  for (const r of ordered) {
+    const id = idOf(r);
+    if (r.status !== 'error' && r.code && hasDiscount(r.result)) {
+      readings.set(`${id}|${r.code}`, { percentOff: r.result.percentOff, amountOff: r.result.amountOff, currency: r.result.currency });
+    }
+    if (r.stage && !isObservation(r)) continue;
+    entries.set(id, {
+      id,
+      url: r.url,
+      status: r.status,
+      code: r.status === 'found' ? r.code : null,
+      discount: null,
+      error: r.error || null,
+      checkedAt: r.checkedAt,
+    });
+  }
+  for (const entry of entries.values()) {
+    if (entry.code) entry.discount = readings.get(`${entry.id}|${entry.code}`) || null;
+  }
+  return entries;
+}
+
+function sameDiscount(a, b) {
+  return a.percentOff === b.percentOff && a.amountOff === b.amountOff && (a.currency || null) === (b.currency || null);
+}
+
+/**
+ * What changed from `before` to `after`. Products missing from `after` or failing there are not
+ * counted as losing their code: nothing is known about them.
+ */
+export function diffSnapshots(before, after, { beforeLabel = 'before', afterLabel = 'after' } = {}) {
+  const diff = {
+    before: beforeLabel,
+    after: afterLabel,
+    newCodes: [],
+    removedCodes: [],
+    discountChanged: [],
+    flippedToNotFound: [],
+    newErrors: [],
+  };
+
+  for (const [id, now] of after) {
+    const was = before.get(id);
+    if (now.status === 'error') {
+      if (was?.status !== 'error') diff.newErrors.push({ id, url: now.url, error: now.error });
+      continue;
+    }
+    if (now.code && was?.code !== now.code) {
+      diff.newCodes.push({ id, url: now.url, code: now.code, discount: now.discount, replaces: was?.code || null });
+    }
+    if (was?.code && was.code !== now.code) {
+      diff.removedCodes.push({ id, url: now.url, code: was.code, replacedBy: now.code });
+      if (!now.code) diff.flippedToNotFound.push({ id, url: now.url, code: was.code });
+    }
+    if (was?.code && was.code === now.code && was.discount && now.discount && !sameDiscount(was.discount, now.discount)) {
+      diff.discountChanged.push({ id, url: now.url, code: now.code, from: was.discount, to: now.discount });
+    }
+  }
+
+  diff.summary = {
+    productsBefore: before.size,
+    productsAfter: after.size,
+    newCodes: diff.newCodes.length,
+    removedCodes: diff.removedCodes.length,
+    discountChanged: diff.discountChanged.length,
+    flippedToNotFound: diff.flippedToNotFound.length,
+    newErrors: diff.newErrors.length,
+  };
+  return diff;
+}
+
+const discountText = (d) => (d ? describeDiscount(d) : '') || 'discount unknown';
+
+// Section title, row formatter for each list in a diff, in report order
+const SECTIONS = [
+  ['newCodes', 'New codes', (x) => `${x.code} on ${x.url} (${discountText(x.discount)})${x.replaces ? `, replaces ${x.replaces}` : ''}`],
+  ['removedCodes', 'Removed codes', (x) => `${x.code} on ${x.url}${x.replacedBy ? `, replaced by ${x.replacedBy}` : ''}`],
+  ['discountChanged', 'Discount changed', (x) => `${x.code} on ${x.url}: ${discountText(x.from)} → ${discountText(x.to)}`],
+  ['flippedToNotFound', 'Found → not found', (x) => `${x.url} (had ${x.code})`],
+  ['newErrors', 'New errors', (x) => `${x.url}: ${String(x.error || '').split('\n')[0]}`],
+];
+
+export function renderText(diff) {
+  const lines = [`🔀 ${diff.before} → ${diff.after} (${diff.summary.productsBefore} → ${diff.summary.productsAfter} products)`];
+  for (const [key, title, row] of SECTIONS) {
+    lines.push(`\n${title}: ${diff[key].length}`);
+    for (const x of diff[key]) lines.push(`   - ${row(x)}`);
+  }
+  return lines.join('\n');
+}
+
+export function renderMarkdown(diff) {
+  const lines = [
+    `# Run diff: ${diff.before} → ${diff.after}`,
+    '',
+    `Products observed: ${diff.summary.productsBefore} → ${diff.summary.productsAfter}`,
+    '',
+    '| Change | Count |',
+    '|--------|-------|',
+    ...SECTIONS.map(([key, title]) => `| ${title} | ${diff[key].length} |`),
+  ];
+  for (const [key, title, row] of SECTIONS) {
+    if (!diff[key].length) continue;
+    lines.push('', `## ${title}`, '');
+    for (const x of diff[key]) lines.push(`- ${row(x).replace(/\|/g, '\\|')}`);
+  }
+  return lines.join('\n') + '\n';
+}
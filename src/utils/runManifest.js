@@ -0,0 +1,34 @@
+// src/utils/runManifest.js
+// What a run records about itself in the store's runs table: a sortable id, the git revision the
+// code ran at, and the effective configuration it was started with.
+
+import crypto from 'crypto';
+import { execFileSync } from 'child_process';
+import { ROOT } from './paths.js';
+
+/** "20251018T120304Z-1a2b3c": start time first, so ids sort chronologically */
+export function newRunId(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/** HEAD commit, suffixed "-dirty" with uncommitted changes to tracked files; null outside git */
+export function gitRevision(cwd = ROOT) {
+  const git = (...args) => execFileSync('git', args, { cwd, stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).toString().trim();
+  try {
+    const rev = git('rev-parse', 'HEAD');
+    return git('status', '--porcelain', '--untracked-files=no') ? `${rev}-dirty` : rev;
+  } catch {
+    return null;
+  }
+}
+
+/** Options as a run saw them, minus anything that does not survive JSON */
+export function configSnapshot(options = {}) {
+  const config = {};
+  for (const [k, v] of Object.entries(options)) {
+    if (v === undefined || typeof v === 'function') continue;
+    config[k] = v;
+  }
+  return config;
+}
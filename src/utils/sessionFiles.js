@@ -0,0 +1,126 @@
+// src/utils/sessionFiles.js
+// Session files at rest. With WHP_SESSION_PASSPHRASE set, a session file is written encrypted
+// (AES-256-GCM, key derived with scrypt) and read back transparently; plain files still read.
+// Before a stage reads or writes one, assertSessionFileSafe() makes sure git would never pick it
+// up: a session file that is tracked, or sits unignored in the work tree, is refused. Fixtures
+// recorded under a session get the same check (assertOutsideGit).
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+export const PASSPHRASE_ENV = 'WHP_SESSION_PASSPHRASE';
+
+const FORMAT = 'whp-session';
+const CIPHER = 'aes-256-gcm';
+
+const passphraseFromEnv = () => process.env[PASSPHRASE_ENV] || null;
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(String(passphrase), salt, 32);
+}
+
+/** Whether parsed JSON is an encrypted session envelope */
+export function isEncrypted(data) {
+  return data?.format === FORMAT && typeof data.data === 'string';
+}
+
+/** The envelope written in place of a storage state: { format, version, cipher, kdf, salt, iv, tag, data } */
+export function encryptSession(state, passphrase) {
+  if (!passphrase) throw new Error(`Encrypting a session file needs a passphrase (${PASSPHRASE_ENV})`);
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(passphrase, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(state), 'utf8'), cipher.final()]);
+  return {
+    format: FORMAT, version: 1, cipher: CIPHER, kdf: 'scrypt',
+    salt: salt.toString('base64'), iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64'),
+  };
+}
+
+export function decryptSession(envelope, passphrase) {
+  if (!passphrase) throw new Error(`The session file is encrypted; set ${PASSPHRASE_ENV} to read it`);
+  try {
+    const decipher = crypto.createDecipheriv(CIPHER, deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')), Buffer.from(envelope.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+    const text = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`Cannot decrypt the session file: wrong ${PASSPHRASE_ENV} or a damaged file`);
+  }
+}
+
+/** A session file's JSON, decrypted when it is encrypted; throws when it cannot be read */
+export function readSessionFile(file, { passphrase = passphraseFromEnv() } = {}) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!isEncrypted(data)) return data;
+  try {
+    return decryptSession(data, passphrase);
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/** Whether a session file on disk is encrypted (false when missing or not JSON) */
+export function isEncryptedFile(file) {
+  try { return isEncrypted(JSON.parse(fs.readFileSync(file, 'utf8'))); } catch { return false; }
+}
+
+/**
+ * Write a storage state to `file` (owner-only permissions), encrypted when a passphrase is set.
+ * Refuses a path git would pick up.
+ */
+export function writeSessionFile(file, state, { passphrase = passphraseFromEnv() } = {}) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  assertSessionFileSafe(file);
+  const body = passphrase ? encryptSession(state, passphrase) : state;
+  fs.writeFileSync(file, JSON.stringify(body, null, 2), { mode: 0o600 });
+  fs.chmodSync(file, 0o600);
+  return { file, encrypted: !!passphrase };
+}
+
+/**
+ * Why git could pick up `file`: 'tracked', 'not ignored' (in the work tree without a matching
+ * .gitignore rule), or null when it is ignored or outside any git work tree.
+ */
+export function gitExposure(file) {
+  const dir = path.dirname(path.resolve(file));
+  const name = path.basename(file);
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: ['ignore', 'pipe', 'ignore'], timeout: 5000 }).toString().trim();
+  try {
+    if (git('rev-parse', '--is-inside-work-tree') !== 'true') return null;
+  } catch {
+    return null; // not a work tree, or no git
+  }
+  try {
+    git('ls-files', '--error-unmatch', '--', name);
+    return 'tracked';
+  } catch {}
+  try {
+    git('check-ignore', '-q', '--', name);
+    return null;
+  } catch {
+    return 'not ignored';
+  }
+}
+
+/**
+ * Throw when git tracks `target` (a file, or a directory of them), or would add it with the rest
+ * of the work tree. `what` names it in the message. A directory must exist to be checked.
+ */
+export function assertOutsideGit(target, what = 'file') {
+  const exposure = gitExposure(target);
+  if (exposure === 'tracked') {
+    const rm = fs.statSync(target, { throwIfNoEntry: false })?.isDirectory() ? 'git rm -r --cached' : 'git rm --cached';
+    throw new Error(`Refusing to use ${what} ${target}: it is tracked by git. Run ${rm} ${target} and add it to .gitignore`);
+  }
+  if (exposure === 'not ignored') {
+    throw new Error(`Refusing to use ${what} ${target}: it sits in the git work tree without a .gitignore rule. Add it to .gitignore`);
+  }
+}
+
+/** Throw when git tracks the session file `file`, or would add it with the rest of the work tree */
+export function assertSessionFileSafe(file) {
+  assertOutsideGit(file, 'session file');
+}
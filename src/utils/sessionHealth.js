@@ -0,0 +1,235 @@
+// src/utils/sessionHealth.js
+// Health of the logged-in Whop session while a run goes on. The session file's cookies say
+// when the login runs out, a probe of whop.com checks it is still accepted every few minutes,
+// and a stage reports visits that bounced to the login page. Once the session is gone the
+// monitor reports it expired (the stage stops starting visits) and waits for the session file
+// to be refreshed; a refreshed file that passes the probe resumes the run.
+
+import fs from 'fs';
+import { parseCookieExport, toStorageState } from './cookieImport.js';
+import { isEncrypted, decryptSession, PASSPHRASE_ENV } from './sessionFiles.js';
+
+export const LOGGED_IN_SELECTOR = 'a[href*="/profile"], [data-testid="user-menu"], .avatar, [href*="/dashboard"]';
+
+// Cookies that carry the login, by name; other whop.com cookies (analytics, consent) do not count
+const AUTH_COOKIE = /session|token|auth|sid/i;
+
+/** Whether a URL is Whop's login page, where an expired session sends a visit */
+export function isLoginUrl(u) {
+  try { return /^\/(login|signin|sign-in)\b/.test(new URL(u).pathname); } catch { return false; }
+}
+
+/**
+ * A Playwright storage state file, or null when it is missing or unreadable. An encrypted one is
+ * decrypted with WHP_SESSION_PASSPHRASE (see sessionFiles.js); a cookie export (a cookies.json
+ * list, cookies.txt; see cookieImport.js) reads as a state holding its cookies.
+ */
+export function readStorageState(file) {
+  let text;
+  try { text = fs.readFileSync(file, 'utf8'); } catch { return null; }
+  try {
+    const state = JSON.parse(text);
+    if (isEncrypted(state)) return decryptSession(state, process.env[PASSPHRASE_ENV]);
+    if (state && !Array.isArray(state)) return state;
+  } catch {
+    // Not JSON (a cookies.txt or header), or encrypted without the right passphrase
+    if (text.trimStart().startsWith('{')) return null;
+  }
+  try {
+    return toStorageState(parseCookieExport(text).cookies);
+  } catch {
+    return null;
+  }
+}
+
+/** Whether a cookie belongs to whop.com or one of its subdomains */
+export function isWhopCookie(c) {
+  return /(^|\.)whop\.com$/.test(String(c?.domain || '').replace(/^\./, ''));
+}
+
+/**
+ * When a storage state's Whop login runs out: the earliest expiry among its whop.com login
+ * cookies (all whop.com cookies when none is named like one). Browser-session cookies
+ * (expires -1) never expire on their own. Returns { cookies, cookie, expiresAt, expired }.
+ */
+export function sessionExpiry(state, now = Date.now()) {
+  const whop = (state?.cookies || []).filter(isWhopCookie);
+  if (!whop.length) return { cookies: 0, cookie: null, expiresAt: null, expired: true };
+
+  const auth = whop.filter(c => AUTH_COOKIE.test(c.name));
+  const [first] = (auth.length ? auth : whop).filter(c => c.expires > 0).sort((a, b) => a.expires - b.expires);
+  const expiresAt = first ? new Date(first.expires * 1000).toISOString() : null;
+  return { cookies: whop.length, cookie: first?.name ?? null, expiresAt, expired: !!first && first.expires * 1000 <= now };
+}
+
+/** Open whop.com and look for the signed-in header; false when it bounces to the login page */
+export async function probeLoggedIn(page, { timeout = 30000 } = {}) {
+  await page.goto('https://whop.com/', { waitUntil: 'domcontentloaded', timeout });
+  if (isLoginUrl(page.url())) return false;
+  return page.locator(LOGGED_IN_SELECTOR).first().isVisible().catch(() => false);
+}
+
+/**
+ * Watch the session in `storage` for a run. `probe()` resolves true while whop.com still
+ * accepts it (a probe that throws says nothing either way); `onPassed()` follows every probe
+ * that finds it logged in. Once the session has expired,
+ * `onExpired(reason)` is called and the session file is polled every `pollMs`; when it changes
+ * and its cookies are current, `onRefreshed()` (reopen the browser context with it) runs and
+ * the probe decides. After `waitMs` without a working session `onGaveUp(reason)` is called.
+ * `now` is for tests.
+ */
+export function createSessionMonitor({
+  storage,
+  probe,
+  checkEveryMs = 10 * 60_000,
+  waitMs = 30 * 60_000,
+  pollMs = 5000,
+  onPassed = null,
+  onExpired = null,
+  onRefreshed = null,
+  onGaveUp = null,
+  log = null,
+  now = Date.now,
+}) {
+  let status = 'ok';
+  let reason = null;
+  let expiresAt = null;
+  let checking = null;
+  let timer = null;
+  let stopped = false;
+  let wake = null;
+  const counts = { probes: 0, failedProbes: 0, expirations: 0, refreshes: 0, waitedMs: 0 };
+
+  // A nap stop() can cut short, so a stopped monitor does not hold the process open
+  const nap = (ms) => new Promise(resolve => {
+    const t = setTimeout(resolve, ms);
+    wake = () => { clearTimeout(t); resolve(); };
+  });
+
+  const mtimeOf = () => { try { return fs.statSync(storage).mtimeMs; } catch { return null; } };
+
+  /** The session file's cookies; sets the expiry the monitor watches for */
+  function readCookies() {
+    const expiry = sessionExpiry(readStorageState(storage), now());
+    expiresAt = expiry.expiresAt ? Date.parse(expiry.expiresAt) : null;
+    if (!expiry.cookies) return `${storage} holds no whop.com cookies`;
+    if (expiry.expired) return `cookie ${expiry.cookie} expired at ${expiry.expiresAt}`;
+    return null;
+  }
+
+  async function runProbe() {
+    counts.probes++;
+    try {
+      return await probe();
+    } catch (error) {
+      counts.failedProbes++;
+      log?.warn(`⚠️ Could not check the session: ${error.message}`, { error });
+      return null;
+    }
+  }
+
+  async function waitForRefresh(since) {
+    const started = now();
+    let seen = mtimeOf();
+    while (!stopped && now() - started < waitMs) {
+      await nap(pollMs);
+      const mtime = mtimeOf();
+      if (stopped || mtime == null || mtime === seen) continue;
+      seen = mtime;
+      const stale = readCookies();
+      if (stale) {
+        log?.warn(`🔒 ${storage} changed but is still expired: ${stale}`);
+        continue;
+      }
+      try {
+        await onRefreshed?.();
+      } catch (error) {
+        log?.warn(`⚠️ Could not reopen the browser with the refreshed session: ${error.message}`, { error });
+        continue;
+      }
+      const ok = await runProbe();
+      if (ok === false) {
+        log?.warn(`🔒 ${storage} changed but whop.com still shows it logged out`);
+        continue;
+      }
+      counts.refreshes++;
+      counts.waitedMs += now() - started;
+      status = 'ok';
+      reason = null;
+      log?.info(`🔓 Session refreshed after ${Math.round((now() - since) / 1000)}s; resuming`);
+      onPassed?.();
+      return true;
+    }
+    counts.waitedMs += now() - started;
+    if (stopped) return false;
+    status = 'gave-up';
+    log?.error(`🛑 No fresh session within ${Math.round(waitMs / 60_000)} min; stopping (${reason})`, { reason });
+    onGaveUp?.(reason);
+    return false;
+  }
+
+  const monitor = {
+    /** Mark the session expired (once); the stage pauses and the monitor waits for a refresh */
+    expire(why) {
+      if (status !== 'ok' || stopped) return false;
+      status = 'expired';
+      reason = why;
+      counts.expirations++;
+      log?.error(`🔒 Session expired: ${why}. Pausing until ${storage} is refreshed (whp auth capture)`, { reason: why });
+      onExpired?.(why);
+      waitForRefresh(now());
+      return true;
+    },
+
+    /** Check the cookies, then probe whop.com; resolves true, false once the session has expired, or null when the probe failed */
+    check() {
+      if (status !== 'ok') return Promise.resolve(false);
+      if (!checking) {
+        checking = (async () => {
+          const stale = readCookies();
+          if (stale) return !monitor.expire(stale);
+          const ok = await runProbe();
+          if (ok === false) return !monitor.expire('whop.com shows the session logged out');
+          if (ok) onPassed?.();
+          return status === 'ok' ? ok : false;
+        })().finally(() => { checking = null; });
+      }
+      return checking;
+    },
+
+    /** Whether visits may go on: the session is fine and its cookies have not run out */
+    ready() {
+      if (status === 'ok' && expiresAt && now() >= expiresAt) {
+        monitor.expire(`login cookie expired at ${new Date(expiresAt).toISOString()}`);
+      }
+      return status === 'ok';
+    },
+
+    /** Probe every checkEveryMs from now on */
+    start() {
+      timer = setInterval(() => { if (status === 'ok') monitor.check(); }, checkEveryMs);
+      timer.unref();
+    },
+
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+      wake?.();
+    },
+
+    /** 'ok', 'expired' (waiting for a refresh) or 'gave-up' */
+    get status() {
+      return status;
+    },
+
+    get reason() {
+      return reason;
+    },
+
+    /** For the run manifest */
+    stats() {
+      return { status, reason, expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null, ...counts };
+    },
+  };
+  return monitor;
+}
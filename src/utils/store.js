@@ -0,0 +1,481 @@
+// src/utils/store.js
+// SQLite result store (data/whp.sqlite): the one source of truth every stage reads and writes.
+// Replaces queue/visited/errors/discounts/... JSONL files; src/importJsonl.js brings old ones in.
+//
+// Tables:
+//   queue         one row per discovered URL (as discovered, affiliate params kept) with its product key;
+//                 requeued_at marks failures `whp retry` handed back to extraction
+//   attempts      every extraction/enrichment visit: stage, status (found | empty | error), the
+//                 PromoResult as JSON, how long it took, the error class of a failure (see
+//                 errorClass.js), the auth profile the visit ran under (null when anonymous),
+//                 the promo's visibility from a logged-in/logged-out pair of visits (see
+//                 visibility.js), and import_ref for rows importJsonl.js brought in
+//   promo_codes   one row per attempt that found a code
+//   discounts     one row per attempt whose result carries a percent or amount off
+//   products      latest identity per product key (see productRegistry.js)
+//   product_urls  every URL seen for a product key
+//   runs          one row per invocation of a writing stage: command, status, start/end, git
+//                 revision, effective config and counts. queue, attempts and products rows carry
+//                 the run_id of the run that wrote them.
+//
+// Writes go through the methods below, each in a transaction, so a crash never leaves an
+// attempt without its code/discount rows. Bump the schema by appending to MIGRATIONS.
+
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { DATA_DIR, dataFiles } from './paths.js';
+import { productKey } from './productUrl.js';
+import { normalizeRecord, hasDiscount } from './promoResult.js';
+import { newRunId, gitRevision, configSnapshot } from './runManifest.js';
+import { classifyError } from './errorClass.js';
+import { VISIBILITIES } from './visibility.js';
+
+// Stages that write attempts; `scrape` is rows imported from the standalone scrapers' output
+export const STAGES = ['extract', 'enrich', 'update', 'bundle', 'scrape'];
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE queue (
+    url            TEXT PRIMARY KEY,
+    key            TEXT NOT NULL,
+    source         TEXT,
+    discovered_at  TEXT NOT NULL,
+    lastmod        TEXT,
+    meta           TEXT
+  );
+  CREATE INDEX queue_key ON queue(key);
+
+  CREATE TABLE attempts (
+    id          INTEGER PRIMARY KEY,
+    url         TEXT NOT NULL,
+    key         TEXT NOT NULL,
+    stage       TEXT NOT NULL,
+    status      TEXT NOT NULL CHECK (status IN ('found', 'empty', 'error')),
+    code        TEXT,
+    result      TEXT,
+    error       TEXT,
+    checked_at  TEXT NOT NULL,
+    import_ref  TEXT UNIQUE
+  );
+  CREATE INDEX attempts_stage_key ON attempts(stage, key);
+  CREATE INDEX attempts_code ON attempts(code);
+
+  CREATE TABLE promo_codes (
+    id            INTEGER PRIMARY KEY,
+    attempt_id    INTEGER NOT NULL REFERENCES attempts(id) ON DELETE CASCADE,
+    key           TEXT NOT NULL,
+    url           TEXT NOT NULL,
+    code          TEXT NOT NULL,
+    promo_id      TEXT,
+    confidence    REAL,
+    rule          TEXT,
+    source_url    TEXT,
+    content_type  TEXT,
+    found_at      TEXT NOT NULL
+  );
+  CREATE INDEX promo_codes_key ON promo_codes(key, code);
+
+  CREATE TABLE discounts (
+    id           INTEGER PRIMARY KEY,
+    attempt_id   INTEGER NOT NULL REFERENCES attempts(id) ON DELETE CASCADE,
+    key          TEXT NOT NULL,
+    url          TEXT NOT NULL,
+    code         TEXT,
+    percent_off  REAL,
+    amount_off   REAL,
+    currency     TEXT,
+    rule         TEXT,
+    found_at     TEXT NOT NULL
+  );
+  CREATE INDEX discounts_key ON discounts(key, code);
+
+  CREATE TABLE products (
+    key         TEXT PRIMARY KEY,
+    url         TEXT NOT NULL,
+    final_url   TEXT,
+    route       TEXT,
+    slug        TEXT,
+    product_id  TEXT,
+    company_id  TEXT,
+    title       TEXT,
+    first_seen  TEXT NOT NULL,
+    last_seen   TEXT NOT NULL
+  );
+  CREATE INDEX products_product_id ON products(product_id);
+
+  CREATE TABLE product_urls (
+    url         TEXT PRIMARY KEY,
+    key         TEXT NOT NULL,
+    first_seen  TEXT NOT NULL
+  );
+  CREATE INDEX product_urls_key ON product_urls(key);
+  `,
+  `
+  CREATE TABLE runs (
+    id           TEXT PRIMARY KEY,
+    command      TEXT NOT NULL,
+    status       TEXT NOT NULL CHECK (status IN ('running', 'completed', 'failed', 'interrupted')),
+    started_at   TEXT NOT NULL,
+    finished_at  TEXT,
+    duration_ms  INTEGER,
+    git_rev      TEXT,
+    config       TEXT,
+    counts       TEXT,
+    error        TEXT
+  );
+  ALTER TABLE attempts ADD COLUMN run_id TEXT REFERENCES runs(id);
+  ALTER TABLE attempts ADD COLUMN duration_ms INTEGER;
+  CREATE INDEX attempts_run ON attempts(run_id);
+  ALTER TABLE queue ADD COLUMN run_id TEXT REFERENCES runs(id);
+  ALTER TABLE products ADD COLUMN run_id TEXT REFERENCES runs(id);
+  `,
+  `
+  ALTER TABLE attempts ADD COLUMN error_class TEXT;
+  ALTER TABLE queue ADD COLUMN requeued_at TEXT;
+  `,
+  `
+  ALTER TABLE attempts ADD COLUMN profile TEXT;
+  `,
+  `
+  ALTER TABLE attempts ADD COLUMN visibility TEXT;
+  `,
+];
+
+export const RUN_STATUSES = ['running', 'completed', 'failed', 'interrupted'];
+
+export const STORE_SCHEMA_VERSION = MIGRATIONS.length;
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  if (current > MIGRATIONS.length) {
+    throw new Error(`Store schema v${current} is newer than this code understands (v${MIGRATIONS.length})`);
+  }
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      db.exec(MIGRATIONS[v]);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+function statusOf(result, error) {
+  if (error) return 'error';
+  return result?.code ? 'found' : 'empty';
+}
+
+function fromAttemptRow(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    key: row.key,
+    stage: row.stage,
+    status: row.status,
+    code: row.code,
+    error: row.error,
+    checkedAt: row.checked_at,
+    durationMs: row.duration_ms,
+    runId: row.run_id,
+    profile: row.profile,
+    visibility: row.visibility,
+    // Failures stored before classes existed are classified from their message
+    errorClass: row.error_class ?? (row.status === 'error' ? classifyError(row.error) : null),
+    result: row.result ? normalizeRecord(JSON.parse(row.result)) : null,
+  };
+}
+
+function fromRunRow(row) {
+  return {
+    id: row.id,
+    command: row.command,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    durationMs: row.duration_ms,
+    gitRev: row.git_rev,
+    config: row.config ? JSON.parse(row.config) : {},
+    counts: row.counts ? JSON.parse(row.counts) : null,
+    error: row.error,
+  };
+}
+
+/**
+ * Open (creating and migrating as needed) the store for a data directory.
+ * Callers close() it when the stage ends.
+ */
+export function openStore(dataDir = DATA_DIR, { file = dataFiles(dataDir).store } = {}) {
+  if (file !== ':memory:') fs.mkdirSync(dataDir, { recursive: true });
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.pragma('foreign_keys = ON');
+  migrate(db);
+
+  const stmt = {
+    enqueue: db.prepare(`INSERT OR IGNORE INTO queue (url, key, source, discovered_at, lastmod, meta, run_id)
+      VALUES (@url, @key, @source, @discoveredAt, @lastmod, @meta, @runId)`),
+    queue: db.prepare('SELECT * FROM queue ORDER BY rowid'),
+    queueLastmods: db.prepare('SELECT url, lastmod FROM queue WHERE key = ?'),
+    setLastmod: db.prepare('UPDATE queue SET lastmod = ? WHERE url = ?'),
+    queueKeys: db.prepare('SELECT DISTINCT key FROM queue'),
+    stageKeys: db.prepare('SELECT DISTINCT key FROM attempts WHERE stage = ?'),
+    attempt: db.prepare(`INSERT OR IGNORE INTO attempts (url, key, stage, status, code, result, error, checked_at, import_ref, run_id, duration_ms, error_class, profile, visibility)
+      VALUES (@url, @key, @stage, @status, @code, @result, @error, @checkedAt, @importRef, @runId, @durationMs, @errorClass, @profile, @visibility)`),
+    requeue: db.prepare('UPDATE queue SET requeued_at = ? WHERE key = ?'),
+    promoCode: db.prepare(`INSERT INTO promo_codes (attempt_id, key, url, code, promo_id, confidence, rule, source_url, content_type, found_at)
+      VALUES (@attemptId, @key, @url, @code, @promoId, @confidence, @rule, @sourceUrl, @contentType, @foundAt)`),
+    discount: db.prepare(`INSERT INTO discounts (attempt_id, key, url, code, percent_off, amount_off, currency, rule, found_at)
+      VALUES (@attemptId, @key, @url, @code, @percentOff, @amountOff, @currency, @rule, @foundAt)`),
+    product: db.prepare(`INSERT INTO products (key, url, final_url, route, slug, product_id, company_id, title, first_seen, last_seen, run_id)
+      VALUES (@key, @url, @finalUrl, @route, @slug, @productId, @companyId, @title, @seenAt, @seenAt, @runId)
+      ON CONFLICT(key) DO UPDATE SET
+        url = excluded.url,
+        run_id = COALESCE(excluded.run_id, run_id),
+        final_url = COALESCE(excluded.final_url, final_url),
+        route = COALESCE(excluded.route, route),
+        slug = COALESCE(excluded.slug, slug),
+        product_id = COALESCE(excluded.product_id, product_id),
+        company_id = COALESCE(excluded.company_id, company_id),
+        title = COALESCE(excluded.title, title),
+        first_seen = MIN(first_seen, excluded.first_seen),
+        last_seen = MAX(last_seen, excluded.last_seen)`),
+    productUrl: db.prepare('INSERT OR IGNORE INTO product_urls (url, key, first_seen) VALUES (?, ?, ?)'),
+    beginRun: db.prepare(`INSERT INTO runs (id, command, status, started_at, git_rev, config)
+      VALUES (@id, @command, 'running', @startedAt, @gitRev, @config)`),
+    endRun: db.prepare(`UPDATE runs SET status = @status, finished_at = @finishedAt, duration_ms = @durationMs,
+      counts = @counts, error = @error WHERE id = @id`),
+    run: db.prepare('SELECT * FROM runs WHERE id = ?'),
+    runs: db.prepare('SELECT * FROM runs ORDER BY started_at DESC, id DESC LIMIT ?'),
+    runAttemptCounts: db.prepare(`SELECT stage, status, COUNT(*) AS n, SUM(duration_ms) AS ms
+      FROM attempts WHERE run_id = ? GROUP BY stage, status`),
+    runQueued: db.prepare('SELECT COUNT(*) FROM queue WHERE run_id = ?'),
+    runUrls: db.prepare('SELECT url, stage, status, code, duration_ms, profile FROM attempts WHERE run_id = ? ORDER BY id'),
+  };
+
+  // Rows written while a run is open are stamped with its id. A process that exits with the run
+  // still open (a crash, process.exit on a fatal error) closes it as failed or interrupted.
+  let currentRun = null;
+  const onExit = (code) => {
+    if (currentRun && db.open) api.endRun({ status: code ? 'failed' : 'interrupted', error: code ? `exit code ${code}` : null });
+  };
+
+  function runCounts(id) {
+    const counts = { found: 0, empty: 0, error: 0, queued: stmt.runQueued.pluck().get(id), byStage: {}, attemptMs: 0 };
+    for (const { stage, status, n, ms } of stmt.runAttemptCounts.all(id)) {
+      counts[status] += n;
+      counts.byStage[stage] = { found: 0, empty: 0, error: 0, ...counts.byStage[stage], [status]: n };
+      counts.attemptMs += ms || 0;
+    }
+    return counts;
+  }
+
+  const recordAttempt = db.transaction(({ url, stage, result = null, error = null, errorClass = null, checkedAt = new Date().toISOString(), importRef = null, durationMs = null, profile = null, visibility = null }) => {
+    if (!STAGES.includes(stage)) throw new Error(`Unknown attempt stage: ${stage}`);
+    if (visibility && !VISIBILITIES.includes(visibility)) throw new Error(`Unknown visibility: ${visibility}`);
+    const key = productKey(url);
+    const r = result ? normalizeRecord(result) : null;
+    const status = statusOf(r, error);
+    const { changes, lastInsertRowid } = stmt.attempt.run({
+      url, key, stage, status,
+      code: r?.code ?? null,
+      result: r ? JSON.stringify(r) : null,
+      error: error ? String(error) : null,
+      checkedAt,
+      importRef,
+      runId: currentRun?.id ?? null,
+      durationMs: durationMs == null ? null : Math.round(durationMs),
+      errorClass: status === 'error' ? (errorClass ?? classifyError(error)) : null,
+      profile,
+      visibility,
+    });
+    if (!changes) return null; // already imported
+
+    // A failed attempt keeps its code (resume matches on it) but proves nothing about the page
+    const attemptId = Number(lastInsertRowid);
+    if (status === 'error') return attemptId;
+    if (r?.code) {
+      stmt.promoCode.run({
+        attemptId, key, url, code: r.code, promoId: r.promoId, confidence: r.confidence,
+        rule: r.evidence.rule, sourceUrl: r.source.url, contentType: r.source.contentType, foundAt: checkedAt,
+      });
+    }
+    if (hasDiscount(r)) {
+      stmt.discount.run({
+        attemptId, key, url, code: r.code, percentOff: r.percentOff, amountOff: r.amountOff,
+        currency: r.currency, rule: r.evidence.rule, foundAt: checkedAt,
+      });
+    }
+    return attemptId;
+  });
+
+  const recordSighting = db.transaction((s) => {
+    const seenAt = s.seenAt || new Date().toISOString();
+    const key = s.key || productKey(s.url);
+    stmt.product.run({
+      key, url: s.url, finalUrl: s.finalUrl ?? null, route: s.route ?? null, slug: s.slug ?? null,
+      productId: s.productId ?? null, companyId: s.companyId ?? null, title: s.title ?? null, seenAt,
+      runId: currentRun?.id ?? null,
+    });
+    stmt.productUrl.run(s.url, key, seenAt);
+    if (s.finalUrl) stmt.productUrl.run(s.finalUrl, key, seenAt);
+  });
+
+  const api = {
+    db,
+    file,
+
+    close() {
+      // A run still open here was cut short (an uncaught error or an early exit)
+      if (currentRun) api.endRun({ status: 'interrupted' });
+      db.close();
+    },
+
+    transaction(fn) {
+      return db.transaction(fn);
+    },
+
+    /** Add a discovered URL; false when that exact URL is already queued */
+    enqueue({ url, key = productKey(url), source = null, discoveredAt = new Date().toISOString(), lastmod = null, ...meta }) {
+      const extra = Object.keys(meta).length ? JSON.stringify(meta) : null;
+      return stmt.enqueue.run({ url, key, source, discoveredAt, lastmod, meta: extra, runId: currentRun?.id ?? null }).changes > 0;
+    },
+
+    /**
+     * Record a newer sitemap lastmod for an already discovered product, so extraction sees it
+     * changed. Older or unparseable dates leave the queue alone; a product visited but never
+     * queued (imported runs) is queued under this URL. True when anything changed.
+     */
+    updateLastmod({ url, key = productKey(url), lastmod, ...entry }) {
+      const t = Date.parse(lastmod || '');
+      if (!t) return false;
+      const rows = stmt.queueLastmods.all(key);
+      if (!rows.length) return api.enqueue({ ...entry, url, key, lastmod });
+      let changed = 0;
+      db.transaction(() => {
+        for (const row of rows) {
+          if (!(Date.parse(row.lastmod || '') >= t)) changed += stmt.setLastmod.run(lastmod, row.url).changes;
+        }
+      })();
+      return changed > 0;
+    },
+
+    /** Queue entries in discovery order, shaped like the old queue.jsonl lines */
+    queueEntries() {
+      return stmt.queue.all().map(row => ({
+        url: row.url,
+        key: row.key,
+        source: row.source,
+        discoveredAt: row.discovered_at,
+        ...(row.lastmod ? { lastmod: row.lastmod } : {}),
+        ...(row.requeued_at ? { requeuedAt: row.requeued_at } : {}),
+        ...(row.meta ? JSON.parse(row.meta) : {}),
+      }));
+    },
+
+    /** Hand failed products back to extraction; returns how many queue rows were marked */
+    requeue(keys, at = new Date().toISOString()) {
+      let changed = 0;
+      db.transaction(() => {
+        for (const key of keys) changed += stmt.requeue.run(at, key).changes;
+      })();
+      return changed;
+    },
+
+    queuedKeys() {
+      return new Set(stmt.queueKeys.pluck().all());
+    },
+
+    /** Product keys with at least one attempt in the stage (any status) */
+    attemptedKeys(stage) {
+      return new Set(stmt.stageKeys.pluck().all(stage));
+    },
+
+    recordAttempt,
+
+    /** Attempts oldest first, optionally for one stage, status and/or run */
+    attempts({ stage = null, status = null, runId = null } = {}) {
+      const where = [];
+      const args = [];
+      if (stage) { where.push('stage = ?'); args.push(stage); }
+      if (status) { where.push('status = ?'); args.push(status); }
+      if (runId) { where.push('run_id = ?'); args.push(runId); }
+      const sql = `SELECT * FROM attempts ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY checked_at, id`;
+      return db.prepare(sql).all(...args).map(fromAttemptRow);
+    },
+
+    recordSighting,
+
+    /** Open a run for this invocation; until endRun() every row written is linked to it */
+    beginRun({ command, config = {}, id = newRunId(), gitRev = gitRevision() }) {
+      const startedAt = new Date().toISOString();
+      stmt.beginRun.run({ id, command, startedAt, gitRev, config: JSON.stringify(configSnapshot(config)) });
+      currentRun = { id, startedAt };
+      process.once('exit', onExit);
+      return id;
+    },
+
+    /** Close the open run with its counts, plus any `stats` the stage kept itself; returns the finished manifest */
+    endRun({ status = 'completed', error = null, stats = {} } = {}) {
+      if (!currentRun) return null;
+      if (!RUN_STATUSES.includes(status)) throw new Error(`Unknown run status: ${status}`);
+      const { id, startedAt } = currentRun;
+      const finishedAt = new Date().toISOString();
+      stmt.endRun.run({
+        id, status, finishedAt,
+        durationMs: Date.parse(finishedAt) - Date.parse(startedAt),
+        counts: JSON.stringify({ ...runCounts(id), ...stats }),
+        error: error ? String(error) : null,
+      });
+      currentRun = null;
+      process.removeListener('exit', onExit);
+      return api.run(id);
+    },
+
+    get runId() {
+      return currentRun?.id ?? null;
+    },
+
+    /** A run's manifest; counts are live while it is still running */
+    run(id) {
+      const row = stmt.run.get(id);
+      if (!row) return null;
+      const run = fromRunRow(row);
+      if (!run.counts) run.counts = runCounts(id);
+      return run;
+    },
+
+    /** Most recent runs first */
+    runs({ limit = 20 } = {}) {
+      return stmt.runs.all(limit).map(fromRunRow);
+    },
+
+    /** Every URL a run attempted, in order */
+    runUrls(id) {
+      return stmt.runUrls.all(id).map(r => ({ url: r.url, stage: r.stage, status: r.status, code: r.code, durationMs: r.duration_ms, profile: r.profile }));
+    },
+
+    /** Product rows plus every extra URL seen, in the sighting shape buildRegistry() folds */
+    productSightings() {
+      const products = db.prepare('SELECT * FROM products').all().map(p => ({
+        key: p.key, url: p.url, finalUrl: p.final_url, route: p.route, slug: p.slug,
+        productId: p.product_id, companyId: p.company_id, title: p.title, seenAt: p.last_seen,
+      }));
+      const extra = db.prepare(`SELECT u.url, u.key, u.first_seen FROM product_urls u
+        JOIN products p ON p.key = u.key WHERE u.url != p.url AND u.url IS NOT p.final_url`).all()
+        .map(u => ({ key: u.key, url: u.url, seenAt: u.first_seen }));
+      return [...products, ...extra];
+    },
+
+    /** Row counts per table, for `whp status` */
+    counts() {
+      const one = (sql, ...args) => db.prepare(sql).pluck().get(...args);
+      return {
+        queue: one('SELECT COUNT(DISTINCT key) FROM queue'),
+        attempts: one('SELECT COUNT(*) FROM attempts'),
+        promoCodes: one('SELECT COUNT(*) FROM promo_codes'),
+        discounts: one('SELECT COUNT(*) FROM discounts'),
+        products: one('SELECT COUNT(*) FROM products'),
+      };
+    },
+  };
+  return api;
+}
@@ -0,0 +1,132 @@
+// src/utils/throttle.js
+// Adaptive throttle shared by every worker of a stage. It watches the responses the browser
+// receives; a 429 or a bot-check interstitial halves the allowed concurrency and pauses all
+// workers, longer for each strike in a row. After a run of clean pages it adds one worker back,
+// up to the configured concurrency. Every slow-down and speed-up is kept as an event for the
+// run's stats.
+
+import { parseRetryAfter } from './errorClass.js';
+
+// Titles of Cloudflare's interstitials ("checking your browser", block page, Turnstile check)
+const CHALLENGE_TITLE = /^(just a moment\.\.\.|attention required! \| cloudflare|verifying you are human|one more step)/i;
+
+export const EVENT_LIMIT = 100;
+
+/** 'rate-limited' or 'challenge' when a response is one, else null */
+export function classifyResponse({ status, headers = {} }) {
+  if (status === 429) return 'rate-limited';
+  if (headers['cf-mitigated'] === 'challenge') return 'challenge';
+  // Cloudflare answers a bot check with a 403/503 HTML page of its own
+  if ((status === 403 || status === 503) && /cloudflare/i.test(headers.server || '') && /text\/html/.test(headers['content-type'] || '')) {
+    return 'challenge';
+  }
+  return null;
+}
+
+/** Whether a page title is one of the bot-check interstitials */
+export function isChallengeTitle(title) {
+  return CHALLENGE_TITLE.test(String(title || '').trim());
+}
+
+/**
+ * A throttle for up to `maxConcurrency` workers. `watch(url)` picks the responses that count
+ * (third-party 429s say nothing about the site being scraped). `now` and `random` are for tests.
+ */
+export function createThrottle({
+  maxConcurrency,
+  minConcurrency = 1,
+  spawnDelayMs = 200,
+  spawnJitterMs = 300,
+  basePauseMs = 30_000,
+  maxPauseMs = 10 * 60_000,
+  rampAfter = 20,
+  watch = () => true,
+  log = null,
+  now = Date.now,
+  random = Math.random,
+}) {
+  let concurrency = maxConcurrency;
+  let pausedUntil = 0;
+  let strikes = 0;
+  let cleanStreak = 0;
+  const counts = { rateLimited: 0, challenges: 0, slowdowns: 0, speedups: 0, pausedMs: 0, lowestConcurrency: maxConcurrency };
+  const events = [];
+
+  function record(event) {
+    events.push({ at: new Date(now()).toISOString(), ...event, concurrency });
+    if (events.length > EVENT_LIMIT) events.shift();
+  }
+
+  /** A 429 or a challenge: slow down and pause, unless this pause already covers it */
+  function trouble(kind, { url = null, status = null, retryAfterMs = null } = {}) {
+    if (kind === 'rate-limited') counts.rateLimited++;
+    else counts.challenges++;
+    cleanStreak = 0;
+    // Parallel workers hit the same wall at once; one slow-down per pause is enough
+    if (now() < pausedUntil) return false;
+
+    strikes++;
+    concurrency = Math.max(minConcurrency, Math.floor(concurrency / 2));
+    counts.lowestConcurrency = Math.min(counts.lowestConcurrency, concurrency);
+    const pauseMs = Math.min(retryAfterMs ?? basePauseMs * 2 ** (strikes - 1), maxPauseMs);
+    pausedUntil = now() + pauseMs;
+    counts.slowdowns++;
+    counts.pausedMs += pauseMs;
+    record({ type: 'slow-down', reason: kind, url, status, pauseMs });
+    log?.warn(`🐢 ${kind === 'challenge' ? 'Bot check' : 'Rate limited'}${url ? ` at ${url}` : ''}: pausing ${Math.round(pauseMs / 1000)}s, concurrency ${concurrency}/${maxConcurrency}`,
+      { reason: kind, status, pauseMs, concurrency });
+    return true;
+  }
+
+  return {
+    /** Feed one browser response; returns its trouble kind, if any */
+    observe({ url, status, headers = {} }) {
+      if (!watch(url)) return null;
+      const kind = classifyResponse({ status, headers });
+      if (kind) {
+        trouble(kind, { url, status, retryAfterMs: parseRetryAfter(headers['retry-after'], now()) });
+      }
+      return kind;
+    },
+
+    /** A challenge found in the page itself (its title) rather than in a response header */
+    challenge(url) {
+      return trouble('challenge', { url });
+    },
+
+    /** A page that went through cleanly; enough of them in a row add a worker back */
+    success() {
+      cleanStreak++;
+      if (cleanStreak < rampAfter || concurrency >= maxConcurrency || now() < pausedUntil) return;
+      cleanStreak = 0;
+      concurrency++;
+      counts.speedups++;
+      if (concurrency === maxConcurrency) strikes = 0;
+      record({ type: 'speed-up' });
+      log?.info(`🐇 Clean streak: concurrency ${concurrency}/${maxConcurrency}`, { concurrency });
+    },
+
+    /** Whether another worker may start now, with `active` running */
+    ready(active) {
+      return active < concurrency && now() >= pausedUntil;
+    },
+
+    /** Delay before spawning the next worker: the usual jitter, stretched while slowed down */
+    spawnDelay() {
+      return Math.round((spawnDelayMs + random() * spawnJitterMs) * (maxConcurrency / concurrency));
+    },
+
+    get concurrency() {
+      return concurrency;
+    },
+
+    get pausedUntil() {
+      return pausedUntil > now() ? new Date(pausedUntil).toISOString() : null;
+    },
+
+    /** For the run manifest: counters plus the last EVENT_LIMIT events */
+    stats() {
+      return { maxConcurrency, concurrency, ...counts, events: [...events] };
+    },
+  };
+}
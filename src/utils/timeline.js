@@ -0,0 +1,97 @@
+// src/utils/timeline.js
+// Promo timeline: every attempt in the store is an observation of a product page; folding a
+// product's observations in time order tells when each code appeared, when its discount changed
+// and when it disappeared.
+//
+// Only extract and scrape attempts say whether a code is on the page. Enrichment stages are
+// handed the code up front and write it back even on a miss, so they only contribute discount
+// readings. The logged-out visit of a --compare-anonymous pair is left out altogether: the
+// logged-in visit recorded with it is the observation, so a login-gated code does not flicker.
+//
+// Timeline:
+//   { codes: [{ code, firstSeen, lastSeen, expiredAt, discount, seen }], events: [...] }
+//   expiredAt is set while the code is gone (the first observation without it) and cleared if it
+//   comes back. Events, oldest first: { at, type, code, url, stage, from?, to? } with type
+//   appeared | discount-changed | disappeared | reappeared.
+
+import { hasDiscount, describeDiscount } from './promoResult.js';
+import { isAnonymousComparison } from './visibility.js';
+
+export const OBSERVING_STAGES = ['extract', 'scrape'];
+
+/** Whether an attempt says which code a product page shows (not just a discount reading) */
+export function isObservation(attempt) {
+  return OBSERVING_STAGES.includes(attempt.stage) && !isAnonymousComparison(attempt);
+}
+
+function discountOf(result) {
+  return { percentOff: result.percentOff, amountOff: result.amountOff, currency: result.currency };
+}
+
+function sameDiscount(a, b) {
+  return a.percentOff === b.percentOff && a.amountOff === b.amountOff && (a.currency || null) === (b.currency || null);
+}
+
+/** Fold one product's attempts (any order) into its timeline; errors observe nothing */
+export function buildTimeline(attempts) {
+  const ordered = attempts
+    .filter(a => a.status !== 'error' && !isAnonymousComparison(a))
+    .sort((a, b) => String(a.checkedAt).localeCompare(String(b.checkedAt)) || (a.id ?? 0) - (b.id ?? 0));
+
+  const codes = new Map();
+  const events = [];
+
+  for (const a of ordered) {
+    const code = a.result?.code || null;
+    const at = a.checkedAt;
+    const base = { at, url: a.url, stage: a.stage };
+
+    if (isObservation(a)) {
+      // Everything else that was live is gone from this page now
+      for (const entry of codes.values()) {
+        if (entry.code !== code && !entry.expiredAt) {
+          entry.expiredAt = at;
+          events.push({ ...base, type: 'disappeared', code: entry.code });
+        }
+      }
+      if (code) {
+        const entry = codes.get(code);
+        if (!entry) {
+          codes.set(code, { code, firstSeen: at, lastSeen: at, expiredAt: null, discount: null, seen: 1 });
+          events.push({ ...base, type: 'appeared', code });
+        } else {
+          if (entry.expiredAt) {
+            entry.expiredAt = null;
+            events.push({ ...base, type: 'reappeared', code });
+          }
+          entry.lastSeen = at;
+          entry.seen++;
+        }
+      }
+    }
+
+    // Any stage can read the discount of a code already on the timeline
+    const entry = code && codes.get(code);
+    if (entry && hasDiscount(a.result)) {
+      const next = discountOf(a.result);
+      if (!entry.discount || !sameDiscount(entry.discount, next)) {
+        if (entry.discount) events.push({ ...base, type: 'discount-changed', code, from: entry.discount, to: next });
+        entry.discount = next;
+      }
+    }
+  }
+
+  return { codes: [...codes.values()], events };
+}
+
+/** One line per event, for `whp history` */
+export function describeEvent(e) {
+  const discount = (d) => describeDiscount(d) || 'no discount';
+  switch (e.type) {
+    case 'appeared': return `${e.code} appeared`;
+    case 'reappeared': return `${e.code} reappeared`;
+    case 'disappeared': return `${e.code} disappeared`;
+    case 'discount-changed': return `${e.code} discount ${discount(e.from)} → ${discount(e.to)}`;
+    default: return `${e.code} ${e.type}`;
+  }
+}
@@ -0,0 +1,35 @@
+// src/utils/visibility.js
+// Who gets to see a popup promo: the same product visited under a Whop session and in a clean,
+// logged-out context (whp extract --compare-anonymous), and what the two results add up to.
+
+import { normalizeRecord } from './promoResult.js';
+
+// public          the same code shows logged in and logged out
+// login-gated     a code shows only to the logged-in visit
+// anonymous-only  a code shows only to the logged-out visit
+// differs         both show a code, but not the same one or not at the same discount
+// none            neither shows a code
+export const VISIBILITIES = ['public', 'login-gated', 'anonymous-only', 'differs', 'none'];
+
+// A discount only conflicts where both sides read a value; one side missing it says nothing
+function conflicts(a, b) {
+  return ['percentOff', 'amountOff', 'currency'].some(k => a[k] != null && b[k] != null && a[k] !== b[k]);
+}
+
+/** The visibility of a product's promo from its logged-in and logged-out results (PromoResults or null) */
+export function compareVisibility(authResult, anonResult) {
+  const auth = authResult ? normalizeRecord(authResult) : null;
+  const anon = anonResult ? normalizeRecord(anonResult) : null;
+  if (!auth?.code && !anon?.code) return 'none';
+  if (!anon?.code) return 'login-gated';
+  if (!auth?.code) return 'anonymous-only';
+  return auth.code === anon.code && !conflicts(auth, anon) ? 'public' : 'differs';
+}
+
+/**
+ * Whether an attempt is the logged-out half of a --compare-anonymous pair. It only labels the
+ * promo's visibility: the logged-in visit recorded with it is the observation of the product.
+ */
+export function isAnonymousComparison(attempt) {
+  return attempt?.stage === 'extract' && !!attempt.visibility && !attempt.profile;
+}
@@ -0,0 +1,405 @@
+// src/utils/workerPool.js
+// Worker pool shared by every browser stage. createWorkerPool() runs tasks with bounded
+// concurrency behind an optional gate (the throttle) and spawn delay, takes tasks back with a
+// delay (retries), times out tasks that hang, and stops taking new ones on Ctrl-C.
+// openBrowserSession() gives each task a page: idle pages are reused a few times, the browser
+// context is replaced after a number of tasks, and a crashed context or browser is brought back
+// (up to a limit per run).
+
+export class TaskTimeoutError extends Error {
+  constructor(ms) {
+    super(`Task timed out after ${ms}ms`);
+    this.name = 'TaskTimeoutError';
+  }
+}
+
+export class TaskCancelledError extends Error {
+  constructor() {
+    super('Task cancelled');
+    this.name = 'TaskCancelledError';
+  }
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A pool running `handler(item, { worker, signal })` for every item added, at most `concurrency`
+ * at a time and only while `canStart(active)` allows. `signal` aborts when the task times out
+ * or is cancelled; the task then has `graceMs` to wind down (a browser task's page is closed
+ * for it by withPage). Tasks are expected to handle their own errors; one that escapes is
+ * logged and counted as failed.
+ *
+ * With `handleSignals`, the first SIGINT/SIGTERM stops new tasks and lets running ones finish;
+ * a second one cancels them.
+ */
+export function createWorkerPool({
+  concurrency = 1,
+  taskTimeoutMs = null,
+  spawnDelay = 0,
+  canStart = () => true,
+  graceMs = 5000,
+  pollMs = 100,
+  handleSignals = false,
+  log = null,
+} = {}) {
+  const queue = [];
+  const delayed = [];
+  const slots = new Set();
+  const controllers = new Set();
+  const counts = { started: 0, completed: 0, failed: 0, timedOut: 0, cancelled: 0 };
+  let active = 0;
+  let stopped = false;
+
+  // The run loop sleeps until a task finishes, an item is added or pollMs passes
+  let wake = null;
+  const nudge = () => wake?.();
+  const nap = (ms) => new Promise(resolve => {
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      wake = null;
+      resolve();
+    }
+    wake = done;
+  });
+
+  // Due delayed items (retries) go before new ones
+  function next() {
+    const now = Date.now();
+    const due = delayed.findIndex(d => d.at <= now);
+    if (due >= 0) return delayed.splice(due, 1)[0];
+    return queue.length ? queue.shift() : null;
+  }
+
+  function takeSlot() {
+    let n = 1;
+    while (slots.has(n)) n++;
+    slots.add(n);
+    return n;
+  }
+
+  async function runTask({ item }, handler) {
+    const worker = takeSlot();
+    const controller = new AbortController();
+    controllers.add(controller);
+    active++;
+    counts.started++;
+    let timer = null;
+    const task = Promise.resolve().then(() => handler(item, { worker, signal: controller.signal }));
+    const aborted = new Promise(resolve => controller.signal.addEventListener('abort', resolve, { once: true }));
+    if (taskTimeoutMs) timer = setTimeout(() => controller.abort(new TaskTimeoutError(taskTimeoutMs)), taskTimeoutMs);
+
+    try {
+      const settled = await Promise.race([task.then(() => 'done'), aborted.then(() => 'aborted')]);
+      if (settled === 'aborted') {
+        const reason = controller.signal.reason;
+        if (reason instanceof TaskTimeoutError) counts.timedOut++;
+        else counts.cancelled++;
+        log?.warn(`⏱️ Worker ${worker}: ${reason.message}`, { worker });
+        await Promise.race([task.catch(() => {}), delay(graceMs)]);
+      } else {
+        counts.completed++;
+      }
+    } catch (error) {
+      counts.failed++;
+      log?.warn(`❌ Worker ${worker}: task failed: ${error.message}`, { worker, error });
+    } finally {
+      clearTimeout(timer);
+      controllers.delete(controller);
+      slots.delete(worker);
+      active--;
+      nudge();
+    }
+  }
+
+  const pool = {
+    /** Queue an item; with delayMs it waits that long and then goes before new items */
+    add(item, { delayMs = 0 } = {}) {
+      if (delayMs > 0) delayed.push({ item, at: Date.now() + delayMs });
+      else queue.push({ item });
+      nudge();
+    },
+
+    /** Take no new tasks; running ones finish. With `cancel`, abort them too */
+    stop({ cancel = false } = {}) {
+      stopped = true;
+      if (cancel) for (const c of controllers) c.abort(new TaskCancelledError());
+      nudge();
+    },
+
+    /** Run until every item (including ones added meanwhile) is done, or stop(); resolves to counts */
+    async run(handler) {
+      const onSignal = () => {
+        if (stopped) {
+          log?.warn(`🛑 Cancelling ${active} running tasks`);
+          pool.stop({ cancel: true });
+        } else {
+          log?.info(`\n🛑 Stopping: waiting for ${active} running tasks (Ctrl-C again to cancel them)`);
+          pool.stop();
+        }
+      };
+      if (handleSignals) {
+        process.on('SIGINT', onSignal);
+        process.on('SIGTERM', onSignal);
+      }
+
+      const running = new Set();
+      try {
+        while (!stopped && (queue.length || delayed.length || active)) {
+          if (active >= concurrency || !canStart(active)) {
+            await nap(pollMs);
+            continue;
+          }
+          const entry = next();
+          if (!entry) {
+            // Only delayed items that are not due yet, or tasks still running
+            await nap(pollMs);
+            continue;
+          }
+          const task = runTask(entry, handler);
+          running.add(task);
+          task.finally(() => running.delete(task));
+
+          const ms = typeof spawnDelay === 'function' ? spawnDelay() : spawnDelay;
+          if (ms) await delay(ms);
+        }
+        // Stopped or drained: running tasks still finish
+        await Promise.all(running);
+      } finally {
+        if (handleSignals) {
+          process.removeListener('SIGINT', onSignal);
+          process.removeListener('SIGTERM', onSignal);
+        }
+      }
+      return { ...counts, stopped, left: queue.length + delayed.length };
+    },
+
+    get active() {
+      return active;
+    },
+
+    get pending() {
+      return queue.length + delayed.length;
+    },
+
+    get stopped() {
+      return stopped;
+    },
+
+    stats() {
+      return { ...counts, active, pending: pool.pending };
+    },
+  };
+  return pool;
+}
+
+/** Errors Playwright throws once the page, context or browser under a task is gone */
+export function isClosedError(error) {
+  return /Target (page, context or browser )?(has been )?closed|Browser has been closed|Browser closed|Page crashed|Target crashed/i.test(String(error?.message ?? error ?? ''));
+}
+
+/** A task lost its page because the page, context or browser died under it; the task itself is not at fault */
+export class BrowserCrashedError extends Error {
+  constructor(cause) {
+    super(`Browser crashed under the task: ${cause?.message ?? cause}`);
+    this.name = 'BrowserCrashedError';
+    this.cause = cause;
+  }
+}
+
+/** The session replaced a crashed browser or context `maxRestarts` times and will not again */
+export class RestartLimitError extends Error {
+  constructor(maxRestarts) {
+    super(`Browser crashed ${maxRestarts} times this run; giving up`);
+    this.name = 'RestartLimitError';
+  }
+}
+
+/**
+ * A browser and one context shared by the tasks of a stage. `launch()` starts the browser,
+ * `contextOptions` (or a function returning them, called for each new context, so a session
+ * file is read afresh) open its contexts, `setupContext(context)` adds routes, cookies and
+ * listeners to every new context.
+ * withPage(fn, { signal }) runs fn(page) on a fresh or reused page; a page goes back to the idle
+ * list (on about:blank) after a clean task, up to `pageReuse` tasks. After `recycleAfter` tasks
+ * the next withPage waits for running tasks to let go of their pages and opens a new context.
+ *
+ * Crashes: when the browser disconnects it is relaunched, and when the context closes under us
+ * it is reopened, both with the same options. Tasks that were running throw BrowserCrashedError
+ * so the stage can queue them again. After `maxRestarts` such recoveries withPage throws
+ * RestartLimitError and `onGiveUp(error)` is called once, for the stage to stop.
+ */
+export async function openBrowserSession({
+  launch,
+  contextOptions = {},
+  setupContext = null,
+  recycleAfter = 200,
+  pageReuse = 10,
+  maxRestarts = 5,
+  onGiveUp = null,
+  log = null,
+}) {
+  let browser = null;
+  const stats = { contexts: 0, recycled: 0, crashes: 0, recoveries: 0, relaunches: 0, pages: 0, tasks: 0 };
+  const idle = [];
+  let context = null;
+  let generation = 0;
+  let contextTasks = 0;
+  let contextLost = false;
+  let browserLost = false;
+  let closing = false;
+  let gaveUp = null;
+  let inUse = 0;
+  let onDrain = null;
+  let restarting = null;
+
+  async function startBrowser() {
+    const b = await launch();
+    b.on('disconnected', () => {
+      if (b !== browser || closing) return;
+      browserLost = true;
+      stats.crashes++;
+      log?.warn('💥 Browser disconnected; relaunching it for the next task');
+    });
+    browser = b;
+  }
+
+  async function newContext() {
+    const ctx = await browser.newContext(typeof contextOptions === 'function' ? await contextOptions() : contextOptions);
+    ctx.on('close', () => {
+      if (ctx !== context || closing || browserLost) return;
+      contextLost = true;
+      stats.crashes++;
+      log?.warn('💥 Browser context closed unexpectedly; opening a new one for the next task');
+    });
+    context = ctx;
+    generation++;
+    contextTasks = 0;
+    contextLost = false;
+    idle.length = 0;
+    stats.contexts++;
+    if (setupContext) await setupContext(ctx);
+  }
+
+  async function restart(reason) {
+    if (!restarting) {
+      restarting = (async () => {
+        if (inUse > 0) await new Promise(resolve => { onDrain = resolve; });
+        onDrain = null;
+        // A dead browser may not have said so yet
+        if (!browser.isConnected()) browserLost = true;
+        closing = true;
+        await context.close().catch(() => {});
+        if (browserLost) await browser.close().catch(() => {});
+        closing = false;
+        if (browserLost) {
+          await startBrowser();
+          browserLost = false;
+          stats.relaunches++;
+        }
+        await newContext();
+        log?.info(`♻️ New browser context (${reason})`, { reason, contexts: stats.contexts });
+      })().finally(() => { restarting = null; });
+    }
+    return restarting;
+  }
+
+  function giveUp() {
+    if (!gaveUp) {
+      gaveUp = new RestartLimitError(maxRestarts);
+      log?.error(`🛑 ${gaveUp.message}`);
+      onGiveUp?.(gaveUp);
+    }
+    throw gaveUp;
+  }
+
+  async function acquire() {
+    for (;;) {
+      if (gaveUp) throw gaveUp;
+      if (restarting) await restarting;
+      else if (browserLost || contextLost) {
+        if (stats.recoveries >= maxRestarts) giveUp();
+        stats.recoveries++;
+        await restart(browserLost ? 'browser relaunched' : 'context closed');
+      } else if (recycleAfter && contextTasks >= recycleAfter) {
+        stats.recycled++;
+        await restart(`recycled after ${contextTasks} tasks`);
+      } else break;
+    }
+    inUse++;
+    const reused = idle.pop();
+    if (reused) return reused;
+    try {
+      const page = await context.newPage();
+      stats.pages++;
+      return { page, uses: 0, generation };
+    } catch (error) {
+      inUse--;
+      if (!inUse) onDrain?.();
+      throw isClosedError(error) ? new BrowserCrashedError(error) : error;
+    }
+  }
+
+  async function release(slot, clean) {
+    slot.uses++;
+    contextTasks++;
+    stats.tasks++;
+    let keep = clean && slot.uses < pageReuse && slot.generation === generation && !contextLost && !browserLost && !slot.page.isClosed();
+    if (keep) keep = await slot.page.goto('about:blank').then(() => true, () => false);
+    if (keep) idle.push(slot);
+    else await slot.page.close().catch(() => {});
+    inUse--;
+    if (!inUse) onDrain?.();
+  }
+
+  await startBrowser();
+  await newContext();
+
+  return {
+    /** Run fn(page); an aborted signal closes the page so the task's pending calls fail fast */
+    async withPage(fn, { signal = null } = {}) {
+      const slot = await acquire();
+      const onAbort = () => slot.page.close().catch(() => {});
+      signal?.addEventListener('abort', onAbort, { once: true });
+      let clean = false;
+      try {
+        const result = await fn(slot.page);
+        clean = true;
+        return result;
+      } catch (error) {
+        // A page closed by neither us nor the task means its page, context or browser died
+        if (!signal?.aborted && isClosedError(error)) throw new BrowserCrashedError(error);
+        throw error;
+      } finally {
+        signal?.removeEventListener('abort', onAbort);
+        await release(slot, clean && !signal?.aborted);
+      }
+    },
+
+    /** Replace the context now (e.g. after refreshing the session file) */
+    restart,
+
+    get browser() {
+      return browser;
+    },
+
+    get context() {
+      return context;
+    },
+
+    /** The RestartLimitError once the session has given up, else null */
+    get gaveUp() {
+      return gaveUp;
+    },
+
+    stats() {
+      return { ...stats };
+    },
+
+    async close() {
+      closing = true;
+      await context.close().catch(() => {});
+      await browser.close().catch(() => {});
+    },
+  };
+}
@@ -1,7 +1,7 @@
 // Test script to verify spillover prevention on specific Whop products
 import { extractPopupPromoFromNetwork } from './src/utils/extractPromo.js';
 import { chromium } from 'playwright';
-import fs from 'fs';
+import { resolveOneAuth, authContextOptions } from './src/utils/authProfiles.js';
 
 const testUrls = [
   'https://whop.com/the-yard/?a=alexburnett21',
@@ -13,10 +13,10 @@ async function testSpecificWhops() {
   console.log('🧪 Testing spillover prevention on specific Whop products...\n');
 
   const browser = await chromium.launch({ headless: true });
-  const storage = './auth/whop.json';
+  const auth = resolveOneAuth({ authMode: 'auto', cookiesFile: null });
 
   const context = await browser.newContext({
-    storageState: storage && fs.existsSync(storage) ? storage : undefined,
+    ...authContextOptions(auth),
     bypassCSP: true,
     serviceWorkers: 'block',
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126 Safari/537.36',
@@ -47,6 +47,7 @@ async function testSpecificWhops() {
 
       console.log('🔍 Starting extraction with route-based spillover prevention...');
       const result = await extractPopupPromoFromNetwork(page, {
+        url,
         timeoutMs: 15000,
         currentRoute
       });
@@ -54,8 +55,9 @@ async function testSpecificWhops() {
       console.log('\n📊 RESULT:');
       if (result && result.code) {
         console.log(`✅ SUCCESS: Found code "${result.code}"`);
-        console.log(`   Source: ${result.sourceUrl || 'N/A'}`);
-        console.log(`   Type: ${result.type || 'N/A'}`);
+        console.log(`   Source: ${result.source.url || 'N/A'}`);
+        console.log(`   Type: ${result.source.contentType || 'N/A'}`);
+        console.log(`   Confidence: ${result.confidence} [${result.evidence.reasons.join(', ')}]`);
         console.log(`   This should be specific to ${currentRoute}, not cross-contamination`);
       } else {
         console.log(`❌ No code found for ${currentRoute}`);
@@ -0,0 +1,123 @@
+// test/authProfiles.test.js
+// Auth profiles: which session file a stage runs under for each --auth mode, the legacy
+// storageState.json fallback, and listing, validating and deleting profiles.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  resolveAuth, resolveOneAuth, parseProfiles, profilePath, listProfiles, deleteProfile,
+  authContextOptions, describeAuth,
+} from '../src/utils/authProfiles.js';
+import { validateProfiles, importProfile, encryptProfiles } from '../src/auth.js';
+import { PASSPHRASE_ENV } from '../src/utils/sessionFiles.js';
+
+const NOW = Date.parse('2025-10-18T12:00:00Z');
+
+function tempAuthDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'whp-auth-'));
+}
+
+function writeProfile(dir, name, expires) {
+  const file = path.join(dir, `${name}.json`);
+  const cookies = [{ name: 'session', value: 'x', domain: '.whop.com', path: '/', expires, httpOnly: true, secure: true, sameSite: 'Lax' }];
+  fs.writeFileSync(file, JSON.stringify({ cookies, origins: [] }));
+  return file;
+}
+
+test('resolveAuth picks named profiles, the storage file or a cookies file by --auth mode', () => {
+  const authDir = tempAuthDir();
+  const alice = writeProfile(authDir, 'alice', NOW / 1000 + 3600);
+  writeProfile(authDir, 'bob', NOW / 1000 + 3600);
+  const cookiesFile = path.join(authDir, 'cookies.txt');
+  const missing = path.join(authDir, 'nope.json');
+
+  assert.deepEqual(parseProfiles(' alice, bob,alice,'), ['alice', 'bob']);
+  assert.deepEqual(resolveAuth({ profile: 'alice,bob', authDir }).map(a => [a.name, a.source]), [['alice', 'storage'], ['bob', 'storage']]);
+  assert.throws(() => resolveAuth({ profile: 'carol', authDir }), /No auth profile "carol".*whp auth capture carol/);
+  assert.throws(() => resolveOneAuth({ profile: 'alice,bob', authDir }), /runs under one profile; got alice, bob/);
+  assert.throws(() => profilePath('../etc/passwd', authDir), /Invalid profile name/);
+
+  // No profile: the storage file, else cookies, else anonymous (unless the mode requires one)
+  assert.deepEqual(resolveOneAuth({ storage: alice, authDir, cookiesFile }), { name: 'alice', file: alice, source: 'storage' });
+  assert.deepEqual(resolveOneAuth({ storage: missing, authDir, cookiesFile }), { name: null, file: null, source: null });
+  assert.throws(() => resolveAuth({ storage: missing, authMode: 'storage', authDir, cookiesFile }), /No session file/);
+  assert.throws(() => resolveAuth({ storage: alice, authMode: 'cookies', authDir, cookiesFile }), /No cookies file/);
+  assert.throws(() => resolveAuth({ authMode: 'password' }), /Unknown auth mode/);
+
+  fs.writeFileSync(cookiesFile, '[]');
+  assert.equal(resolveOneAuth({ storage: missing, authDir, cookiesFile }).source, 'cookies');
+  assert.equal(resolveOneAuth({ storage: alice, authMode: 'cookies', authDir, cookiesFile }).source, 'cookies');
+
+  const auth = resolveOneAuth({ storage: alice, authDir, cookiesFile });
+  // The state itself, read (and decrypted) when the context opens
+  assert.deepEqual(authContextOptions(auth), { storageState: JSON.parse(fs.readFileSync(alice, 'utf8')) });
+  assert.deepEqual(authContextOptions({ name: null, file: null, source: null }), {});
+  assert.equal(describeAuth({ source: null }), 'anonymous');
+});
+
+test('profiles are listed with their cookie expiry, validated offline and deleted', async () => {
+  const authDir = tempAuthDir();
+  writeProfile(authDir, 'alice', NOW / 1000 + 3600);
+  writeProfile(authDir, 'bob', NOW / 1000 - 3600);
+  fs.writeFileSync(path.join(authDir, 'broken.json'), '{');
+  fs.writeFileSync(path.join(authDir, 'notes.txt'), 'not a profile');
+
+  const profiles = listProfiles(authDir, NOW);
+  assert.deepEqual(profiles.map(p => [p.name, p.readable, p.expired]),
+    [['alice', true, false], ['bob', true, true], ['broken', false, true]]);
+  assert.equal(profiles[0].expiresAt, '2025-10-18T13:00:00.000Z');
+
+  // --offline only reads the files (validate reads cookie expiry against the real clock)
+  writeProfile(authDir, 'alice', Date.now() / 1000 + 3600);
+  const checked = await validateProfiles([], { authDir, offline: true });
+  assert.deepEqual(checked.map(p => [p.name, p.ok, p.loggedIn]), [['alice', true, null], ['bob', false, null], ['broken', false, null]]);
+  await assert.rejects(validateProfiles(['carol'], { authDir, offline: true }), /No auth profile "carol"/);
+
+  assert.equal(deleteProfile('bob', authDir), path.join(authDir, 'bob.json'));
+  assert.deepEqual(listProfiles(authDir).map(p => p.name), ['alice', 'broken']);
+  assert.throws(() => deleteProfile('bob', authDir), /No auth profile "bob"/);
+});
+
+test('a cookie export imports into a profile with only its whop.com cookies', async () => {
+  const authDir = tempAuthDir();
+  const later = Math.round(Date.now() / 1000) + 3600;
+  const txt = path.join(authDir, 'cookies.txt');
+  fs.writeFileSync(txt, [
+    `#HttpOnly_.whop.com\tTRUE\t/\tTRUE\t${later}\twhop-core.access-token\tabc`,
+    `.google.com\tTRUE\t/\tTRUE\t${later}\tSID\tsecret`,
+  ].join('\n'));
+
+  const imported = await importProfile(txt, { profile: 'alice', authDir, offline: true });
+  assert.deepEqual([imported.format, imported.cookies, imported.skipped, imported.probed], ['netscape', 1, 1, false]);
+  const state = JSON.parse(fs.readFileSync(path.join(authDir, 'alice.json'), 'utf8'));
+  assert.deepEqual(state.cookies.map(c => c.name), ['whop-core.access-token']);
+  assert.deepEqual(resolveAuth({ profile: 'alice', authDir }).map(a => a.source), ['storage']);
+
+  // An expired or foreign export is refused and the profile keeps its file
+  fs.writeFileSync(txt, `.whop.com\tTRUE\t/\tTRUE\t1000\tsession\told`);
+  await assert.rejects(importProfile(txt, { profile: 'alice', authDir, offline: true }), /login expired at 1970/);
+  await assert.rejects(importProfile(txt, { profile: 'alice', authDir, offline: true, cookieFormat: 'json' }), /Not valid JSON/);
+  fs.writeFileSync(txt, JSON.stringify([{ name: 'SID', value: 'secret', domain: '.google.com' }]));
+  await assert.rejects(importProfile(txt, { profile: 'alice', authDir, offline: true }), /None of the 1 cookies in the json export is for whop.com/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(path.join(authDir, 'alice.json'), 'utf8')), state);
+  assert.deepEqual(fs.readdirSync(authDir).sort(), ['alice.json', 'cookies.txt']);
+});
+
+test('whp auth encrypt rewrites plain profiles encrypted, and they still list as readable', () => {
+  const authDir = tempAuthDir();
+  writeProfile(authDir, 'alice', NOW / 1000 + 3600);
+  assert.throws(() => encryptProfiles([], { authDir }), /Set WHP_SESSION_PASSPHRASE/);
+
+  process.env[PASSPHRASE_ENV] = 'correct horse';
+  try {
+    assert.deepEqual(encryptProfiles([], { authDir }).map(p => p.name), ['alice']);
+    assert.deepEqual(listProfiles(authDir, NOW).map(p => [p.name, p.encrypted, p.readable, p.expired]), [['alice', true, true, false]]);
+    assert.deepEqual(encryptProfiles([], { authDir }), []);
+  } finally {
+    delete process.env[PASSPHRASE_ENV];
+  }
+  assert.deepEqual(listProfiles(authDir, NOW).map(p => [p.encrypted, p.readable]), [[true, false]]);
+});
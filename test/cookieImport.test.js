@@ -0,0 +1,70 @@
+// test/cookieImport.test.js
+// Cookie import: Netscape cookies.txt, extension JSON and raw Cookie headers into Playwright
+// cookies, and reading a cookie export where a storage state is expected.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { parseCookieExport, detectCookieFormat } from '../src/utils/cookieImport.js';
+import { readStorageState } from '../src/utils/sessionHealth.js';
+
+const NETSCAPE = [
+  '# Netscape HTTP Cookie File',
+  '# https://curl.se/docs/http-cookies.html',
+  '',
+  '#HttpOnly_.whop.com\tTRUE\t/\tTRUE\t1893456000\twhop-core.access-token\tabc=def',
+  'whop.com\tTRUE\t/\tFALSE\t0\t_ga\tGA1.1',
+  'example.com\tFALSE\t/\tFALSE\t1893456000\tsid\tnope',
+].join('\n');
+
+const EXTENSION_JSON = JSON.stringify([
+  { domain: '.whop.com', name: 'whop-core.access-token', value: 'abc', path: '/', expirationDate: 1893456000.25, httpOnly: true, secure: true, sameSite: 'no_restriction', hostOnly: false, session: false },
+  { domain: 'whop.com', name: 'consent', value: 'yes', path: '/', secure: false, sameSite: 'no_restriction', session: true },
+]);
+
+test('Netscape cookies.txt: HttpOnly prefix, subdomain flag, session cookies', () => {
+  assert.equal(detectCookieFormat(NETSCAPE), 'netscape');
+  const { format, cookies } = parseCookieExport(NETSCAPE);
+  assert.equal(format, 'netscape');
+  assert.deepEqual(cookies[0], {
+    name: 'whop-core.access-token', value: 'abc=def', domain: '.whop.com', path: '/',
+    expires: 1893456000, httpOnly: true, secure: true, sameSite: 'Lax',
+  });
+  assert.equal(cookies[1].domain, '.whop.com');
+  assert.equal(cookies[1].expires, -1);
+  assert.equal(cookies[2].domain, 'example.com');
+  assert.throws(() => parseCookieExport('whop.com\tTRUE\t/\tFALSE', { format: 'netscape' }), /Line 1: expected 7 tab-separated fields/);
+});
+
+test('extension JSON and raw Cookie headers', () => {
+  assert.equal(detectCookieFormat(EXTENSION_JSON), 'json');
+  const { cookies } = parseCookieExport(EXTENSION_JSON);
+  assert.equal(cookies[0].expires, 1893456000);
+  assert.equal(cookies[0].sameSite, 'None');
+  // SameSite=None without secure is refused by the browser; it is read as Lax
+  assert.deepEqual([cookies[1].expires, cookies[1].sameSite], [-1, 'Lax']);
+  assert.throws(() => parseCookieExport('[{"value":"x","domain":".whop.com"}]'), /Cookie 1: cookie without a name/);
+  assert.throws(() => parseCookieExport('{"nope":1}'), /Expected a JSON array/);
+
+  const header = parseCookieExport('Cookie: whop-core.access-token=abc; consent=yes; consent=no');
+  assert.equal(header.format, 'header');
+  assert.deepEqual(header.cookies.map(c => [c.name, c.value, c.domain, c.expires]),
+    [['whop-core.access-token', 'abc', '.whop.com', -1], ['consent', 'no', '.whop.com', -1]]);
+  assert.throws(() => parseCookieExport('just words'), /"just words" is not name=value/);
+  assert.throws(() => parseCookieExport('[]'), /No cookies in the json export/);
+  assert.throws(() => parseCookieExport('a=1', { format: 'yaml' }), /Unknown cookie format/);
+});
+
+test('a cookie export reads as a storage state', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-cookies-'));
+  const txt = path.join(dir, 'cookies.txt');
+  fs.writeFileSync(txt, NETSCAPE);
+  assert.equal(readStorageState(txt).cookies.length, 3);
+  const json = path.join(dir, 'cookies.json');
+  fs.writeFileSync(json, EXTENSION_JSON);
+  assert.equal(readStorageState(json).cookies[0].expires, 1893456000);
+  fs.writeFileSync(json, '{');
+  assert.equal(readStorageState(json), null);
+});
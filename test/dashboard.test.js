@@ -0,0 +1,58 @@
+// test/dashboard.test.js
+// Progress dashboard: throughput/ETA from the worker counters, and the HTML, JSON and SSE endpoints.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { progressSnapshot, pushRecent, startDashboard } from '../src/utils/dashboard.js';
+
+test('progressSnapshot derives throughput and ETA from the counters', () => {
+  const now = Date.parse('2025-10-18T12:10:00Z');
+  const s = progressSnapshot({ processed: 50, total: 150, found: 7, startedAt: '2025-10-18T12:00:00Z' }, now);
+  assert.equal(s.perMinute, 5);
+  assert.equal(s.remaining, 100);
+  assert.equal(s.etaMs, 20 * 60000);
+  assert.equal(s.eta, '2025-10-18T12:30:00.000Z');
+  assert.equal(s.found, 7);
+
+  const idle = progressSnapshot({ processed: 0, total: 10, startedAt: '2025-10-18T12:10:00Z' }, now);
+  assert.equal(idle.perMinute, 0);
+  assert.equal(idle.eta, null);
+});
+
+test('pushRecent keeps the newest entries first', () => {
+  const list = [];
+  for (let i = 1; i <= 5; i++) pushRecent(list, i, 3);
+  assert.deepEqual(list, [5, 4, 3]);
+});
+
+test('startDashboard serves the page, a JSON snapshot and an event stream', async () => {
+  const state = { command: 'extract', status: 'running', processed: 3, total: 10, found: 1, empty: 1, errors: 1, active: 2,
+    startedAt: new Date().toISOString(), recentFinds: [{ url: 'https://whop.com/tms-options/', code: 'promo-327db8fc' }], recentErrors: [] };
+  const dashboard = await startDashboard({ port: 0, getState: () => state, intervalMs: 60000 });
+  try {
+    const page = await fetch(dashboard.url);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(await page.text(), /EventSource\('events'\)/);
+
+    const json = await (await fetch(new URL('status.json', dashboard.url))).json();
+    assert.equal(json.processed, 3);
+    assert.equal(json.remaining, 7);
+    assert.equal(json.recentFinds[0].code, 'promo-327db8fc');
+
+    const events = await fetch(new URL('events', dashboard.url));
+    assert.equal(events.headers.get('content-type'), 'text/event-stream');
+    const reader = events.body.getReader();
+    const first = new TextDecoder().decode((await reader.read()).value);
+    assert.equal(JSON.parse(first.replace(/^data: /, '')).found, 1);
+
+    state.found = 2;
+    dashboard.notify();
+    const second = new TextDecoder().decode((await reader.read()).value);
+    assert.equal(JSON.parse(second.replace(/^data: /, '')).found, 2);
+    await reader.cancel();
+
+    assert.equal((await fetch(new URL('nope', dashboard.url))).status, 404);
+  } finally {
+    await dashboard.close();
+  }
+});
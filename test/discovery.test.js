@@ -0,0 +1,228 @@
+// test/discovery.test.js
+// Discovery sources: link filtering, file-based sources and the shared queue they write to.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import zlib from 'zlib';
+import os from 'os';
+import path from 'path';
+import { toProductUrl, parseSourceList, runDiscovery } from '../src/discovery/index.js';
+import { readUrlList } from '../src/discovery/urlList.js';
+import { extractAffiliateLinks } from '../src/discovery/affiliate.js';
+import { parseSitemap, decodeSitemapBody } from '../src/discovery/sitemap.js';
+import { parseRobots, rulesFor, isAllowed, fetchRobots } from '../src/discovery/robots.js';
+import { byLastmod, changedSinceVisit } from '../src/phaseB_extract.js';
+import { openStore } from '../src/utils/store.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'whp-discovery-'));
+}
+
+function readQueue(dir) {
+  const store = openStore(dir);
+  try { return store.queueEntries(); } finally { store.close(); }
+}
+
+test('toProductUrl keeps product pages and drops everything else', () => {
+  assert.equal(toProductUrl('http://www.whop.com/alpha-club/#reviews'), 'https://whop.com/alpha-club/');
+  assert.equal(toProductUrl('https://whop.com/alpha-club/?a=partner'), 'https://whop.com/alpha-club/?a=partner');
+  assert.equal(toProductUrl('https://whop.com/checkout/prod_AbC123'), 'https://whop.com/checkout/prod_AbC123');
+  assert.equal(toProductUrl('https://whop.com/discover/trading/?productId=prod_X'), 'https://whop.com/discover/trading/?productId=prod_X');
+  assert.equal(toProductUrl('https://whop.com/discover/trading/'), null);
+  assert.equal(toProductUrl('https://whop.com/login'), null);
+  assert.equal(toProductUrl('https://whop.com/'), null);
+  assert.equal(toProductUrl('https://example.com/alpha-club'), null);
+  assert.equal(toProductUrl('not a url'), null);
+});
+
+test('parseSourceList rejects unknown sources', () => {
+  assert.deepEqual(parseSourceList('urls, affiliate').map(s => s.name), ['urls', 'affiliate']);
+  assert.throws(() => parseSourceList('whpcodes,nope'), /Unknown discovery source "nope"/);
+});
+
+test('readUrlList skips blanks and comments', () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'urls.txt');
+  fs.writeFileSync(file, '# seeds\nhttps://whop.com/a/\n\n  https://whop.com/b/  \n');
+  assert.deepEqual(readUrlList(file), ['https://whop.com/a/', 'https://whop.com/b/']);
+  assert.deepEqual(readUrlList(path.join(dir, 'missing.txt')), []);
+});
+
+test('extractAffiliateLinks reads CSV and JSON exports', () => {
+  const csv = 'name,link\nAlpha,https://whop.com/alpha/?a=me\nBeta,"https://whop.com/beta/?a=me"\n';
+  assert.deepEqual(extractAffiliateLinks(csv), ['https://whop.com/alpha/?a=me', 'https://whop.com/beta/?a=me']);
+  const json = JSON.stringify({ links: [{ url: 'https://whop.com/alpha/?a=me' }, { nested: { url: 'https://www.whop.com/gamma/' } }] });
+  assert.deepEqual(extractAffiliateLinks(json), ['https://whop.com/alpha/?a=me', 'https://www.whop.com/gamma/']);
+});
+
+test('parseSitemap reads urlsets with lastmod and indexes', () => {
+  const index = parseSitemap('<sitemapindex><sitemap><loc>https://whop.com/sitemap-1.xml.gz</loc></sitemap></sitemapindex>');
+  assert.equal(index.isIndex, true);
+  assert.deepEqual(index.entries, [{ loc: 'https://whop.com/sitemap-1.xml.gz', lastmod: null }]);
+  const set = parseSitemap(`<urlset>
+    <url><loc><![CDATA[https://whop.com/a/?x=1&amp;y=2]]></loc><lastmod>2026-01-02</lastmod></url>
+    <url><loc>https://whop.com/b/</loc></url>
+  </urlset>`);
+  assert.equal(set.isIndex, false);
+  assert.deepEqual(set.entries, [
+    { loc: 'https://whop.com/a/?x=1&y=2', lastmod: '2026-01-02' },
+    { loc: 'https://whop.com/b/', lastmod: null },
+  ]);
+});
+
+test('decodeSitemapBody gunzips by magic bytes', () => {
+  const xml = '<urlset><url><loc>https://whop.com/a/</loc></url></urlset>';
+  assert.equal(decodeSitemapBody(zlib.gzipSync(xml)), xml);
+  assert.equal(decodeSitemapBody(Buffer.from(xml)), xml);
+});
+
+test('robots rules: agent groups, longest match, allow wins ties, wildcards', () => {
+  const robots = parseRobots(`
+    User-agent: *
+    Disallow: /checkout/
+    Allow: /checkout/prod_
+    Disallow: /*?ref=
+    Disallow: /private$
+
+    User-agent: otherbot
+    Disallow: /
+
+    Sitemap: https://whop.com/sitemap.xml
+  `);
+  assert.deepEqual(robots.sitemaps, ['https://whop.com/sitemap.xml']);
+  const rules = rulesFor(robots);
+  assert.equal(isAllowed(rules, 'https://whop.com/alpha/'), true);
+  assert.equal(isAllowed(rules, 'https://whop.com/checkout/plan_1'), false);
+  assert.equal(isAllowed(rules, 'https://whop.com/checkout/prod_1'), true);
+  assert.equal(isAllowed(rules, 'https://whop.com/alpha/?ref=x'), false);
+  assert.equal(isAllowed(rules, 'https://whop.com/private'), false);
+  assert.equal(isAllowed(rules, 'https://whop.com/private/page'), true);
+  assert.equal(isAllowed(rulesFor(robots, 'OtherBot/2.0'), 'https://whop.com/alpha/'), false);
+  assert.deepEqual(rulesFor(parseRobots('')), []);
+});
+
+test('byLastmod puts recently changed pages first and keeps undated ones in order', () => {
+  const order = byLastmod([
+    { url: 'a' },
+    { url: 'b', lastmod: '2026-01-01T00:00:00.000Z' },
+    { url: 'c' },
+    { url: 'd', lastmod: '2026-03-01T00:00:00.000Z' },
+  ]).map(i => i.url);
+  assert.deepEqual(order, ['d', 'b', 'a', 'c']);
+});
+
+test('changedSinceVisit finds products whose lastmod is newer than their last visit', () => {
+  const queue = [
+    { url: 'https://whop.com/alpha/', key: 'alpha', lastmod: '2026-03-01T00:00:00.000Z' },
+    { url: 'https://whop.com/beta/', key: 'beta', lastmod: '2026-01-01T00:00:00.000Z' },
+    { url: 'https://whop.com/gamma/', key: 'gamma' },
+    { url: 'https://whop.com/delta/', key: 'delta', lastmod: '2026-03-01T00:00:00.000Z' },
+  ];
+  const attempts = [
+    { key: 'alpha', status: 'found', checkedAt: '2026-02-01T00:00:00.000Z' },
+    { key: 'alpha', status: 'error', checkedAt: '2026-03-02T00:00:00.000Z' },
+    { key: 'beta', status: 'empty', checkedAt: '2026-02-01T00:00:00.000Z' },
+    { key: 'gamma', status: 'empty', checkedAt: '2026-02-01T00:00:00.000Z' },
+  ];
+  // delta was never visited: it is pending anyway, not "changed"
+  assert.deepEqual([...changedSinceVisit(queue, attempts)], ['alpha']);
+});
+
+test('runDiscovery appends new product URLs with their source and skips known ones', async () => {
+  const dir = tempDir();
+  const urlFile = path.join(dir, 'product_urls.txt');
+  const affiliateFile = path.join(dir, 'export.csv');
+  fs.writeFileSync(urlFile, 'https://whop.com/alpha/\nhttps://whop.com/login\nhttps://whop.com/done/?a=me\n');
+  fs.writeFileSync(affiliateFile, 'link\nhttps://whop.com/alpha?a=me\nhttps://whop.com/beta/?a=me\n');
+  const store = openStore(dir);
+  store.recordAttempt({ url: 'https://whop.com/done/', stage: 'extract', result: null });
+  store.close();
+
+  const summary = await runDiscovery({ sources: 'urls,affiliate', dataDir: dir, urlFile, affiliateFile });
+  assert.deepEqual(summary.urls, { found: 3, added: 1, skipped: 1 });
+  assert.deepEqual(summary.affiliate, { found: 2, added: 1, skipped: 0 });
+
+  const queue = readQueue(dir);
+  assert.deepEqual(queue.map(q => [q.url, q.source]), [
+    ['https://whop.com/alpha/', 'urls'],
+    ['https://whop.com/beta/?a=me', 'affiliate'],
+  ]);
+  assert.deepEqual(queue.map(q => q.key), ['alpha', 'beta']);
+  assert.equal(queue[1].affiliateExport, 'export.csv');
+  assert.ok(queue[0].discoveredAt);
+
+  // A second run finds nothing new
+  await runDiscovery({ sources: 'urls', dataDir: dir, urlFile });
+  assert.equal(readQueue(dir).length, 2);
+});
+
+test('runDiscovery records a failing source and carries on', async () => {
+  const dir = tempDir();
+  const urlFile = path.join(dir, 'product_urls.txt');
+  fs.writeFileSync(urlFile, 'https://whop.com/alpha/\n');
+  const summary = await runDiscovery({ sources: 'affiliate,urls', dataDir: dir, urlFile, affiliateFile: null });
+  assert.match(summary.affiliate.error, /--affiliate-file/);
+  assert.equal(summary.urls.added, 1);
+});
+
+test('sitemap source follows robots.txt, indexes and gzipped sitemaps', async (t) => {
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const routes = {
+      '/robots.txt': `User-agent: *\nDisallow: /blocked-\nSitemap: ${base}/index.xml\n`,
+      '/index.xml': `<sitemapindex><sitemap><loc>${base}/products.xml.gz</loc></sitemap></sitemapindex>`,
+      '/products.xml.gz': zlib.gzipSync(`<urlset>
+        <url><loc>https://whop.com/alpha/</loc><lastmod>2026-02-01</lastmod></url>
+        <url><loc>https://whop.com/blocked-club/</loc></url>
+        <url><loc>https://whop.com/blog/</loc></url>
+      </urlset>`),
+    };
+    const body = routes[req.url];
+    res.writeHead(body ? 200 : 404);
+    res.end(body || '');
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  t.after(() => server.close());
+  const sitemapUrl = `http://127.0.0.1:${server.address().port}/missing.xml`;
+
+  const dir = tempDir();
+  const summary = await runDiscovery({ sources: 'sitemap', dataDir: dir, sitemapUrl });
+  assert.deepEqual(summary.sitemap, { found: 2, added: 1, skipped: 1 });
+  const [entry] = readQueue(dir);
+  assert.equal(entry.url, 'https://whop.com/alpha/');
+  assert.equal(entry.source, 'sitemap');
+  assert.equal(entry.lastmod, '2026-02-01T00:00:00.000Z');
+
+  // Read again after the page changed: the known product gets the newer lastmod, not a new row
+  const store = openStore(dir);
+  store.db.prepare(`UPDATE queue SET lastmod = '2026-01-01T00:00:00.000Z'`).run();
+  store.close();
+  const again = await runDiscovery({ sources: 'sitemap', dataDir: dir, sitemapUrl });
+  assert.deepEqual(again.sitemap, { found: 2, added: 0, skipped: 1, updated: 1 });
+  assert.deepEqual(readQueue(dir).map(q => q.lastmod), ['2026-02-01T00:00:00.000Z']);
+
+  const ignoring = tempDir();
+  await runDiscovery({ sources: 'sitemap', dataDir: ignoring, sitemapUrl: `http://127.0.0.1:${server.address().port}/index.xml`, ignoreRobots: true });
+  assert.deepEqual(readQueue(ignoring).map(q => q.url), ['https://whop.com/alpha/', 'https://whop.com/blocked-club/']);
+});
+
+test('a stalled robots.txt or sitemap times out instead of blocking discovery', async (t) => {
+  // /robots.txt and /stalled.xml never answer
+  const server = http.createServer((req, res) => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    if (req.url === '/index.xml') return res.end(`<sitemapindex><sitemap><loc>${base}/stalled.xml</loc></sitemap><sitemap><loc>${base}/products.xml</loc></sitemap></sitemapindex>`);
+    if (req.url === '/products.xml') return res.end('<urlset><url><loc>https://whop.com/alpha/</loc></url></urlset>');
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  t.after(() => { server.closeAllConnections(); server.close(); });
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  await assert.rejects(fetchRobots(`${base}/index.xml`, { timeoutMs: 200 }), /robots\.txt unreachable at .*: no response within 200ms/);
+
+  const dir = tempDir();
+  const summary = await runDiscovery({ sources: 'sitemap', dataDir: dir, sitemapUrl: `${base}/index.xml`, ignoreRobots: true, fetchTimeoutMs: 200 });
+  assert.deepEqual(summary.sitemap, { found: 1, added: 1, skipped: 0 });
+  assert.deepEqual(readQueue(dir).map(q => q.url), ['https://whop.com/alpha/']);
+});
@@ -0,0 +1,117 @@
+// test/errorClass.test.js
+// Error classes: classification of thrown errors and stored messages, backoff, and `whp retry`.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  classifyError, retryDelay, shouldRetry, isRetriable, parseRetryAfter, statusError, HttpStatusError, AuthLostError,
+} from '../src/utils/errorClass.js';
+import { openStore } from '../src/utils/store.js';
+import { retryFailures } from '../src/retry.js';
+import { selectPending } from '../src/phaseB_extract.js';
+
+test('classifyError sorts Playwright messages, HTTP statuses and login bounces', () => {
+  const cases = [
+    ['page.goto: Timeout 30000ms exceeded.\nCall log:', 'timeout'],
+    ['page.goto: net::ERR_TIMED_OUT at https://whop.com/x/', 'timeout'],
+    ['page.reload: net::ERR_NETWORK_CHANGED', 'network'],
+    ['page.goto: net::ERR_INTERNET_DISCONNECTED at https://whop.com/x/', 'network'],
+    ['HTTP 404 for https://whop.com/x/', 'gone'],
+    ['HTTP 503 for https://whop.com/x/', 'network'],
+    ["Cannot read properties of null (reading 'code')", 'extractor'],
+  ];
+  for (const [msg, cls] of cases) assert.equal(classifyError(msg), cls, msg);
+
+  assert.equal(classifyError(new HttpStatusError(429, 'https://whop.com/x/')), 'rate-limited');
+  assert.equal(classifyError(new HttpStatusError(403, 'https://whop.com/x/')), 'rate-limited');
+  assert.equal(classifyError(new HttpStatusError(410, 'https://whop.com/x/')), 'gone');
+  assert.equal(classifyError(new HttpStatusError(408, 'https://whop.com/x/')), 'timeout');
+  assert.equal(classifyError('HTTP 425 for https://whop.com/x/'), 'network');
+  assert.equal(classifyError(new HttpStatusError(400, 'https://whop.com/x/')), 'gone');
+  const lost = new AuthLostError('https://whop.com/x/', 'https://whop.com/login/');
+  assert.equal(classifyError(lost), 'auth-lost');
+  assert.equal(classifyError(lost.message), 'auth-lost');
+  assert.equal(isRetriable('gone'), false);
+  assert.equal(isRetriable('timeout'), true);
+});
+
+test('retries back off exponentially within each class limit', () => {
+  const mid = () => 0.5;
+  assert.deepEqual([1, 2].map(n => retryDelay('timeout', n, { random: mid })), [10_000, 20_000]);
+  assert.equal(retryDelay('rate-limited', 4, { random: mid }), 300_000);
+  assert.equal(retryDelay('rate-limited', 1, { retryAfterMs: 7000 }), 7000);
+  assert.equal(new HttpStatusError(429, 'u', { retryAfter: '12' }).retryAfterMs, 12_000);
+  assert.equal(parseRetryAfter('Sat, 18 Oct 2025 12:01:00 GMT', Date.parse('2025-10-18T12:00:00Z')), 60_000);
+
+  assert.equal(shouldRetry('timeout', 2), true);
+  assert.equal(shouldRetry('timeout', 3), false);
+  assert.equal(shouldRetry('gone', 1), false);
+  assert.equal(shouldRetry('auth-lost', 1), false);
+});
+
+test('a 401/403 is a lost session only for a visit made with one', () => {
+  for (const status of [401, 403]) {
+    const withSession = statusError(status, 'https://whop.com/x/', { withSession: true });
+    assert.ok(withSession instanceof AuthLostError);
+    assert.equal(withSession.message, `Session lost: https://whop.com/x/ answered HTTP ${status}`);
+    assert.equal(classifyError(withSession), 'auth-lost');
+    assert.equal(classifyError(withSession.message), 'auth-lost');
+  }
+  // Anonymous visits (no session, or the logged-out half of --compare-anonymous)
+  const blocked = statusError(403, 'https://whop.com/x/', { retryAfter: '5' });
+  assert.ok(blocked instanceof HttpStatusError);
+  assert.equal(classifyError(blocked), 'rate-limited');
+  assert.equal(blocked.retryAfterMs, 5000);
+  assert.equal(classifyError(statusError(401, 'https://whop.com/x/')), 'gone');
+  assert.equal(classifyError(statusError(404, 'https://whop.com/x/', { withSession: true })), 'gone');
+});
+
+test('retryFailures re-queues retriable failures once and extraction can see them', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-retry-'));
+  const store = openStore(dir);
+  for (const slug of ['slow', 'removed', 'fixed']) store.enqueue({ url: `https://whop.com/${slug}/` });
+  store.recordAttempt({ url: 'https://whop.com/slow/', stage: 'extract', error: 'page.goto: Timeout 30000ms exceeded.', checkedAt: '2025-10-01T00:00:00Z' });
+  store.recordAttempt({ url: 'https://whop.com/removed/', stage: 'extract', error: 'HTTP 404 for https://whop.com/removed/', checkedAt: '2025-10-01T00:00:00Z' });
+  store.recordAttempt({ url: 'https://whop.com/fixed/', stage: 'extract', error: 'page.goto: Timeout 30000ms exceeded.', checkedAt: '2025-10-01T00:00:00Z' });
+  store.recordAttempt({ url: 'https://whop.com/fixed/', stage: 'extract', result: null, checkedAt: '2025-10-02T00:00:00Z' });
+  assert.deepEqual(store.attempts({ status: 'error' }).map(a => a.errorClass), ['timeout', 'gone', 'timeout']);
+  store.close();
+
+  const dry = retryFailures({ dataDir: dir, dryRun: true });
+  assert.deepEqual(dry.failures.map(f => [f.key, f.errorClass]), [['slow', 'timeout'], ['removed', 'gone']]);
+  assert.deepEqual(dry.chosen.map(f => f.key), ['slow']);
+
+  assert.deepEqual(retryFailures({ dataDir: dir }).chosen.map(f => f.key), ['slow']);
+  assert.deepEqual(retryFailures({ dataDir: dir }).chosen, []);
+  assert.deepEqual(retryFailures({ dataDir: dir, classes: 'gone' }).chosen.map(f => f.key), ['removed']);
+  assert.throws(() => retryFailures({ dataDir: dir, classes: 'flaky' }), /Unknown error class "flaky"/);
+
+  const again = openStore(dir);
+  const requeued = again.queueEntries().filter(q => q.requeuedAt).map(q => q.key);
+  assert.deepEqual(requeued.sort(), ['removed', 'slow']);
+  again.close();
+});
+
+test('a revisit run skips old failures until whp retry re-queues them', () => {
+  const queue = ['slow', 'seen', 'fresh', 'flaky'].map(key => ({ url: `https://whop.com/${key}/`, key }));
+  const attempts = [
+    { key: 'slow', status: 'error', checkedAt: '2025-09-01T00:00:00Z' },
+    { key: 'seen', status: 'found', checkedAt: '2025-09-01T00:00:00Z' },
+    { key: 'fresh', status: 'empty', checkedAt: '2025-10-02T00:00:00Z' },
+    { key: 'flaky', status: 'error', checkedAt: '2025-09-01T00:00:00Z' },
+    { key: 'flaky', status: 'found', checkedAt: '2025-09-02T00:00:00Z' },
+  ];
+  const cutoff = '2025-10-01T00:00:00Z';
+
+  const run = selectPending(queue, attempts, { cutoff });
+  assert.deepEqual([...run.failed], ['slow']);
+  assert.deepEqual([...run.done], ['fresh']);
+  assert.deepEqual(run.pending.map(item => item.key), ['seen', 'flaky']);
+
+  // Re-queued after the failure: due again
+  const requeued = queue.map(item => item.key === 'slow' ? { ...item, requeuedAt: '2025-10-03T00:00:00Z' } : item);
+  assert.deepEqual(selectPending(requeued, attempts, { cutoff }).pending.map(item => item.key), ['slow', 'seen', 'flaky']);
+});
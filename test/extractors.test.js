@@ -0,0 +1,73 @@
+// test/extractors.test.js
+// Golden tests: every fixture in test/fixtures is run through the network extractor (discovering
+// the code, and looking up a known code) and the parsing core, and the output must match the
+// `expected` block recorded in the fixture.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loadCase, listCases, createFakePage } from './helpers/fakePage.js';
+import { extractPopupPromoFromNetwork as extractPromo } from '../src/utils/extractPromo.js';
+import { parseResponses } from '../src/utils/promoParse.js';
+import { PROMO_SCHEMA_VERSION } from '../src/utils/promoResult.js';
+
+for (const name of listCases()) {
+  const fixture = loadCase(name);
+
+  test(`${name}: extract`, async () => {
+    const page = createFakePage(fixture);
+    const result = await extractPromo(page, { url: fixture.pageUrl, currentRoute: fixture.route });
+    assert.deepEqual(result, fixture.expected.extract);
+  });
+
+  test(`${name}: extract with known code`, async () => {
+    const page = createFakePage(fixture);
+    const result = await extractPromo(page, {
+      url: fixture.pageUrl,
+      currentRoute: fixture.route,
+      onlyThisCode: fixture.onlyThisCode,
+    });
+    assert.deepEqual(result, fixture.expected.extractWithCode);
+  });
+
+  test(`${name}: parseResponses`, () => {
+    const ranked = parseResponses(fixture.responses, { route: fixture.route })
+      .map(c => ({ code: c.code, accepted: c.accepted, reasons: c.reasons, discount: c.discount }));
+    assert.deepEqual(ranked, fixture.expected.parseResponses);
+  });
+}
+
+test('dms-spillover: a code from another product\'s DM feed never wins', async () => {
+  const fixture = loadCase('dms-spillover');
+  const result = await extractPromo(createFakePage(fixture), { url: fixture.pageUrl, currentRoute: fixture.route });
+  assert.equal(result.code, 'promo-01fe6235');
+
+  const [best] = parseResponses(fixture.responses, { route: fixture.route });
+  assert.equal(best.code, 'promo-01fe6235');
+});
+
+test('dms-spillover: the losing code is kept in the evidence trail', async () => {
+  const fixture = loadCase('dms-spillover');
+  const result = await extractPromo(createFakePage(fixture), { url: fixture.pageUrl, currentRoute: fixture.route });
+  const loser = result.evidence.competitors.find(c => c.code !== result.code);
+  assert.ok(loser, 'competitor recorded');
+  assert.equal(loser.accepted, false);
+  assert.match(result.evidence.excerpt, new RegExp(result.code));
+});
+
+test('extractPromo requires a url', async () => {
+  const fixture = loadCase('popup-json');
+  await assert.rejects(() => extractPromo(createFakePage(fixture), {}), /missing url/);
+});
+
+test('every result carries the full schema, even when fields are unknown', async () => {
+  for (const name of listCases()) {
+    const fixture = loadCase(name);
+    const result = await extractPromo(createFakePage(fixture), { url: fixture.pageUrl, currentRoute: fixture.route });
+    if (!result) continue;
+    assert.equal(result.schemaVersion, PROMO_SCHEMA_VERSION);
+    assert.deepEqual(Object.keys(result).sort(), [
+      'amountOff', 'code', 'confidence', 'currency', 'evidence', 'percentOff', 'promoId', 'schemaVersion', 'source',
+    ]);
+    assert.ok(result.confidence >= 0 && result.confidence <= 1, `${name} confidence in range`);
+  }
+});
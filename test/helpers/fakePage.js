@@ -0,0 +1,91 @@
+// test/helpers/fakePage.js
+// Minimal stand-in for a Playwright page: every goto/reload replays the fixture's responses
+// through the same events the extractors listen to ('response' and 'requestfinished').
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+export function loadCase(name) {
+  const file = path.join(FIXTURES, `${name}.json`);
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fixture.name = name;
+  fixture.responses = fixture.responses.map(r => ({
+    ...r,
+    body: r.bodyFile ? fs.readFileSync(path.join(FIXTURES, r.bodyFile), 'utf8') : r.body,
+  }));
+  return fixture;
+}
+
+export function listCases() {
+  return fs.readdirSync(FIXTURES)
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.replace(/\.json$/, ''))
+    .sort();
+}
+
+function makeResponse(r) {
+  const request = {
+    url: () => r.url,
+    method: () => (r.requestPostData ? 'POST' : 'GET'),
+    postData: () => r.requestPostData ?? null,
+    response: async () => response,
+  };
+  const response = {
+    url: () => r.url,
+    status: () => 200,
+    headers: () => ({ 'content-type': r.contentType || '' }),
+    text: async () => r.body,
+    body: async () => Buffer.from(r.body, 'utf8'),
+    request: () => request,
+  };
+  return response;
+}
+
+export function createFakePage(fixture) {
+  const listeners = new Map();
+  let currentUrl = fixture.pageUrl;
+
+  const emit = async (event, arg) => {
+    const handlers = [...(listeners.get(event) || [])];
+    await Promise.all(handlers.map(h => h(arg)));
+  };
+
+  const navigate = async (url) => {
+    currentUrl = url;
+    for (const r of fixture.responses) {
+      const resp = makeResponse(r);
+      await emit('response', resp);
+      await emit('requestfinished', resp.request());
+    }
+  };
+
+  const page = {
+    url: () => currentUrl,
+    on(event, handler) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(handler);
+    },
+    off(event, handler) {
+      listeners.get(event)?.delete(handler);
+    },
+    async goto(url) { await navigate(url); },
+    async reload() { await navigate(currentUrl); },
+    async waitForLoadState() {},
+    async waitForTimeout() {},
+    async route() {},
+    async evaluate() { return fixture.pageContext || {}; },
+    async title() { return fixture.title || ''; },
+    async content() {
+      const doc = fixture.responses.find(r => /text\/html/.test(r.contentType || ''));
+      return doc ? doc.body : '<html></html>';
+    },
+    context: () => ({
+      newCDPSession: async () => ({ send: async () => ({}), on() {} }),
+    }),
+  };
+  return page;
+}
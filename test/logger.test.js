@@ -0,0 +1,72 @@
+// test/logger.test.js
+// Shared logger: level filtering, child context, and the pretty and JSON line formats.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLogger, formatJson, formatPretty } from '../src/utils/logger.js';
+import { parseCommandLine } from '../src/utils/options.js';
+
+function capture(settings = {}) {
+  const lines = [];
+  const logger = createLogger({ ...settings, color: false, write: (level, line) => lines.push([level, line]) });
+  return { logger, lines };
+}
+
+test('messages below the level are dropped', () => {
+  const { logger, lines } = capture({ level: 'warn', format: 'pretty' });
+  logger.debug('🔎 detail');
+  logger.info('📊 Progress: 10/20');
+  logger.warn('⚠️ slow page');
+  logger.error('❌ failed');
+  assert.deepEqual(lines, [['warn', '⚠️ slow page'], ['error', '❌ failed']]);
+  assert.equal(logger.enabled('info'), false);
+  assert.equal(logger.enabled('error'), true);
+});
+
+test('json lines carry child context, fields and a message without emoji', () => {
+  const { logger, lines } = capture({ level: 'info', format: 'json' });
+  const runLog = logger.child({ runId: '20251018T120304Z-1a2b3c', stage: 'extract' });
+  const urlLog = runLog.child({ worker: 2, url: 'https://whop.com/tms-options/', route: 'tms-options' });
+  urlLog.info('🎉 Found popup code: promo-327db8fc', { code: 'promo-327db8fc' });
+  urlLog.warn('❌ Error processing', { error: new Error('Timeout 30000ms exceeded') });
+
+  const [found, failed] = lines.map(([, line]) => JSON.parse(line));
+  assert.equal(found.level, 'info');
+  assert.equal(found.msg, 'Found popup code: promo-327db8fc');
+  assert.deepEqual(
+    (({ runId, stage, worker, url, route, code }) => ({ runId, stage, worker, url, route, code }))(found),
+    { runId: '20251018T120304Z-1a2b3c', stage: 'extract', worker: 2, url: 'https://whop.com/tms-options/', route: 'tms-options', code: 'promo-327db8fc' });
+  assert.ok(!Number.isNaN(Date.parse(found.time)));
+  assert.equal(failed.error, 'Timeout 30000ms exceeded');
+  assert.equal(failed.stack, undefined);
+  assert.deepEqual(runLog.context, { runId: '20251018T120304Z-1a2b3c', stage: 'extract' });
+});
+
+test('formatters keep the pretty look and add stacks to error lines only', () => {
+  assert.equal(formatPretty('info', '\n🎉 Extraction complete!'), '\n🎉 Extraction complete!');
+  assert.equal(formatPretty('warn', 'slow', { color: true }), '\x1b[33mslow\x1b[0m');
+  const error = new Error('boom');
+  assert.match(formatPretty('error', '❌ Extraction failed: boom', { error }), /boom\n.*Error: boom/s);
+  const line = JSON.parse(formatJson('error', '❌ Extraction failed', { error, skipped: undefined }, new Date('2025-10-18T00:00:00Z')));
+  assert.equal(line.time, '2025-10-18T00:00:00.000Z');
+  assert.equal(line.msg, 'Extraction failed');
+  assert.match(line.stack, /Error: boom/);
+  assert.equal('skipped' in line, false);
+});
+
+test('--log-level, --log-format and --debug are accepted by every command', () => {
+  const env = { level: process.env.WHP_LOG_LEVEL, debug: process.env.DEBUG };
+  delete process.env.WHP_LOG_LEVEL;
+  delete process.env.DEBUG;
+  try {
+    assert.deepEqual(
+      (({ logLevel, logFormat, debug }) => ({ logLevel, logFormat, debug }))(parseCommandLine(['dataDir'], ['--log-level', 'warn', '--log-format', 'json']).options),
+      { logLevel: 'warn', logFormat: 'json', debug: false });
+    assert.throws(() => parseCommandLine([], ['--log-level', 'loud']), /--log-level must be one of debug, info, warn, error/);
+    assert.equal(parseCommandLine([], ['--debug']).options.debug, true);
+  } finally {
+    parseCommandLine([], []);
+    if (env.level !== undefined) process.env.WHP_LOG_LEVEL = env.level;
+    if (env.debug !== undefined) process.env.DEBUG = env.debug;
+  }
+});
@@ -0,0 +1,108 @@
+// test/productRegistry.test.js
+// Product registry: sightings from extraction fold into one entity per product.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  identityFromUrl,
+  toSighting,
+  buildRegistry,
+  loadRegistry,
+  groupByCompany,
+  sameCompany,
+} from '../src/utils/productRegistry.js';
+import { readPageIdentity } from '../src/utils/extractPromo.js';
+import { createFakePage } from './helpers/fakePage.js';
+import { openStore } from '../src/utils/store.js';
+
+const at = (s, seenAt) => ({ ...s, seenAt });
+
+test('identityFromUrl reads route, slug and prod_ id', () => {
+  assert.deepEqual(identityFromUrl('https://whop.com/Ayecon-Monthly-Mentorship/ayecon-lifetime-membership/?a=x'),
+    { route: 'ayecon-monthly-mentorship', slug: 'ayecon-lifetime-membership', productId: null });
+  assert.deepEqual(identityFromUrl('https://whop.com/checkout/prod_FqllUhTjE44LH0'),
+    { route: null, slug: null, productId: 'prod_FqllUhTjE44LH0' });
+  assert.deepEqual(identityFromUrl('https://whop.com/discover/trading/?productId=prod_X1'),
+    { route: null, slug: null, productId: 'prod_X1' });
+  assert.deepEqual(identityFromUrl('nope'), { route: null, slug: null, productId: null });
+});
+
+test('toSighting prefers page data and the redirected URL', () => {
+  const s = toSighting({
+    url: 'https://whop.com/ayecon-lifetime-membership?a=alexburnett21',
+    finalUrl: 'https://whop.com/ayecon-monthly-mentorship/ayecon-lifetime-membership/',
+    productId: 'prod_Life', companyId: 'biz_Ayecon', title: '  Lifetime  ',
+  });
+  assert.equal(s.key, 'ayecon-lifetime-membership');
+  assert.equal(s.route, 'ayecon-monthly-mentorship');
+  assert.equal(s.slug, 'ayecon-lifetime-membership');
+  assert.equal(s.productId, 'prod_Life');
+  assert.equal(s.companyId, 'biz_Ayecon');
+  assert.equal(s.title, 'Lifetime');
+  assert.equal(toSighting({ url: 'https://whop.com/a/', finalUrl: 'https://whop.com/a/' }).finalUrl, null);
+});
+
+test('buildRegistry merges URLs by product key and prod_ id', () => {
+  const registry = buildRegistry([
+    at(toSighting({ url: 'https://whop.com/alpha/?a=me', productId: 'prod_A', title: 'Alpha' }), '2026-01-01'),
+    at(toSighting({ url: 'https://whop.com/checkout/prod_A' }), '2026-01-02'),
+    at(toSighting({ url: 'https://whop.com/ALPHA', companyId: 'biz_1' }), '2026-01-03'),
+    at(toSighting({ url: 'https://whop.com/beta/' }), '2026-01-04'),
+  ]);
+  assert.equal(registry.products.length, 2);
+
+  const alpha = registry.lookup('https://whop.com/alpha');
+  assert.equal(alpha.id, 'prod_A');
+  assert.equal(alpha.title, 'Alpha');
+  assert.equal(alpha.companyId, 'biz_1');
+  assert.deepEqual(alpha.keys.sort(), ['alpha', 'prod_A']);
+  assert.equal(alpha.firstSeen, '2026-01-01');
+  assert.equal(alpha.lastSeen, '2026-01-03');
+  assert.equal(registry.lookup('https://whop.com/checkout/prod_A?a=x'), alpha);
+
+  const beta = registry.lookup('https://whop.com/beta?a=me');
+  assert.equal(beta.id, 'beta');
+  assert.equal(registry.lookup('https://whop.com/gamma/'), null);
+});
+
+test('company grouping tells related products apart', () => {
+  const registry = buildRegistry([
+    toSighting({ url: 'https://whop.com/ayecon-lifetime-membership?a=x', productId: 'prod_Life', companyId: 'biz_Ayecon' }),
+    toSighting({ url: 'https://whop.com/ayecon-monthly-mentorship/?a=x', productId: 'prod_Month', companyId: 'biz_Ayecon' }),
+    toSighting({ url: 'https://whop.com/other/', productId: 'prod_O', companyId: 'biz_Other' }),
+    toSighting({ url: 'https://whop.com/unknown/' }),
+  ]);
+  const companies = groupByCompany(registry.products);
+  assert.deepEqual(companies.get('biz_Ayecon').map(p => p.id).sort(), ['prod_Life', 'prod_Month']);
+  assert.equal(sameCompany(registry, 'https://whop.com/ayecon-lifetime-membership', 'https://whop.com/ayecon-monthly-mentorship'), true);
+  assert.equal(sameCompany(registry, 'https://whop.com/ayecon-lifetime-membership', 'https://whop.com/other'), false);
+  assert.equal(sameCompany(registry, 'https://whop.com/other', 'https://whop.com/unknown'), null);
+});
+
+test('loadRegistry reads sightings from the store', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-registry-'));
+  assert.deepEqual(loadRegistry(dir).products, []);
+  const store = openStore(dir);
+  store.recordSighting(toSighting({ url: 'https://whop.com/alpha/', productId: 'prod_A' }));
+  store.recordSighting(toSighting({ url: 'https://whop.com/alpha/?a=me', finalUrl: 'https://whop.com/alpha-club/', title: 'Alpha' }));
+  store.close();
+
+  const registry = loadRegistry(dir);
+  assert.equal(registry.products.length, 1);
+  assert.equal(registry.lookup('https://whop.com/alpha-club').id, 'prod_A');
+  assert.equal(registry.lookup('https://whop.com/alpha').title, 'Alpha');
+});
+
+test('readPageIdentity reports page ids, title and final URL', async () => {
+  const page = createFakePage({
+    pageUrl: 'https://whop.com/alpha/',
+    responses: [],
+    pageContext: { productId: 'prod_A', companyId: 'biz_1' },
+    title: 'Alpha',
+  });
+  assert.deepEqual(await readPageIdentity(page),
+    { productId: 'prod_A', companyId: 'biz_1', title: 'Alpha', finalUrl: 'https://whop.com/alpha/' });
+});
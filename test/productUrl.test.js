@@ -0,0 +1,47 @@
+// test/productUrl.test.js
+// Canonical product URLs: variants of one product share a key, different products never do.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalUrl, productKey } from '../src/utils/productUrl.js';
+
+test('canonicalUrl strips tracking params, fragments, www and trailing slashes', () => {
+  assert.equal(
+    canonicalUrl('http://www.Whop.com/Ayecon-Lifetime-Membership/?a=alexburnett21&utm_source=x#top'),
+    'https://whop.com/ayecon-lifetime-membership'
+  );
+  assert.equal(canonicalUrl('https://whop.com//alpha//club/'), 'https://whop.com/alpha/club');
+  assert.equal(canonicalUrl('https://whop.com/'), 'https://whop.com/');
+  assert.equal(canonicalUrl('not a url'), null);
+});
+
+test('canonicalUrl keeps product params sorted and id case intact', () => {
+  assert.equal(
+    canonicalUrl('https://whop.com/discover/Trading/?productId=prod_FqllUhTjE44LH0&a=me&plan=2'),
+    'https://whop.com/discover/trading?plan=2&productId=prod_FqllUhTjE44LH0'
+  );
+  assert.equal(canonicalUrl('https://whop.com/checkout/prod_FqllUhTjE44LH0/'), 'https://whop.com/checkout/prod_FqllUhTjE44LH0');
+});
+
+test('productKey collapses affiliate, slash and case variants of a route', () => {
+  const variants = [
+    'https://whop.com/ayecon-lifetime-membership?a=alexburnett21',
+    'https://whop.com/ayecon-lifetime-membership/',
+    'https://www.whop.com/Ayecon-Lifetime-Membership',
+    'https://whop.com/ayecon-lifetime-membership/?promoCode=promo-a1b2c3d4',
+  ];
+  assert.deepEqual(new Set(variants.map(productKey)), new Set(['ayecon-lifetime-membership']));
+});
+
+test('productKey maps checkout and discover forms to the prod_ id', () => {
+  assert.equal(productKey('https://whop.com/checkout/prod_FqllUhTjE44LH0?a=me'), 'prod_FqllUhTjE44LH0');
+  assert.equal(productKey('https://whop.com/discover/trading/?productId=prod_FqllUhTjE44LH0'), 'prod_FqllUhTjE44LH0');
+  assert.equal(productKey('https://whop.com/discover/trading/prod_FqllUhTjE44LH0/'), 'prod_FqllUhTjE44LH0');
+  assert.notEqual(productKey('https://whop.com/checkout/prod_abc'), productKey('https://whop.com/checkout/prod_ABC'));
+});
+
+test('productKey keeps distinct products and odd input apart', () => {
+  assert.notEqual(productKey('https://whop.com/alpha/'), productKey('https://whop.com/alpha/club'));
+  assert.equal(productKey('https://example.com/Shop/?a=1'), 'https://example.com/shop');
+  assert.equal(productKey(' garbage '), 'garbage');
+});
@@ -0,0 +1,161 @@
+// test/promoParse.test.js
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  readDiscountFromSnippet,
+  extractDiscountNearCodeFromBody,
+  extractDiscountNearCode,
+  normalizeDiscountFromObject,
+  readPromoId,
+  readDiscountForCode,
+  confidenceFor,
+  excerptAround,
+  findCodesWithIndex,
+  discoverContext,
+  belongsToPage,
+  parseResponses,
+} from '../src/utils/promoParse.js';
+
+test('readDiscountFromSnippet: amountOff fraction becomes a percent', () => {
+  assert.deepEqual(readDiscountFromSnippet('{"code":"promo-022d1f18","amountOff":0.1}'), {
+    discountPercent: 10, amountOff: 0.1, amountOffInCents: null,
+  });
+});
+
+test('readDiscountFromSnippet: absolute amountOff stays an amount', () => {
+  assert.deepEqual(readDiscountFromSnippet('{"amountOff":25}'), {
+    discountPercent: null, amountOff: 25, amountOffInCents: null,
+  });
+});
+
+test('readDiscountFromSnippet: discountOff "15%" string and bare fraction', () => {
+  assert.equal(readDiscountFromSnippet('{"discountOff":"15%"}').discountPercent, 15);
+  assert.equal(readDiscountFromSnippet('{"discountOff":0.3}').discountPercent, 30);
+});
+
+test('readDiscountFromSnippet: amountOffInCents and RSC-escaped quotes', () => {
+  assert.equal(readDiscountFromSnippet('{\\"amountOffInCents\\":1500}').amountOffInCents, 1500);
+});
+
+test('extractDiscountNearCodeFromBody: reads the popupPromoCode block for the given code', () => {
+  const body = '{"other":{"code":"promo-aaaaaaaa","amountOff":0.5},"popupPromoCode":{"code":"promo-336b4acd","amountOff":0.05}}';
+  assert.equal(extractDiscountNearCodeFromBody(body, 'promo-336b4acd').discountPercent, 5);
+  assert.equal(extractDiscountNearCodeFromBody(body, null), null);
+});
+
+test('extractDiscountNearCode: percent fields in a local window', () => {
+  const body = '{"code":"promo-1a92969c","discountPercentage":0.2}';
+  assert.deepEqual(extractDiscountNearCode(body, 'promo-1a92969c'), {
+    discountPercent: 20, amountOff: null, amountOffInCents: null,
+  });
+  assert.equal(extractDiscountNearCode(body, 'promo-ffffffff'), null);
+});
+
+test('normalizeDiscountFromObject: money objects and notes', () => {
+  assert.deepEqual(normalizeDiscountFromObject({ amountOffMoney: { amount: 3, currency: 'USD' } }), {
+    percent_off: null, amount_off: 3, currency: 'USD',
+  });
+  assert.deepEqual(normalizeDiscountFromObject({ note: 'Save £10 today' }), {
+    percent_off: null, amount_off: 10, currency: 'GBP',
+  });
+  assert.equal(normalizeDiscountFromObject({}), null);
+});
+
+test('normalizeDiscountFromObject: fractional amountOff has no float noise', () => {
+  assert.equal(normalizeDiscountFromObject({ amountOff: 0.07 }).percent_off, 7);
+});
+
+test('readPromoId: id of the object holding the code, nested objects allowed', () => {
+  const body = '{"popupPromoCode":{"id":"promo_G0atE","code":"promo-1b868367","amountOffMoney":{"amount":25,"currency":"USD"}}}';
+  assert.equal(readPromoId(body, 'promo-1b868367'), 'promo_G0atE');
+  assert.equal(readPromoId('{"code":"promo-1b868367","amountOff":25}', 'promo-1b868367'), null);
+  assert.equal(readPromoId('{"code":"promo-1b868367"}', 'promo-ffffffff'), null);
+});
+
+test('readDiscountForCode: raw amountOff splits into percent or fixed amount', () => {
+  const pct = readDiscountForCode('"code":"promo-1b868367","amountOff":0.15', 'promo-1b868367', -1);
+  assert.equal(pct.percent, 15);
+  assert.equal(pct.fixedAmount, null);
+  const fixed = readDiscountForCode('"code":"promo-1b868367","amountOff":40', 'promo-1b868367', -1);
+  assert.equal(fixed.percent, null);
+  assert.equal(fixed.fixedAmount, 40);
+});
+
+test('findCodesWithIndex: structured matches are yielded before looser ones', () => {
+  const s = '{"popupPromoCode":{"code":"promo-022d1f18"}} see ?promoCode=promo-565022f7';
+  const found = [...findCodesWithIndex(s)];
+  assert.equal(found[0].code, 'promo-022d1f18');
+  assert.equal(found[0].pattern, 'structured');
+  assert.ok(found.some(f => f.code === 'promo-565022f7' && f.pattern === 'url-param'));
+});
+
+test('discoverContext: product, company and route', () => {
+  assert.deepEqual(discoverContext('{"productId":"prod_1","company":{"id":"biz_2"},"route":"tms-options"}'), {
+    productId: 'prod_1', companyId: 'biz_2', route: 'tms-options',
+  });
+  assert.equal(discoverContext('see https://whop.com/scarface-trades/').route, 'scarface-trades');
+});
+
+test('belongsToPage: foreign hosts and other pages\' GraphQL are rejected', () => {
+  assert.equal(belongsToPage({ url: 'https://example.com/x', body: '"popupPromoCode":{}' }, {}).accepted, false);
+  const gql = { url: 'https://whop.com/api/graphql/X', contentType: 'application/json', body: '{}' };
+  assert.equal(belongsToPage({ ...gql, requestPostData: '{"route":"tms-options"}' }, { route: 'scarface-trades' }).accepted, false);
+  assert.deepEqual(belongsToPage({ ...gql, requestPostData: '{"route":"tms-options"}' }, { route: 'tms-options' }), {
+    accepted: true, reasons: ['graphql-route'],
+  });
+});
+
+test('parseResponses: skips static assets and bodies without promo markers', () => {
+  const out = parseResponses([
+    { url: 'https://whop.com/logo.png', contentType: 'image/png', body: 'promo-022d1f18' },
+    { url: 'https://whop.com/tms-options/', contentType: 'text/html', body: '<html>nothing here</html>' },
+  ], { route: 'tms-options' });
+  assert.deepEqual(out, []);
+});
+
+test('parseResponses: onlyThisCode restricts candidates and trusts the code', () => {
+  const out = parseResponses([
+    { url: 'https://whop.com/api/x', contentType: 'application/json', body: '{"a":"promo-aaaaaaaa","b":"promo-336b4acd","amountOff":0.05}' },
+  ], { onlyThisCode: 'PROMO-336B4ACD' });
+  assert.equal(out.length, 1);
+  assert.equal(out[0].code, 'promo-336b4acd');
+  assert.equal(out[0].accepted, true);
+  assert.ok(out[0].reasons.includes('requested-code'));
+});
+
+test('parseResponses: later responses win ties', () => {
+  const body = (code) => `{"route":"tms-options","popupPromoCode":{"code":"${code}","amountOff":0.1}}`;
+  const out = parseResponses([
+    { url: 'https://whop.com/tms-options/', contentType: 'application/json', body: body('promo-aaaaaaaa') },
+    { url: 'https://whop.com/tms-options/', contentType: 'application/json', body: body('promo-327db8fc') },
+  ], { route: 'tms-options' });
+  assert.equal(out[0].code, 'promo-327db8fc');
+});
+
+test('readDiscountForCode: a lone discountOff far from the code is flagged as the weak fallback', () => {
+  const body = `{"code":"promo-1b868367"}${' '.repeat(30000)}{"discountOff":"25%"}`;
+  const d = readDiscountForCode(body, 'promo-1b868367', 1);
+  assert.equal(d.method, 'single-discountOff');
+  assert.equal(d.percent, 25);
+});
+
+test('confidenceFor: weak rules are capped and close rivals reduce confidence', () => {
+  const strong = { code: 'promo-aaaaaaaa', accepted: true, score: 130, discount: { method: 'bundle' } };
+  assert.equal(confidenceFor(strong, [strong]), 0.98);
+  assert.equal(confidenceFor({ ...strong, discount: { method: 'single-discountOff' } }, []), 0.35);
+  const rival = { code: 'promo-bbbbbbbb', accepted: true, score: 125 };
+  assert.equal(confidenceFor(strong, [strong, rival]), 0.78);
+  assert.equal(confidenceFor({ ...strong, accepted: false }, []), 0);
+});
+
+test('parseResponses: candidates carry confidence and an excerpt around the code', () => {
+  const [c] = parseResponses([{
+    url: 'https://whop.com/api/v5/products/x',
+    contentType: 'application/json',
+    body: '{"route":"x","popupPromoCode":{"code":"promo-1b868367","discountOff":"10%"}}',
+  }], { route: 'x' });
+  assert.ok(c.confidence > 0.9);
+  assert.match(c.excerpt, /promo-1b868367/);
+  assert.equal(excerptAround('abc', -1), '');
+});
@@ -0,0 +1,77 @@
+// test/promoResult.test.js
+// Result schema: legacy records read back in the current shape, output rows stay column-stable.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PROMO_SCHEMA_VERSION,
+  emptyResult,
+  normalizeRecord,
+  toVisitRecord,
+  toOutputRow,
+  csvHeader,
+  csvLine,
+  OUTPUT_COLUMNS,
+  describeDiscount,
+} from '../src/utils/promoResult.js';
+
+test('normalizeRecord reads phase B rows written before the schema', () => {
+  const r = normalizeRecord({
+    url: 'https://whop.com/x/', found: true, code: 'PROMO-ABCDEF12',
+    discountPercent: null, amountOff: 0.15, amountOffInCents: null,
+    type: 'text/x-component', sourceUrl: 'https://whop.com/x/?_rsc=1',
+  });
+  assert.equal(r.schemaVersion, PROMO_SCHEMA_VERSION);
+  assert.equal(r.code, 'promo-abcdef12');
+  assert.equal(r.percentOff, 15);
+  assert.equal(r.amountOff, null);
+  assert.deepEqual(r.source, { url: 'https://whop.com/x/?_rsc=1', contentType: 'text/x-component' });
+  assert.equal(r.confidence, null);
+  assert.deepEqual(r.evidence.reasons, ['legacy-record']);
+});
+
+test('normalizeRecord maps the old absolute, cents and bundle fields to a fixed amount', () => {
+  assert.equal(normalizeRecord({ code: 'promo-a1b2c3d4', amountOff: 25 }).amountOff, 25);
+  assert.equal(normalizeRecord({ code: 'promo-a1b2c3d4', amountOffInCents: 1500 }).amountOff, 15);
+  const bundle = normalizeRecord({ code: 'promo-a1b2c3d4', percent_off: null, amount_off: 10, currency: 'GBP', source_url: 'https://whop.com/api' });
+  assert.equal(bundle.amountOff, 10);
+  assert.equal(bundle.currency, 'GBP');
+  assert.equal(bundle.source.url, 'https://whop.com/api');
+});
+
+test('normalizeRecord reads scraper rows with discountOff and promoId', () => {
+  const r = normalizeRecord({ code: 'promo-a1b2c3d4', discountOff: '20%', promoId: 'promo_X1', amountOff: '' });
+  assert.equal(r.percentOff, 20);
+  assert.equal(r.amountOff, null);
+  assert.equal(r.promoId, 'promo_X1');
+});
+
+test('normalizeRecord passes current records through and fills missing keys', () => {
+  const r = normalizeRecord({ schemaVersion: PROMO_SCHEMA_VERSION, code: 'promo-a1b2c3d4', percentOff: 10 });
+  assert.deepEqual(r, { ...emptyResult(), code: 'promo-a1b2c3d4', percentOff: 10 });
+});
+
+test('toVisitRecord always writes the full schema', () => {
+  const miss = toVisitRecord('https://whop.com/x/', null);
+  assert.equal(miss.found, false);
+  for (const key of Object.keys(emptyResult())) assert.ok(key in miss, key);
+  assert.ok(miss.checkedAt);
+});
+
+test('output rows follow OUTPUT_COLUMNS and escape quotes', () => {
+  const row = toOutputRow(
+    { ...emptyResult(), code: 'promo-a1b2c3d4', percentOff: 15, source: { url: 'u', contentType: 'application/json' } },
+    { timestamp: 't', productUrl: 'https://whop.com/x/', productTitle: 'The "Best" Class' }
+  );
+  assert.deepEqual(Object.keys(row), OUTPUT_COLUMNS);
+  assert.equal(csvHeader(), OUTPUT_COLUMNS.join(',') + '\n');
+  const line = csvLine(row);
+  assert.match(line, /"The ""Best"" Class"/);
+  assert.equal(line.trim().split('","').length, OUTPUT_COLUMNS.length);
+});
+
+test('describeDiscount', () => {
+  assert.equal(describeDiscount({ percentOff: 15, amountOff: null }), '15% off');
+  assert.equal(describeDiscount({ percentOff: null, amountOff: 25, currency: 'USD' }), 'USD 25 off');
+  assert.equal(describeDiscount(null), '');
+});
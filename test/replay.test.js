@@ -0,0 +1,62 @@
+// test/replay.test.js
+// Fixture recording keeps the session's credentials out of the manifest, and replay still
+// matches requests by their original post body.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { attachRecorder, installReplay } from '../src/utils/replay.js';
+
+const graphql = 'https://whop.com/api/graphql';
+const postData = '{"operationName":"FetchPromo","variables":{"accessToken":"tok-live-123"}}';
+
+function fakeRequest({ method = 'POST', url = graphql, body = postData } = {}) {
+  return { method: () => method, url: () => url, postData: () => body };
+}
+
+function fakeResponse(request) {
+  return {
+    request: () => request,
+    url: () => request.url(),
+    status: () => 200,
+    body: async () => Buffer.from('{"data":{"promo":"promo-022d1f18"}}'),
+    allHeaders: async () => ({
+      'content-type': 'application/json',
+      'content-length': '36',
+      'set-cookie': 'whop-core.access-token=tok-live-123; Path=/; HttpOnly',
+      authorization: 'Bearer tok-live-123',
+      'x-csrf-token': 'csrf-456',
+    }),
+  };
+}
+
+test('recorded fixtures drop auth headers and redact post bodies', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-replay-'));
+  const context = new EventEmitter();
+  const recorder = attachRecorder(context);
+  context.emit('response', fakeResponse(fakeRequest()));
+  const manifest = await recorder.save(path.join(dir, 'fixture'), { url: 'https://whop.com/tms-options/' });
+
+  const [entry] = manifest.entries;
+  assert.deepEqual(entry.headers, { 'content-type': 'application/json' });
+  assert.doesNotMatch(entry.postData, /tok-live-123/);
+  assert.match(entry.postData, /"operationName":"FetchPromo"/);
+  const written = fs.readFileSync(path.join(dir, 'fixture', 'manifest.json'), 'utf8');
+  assert.doesNotMatch(written, /tok-live-123|csrf-456/);
+
+  // The live request, with its real body, is answered from the redacted entry
+  let handler;
+  const replayContext = { route: async (_pattern, fn) => { handler = fn; } };
+  await installReplay(replayContext, path.join(dir, 'fixture'));
+  const fulfilled = [];
+  await handler({
+    request: () => fakeRequest(),
+    fulfill: async (reply) => fulfilled.push(reply),
+    abort: async () => assert.fail('the recorded request should not be aborted'),
+  });
+  assert.equal(fulfilled.length, 1);
+  assert.equal(String(fulfilled[0].body), '{"data":{"promo":"promo-022d1f18"}}');
+});
@@ -0,0 +1,102 @@
+// test/runDiff.test.js
+// Run diff: snapshots from any record shape, and the changes reported between two of them.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { recordFromRow, snapshotFromRecords, diffSnapshots, renderMarkdown, renderText } from '../src/utils/runDiff.js';
+import { emptyResult } from '../src/utils/promoResult.js';
+import { openStore } from '../src/utils/store.js';
+import { diffRuns } from '../src/diff.js';
+
+const u = (slug) => `https://whop.com/${slug}/?a=alexburnett21`;
+
+test('recordFromRow reads visited lines, error lines and output rows', () => {
+  assert.deepEqual(
+    (({ url, status, code }) => ({ url, status, code }))(recordFromRow({ url: u('tms-options'), found: true, code: 'PROMO-327DB8FC', checkedAt: 't' })),
+    { url: u('tms-options'), status: 'found', code: 'promo-327db8fc' });
+  assert.equal(recordFromRow({ url: u('tms-options'), error: 'Timeout', at: 't' }).status, 'error');
+  const row = recordFromRow({ productUrl: u('zwm-gold'), code: 'promo-73841533', percentOff: '20', amountOff: '', timestamp: 't' });
+  assert.equal(row.status, 'found');
+  assert.equal(row.result.percentOff, 20);
+  assert.equal(row.result.amountOff, null);
+});
+
+test('snapshotFromRecords keeps the latest observation and the latest discount reading', () => {
+  const snap = snapshotFromRecords([
+    { url: u('tms-options'), status: 'found', code: 'promo-327db8fc', result: { ...emptyResult(), code: 'promo-327db8fc' }, checkedAt: '2025-09-02', stage: 'extract' },
+    { url: u('tms-options'), status: 'found', code: 'promo-327db8fc', result: { ...emptyResult(), code: 'promo-327db8fc', percentOff: 10 }, checkedAt: '2025-09-03', stage: 'enrich' },
+    { url: 'https://whop.com/tms-options', status: 'empty', code: null, result: emptyResult(), checkedAt: '2025-09-01', stage: 'extract' },
+  ]);
+  assert.equal(snap.size, 1);
+  const entry = snap.get('tms-options');
+  assert.equal(entry.code, 'promo-327db8fc');
+  assert.deepEqual(entry.discount, { percentOff: 10, amountOff: null, currency: null });
+});
+
+test('diffSnapshots reports every kind of change once', () => {
+  const rows = (list) => snapshotFromRecords(list.map(recordFromRow));
+  const before = rows([
+    { url: u('tms-options'), code: 'promo-327db8fc', percent_off: 10, checkedAt: '1' },
+    { url: u('scarface-trades'), code: 'promo-01fe6235', checkedAt: '1' },
+    { url: u('zwm-gold'), code: 'promo-73841533', checkedAt: '1' },
+    { url: u('flipalert'), code: 'promo-430abb41', checkedAt: '1' },
+    { url: u('larrys-lounge'), code: 'promo-bf9ef1cc', checkedAt: '1' },
+  ]);
+  const after = rows([
+    { url: u('tms-options'), code: 'promo-327db8fc', percent_off: 15, checkedAt: '2' },
+    { url: u('scarface-trades'), code: null, checkedAt: '2' },
+    { url: u('zwm-gold'), code: 'promo-11111111', checkedAt: '2' },
+    { url: u('flipalert'), error: 'Timeout', checkedAt: '2' },
+    { url: u('dodgys-dungeon'), code: 'promo-565022f7', checkedAt: '2' },
+  ]);
+
+  const diff = diffSnapshots(before, after, { beforeLabel: 'monday', afterLabel: 'friday' });
+  assert.deepEqual(diff.newCodes.map(x => [x.id, x.code, x.replaces]), [
+    ['zwm-gold', 'promo-11111111', 'promo-73841533'],
+    ['dodgys-dungeon', 'promo-565022f7', null],
+  ]);
+  assert.deepEqual(diff.removedCodes.map(x => x.code), ['promo-01fe6235', 'promo-73841533']);
+  assert.deepEqual(diff.discountChanged.map(x => [x.from.percentOff, x.to.percentOff]), [[10, 15]]);
+  assert.deepEqual(diff.flippedToNotFound.map(x => x.id), ['scarface-trades']);
+  assert.deepEqual(diff.newErrors.map(x => x.id), ['flipalert']);
+  // larrys-lounge was not observed again: not reported as removed
+
+  const md = renderMarkdown(diff);
+  assert.match(md, /^# Run diff: monday → friday/);
+  assert.match(md, /\| Discount changed \| 1 \|/);
+  assert.match(md, /promo-327db8fc on .*tms-options.*: 10% off → 15% off/);
+  assert.match(renderText(diff), /New errors: 1\n {3}- .*flipalert.*: Timeout/);
+});
+
+test('diffRuns compares a snapshot file with the store as of a date', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-diff-'));
+  const snapshot = path.join(dir, 'visited_backup.jsonl');
+  fs.writeFileSync(snapshot, JSON.stringify({ url: u('tms-options'), found: true, code: 'promo-327db8fc', checkedAt: '2025-09-01T00:00:00Z' }) + '\n');
+  const store = openStore(dir);
+  store.recordAttempt({ url: u('tms-options'), stage: 'extract', result: null, checkedAt: '2025-09-02T00:00:00Z' });
+  store.recordAttempt({ url: u('tms-options'), stage: 'extract', result: { ...emptyResult(), code: 'promo-327db8fc' }, checkedAt: '2025-09-03T00:00:00Z' });
+  store.close();
+
+  assert.equal(diffRuns({ dataDir: dir }, snapshot, '2025-09-02T12:00:00Z').summary.flippedToNotFound, 1);
+  assert.equal(diffRuns({ dataDir: dir }, snapshot).summary.newCodes, 0);
+  assert.throws(() => diffRuns({ dataDir: dir }, 'no-such-run'), /Unknown snapshot/);
+});
+
+test('diffRuns compares what two runs observed', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-diff-'));
+  const store = openStore(dir);
+  const monday = store.beginRun({ command: 'extract', gitRev: null });
+  store.recordAttempt({ url: u('tms-options'), stage: 'extract', result: { ...emptyResult(), code: 'promo-327db8fc' } });
+  store.endRun();
+  const friday = store.beginRun({ command: 'extract', gitRev: null });
+  store.recordAttempt({ url: u('tms-options'), stage: 'extract', result: null });
+  store.endRun();
+  store.close();
+
+  const diff = diffRuns({ dataDir: dir }, monday, friday);
+  assert.equal(diff.summary.flippedToNotFound, 1);
+  assert.equal(diff.before, `run ${monday} (extract)`);
+});
@@ -0,0 +1,104 @@
+// test/sessionFiles.test.js
+// Session files at rest: encryption with a passphrase, transparent reads, and refusing a
+// session file (or a fixtures directory recorded under one) git tracks or would add.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import {
+  encryptSession, decryptSession, readSessionFile, writeSessionFile, isEncryptedFile,
+  gitExposure, assertSessionFileSafe, assertOutsideGit, PASSPHRASE_ENV,
+} from '../src/utils/sessionFiles.js';
+import { recordFixtures } from '../src/fixtures.js';
+import { readStorageState } from '../src/utils/sessionHealth.js';
+
+const STATE = {
+  cookies: [{ name: 'whop-core.access-token', value: 'live-secret', domain: '.whop.com', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' }],
+  origins: [],
+};
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'whp-session-files-'));
+}
+
+// Set WHP_SESSION_PASSPHRASE for the length of fn
+function withPassphrase(value, fn) {
+  const before = process.env[PASSPHRASE_ENV];
+  if (value == null) delete process.env[PASSPHRASE_ENV];
+  else process.env[PASSPHRASE_ENV] = value;
+  try { return fn(); } finally {
+    if (before == null) delete process.env[PASSPHRASE_ENV];
+    else process.env[PASSPHRASE_ENV] = before;
+  }
+}
+
+test('a session encrypts with a passphrase and only that passphrase opens it', () => {
+  const envelope = encryptSession(STATE, 'correct horse');
+  assert.equal(envelope.cipher, 'aes-256-gcm');
+  assert.doesNotMatch(JSON.stringify(envelope), /live-secret|whop-core/);
+  assert.deepEqual(decryptSession(envelope, 'correct horse'), STATE);
+  assert.throws(() => decryptSession(envelope, 'wrong'), /wrong WHP_SESSION_PASSPHRASE or a damaged file/);
+  assert.throws(() => decryptSession(envelope, null), /is encrypted; set WHP_SESSION_PASSPHRASE/);
+  assert.throws(() => encryptSession(STATE, ''), /needs a passphrase/);
+});
+
+test('session files are written encrypted when a passphrase is set and read back transparently', () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'alice.json');
+
+  withPassphrase('correct horse', () => {
+    assert.deepEqual(writeSessionFile(file, STATE), { file, encrypted: true });
+    assert.equal(fs.statSync(file).mode & 0o777, 0o600);
+    assert.equal(isEncryptedFile(file), true);
+    assert.deepEqual(readSessionFile(file), STATE);
+    assert.equal(readStorageState(file).cookies[0].value, 'live-secret');
+  });
+  withPassphrase(null, () => {
+    assert.throws(() => readSessionFile(file), /alice\.json: The session file is encrypted/);
+    assert.equal(readStorageState(file), null);
+    // Without a passphrase files stay plain, as before
+    writeSessionFile(file, STATE);
+    assert.equal(isEncryptedFile(file), false);
+    assert.deepEqual(readSessionFile(file), STATE);
+  });
+});
+
+test('a session file git tracks, or would add, is refused', () => {
+  const repo = tempDir();
+  const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore' });
+  git('init', '-q');
+  fs.mkdirSync(path.join(repo, 'auth'));
+  fs.writeFileSync(path.join(repo, '.gitignore'), 'private/\n');
+  const tracked = path.join(repo, 'auth', 'whop.json');
+  const loose = path.join(repo, 'auth', 'bob.json');
+  fs.writeFileSync(tracked, '{}');
+  fs.writeFileSync(loose, '{}');
+  git('add', 'auth/whop.json');
+
+  assert.equal(gitExposure(tracked), 'tracked');
+  assert.throws(() => assertSessionFileSafe(tracked), /tracked by git\. Run git rm --cached/);
+  assert.equal(gitExposure(loose), 'not ignored');
+  assert.throws(() => assertSessionFileSafe(loose), /without a \.gitignore rule/);
+  assert.throws(() => writeSessionFile(loose, STATE), /Refusing to use/);
+
+  fs.mkdirSync(path.join(repo, 'private'));
+  const ignored = path.join(repo, 'private', 'alice.json');
+  assert.equal(writeSessionFile(ignored, STATE).file, ignored);
+  assert.equal(gitExposure(ignored), null);
+  assert.equal(gitExposure(path.join(tempDir(), 'outside.json')), null);
+});
+
+test('recording fixtures into a directory git can see is refused before the browser starts', async () => {
+  const repo = tempDir();
+  execFileSync('git', ['init', '-q'], { cwd: repo, stdio: 'ignore' });
+  fs.writeFileSync(path.join(repo, '.gitignore'), '/private-fixtures/\n');
+  const fixturesDir = path.join(repo, 'fixtures');
+  await assert.rejects(recordFixtures(['https://whop.com/tms-options/'], { fixturesDir, storage: null }),
+    /Refusing to use fixtures directory .*without a \.gitignore rule/);
+
+  fs.mkdirSync(path.join(repo, 'private-fixtures'));
+  assert.doesNotThrow(() => assertOutsideGit(path.join(repo, 'private-fixtures'), 'fixtures directory'));
+});
@@ -0,0 +1,120 @@
+// test/sessionHealth.test.js
+// Session health: login cookie expiry from a storage state, expiring on a failed probe or an
+// expired cookie, and resuming once the session file is refreshed.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSessionMonitor, sessionExpiry, isLoginUrl } from '../src/utils/sessionHealth.js';
+
+const NOW = Date.parse('2025-10-18T12:00:00Z');
+
+function cookie(name, expires, domain = '.whop.com') {
+  return { name, value: 'x', domain, path: '/', expires, httpOnly: true, secure: true, sameSite: 'Lax' };
+}
+
+function writeState(file, cookies) {
+  fs.writeFileSync(file, JSON.stringify({ cookies, origins: [] }));
+}
+
+function tmpState(cookies) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-session-'));
+  const file = path.join(dir, 'whop.json');
+  writeState(file, cookies);
+  return file;
+}
+
+test('sessionExpiry reads the earliest whop.com login cookie expiry', () => {
+  const hour = 3600;
+  const state = {
+    cookies: [
+      cookie('_ga', NOW / 1000 - hour),                       // analytics: does not count
+      cookie('whop-core.access-token', NOW / 1000 + 2 * hour),
+      cookie('__Secure-session', NOW / 1000 + 24 * hour),
+      cookie('session', NOW / 1000 - hour, '.example.com'),   // another site
+    ],
+  };
+  assert.deepEqual(sessionExpiry(state, NOW), {
+    cookies: 3, cookie: 'whop-core.access-token', expiresAt: '2025-10-18T14:00:00.000Z', expired: false,
+  });
+  assert.equal(sessionExpiry(state, NOW + 3 * hour * 1000).expired, true);
+  // Browser-session cookies never run out on their own; no whop.com cookies is no login at all
+  assert.equal(sessionExpiry({ cookies: [cookie('session', -1)] }, NOW).expired, false);
+  assert.equal(sessionExpiry({ cookies: [] }, NOW).expired, true);
+  assert.equal(sessionExpiry(null, NOW).cookies, 0);
+
+  assert.equal(isLoginUrl('https://whop.com/login?next=/tms/'), true);
+  assert.equal(isLoginUrl('https://whop.com/tms-options/'), false);
+});
+
+test('a failed probe or an expired cookie expires the session once and pauses visits', async () => {
+  let t = NOW;
+  const storage = tmpState([cookie('session', NOW / 1000 + 60)]);
+  let loggedIn = true;
+  const expired = [];
+  const passed = [];
+  const monitor = createSessionMonitor({
+    storage, probe: async () => loggedIn, now: () => t, pollMs: 10_000,
+    onPassed: () => passed.push(t), onExpired: (reason) => expired.push(reason),
+  });
+
+  assert.equal(await monitor.check(), true);
+  assert.equal(passed.length, 1);
+  assert.equal(monitor.ready(), true);
+
+  // The login cookie runs out a minute later; the next task start notices
+  t += 61_000;
+  assert.equal(monitor.ready(), false);
+  assert.equal(monitor.status, 'expired');
+  assert.match(expired[0], /cookie expired at 2025-10-18T12:01:00/);
+  // Reported again (another worker bounced to the login page): still one expiry
+  assert.equal(monitor.expire('redirected to login'), false);
+  assert.equal(expired.length, 1);
+  monitor.stop();
+
+  const other = createSessionMonitor({ storage: tmpState([cookie('session', -1)]), probe: async () => false, pollMs: 10_000 });
+  assert.equal(await other.check(), false);
+  assert.equal(other.reason, 'whop.com shows the session logged out');
+  // A probe that cannot reach whop.com says nothing either way
+  const flaky = createSessionMonitor({ storage, probe: async () => { throw new Error('net::ERR_NETWORK_CHANGED'); }, now: () => NOW });
+  assert.equal(await flaky.check(), null);
+  assert.equal(flaky.status, 'ok');
+  assert.equal(flaky.stats().failedProbes, 1);
+  other.stop();
+  flaky.stop();
+});
+
+test('an expired session resumes once the session file is refreshed, or gives up after waitMs', async () => {
+  const storage = tmpState([cookie('session', NOW / 1000 - 60)]);
+  let loggedIn = false;
+  let refreshed = 0;
+  let gaveUp = null;
+  const monitor = createSessionMonitor({
+    storage, probe: async () => loggedIn, pollMs: 5, waitMs: 5000,
+    onRefreshed: async () => { refreshed++; },
+    onGaveUp: (reason) => { gaveUp = reason; },
+  });
+
+  assert.equal(await monitor.check(), false);
+  assert.match(monitor.reason, /^cookie session expired/);
+
+  // A fresh login saved over the file: the browser context is reopened and the probe passes
+  loggedIn = true;
+  writeState(storage, [cookie('session', Date.now() / 1000 + 3600)]);
+  fs.utimesSync(storage, new Date(), new Date(Date.now() + 1000));
+  for (let i = 0; i < 200 && monitor.status !== 'ok'; i++) await new Promise(r => setTimeout(r, 5));
+  assert.equal(monitor.status, 'ok');
+  assert.equal(refreshed, 1);
+  assert.equal(monitor.stats().refreshes, 1);
+  assert.equal(gaveUp, null);
+  monitor.stop();
+
+  const impatient = createSessionMonitor({ storage, probe: async () => false, pollMs: 5, waitMs: 20, onGaveUp: (reason) => { gaveUp = reason; } });
+  await impatient.check();
+  for (let i = 0; i < 200 && impatient.status !== 'gave-up'; i++) await new Promise(r => setTimeout(r, 5));
+  assert.equal(impatient.status, 'gave-up');
+  assert.equal(gaveUp, 'whop.com shows the session logged out');
+  impatient.stop();
+});
@@ -0,0 +1,207 @@
+// test/store.test.js
+// Result store: schema, queue, attempts with their code/discount rows, and the JSONL importer.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { openStore, STORE_SCHEMA_VERSION } from '../src/utils/store.js';
+import { emptyResult } from '../src/utils/promoResult.js';
+import { importJsonl } from '../src/importJsonl.js';
+import { configureLogger } from '../src/utils/logger.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'whp-store-'));
+}
+
+function quietly(fn) {
+  configureLogger({ level: 'warn' });
+  try { return fn(); } finally { configureLogger({ level: 'info' }); }
+}
+
+const hit = { ...emptyResult(), code: 'promo-abc', percentOff: 20, evidence: { ...emptyResult().evidence, rule: 'bundle' } };
+
+test('openStore creates the schema once and reopens it', () => {
+  const dir = tempDir();
+  const store = openStore(dir);
+  assert.equal(store.db.pragma('user_version', { simple: true }), STORE_SCHEMA_VERSION);
+  const tables = store.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name").pluck().all();
+  assert.deepEqual(tables, ['attempts', 'discounts', 'product_urls', 'products', 'promo_codes', 'queue', 'runs']);
+  store.close();
+
+  const again = openStore(dir);
+  assert.deepEqual(again.counts(), { queue: 0, attempts: 0, promoCodes: 0, discounts: 0, products: 0 });
+  again.close();
+});
+
+test('enqueue keeps the first entry per URL and its extra fields', () => {
+  const store = openStore(tempDir());
+  assert.equal(store.enqueue({ url: 'https://whop.com/alpha/?a=me', source: 'urls', fromPage: 2 }), true);
+  assert.equal(store.enqueue({ url: 'https://whop.com/alpha/?a=me', source: 'affiliate' }), false);
+  store.enqueue({ url: 'https://whop.com/alpha/', source: 'sitemap', lastmod: '2025-01-01' });
+
+  const entries = store.queueEntries();
+  assert.deepEqual(entries.map(e => [e.key, e.source]), [['alpha', 'urls'], ['alpha', 'sitemap']]);
+  assert.equal(entries[0].fromPage, 2);
+  assert.equal(entries[1].lastmod, '2025-01-01');
+  assert.deepEqual([...store.queuedKeys()], ['alpha']);
+  store.close();
+});
+
+test('updateLastmod records a newer lastmod for a known product and ignores older ones', () => {
+  const store = openStore(tempDir());
+  store.enqueue({ url: 'https://whop.com/alpha/', source: 'sitemap', lastmod: '2025-01-01T00:00:00.000Z' });
+  store.enqueue({ url: 'https://whop.com/alpha/?a=me', source: 'affiliate' });
+  assert.equal(store.updateLastmod({ url: 'https://whop.com/alpha', lastmod: '2024-12-01T00:00:00.000Z' }), true);
+  assert.deepEqual(store.queueEntries().map(e => e.lastmod), ['2025-01-01T00:00:00.000Z', '2024-12-01T00:00:00.000Z']);
+  assert.equal(store.updateLastmod({ url: 'https://whop.com/alpha', lastmod: '2025-03-01T00:00:00.000Z' }), true);
+  assert.deepEqual(store.queueEntries().map(e => e.lastmod), ['2025-03-01T00:00:00.000Z', '2025-03-01T00:00:00.000Z']);
+  assert.equal(store.updateLastmod({ url: 'https://whop.com/alpha', lastmod: '2025-02-01T00:00:00.000Z' }), false);
+  assert.equal(store.updateLastmod({ url: 'https://whop.com/alpha', lastmod: null }), false);
+
+  // Visited without ever being queued (an imported run): queued now, so extraction can see the date
+  assert.equal(store.updateLastmod({ url: 'https://whop.com/beta/', lastmod: '2025-03-01T00:00:00.000Z', source: 'sitemap' }), true);
+  assert.deepEqual(store.queueEntries().at(-1), {
+    url: 'https://whop.com/beta/', key: 'beta', source: 'sitemap', discoveredAt: store.queueEntries().at(-1).discoveredAt, lastmod: '2025-03-01T00:00:00.000Z',
+  });
+  store.close();
+});
+
+test('recordAttempt writes promo code and discount rows with the attempt', () => {
+  const store = openStore(tempDir());
+  store.recordAttempt({ url: 'https://whop.com/alpha/', stage: 'extract', result: hit, profile: 'alice' });
+  store.recordAttempt({ url: 'https://whop.com/beta/', stage: 'extract', result: null });
+  store.recordAttempt({ url: 'https://whop.com/gamma/', stage: 'extract', result: hit, error: 'Timeout' });
+
+  assert.deepEqual(store.counts(), { queue: 0, attempts: 3, promoCodes: 1, discounts: 1, products: 0 });
+  const discount = store.db.prepare('SELECT key, code, percent_off, rule FROM discounts').get();
+  assert.deepEqual({ ...discount }, { key: 'alpha', code: 'promo-abc', percent_off: 20, rule: 'bundle' });
+
+  assert.deepEqual(store.attempts({ stage: 'extract' }).map(a => [a.key, a.status]),
+    [['alpha', 'found'], ['beta', 'empty'], ['gamma', 'error']]);
+  assert.deepEqual(store.attempts({ status: 'found' })[0].result.percentOff, 20);
+  // Which auth profile made each visit (null when anonymous)
+  assert.deepEqual(store.attempts({ stage: 'extract' }).map(a => a.profile), ['alice', null, null]);
+  store.recordAttempt({ url: 'https://whop.com/delta/', stage: 'extract', result: hit, visibility: 'login-gated' });
+  assert.equal(store.attempts({ stage: 'extract' }).at(-1).visibility, 'login-gated');
+  assert.throws(() => store.recordAttempt({ url: 'https://whop.com/delta/', stage: 'extract', visibility: 'secret' }), /Unknown visibility/);
+  assert.deepEqual([...store.attemptedKeys('extract')].sort(), ['alpha', 'beta', 'delta', 'gamma']);
+  assert.deepEqual([...store.attemptedKeys('enrich')], []);
+  assert.throws(() => store.recordAttempt({ url: 'https://whop.com/alpha/', stage: 'nope' }), /Unknown attempt stage/);
+  store.close();
+});
+
+test('recordAttempt skips a row whose import ref is already in the store', () => {
+  const store = openStore(tempDir());
+  const row = { url: 'https://whop.com/alpha/', stage: 'extract', result: hit, importRef: 'visited.jsonl:1' };
+  assert.ok(store.recordAttempt(row));
+  assert.equal(store.recordAttempt(row), null);
+  assert.equal(store.counts().promoCodes, 1);
+  store.close();
+});
+
+test('importJsonl brings legacy files in once', () => {
+  const dir = tempDir();
+  const outDir = path.join(dir, 'out');
+  const jsonl = (rows) => rows.map(r => JSON.stringify(r)).join('\n') + '\n';
+  const visited = [
+    { url: 'https://whop.com/alpha/?a=me', found: true, code: 'PROMO-ABC', amountOff: 0.1, checkedAt: '2025-09-29T10:00:00Z' },
+    { url: 'https://whop.com/beta/?a=me', found: false, code: null, checkedAt: '2025-09-29T10:01:00Z' },
+  ];
+  fs.writeFileSync(path.join(dir, 'queue.jsonl'), jsonl([
+    { url: 'https://whop.com/alpha/?a=me', discoveredAt: '2025-09-29T09:00:00Z', fromPage: 1 },
+    { url: 'https://whop.com/beta/?a=me', discoveredAt: '2025-09-29T09:00:01Z', fromPage: 1 },
+  ]));
+  fs.writeFileSync(path.join(dir, 'visited.jsonl'), jsonl(visited) + '{broken\n');
+  fs.writeFileSync(path.join(dir, 'visited_backup_20250930.jsonl'), jsonl(visited));
+  fs.writeFileSync(path.join(dir, 'errors_backup.jsonl'), jsonl([
+    { url: 'https://whop.com/gamma/?a=me', error: 'page.goto: Timeout', at: '2025-09-29T10:02:00Z' },
+  ]));
+  fs.writeFileSync(path.join(dir, 'discounts.jsonl'), jsonl([
+    { url: 'https://whop.com/alpha/?a=me', code: 'promo-abc', percent_off: 10, amount_off: null, currency: null, checkedAt: '2025-09-30T12:00:00Z' },
+  ]));
+  fs.writeFileSync(path.join(dir, 'discount_results.jsonl'), jsonl([
+    { url: 'https://whop.com/alpha/?a=me', code: 'promo-abc', error: 'net::ERR_ABORTED', checkedAt: '2025-09-30T18:00:00Z' },
+  ]));
+  fs.mkdirSync(outDir);
+  fs.writeFileSync(path.join(outDir, 'whop_popup_codes.json'), JSON.stringify([
+    { timestamp: '2025-09-28T08:00:00Z', productUrl: 'https://whop.com/delta/', productId: 'prod_D', productTitle: 'Delta',
+      code: 'promo-d', percentOff: '', amountOff: 25, currency: 'USD', sourceUrl: '', contentType: 'text/html', confidence: '', rule: '' },
+  ]));
+
+  const first = quietly(() => importJsonl({ dataDir: dir, outDir }));
+  assert.deepEqual(first.counts, { queue: 2, attempts: 6, promoCodes: 3, discounts: 3, products: 1 });
+  const byFile = Object.fromEntries(first.files.map(f => [path.basename(f.file), f]));
+  assert.equal(byFile['visited.jsonl'].skipped, 1);
+  assert.equal(byFile['visited_backup_20250930.jsonl'].duplicates, 2);
+
+  const store = openStore(dir);
+  assert.deepEqual(store.attempts().map(a => [a.stage, a.key, a.status]), [
+    ['scrape', 'delta', 'found'],
+    ['extract', 'alpha', 'found'],
+    ['extract', 'beta', 'empty'],
+    ['extract', 'gamma', 'error'],
+    ['bundle', 'alpha', 'found'],
+    ['enrich', 'alpha', 'error'],
+  ]);
+  const [scraped, alpha] = store.attempts();
+  assert.equal(alpha.result.code, 'promo-abc');
+  assert.equal(alpha.result.percentOff, 10);
+  assert.equal(scraped.result.amountOff, 25);
+  assert.equal(scraped.result.percentOff, null);
+  assert.equal(store.productSightings()[0].productId, 'prod_D');
+  store.close();
+
+  const second = quietly(() => importJsonl({ dataDir: dir, outDir }));
+  assert.deepEqual(second.counts, first.counts);
+});
+
+test('beginRun links every row written to the run and endRun records its counts', () => {
+  const store = openStore(tempDir());
+  const runId = store.beginRun({ command: 'extract', config: { concurrency: 2, onProgress: () => {} }, gitRev: 'abc123' });
+  assert.equal(store.runId, runId);
+  assert.equal(store.run(runId).status, 'running');
+  store.enqueue({ url: 'https://whop.com/alpha/', source: 'urls' });
+  store.recordAttempt({ url: 'https://whop.com/alpha/', stage: 'extract', result: hit, durationMs: 1200 });
+  store.recordAttempt({ url: 'https://whop.com/beta/', stage: 'extract', result: null, durationMs: 800 });
+  store.recordAttempt({ url: 'https://whop.com/gamma/', stage: 'enrich', result: null, error: 'Timeout' });
+  assert.equal(store.run(runId).counts.found, 1);
+
+  const done = store.endRun();
+  assert.equal(store.runId, null);
+  assert.equal(done.status, 'completed');
+  assert.equal(done.gitRev, 'abc123');
+  assert.deepEqual(done.config, { concurrency: 2 });
+  assert.equal(done.counts.queued, 1);
+  assert.deepEqual(done.counts.byStage, { extract: { found: 1, empty: 1, error: 0 }, enrich: { found: 0, empty: 0, error: 1 } });
+  assert.equal(done.counts.attemptMs, 2000);
+  assert.deepEqual(store.runUrls(runId).map(u => [u.url, u.status, u.durationMs]), [
+    ['https://whop.com/alpha/', 'found', 1200],
+    ['https://whop.com/beta/', 'empty', 800],
+    ['https://whop.com/gamma/', 'error', null],
+  ]);
+  assert.deepEqual(store.attempts({ runId }).map(a => a.runId), [runId, runId, runId]);
+
+  store.recordAttempt({ url: 'https://whop.com/delta/', stage: 'extract', result: null });
+  assert.equal(store.attempts().at(-1).runId, null);
+  store.close();
+});
+
+test('closing the store with a run still open marks it interrupted', () => {
+  const dir = tempDir();
+  const store = openStore(dir);
+  const first = store.beginRun({ command: 'enrich', gitRev: null });
+  store.close();
+
+  const again = openStore(dir);
+  assert.equal(again.run(first).status, 'interrupted');
+  const second = again.beginRun({ command: 'extract', gitRev: null });
+  again.endRun({ status: 'failed', error: 'browser crashed', stats: { retries: 2, throttle: { slowdowns: 1 } } });
+  assert.deepEqual(again.runs().map(r => r.id).sort(), [first, second].sort());
+  assert.equal(again.run(second).status, 'failed');
+  assert.equal(again.run(second).error, 'browser crashed');
+  assert.deepEqual([again.run(second).counts.retries, again.run(second).counts.throttle], [2, { slowdowns: 1 }]);
+  assert.equal(again.run('nope'), null);
+  again.close();
+});
@@ -0,0 +1,84 @@
+// test/throttle.test.js
+// Adaptive throttle: spotting 429s and bot checks, slowing down and pausing once per wall,
+// and adding workers back after clean pages.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createThrottle, classifyResponse, isChallengeTitle } from '../src/utils/throttle.js';
+import { classifyError, ChallengeError } from '../src/utils/errorClass.js';
+
+function clock(start = Date.parse('2025-10-18T12:00:00Z')) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => { t += ms; };
+  return now;
+}
+
+test('classifyResponse spots rate limits and Cloudflare challenges', () => {
+  assert.equal(classifyResponse({ status: 429 }), 'rate-limited');
+  assert.equal(classifyResponse({ status: 403, headers: { 'cf-mitigated': 'challenge' } }), 'challenge');
+  assert.equal(classifyResponse({ status: 503, headers: { server: 'cloudflare', 'content-type': 'text/html; charset=UTF-8' } }), 'challenge');
+  assert.equal(classifyResponse({ status: 403, headers: { server: 'nginx', 'content-type': 'text/html' } }), null);
+  assert.equal(classifyResponse({ status: 200, headers: { server: 'cloudflare' } }), null);
+
+  assert.equal(isChallengeTitle('Just a moment...'), true);
+  assert.equal(isChallengeTitle(' Attention Required! | Cloudflare'), true);
+  assert.equal(isChallengeTitle('TMS Options | Whop'), false);
+  assert.equal(classifyError(new ChallengeError('https://whop.com/x/')), 'rate-limited');
+  assert.equal(classifyError('Bot check at https://whop.com/x/'), 'rate-limited');
+});
+
+test('a 429 halves concurrency and pauses once for every worker that hits it', () => {
+  const now = clock();
+  const throttle = createThrottle({ maxConcurrency: 4, basePauseMs: 30_000, now, random: () => 0 });
+  assert.equal(throttle.ready(3), true);
+
+  assert.equal(throttle.observe({ url: 'https://whop.com/a/', status: 429, headers: {} }), 'rate-limited');
+  throttle.observe({ url: 'https://whop.com/b/', status: 429, headers: {} });
+  assert.equal(throttle.concurrency, 2);
+  assert.equal(throttle.ready(0), false);
+  assert.equal(throttle.pausedUntil, '2025-10-18T12:00:30.000Z');
+  assert.equal(throttle.spawnDelay(), 400);
+
+  now.advance(30_000);
+  assert.equal(throttle.ready(1), true);
+  assert.equal(throttle.ready(2), false);
+
+  // A second wall right after the first pauses longer; Retry-After wins when sent
+  throttle.observe({ url: 'https://whop.com/c/', status: 403, headers: { 'cf-mitigated': 'challenge' } });
+  assert.equal(throttle.concurrency, 1);
+  assert.equal(throttle.pausedUntil, '2025-10-18T12:01:30.000Z');
+  now.advance(60_000);
+  throttle.observe({ url: 'https://whop.com/d/', status: 429, headers: { 'retry-after': '5' } });
+  assert.equal(throttle.pausedUntil, '2025-10-18T12:01:35.000Z');
+
+  const stats = throttle.stats();
+  assert.equal(stats.rateLimited, 3);
+  assert.equal(stats.challenges, 1);
+  assert.equal(stats.slowdowns, 3);
+  assert.equal(stats.lowestConcurrency, 1);
+  assert.equal(stats.pausedMs, 95_000);
+  assert.deepEqual(stats.events.map(e => [e.type, e.reason, e.concurrency]),
+    [['slow-down', 'rate-limited', 2], ['slow-down', 'challenge', 1], ['slow-down', 'rate-limited', 1]]);
+});
+
+test('clean pages add workers back one at a time, and other hosts are ignored', () => {
+  const now = clock();
+  const throttle = createThrottle({ maxConcurrency: 3, rampAfter: 2, watch: (u) => u.startsWith('https://whop.com/'), now });
+  assert.equal(throttle.observe({ url: 'https://cdn.example.com/pixel', status: 429, headers: {} }), null);
+  assert.equal(throttle.concurrency, 3);
+
+  throttle.challenge('https://whop.com/a/');
+  assert.equal(throttle.concurrency, 1);
+  throttle.success();
+  throttle.success();
+  assert.equal(throttle.concurrency, 1, 'no speed-up while paused');
+
+  now.advance(30_000);
+  for (let i = 0; i < 4; i++) throttle.success();
+  assert.equal(throttle.concurrency, 3);
+  throttle.success();
+  throttle.success();
+  assert.equal(throttle.concurrency, 3);
+  assert.deepEqual(throttle.stats().events.map(e => e.type), ['slow-down', 'speed-up', 'speed-up']);
+});
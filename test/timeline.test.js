@@ -0,0 +1,105 @@
+// test/timeline.test.js
+// Promo timeline: observations fold into first/last seen, discount changes and disappearance.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildTimeline, describeEvent } from '../src/utils/timeline.js';
+import { emptyResult } from '../src/utils/promoResult.js';
+import { openStore } from '../src/utils/store.js';
+import { productHistory } from '../src/history.js';
+import { materializeOutputs } from '../scripts/materialize-positives.js';
+import { outFiles } from '../src/utils/paths.js';
+import { collectStatus } from '../src/status.js';
+
+const url = 'https://whop.com/ayecon-lifetime-membership?a=alexburnett21';
+
+function attempt(stage, checkedAt, code = null, discount = {}, status = code ? 'found' : 'empty') {
+  return { url, stage, status, checkedAt, code, result: { ...emptyResult(), code, ...discount } };
+}
+
+test('buildTimeline tracks appearance, discount changes, disappearance and return', () => {
+  const { codes, events } = buildTimeline([
+    attempt('extract', '2025-09-03T00:00:00Z', 'promo-022d1f18'),
+    attempt('extract', '2025-09-01T00:00:00Z', 'promo-022d1f18', { percentOff: 10 }),
+    attempt('enrich', '2025-09-02T00:00:00Z', 'promo-022d1f18', { percentOff: 15 }),
+    attempt('extract', '2025-09-04T00:00:00Z', null, {}, 'error'),
+    attempt('extract', '2025-09-05T00:00:00Z', 'promo-336b4acd'),
+    attempt('scrape', '2025-09-06T00:00:00Z', 'promo-022d1f18', { percentOff: 15 }),
+  ]);
+
+  assert.deepEqual(events.map(e => [e.at.slice(0, 10), e.type, e.code]), [
+    ['2025-09-01', 'appeared', 'promo-022d1f18'],
+    ['2025-09-02', 'discount-changed', 'promo-022d1f18'],
+    ['2025-09-05', 'disappeared', 'promo-022d1f18'],
+    ['2025-09-05', 'appeared', 'promo-336b4acd'],
+    ['2025-09-06', 'disappeared', 'promo-336b4acd'],
+    ['2025-09-06', 'reappeared', 'promo-022d1f18'],
+  ]);
+  assert.equal(describeEvent(events[1]), 'promo-022d1f18 discount 10% off → 15% off');
+
+  const [first, second] = codes;
+  assert.equal(first.firstSeen, '2025-09-01T00:00:00Z');
+  assert.equal(first.lastSeen, '2025-09-06T00:00:00Z');
+  assert.equal(first.seen, 3);
+  assert.equal(first.expiredAt, null);
+  assert.deepEqual(first.discount, { percentOff: 15, amountOff: null, currency: null });
+  assert.equal(second.expiredAt, '2025-09-06T00:00:00Z');
+});
+
+test('enrichment attempts never make a code appear', () => {
+  const { codes, events } = buildTimeline([
+    attempt('extract', '2025-09-01T00:00:00Z'),
+    attempt('update', '2025-09-02T00:00:00Z', 'promo-022d1f18', { percentOff: 10 }),
+  ]);
+  assert.deepEqual(codes, []);
+  assert.deepEqual(events, []);
+});
+
+test('productHistory finds a product by URL variant or by promo code', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-history-'));
+  const store = openStore(dir);
+  const code = (c) => ({ ...emptyResult(), code: c });
+  store.recordAttempt({ url, stage: 'extract', result: code('promo-022d1f18'), checkedAt: '2025-09-01T00:00:00Z' });
+  store.recordAttempt({ url: 'https://whop.com/ayecon-lifetime-membership/', stage: 'extract', result: null, checkedAt: '2025-09-02T00:00:00Z' });
+  store.recordAttempt({ url: 'https://whop.com/ayecon-monthly-mentorship/', stage: 'extract', result: code('promo-022d1f18'), checkedAt: '2025-09-01T00:00:00Z' });
+  store.close();
+
+  const [history] = productHistory({ dataDir: dir }, 'https://whop.com/Ayecon-Lifetime-Membership');
+  assert.equal(history.id, 'ayecon-lifetime-membership');
+  assert.deepEqual(history.timeline.events.map(e => e.type), ['appeared', 'disappeared']);
+
+  const byCode = productHistory({ dataDir: dir }, 'PROMO-022d1f18');
+  assert.deepEqual(byCode.map(h => h.id).sort(), ['ayecon-lifetime-membership', 'ayecon-monthly-mentorship']);
+  assert.deepEqual(productHistory({ dataDir: dir }, 'https://whop.com/unknown'), []);
+});
+
+test('materializeOutputs leaves out codes that disappeared from their product page', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-materialize-'));
+  const store = openStore(dir);
+  const code = (c) => ({ ...emptyResult(), code: c });
+  store.recordAttempt({ url, stage: 'extract', result: code('promo-022d1f18'), checkedAt: '2025-09-01T00:00:00Z' });
+  store.recordAttempt({ url, stage: 'extract', result: null, checkedAt: '2025-09-02T00:00:00Z' });
+  store.recordAttempt({ url: 'https://whop.com/ayecon-monthly-mentorship/', stage: 'extract', result: code('promo-336b4acd'), checkedAt: '2025-09-01T00:00:00Z' });
+  store.recordAttempt({ url: 'https://whop.com/ayecon-monthly-mentorship/', stage: 'extract', result: code('promo-336b4acd'), checkedAt: '2025-09-02T00:00:00Z' });
+  store.close();
+
+  materializeOutputs({ dataDir: dir, outDir: dir });
+  const rows = JSON.parse(fs.readFileSync(outFiles(dir).json, 'utf8'));
+  assert.deepEqual(rows.map(r => r.code), ['promo-336b4acd']);
+});
+
+test('whp status counts a product observed twice once, by its latest visit', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-status-'));
+  const store = openStore(dir);
+  store.enqueue({ url });
+  store.recordAttempt({ url, stage: 'extract', result: { ...emptyResult(), code: 'promo-022d1f18' }, checkedAt: '2025-09-01T00:00:00Z' });
+  store.recordAttempt({ url, stage: 'extract', result: null, checkedAt: '2025-09-02T00:00:00Z' });
+  store.close();
+
+  const status = collectStatus({ dataDir: dir, outDir: dir, storage: null });
+  assert.deepEqual({ queue: status.queue, visited: status.visited, found: status.found, empty: status.empty, pending: status.pending },
+    { queue: 1, visited: 1, found: 0, empty: 1, pending: 0 });
+});
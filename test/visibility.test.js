@@ -0,0 +1,65 @@
+// test/visibility.test.js
+// Promo visibility: what a logged-in and a logged-out visit to the same product add up to.
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { compareVisibility, isAnonymousComparison, VISIBILITIES } from '../src/utils/visibility.js';
+import { emptyResult } from '../src/utils/promoResult.js';
+import { openStore } from '../src/utils/store.js';
+import { productHistory } from '../src/history.js';
+import { collectStatus } from '../src/status.js';
+import { diffRuns } from '../src/diff.js';
+
+const promo = (code, extra = {}) => ({ ...emptyResult(), code, ...extra });
+
+test('compareVisibility labels a promo by which visits showed it', () => {
+  assert.equal(compareVisibility(promo('promo-a', { percentOff: 20 }), promo('promo-a', { percentOff: 20 })), 'public');
+  assert.equal(compareVisibility(promo('promo-a'), emptyResult()), 'login-gated');
+  assert.equal(compareVisibility(promo('promo-a'), null), 'login-gated');
+  assert.equal(compareVisibility(null, promo('promo-a')), 'anonymous-only');
+  assert.equal(compareVisibility(null, emptyResult()), 'none');
+  for (const v of ['public', 'login-gated', 'anonymous-only', 'none']) assert.ok(VISIBILITIES.includes(v));
+});
+
+test('the same code at another discount differs; a discount one side did not read does not', () => {
+  assert.equal(compareVisibility(promo('promo-a'), promo('promo-b')), 'differs');
+  assert.equal(compareVisibility(promo('promo-a', { percentOff: 30 }), promo('promo-a', { percentOff: 20 })), 'differs');
+  assert.equal(compareVisibility(promo('promo-a', { percentOff: 30 }), promo('promo-a')), 'public');
+  // Rows from before the schema read the same way
+  assert.equal(compareVisibility({ code: 'PROMO-A', discountPercent: 30 }, promo('promo-a', { percentOff: 30 })), 'public');
+  assert.equal(compareVisibility({ code: 'PROMO-A', discountPercent: 30 }, promo('promo-a', { percentOff: 20 })), 'differs');
+});
+
+test('compare runs on a login-gated code add no churn to history, status or run diffs', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'whp-visibility-'));
+  const url = 'https://whop.com/ayecon-lifetime-membership/';
+  const store = openStore(dir);
+  const runs = ['2025-09-01', '2025-09-02'].map(day => {
+    const runId = store.beginRun({ command: 'extract', gitRev: null });
+    // As whp extract --compare-anonymous records a pair: the logged-out visit, then the logged-in one
+    const hit = promo('promo-022d1f18');
+    const visibility = compareVisibility(hit, emptyResult());
+    store.recordAttempt({ url, stage: 'extract', result: emptyResult(), profile: null, visibility, checkedAt: `${day}T00:00:00Z` });
+    store.recordAttempt({ url, stage: 'extract', result: hit, profile: 'alice', visibility, checkedAt: `${day}T00:00:01Z` });
+    store.endRun();
+    return runId;
+  });
+  const anon = store.attempts().filter(isAnonymousComparison);
+  store.close();
+
+  assert.equal(anon.length, 2);
+  const [history] = productHistory({ dataDir: dir, outDir: dir }, url);
+  assert.deepEqual(history.timeline.events.map(e => e.type), ['appeared']);
+  assert.equal(history.timeline.codes[0].seen, 2);
+
+  const status = collectStatus({ dataDir: dir, outDir: dir, storage: null });
+  assert.equal(status.visited, 1);
+  assert.equal(status.found, 1);
+  assert.deepEqual(status.visibility, { 'login-gated': 1 });
+
+  const diff = diffRuns({ dataDir: dir }, runs[0], runs[1]);
+  assert.deepEqual(diff.summary, { ...diff.summary, newCodes: 0, removedCodes: 0, flippedToNotFound: 0 });
+});
@@ -0,0 +1,174 @@
+// test/workerPool.test.js
+// Worker pool and browser session: bounded concurrency, delayed retries, timeouts, stopping,
+// page reuse and context replacement (against a fake browser).
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { createWorkerPool, openBrowserSession, TaskTimeoutError, BrowserCrashedError, RestartLimitError } from '../src/utils/workerPool.js';
+import { classifyError } from '../src/utils/errorClass.js';
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('the pool never runs more than `concurrency` tasks and retries go before new items', async () => {
+  const pool = createWorkerPool({ concurrency: 2, pollMs: 5 });
+  let running = 0, peak = 0;
+  const order = [];
+  for (const item of ['a', 'b', 'c', 'd']) pool.add(item);
+
+  const outcome = await pool.run(async (item, { worker }) => {
+    running++;
+    peak = Math.max(peak, running);
+    order.push(item);
+    assert.ok(worker === 1 || worker === 2);
+    await wait(10);
+    running--;
+  });
+  assert.equal(peak, 2);
+  assert.deepEqual(order, ['a', 'b', 'c', 'd']);
+  assert.equal(outcome.completed, 4);
+  assert.equal(outcome.stopped, false);
+
+  // One at a time: a's retry is due once b is done, so it goes before c
+  const serial = createWorkerPool({ concurrency: 1, pollMs: 5 });
+  const seen = [];
+  for (const item of ['a', 'b', 'c']) serial.add(item);
+  await serial.run(async (item) => {
+    seen.push(item);
+    if (item === 'a') serial.add('a-retry', { delayMs: 15 });
+    await wait(10);
+  });
+  assert.deepEqual(seen, ['a', 'b', 'a-retry', 'c']);
+});
+
+test('a task that hangs is aborted with TaskTimeoutError and its slot freed', async () => {
+  const pool = createWorkerPool({ concurrency: 1, taskTimeoutMs: 20, graceMs: 50, pollMs: 5 });
+  pool.add('slow');
+  pool.add('fast');
+  const reasons = [];
+  const outcome = await pool.run(async (item, { signal }) => {
+    if (item !== 'slow') return;
+    await new Promise(resolve => signal.addEventListener('abort', resolve));
+    reasons.push(signal.reason);
+  });
+  assert.ok(reasons[0] instanceof TaskTimeoutError);
+  assert.equal(classifyError(reasons[0]), 'timeout');
+  assert.deepEqual([outcome.timedOut, outcome.completed], [1, 1]);
+});
+
+test('stop() lets running tasks finish and leaves the rest queued; canStart gates new tasks', async () => {
+  let open = false;
+  const pool = createWorkerPool({ concurrency: 1, canStart: () => open, pollMs: 5 });
+  for (let i = 0; i < 5; i++) pool.add(i);
+  setTimeout(() => { open = true; }, 20);
+  const done = [];
+  const outcome = await pool.run(async (i) => {
+    if (i === 0) pool.stop();
+    await wait(10);
+    done.push(i);
+  });
+  assert.deepEqual(done, [0]);
+  assert.equal(outcome.stopped, true);
+  assert.equal(outcome.left, 4);
+});
+
+function fakeBrowser() {
+  const contexts = [];
+  const browser = Object.assign(new EventEmitter(), {
+    contexts,
+    connected: true,
+    isConnected() { return this.connected; },
+    // Chromium going away: every page call fails from now on
+    crash() {
+      this.connected = false;
+      for (const ctx of contexts) for (const page of ctx.pages) page.closed = true;
+      this.emit('disconnected');
+    },
+    async newContext(options) {
+      if (!this.connected) throw new Error('browser.newContext: Target page, context or browser has been closed');
+      const ctx = new EventEmitter();
+      ctx.options = options;
+      ctx.pages = [];
+      ctx.newPage = async () => {
+        const page = { closed: false, visits: [], isClosed() { return this.closed; } };
+        page.goto = async (url) => { if (page.closed) throw new Error('Target page, context or browser has been closed'); page.visits.push(url); };
+        page.close = async () => { page.closed = true; };
+        ctx.pages.push(page);
+        return page;
+      };
+      ctx.close = async () => { ctx.emit('close'); };
+      contexts.push(ctx);
+      return ctx;
+    },
+    async close() {},
+  });
+  return browser;
+}
+
+test('the browser session reuses pages and replaces its context after recycleAfter tasks or a crash', async () => {
+  const browser = fakeBrowser();
+  const setups = [];
+  const session = await openBrowserSession({
+    launch: async () => browser,
+    contextOptions: { locale: 'en-GB' },
+    setupContext: async (ctx) => setups.push(ctx),
+    recycleAfter: 3,
+    pageReuse: 2,
+  });
+
+  for (const url of ['a', 'b', 'c']) await session.withPage(page => page.goto(url));
+  const [first] = browser.contexts;
+  assert.equal(first.pages.length, 2, 'a page serves two tasks, then a fresh one');
+  assert.deepEqual(first.pages[0].visits, ['a', 'about:blank', 'b']);
+
+  await session.withPage(page => page.goto('d'));
+  assert.equal(browser.contexts.length, 2, 'recycled after 3 tasks');
+  assert.deepEqual(setups, browser.contexts);
+  assert.equal(browser.contexts[1].options.locale, 'en-GB');
+
+  // A failed task's page is not reused; a context that closes under us is replaced
+  await assert.rejects(session.withPage(async () => { throw new Error('boom'); }), /boom/);
+  assert.equal(browser.contexts[1].pages.every(p => p.closed), true);
+  browser.contexts[1].emit('close');
+  await session.withPage(page => page.goto('e'));
+  assert.equal(browser.contexts.length, 3);
+  assert.deepEqual(session.stats(), { contexts: 3, recycled: 1, crashes: 1, recoveries: 1, relaunches: 0, pages: 4, tasks: 6 });
+
+  // An aborted signal closes the page under the task
+  const controller = new AbortController();
+  await assert.rejects(session.withPage(async (page) => {
+    controller.abort(new TaskTimeoutError(1));
+    await page.goto('f');
+  }, { signal: controller.signal }), /has been closed/);
+  await session.close();
+});
+
+test('a crashed browser is relaunched with the same options, up to maxRestarts times', async () => {
+  const browsers = [];
+  const gaveUp = [];
+  const session = await openBrowserSession({
+    launch: async () => { browsers.push(fakeBrowser()); return browsers.at(-1); },
+    contextOptions: { storageState: 'auth/whop.json' },
+    maxRestarts: 1,
+    onGiveUp: (error) => gaveUp.push(error),
+  });
+
+  // The task running when Chromium dies is told so, to be queued again rather than failed
+  await assert.rejects(session.withPage(async (page) => {
+    browsers[0].crash();
+    await page.goto('https://whop.com/a/');
+  }), (error) => error instanceof BrowserCrashedError && /has been closed/.test(error.cause.message));
+
+  await session.withPage(page => page.goto('https://whop.com/a/'));
+  assert.equal(browsers.length, 2);
+  assert.equal(browsers[1].contexts[0].options.storageState, 'auth/whop.json');
+  assert.equal(session.browser, browsers[1]);
+
+  browsers[1].crash();
+  await assert.rejects(session.withPage(page => page.goto('https://whop.com/b/')), RestartLimitError);
+  await assert.rejects(session.withPage(page => page.goto('https://whop.com/c/')), RestartLimitError);
+  assert.equal(gaveUp.length, 1);
+  assert.equal(session.gaveUp, gaveUp[0]);
+  assert.deepEqual([session.stats().relaunches, session.stats().crashes], [1, 2]);
+  await session.close();
+});